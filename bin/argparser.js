@@ -17,10 +17,16 @@
  *
  * @typedef  {Object} FilteredOptions
  * @property {string} urls - A list of URLs to be processed.
+ * @property {'add' | 'list' | 'resume' | 'clear'} [queueCommand] - The job queue command to run,
+ *           only parsed by the parser from {@link initQueueParser}.
  * @property {string} batchFile - The path to the batch file containing YouTube URLs.
  * @property {number} version - A number counter to show the version. 1 shows this module version only, 2 shows all dependencies' version.
  * @property {boolean} copyright - A boolean flag to show the copyright information.
  * @property {boolean} printConfig - A boolean flag to show the currently used configuration and exit. Useful for debugging.
+ * @property {boolean} toStdout - A boolean flag to write the converted audio to standard output, set by `-o -`.
+ * @property {boolean} watch - A boolean flag to watch the batch file and download the newly appended URLs.
+ * @property {string} exec - The shell command to run for every finished file.
+ * @property {'ignore' | 'warn' | 'fail'} execPolicy - The policy if the `exec` command exits with a non-zero exit code.
  * @property {DownloadOptions} downloadOptions - The options related to the download process.
  *
  * @package
@@ -30,7 +36,9 @@
 const path = require('node:path');
 const {
   SUPPRESS,
+  OPTIONAL,
   ZERO_OR_MORE,
+  ONE_OR_MORE,
   ArgumentParser,
   BooleanOptionalAction,
   RawDescriptionHelpFormatter
@@ -46,7 +54,7 @@ const {
   AllSupportedOptions,
   _AudioConverterOptions,
   _AudioConverterOptions$N,
-  _DownloadOptions,
+  _BatchDownloadOptions,
 } = require('../lib/utils');
 const {
   importConfig,
@@ -63,43 +71,21 @@ const {
   homepageUrl,
   repository: { url: repositoryUrl },
 } = getGlob('$__metadata__$', {});
+const progName = projTitle
+  ? projTitle.toLowerCase()
+  : (projName ? projName.replace('-js', '') : 'ytmp3');
 
 /**
- * Initializes the argument parser for command-line options.
+ * Adds the download and audio converter options into the given parser.
  *
- * @returns {argparse.ArgumentParser} The `ArgumentParser` instance.
+ * @param {argparse.ArgumentParser} parser - The parser to add the options into.
+ * @returns {argparse.ArgumentParser} The same parser, for chaining.
  *
- * @package
- * @since   1.0.0
+ * @private
+ * @since   2.0.0
  */
-function initParser() {
-  const parser = new ArgumentParser({
-    prog: projTitle
-      ? projTitle.toLowerCase()
-      : (projName ? projName.replace('-js', '') : 'ytmp3'),
-    description: projDescription,
-    // eslint-disable-next-line camelcase
-    formatter_class: RawDescriptionHelpFormatter,
-    epilog: `
-      Developed by \x1b[93m${author.name}\x1b[0m (${author.website}).
-      
-      \x1b[1;91m::\x1b[0m \x1b[1;96m[Homepage]\x1b[0m\t${homepageUrl}
-      \x1b[1;91m::\x1b[0m \x1b[1;95m[GitHub]\x1b[0m\t${repositoryUrl.replace(/^git\+|\.git$/g, '')}
-    `.trim().replace(/[ ]{2,}/g, ''),
-    // eslint-disable-next-line camelcase
-    add_help: false,  // Use custom help argument
-    // eslint-disable-next-line camelcase
-    exit_on_error: false,
-  });
-
+function addDownloadOptions(parser) {
   // ==== Download Options ==== //
-  // :: URL
-  parser.add_argument('URL', {
-    help: 'The YouTube URL(s) to download. Supports multiple URLs',
-    type: 'str',
-    nargs: ZERO_OR_MORE,  // Support multiple URLs
-    default: SUPPRESS
-  });
   // :: cwd
   parser.add_argument('--cwd', {
     metavar: 'DIR',
@@ -109,19 +95,199 @@ function initParser() {
   });
   // :: FILE
   parser.add_argument('-f', '--file', '--batch', {
-    help: 'Path to a file containing a list of YouTube URLs for batch downloading',
+    help: 'Path to a file containing a list of YouTube URLs for batch downloading. '
+      + 'Supports text, JSON, CSV and M3U files',
     type: 'str',
     dest: 'file',
     default: SUPPRESS
   });
+  // :: watch
+  parser.add_argument('--watch', {
+    help: 'Keep running and download the URLs appended to the batch file as they appear '
+      + '(default batch file: downloads.txt)',
+    action: 'store_true',
+    dest: 'watch'
+  });
+  // :: concurrency
+  parser.add_argument('-j', '--jobs', {
+    metavar: 'N',
+    help: 'Number of videos to download simultaneously in batch download (default: 1)',
+    type: 'int',
+    dest: 'concurrency',
+    default: SUPPRESS
+  });
+  // :: playlistLimit
+  parser.add_argument('--playlistLimit', '--playlist-limit', {
+    metavar: 'N',
+    help: 'Maximum number of videos to download from each playlist (default: unlimited)',
+    type: 'int',
+    dest: 'playlistLimit',
+    default: SUPPRESS
+  });
+  // :: playlistOffset
+  parser.add_argument('--playlistOffset', '--playlist-offset', {
+    metavar: 'N',
+    help: 'Number of videos to skip from the start of each playlist (default: 0)',
+    type: 'int',
+    dest: 'playlistOffset',
+    default: SUPPRESS
+  });
+  // :: playlistReverse
+  parser.add_argument('--playlistReverse', '--playlist-reverse', {
+    help: 'Download the selected videos of each playlist in reverse order',
+    action: BooleanOptionalAction,
+    dest: 'playlistReverse'
+  });
+  // :: latest
+  parser.add_argument('--latest', {
+    metavar: 'N',
+    help: 'Number of latest uploads to download from each channel (default: all uploads)',
+    type: 'int',
+    dest: 'latest',
+    default: SUPPRESS
+  });
+  // :: retries
+  parser.add_argument('--retries', {
+    metavar: 'N',
+    help: 'Number of retries on transient network errors (default: 0)',
+    type: 'int',
+    dest: 'retries',
+    default: SUPPRESS
+  });
+  // :: retryDelay
+  parser.add_argument('--retryDelay', '--retry-delay', {
+    metavar: 'MS',
+    help: 'Delay in milliseconds before the first retry (default: 1000)',
+    type: 'int',
+    dest: 'retryDelay',
+    default: SUPPRESS
+  });
+  // :: retryBackoff
+  parser.add_argument('--retryBackoff', '--retry-backoff', {
+    metavar: 'FACTOR',
+    help: 'Factor to multiply the retry delay by on each retry (default: 2)',
+    type: 'float',
+    dest: 'retryBackoff',
+    default: SUPPRESS
+  });
+  // :: audioFormat
+  parser.add_argument('--audioFormat', '--audio-format', {
+    metavar: 'PREF',
+    help: 'Rank the audio formats to download by the preference, e.g., '
+      + '"opus/aac,bitrate=160" (default: the highest bitrate AAC)',
+    type: 'str',
+    dest: 'audioFormat',
+    default: SUPPRESS
+  });
+  // :: start
+  parser.add_argument('--start', {
+    metavar: 'TIME',
+    help: 'Clip the audio from TIME, in seconds or "hh:mm:ss" format (default: the `t` '
+      + 'parameter of the URL, if any)',
+    type: 'str',
+    dest: 'start',
+    default: SUPPRESS
+  });
+  // :: end
+  parser.add_argument('--end', {
+    metavar: 'TIME',
+    help: 'Clip the audio until TIME, in seconds or "hh:mm:ss" format',
+    type: 'str',
+    dest: 'end',
+    default: SUPPRESS
+  });
+  // :: rateLimit
+  parser.add_argument('--limitRate', '--limit-rate', {
+    metavar: 'RATE',
+    help: 'Limit the download rate to RATE bytes per second, with an optional K, M or G suffix, '
+      + 'e.g., "2M" (default: unlimited)',
+    type: 'str',
+    dest: 'rateLimit',
+    default: SUPPRESS
+  });
   // :: outDir
   parser.add_argument('-o', '--outDir', '--out-dir', {
     metavar: 'DIR',
-    help: 'Specify the output directory for downloaded files (default: current directory)',
+    help: 'Specify the output directory for downloaded files (default: current directory), '
+      + 'use "-" to write the converted audio of a single video to standard output',
     type: 'str',
     dest: 'outDir',
     default: SUPPRESS
   });
+  // :: outFile
+  parser.add_argument('--outFile', '--out-file', {
+    metavar: 'TEMPLATE',
+    help: 'Specify the output file name, supports metadata placeholders such as '
+      + '"{author} - {title} [{id}].{ext}" (default: "{title}.{ext}")',
+    type: 'str',
+    dest: 'outFile',
+    default: SUPPRESS
+  });
+  // :: embedMetadata
+  parser.add_argument('--embedMetadata', '--embed-metadata', {
+    help: 'Embed the title, artist, date, genre, comment and description tags from the video '
+      + 'information into the output file',
+    action: 'store_true',
+    dest: 'embedMetadata',
+    default: SUPPRESS
+  });
+  // :: embedThumbnail
+  parser.add_argument('--embedThumbnail', '--embed-thumbnail', {
+    metavar: 'CROP',
+    help: 'Embed the video thumbnail as the front cover of the output file (MP3, M4A, FLAC '
+      + 'or Opus), either "original" or cropped into a centered "square" (default: original)',
+    nargs: OPTIONAL,
+    const: 'original',
+    choices: [ 'original', 'square' ],
+    dest: 'embedThumbnail',
+    default: SUPPRESS
+  });
+  // :: downloadArchive
+  parser.add_argument('--downloadArchive', '--download-archive', {
+    metavar: 'FILE',
+    help: 'Record the downloaded video IDs into FILE, and skip the video IDs already listed in it',
+    type: 'str',
+    dest: 'downloadArchive',
+    default: SUPPRESS
+  });
+  // :: reportFile
+  parser.add_argument('--report', '--reportFile', '--report-file', {
+    metavar: 'FILE',
+    help: 'Write the report of the batch download into FILE, as CSV if FILE ends with ".csv" '
+      + 'or JSON otherwise. The failed URLs are also written along with their options into '
+      + '"<FILE name>.failed.txt" next to FILE, overwriting it if exists',
+    type: 'str',
+    dest: 'reportFile',
+    default: SUPPRESS
+  });
+  // :: exec
+  parser.add_argument('--exec', {
+    metavar: 'CMD',
+    help: 'Run the shell command CMD for every finished file. The placeholders {path}, {dir}, '
+      + '{name}, {id}, {title} and {url} are replaced with the quoted values, the path is '
+      + 'appended to CMD if it has no placeholder',
+    type: 'str',
+    dest: 'exec',
+    default: SUPPRESS
+  });
+  // :: execPolicy
+  parser.add_argument('--execPolicy', '--exec-policy', {
+    metavar: 'POLICY',
+    help: 'What to do if the command of --exec exits with a non-zero exit code: "ignore", '
+      + '"warn" or "fail" the video (default: warn)',
+    type: 'str',
+    choices: [ 'ignore', 'warn', 'fail' ],
+    dest: 'execPolicy',
+    default: SUPPRESS
+  });
+  // :: dryRun
+  parser.add_argument('--simulate', '--dryRun', '--dry-run', {
+    help: 'Only print the download plan (formats, output files and conversion targets), '
+      + 'without downloading anything',
+    action: 'store_true',
+    dest: 'dryRun',
+    default: SUPPRESS
+  });
   // :: config
   parser.add_argument('-c', '--config', {
     metavar: 'FILE',
@@ -230,6 +396,47 @@ function initParser() {
     dest: 'noQuiet'
   });
 
+  return parser;
+}
+
+/**
+ * Initializes the argument parser for command-line options.
+ *
+ * @returns {argparse.ArgumentParser} The `ArgumentParser` instance.
+ *
+ * @package
+ * @since   1.0.0
+ */
+function initParser() {
+  const parser = new ArgumentParser({
+    prog: progName,
+    description: projDescription,
+    // eslint-disable-next-line camelcase
+    formatter_class: RawDescriptionHelpFormatter,
+    epilog: `
+      Developed by \x1b[93m${author.name}\x1b[0m (${author.website}).
+      
+      \x1b[1;91m::\x1b[0m \x1b[1;96m[Homepage]\x1b[0m\t${homepageUrl}
+      \x1b[1;91m::\x1b[0m \x1b[1;95m[GitHub]\x1b[0m\t${repositoryUrl.replace(/^git\+|\.git$/g, '')}
+    `.trim().replace(/[ ]{2,}/g, ''),
+    // eslint-disable-next-line camelcase
+    add_help: false,  // Use custom help argument
+    // eslint-disable-next-line camelcase
+    exit_on_error: false,
+  });
+
+  // ==== Download Options ==== //
+  // :: URL
+  parser.add_argument('URL', {
+    help: 'The YouTube URL(s) to download. Supports multiple URLs. Use "queue {add,list,resume,clear}" '
+      + 'as the first arguments to manage the job queue, which records the batch downloads '
+      + 'to resume after a crash',
+    type: 'str',
+    nargs: ZERO_OR_MORE,  // Support multiple URLs
+    default: SUPPRESS
+  });
+  addDownloadOptions(parser);
+
   // ==== Other Options ==== //
   // :: help
   parser.add_argument('-h', '-?', '--help', {
@@ -262,6 +469,62 @@ function initParser() {
   return parser;
 }
 
+/**
+ * Initializes the argument parser for the job queue commands, i.e., the arguments following
+ * the `queue` command (e.g., `ytmp3 queue resume --outDir music`).
+ *
+ * @returns {argparse.ArgumentParser} The `ArgumentParser` instance, the parsed command
+ *          is stored in the `queueCommand` property.
+ *
+ * @package
+ * @since   2.0.0
+ */
+function initQueueParser() {
+  const parser = new ArgumentParser({
+    prog: `${progName} queue`,
+    description: 'Manage the job queue, which records the batch downloads to resume after a crash',
+    // eslint-disable-next-line camelcase
+    exit_on_error: false
+  });
+  const commands = parser.add_subparsers({
+    title: 'commands',
+    dest: 'queueCommand',
+    metavar: 'COMMAND',
+    required: true
+  });
+
+  // :: add
+  commands.add_parser('add', {
+    help: 'Queue the given URLs or video IDs as pending items',
+    // eslint-disable-next-line camelcase
+    exit_on_error: false
+  }).add_argument('URL', {
+    help: 'The YouTube URL(s) or video ID(s) to queue',
+    type: 'str',
+    nargs: ONE_OR_MORE
+  });
+  // :: list
+  commands.add_parser('list', {
+    help: 'List the queued items along with their states',
+    // eslint-disable-next-line camelcase
+    exit_on_error: false
+  });
+  // :: resume
+  addDownloadOptions(commands.add_parser('resume', {
+    help: 'Download the unfinished items of the job queue, accepts the download options',
+    // eslint-disable-next-line camelcase
+    exit_on_error: false
+  }));
+  // :: clear
+  commands.add_parser('clear', {
+    help: 'Remove all items from the job queue',
+    // eslint-disable-next-line camelcase
+    exit_on_error: false
+  });
+
+  return parser;
+}
+
 function resolveCwdOutdir(source, replacer) {
   const src = {
     cwd: (isNullOrUndefined(source.cwd) || source.cwd === '.') ? undefined : source.cwd,
@@ -318,6 +581,10 @@ async function filterOptions({ options }) {
   // especially for 'cwd' and 'outDir'
   const optionsCopy = dropNullAndUndefined({ ...options });
 
+  // The "-" output directory streams the audio to stdout instead of saving it
+  const toStdout = optionsCopy.outDir === '-';
+  if (toStdout) delete optionsCopy.outDir;
+
   const { noConfig, noQuiet } = optionsCopy;
   let { quiet } = optionsCopy;
 
@@ -346,19 +613,17 @@ async function filterOptions({ options }) {
     const userConfig = optionsCopy.config ? importConfig(optionsCopy.config) : null;
     if (userConfig) {
       // Await the download options if it is a promise
-      if (userConfig instanceof Promise) {
-        dlOptionsFromConfig = await userConfig;
-      }
-      dlOptionsFromConfig = userConfig;
-      acOptionsFromConfig = userConfig.converterOptions || {};
+      dlOptionsFromConfig = userConfig instanceof Promise ? await userConfig : userConfig;
+      acOptionsFromConfig = dlOptionsFromConfig.converterOptions || {};
       delete dlOptionsFromConfig.converterOptions;
     }
   } else {
-    dlOptionsFromGlobalConfig = resolveOptions({}, _DownloadOptions, false, true);
+    dlOptionsFromGlobalConfig = resolveOptions({}, _BatchDownloadOptions, false, true);
     acOptionsFromConfig = resolveOptions({}, _AudioConverterOptions, false, true);
   }
 
-  const dlOptionsFromCLI = resolveOptions(optionsCopy, _DownloadOptions, false, false);
+  const dlOptionsFromCLI = resolveOptions(
+    optionsCopy, _BatchDownloadOptions, false, false);
   const acOptionsFromCLI = resolveOptions(
     optionsCopy,
     Object.entries(_AudioConverterOptions$N).reduce((acc, [key, val]) => {
@@ -424,12 +689,17 @@ async function filterOptions({ options }) {
 
   return Object.freeze({
     urls: optionsCopy.URL,
+    queueCommand: optionsCopy.queueCommand,
     batchFile: optionsCopy.file,
     help: optionsCopy.help,
     version: optionsCopy.version,
     copyright: optionsCopy.copyright,
     printConfig: optionsCopy.printConfig,
     printConfigAll: optionsCopy.printConfigAll,
+    toStdout,
+    watch: optionsCopy.watch,
+    exec: optionsCopy.exec,
+    execPolicy: optionsCopy.execPolicy,
     parsedOptions,
     parsedOptionsAll,
   });
@@ -438,5 +708,6 @@ async function filterOptions({ options }) {
 
 module.exports = {
   initParser,
+  initQueueParser,
   filterOptions
 };
@@ -13,7 +13,7 @@
  * @since     0.1.0
  */
 
-/* global process, setImmediate, console */
+/* global process, setImmediate, console, AbortController */
 
 // We need `require` function to import module synchronously
 import { createRequire } from 'module';
@@ -25,9 +25,13 @@ let ytmp3;
 const { setupAll, TRUTHY } = require('../lib/runtime/pre-setup.js');
 const DEBUG = ['YTMP3__DEBUG', 'DEBUG'].some(env =>
   process.env[env] && TRUTHY.includes(process.env[env].toLowerCase()));
+// Keep the standard output clean for the audio data when `-o -` is specified
+const TO_STDOUT = process.argv.slice(2).some((arg, idx, args) =>
+  /^(-o|--out-?[dD]ir)=?-$/.test(arg)
+    || (/^(-o|--out-?[dD]ir)$/.test(arg) && args[idx + 1] === '-'));
 
 DEBUG && console.time('[ytmp3-js CLI]');
-await setupAll().then(() => {
+await setupAll({ stdout: TO_STDOUT ? process.stderr : process.stdout }).then(() => {
   DEBUG && console.timeLog('[ytmp3-js CLI]', 'Pre-setup completed!');
   // ! WARN: KEEP IMPORT THESE MODULES SYNCHRONOUSLY, SETUP LIFECYCLE WILL RUIN OTHERWISE!
   __argparser = require('./argparser');
@@ -39,6 +43,7 @@ import fs from 'node:fs';
 import path from 'node:path';
 import util from 'node:util';
 import { EOL } from 'node:os';
+import { pipeline } from 'node:stream/promises';
 import { promisify, inspect } from 'node:util';
 import { ArgumentError, ArgumentTypeError } from 'argparse';
 import {
@@ -49,16 +54,23 @@ const createTempPath = promisify(_createTempPath);
 
 import * as __env from '../lib/env.js';
 import * as __error from '../lib/error.js';
+import __resolver from '../lib/resolver.js';
+import __queue from '../lib/queue.js';
+import __hooks from '../lib/hooks.js';
 import __utils from '../lib/utils/index.js';
 import cleanUp from '../lib/runtime/pre-exit.js';
 
 const { Logger, captureStdoutSync, colors: { style: $c } } = __utils;
 const {
   initParser,
+  initQueueParser,
   filterOptions
 } = __argparser;
 const { getGlob } = __env;
 const { getExitCodeFromSignal } = __error;
+const { isPlaylistUrl, isChannelUrl } = __resolver;
+const { JobQueue, JobStates } = __queue;
+const { withExecCommand } = __hooks;
 
 const log = getGlob('logger', Logger);
 const {
@@ -155,6 +167,146 @@ function printHeader() {
   log.line();
 }
 
+/**
+ * Opens the default job queue to record the batch downloads into, so they can be
+ * resumed with `ytmp3 queue resume` if the process dies halfway.
+ *
+ * @returns {Promise<JobQueue | undefined>} The job queue, or `undefined` if it cannot be opened.
+ *
+ * @private
+ * @since   2.0.0
+ */
+async function openJobQueue() {
+  try {
+    return await JobQueue.open();
+  } catch (err) {
+    log.warn(`Unable to open the job queue, the downloads will not be recorded: ${err.message}`);
+  }
+}
+
+/**
+ * Downloads the videos from the batch file, recording their states into the job queue.
+ * The finished items are removed from the job queue once the batch download completes.
+ *
+ * @param {string} file - The path to the batch file.
+ * @param {Object} options - The parsed download and audio converter options.
+ * @returns {Promise<boolean>} Whether the batch download has been completed.
+ *
+ * @private
+ * @since   2.0.0
+ */
+async function runBatchDownload(file, options) {
+  const queue = await openJobQueue();
+  try {
+    return !!(await ytmp3.batchDownload(file, { ...options, queue }));
+  } finally {
+    // A failed conversion rejects the batch download, the finished items are still removed
+    await queue?.clear([ JobStates.DONE ]);
+  }
+}
+
+/**
+ * Runs the job queue command, one of `add`, `list`, `resume` or `clear`.
+ *
+ * @param {string} command - The name of the command.
+ * @param {string[]} args - The arguments of the command, the URLs for the `add` command.
+ * @param {Object} options - The parsed download and audio converter options.
+ * @returns {Promise<boolean>} Whether the queued downloads have been run.
+ *
+ * @private
+ * @since   2.0.0
+ */
+async function runQueueCommand(command, args, options) {
+  const queue = await JobQueue.open();
+  switch (command) {
+    case 'add': {
+      if (!args.length) throw new Error('No URL specified to add into the job queue');
+      const added = await queue.add(args.map(url => {
+        return /^https?:\/\//.test(url) ? url : `https://youtu.be/${url}`;
+      }));
+      log.info(`Added \x1b[96m${added.length}\x1b[0m ${added.length > 1 ? 'items' : 'item'} `
+        + `into the job queue \x1b[2m(${queue.size} queued)\x1b[0m`);
+      return false;
+    }
+    case 'list': {
+      const items = queue.list();
+      if (!items.length) log.info('Job queue is empty');
+      items.forEach(({ id, url, state, error }) => {
+        const color = { [JobStates.DONE]: 'BG', [JobStates.FAILED]: 'BR' }[state] ?? 'BY';
+        log.info(`[${$c([0, color], state)}] {\x1b[36m${id}\x1b[0m} ${id !== url ? url : ''}`
+          + (error ? `\x1b[2m(${error})\x1b[0m` : ''));
+      });
+      return false;
+    }
+    case 'resume': {
+      log.info('\x1b[95mMode: \x1b[97mResume Job Queue\x1b[0m');
+      try {
+        const results = await ytmp3.batchDownload(queue, options);
+        return Object.keys(results).length > 0;
+      } finally {
+        await queue.clear([ JobStates.DONE ]);
+      }
+    }
+    case 'clear': {
+      const removed = await queue.clear();
+      log.info(`Removed \x1b[96m${removed}\x1b[0m ${removed > 1 ? 'items' : 'item'} `
+        + 'from the job queue');
+      return false;
+    }
+    default:
+      throw new Error(`Unknown queue command: ${command ?? '(none)'}, `
+        + 'expected one of add, list, resume or clear');
+  }
+}
+
+/**
+ * Watches the batch file and downloads the newly appended URLs, until the application exits.
+ *
+ * @param {string} file - The path to the batch file.
+ * @param {Object} options - The parsed download and audio converter options.
+ *
+ * @private
+ * @since   2.0.0
+ */
+async function watchBatchFile(file, options) {
+  const controller = new AbortController();
+  // Stop watching and abort the ongoing downloads on exit (e.g., <Ctrl-C>)
+  __env.runBeforeExit(function stopWatchingBatchFile() {
+    controller.abort();
+  });
+
+  log.info('\x1b[95mMode: \x1b[97mWatch Batch File\x1b[0m');
+  await ytmp3.watchBatchFile(file, { ...options, signal: controller.signal });
+}
+
+/**
+ * Streams the converted audio of a single video to the standard output.
+ *
+ * @param {string[]} urls - The URLs given by user, only a single video URL is accepted.
+ * @param {Object} options - The parsed download and audio converter options.
+ *
+ * @private
+ * @since   2.0.0
+ */
+async function streamToStdout(urls, options) {
+  if (!urls?.length || urls.length > 1 || isPlaylistUrl(urls[0]) || isChannelUrl(urls[0])) {
+    throw new Error('Writing to standard output requires a single video URL');
+  }
+  if (process.stdout.isTTY) {
+    throw new Error('Refusing to write audio data to a terminal, redirect the output instead');
+  }
+
+  log.info('\x1b[95mMode: \x1b[97mStream to Standard Output\x1b[0m');
+  const audio = await ytmp3.createAudioStream(urls[0], {
+    ...options,
+    ...options.converterOptions,
+    quiet: options.quiet
+  });
+  await pipeline(audio, process.stdout, { end: false });
+  log.info(`Streamed \x1b[93m${audio.metadata.title}\x1b[0m as `
+    + `\x1b[93m${audio.metadata.mimeType}\x1b[0m`);
+}
+
 /**
  * Main function.
  * @private
@@ -162,8 +314,10 @@ function printHeader() {
  */
 async function main() {
   log.debug('Building the command-line argument parser ...');
-  argparser = initParser();
   const argv = process.argv.slice(2);
+  // The job queue commands are parsed by their own parser, e.g., `ytmp3 queue list`
+  const queueMode = argv[0] === 'queue';
+  argparser = queueMode ? initQueueParser() : initParser();
   log.debug(`Using arguments: ${inspect(argv.join(' '), {
     compact: false,
     colors: true
@@ -171,6 +325,7 @@ async function main() {
   log.debug('Filtering user arguments ...');
   const {
     urls,
+    queueCommand,
     batchFile,
     help,
     version,
@@ -179,7 +334,15 @@ async function main() {
     parsedOptionsAll,
     printConfig,
     printConfigAll,
-  } = await filterOptions({ options: argparser.parse_intermixed_args() });
+    toStdout,
+    watch,
+    exec,
+    execPolicy,
+  } = await filterOptions({
+    options: queueMode
+      ? argparser.parse_args(argv.slice(1))
+      : argparser.parse_intermixed_args()
+  });
 
   const HELP = captureStdoutSync(() => argparser.print_help());
 
@@ -234,9 +397,22 @@ async function main() {
   log.info(
     `Device has been ${$c([0, (connected ? 'BG' : 'BR')], w[0])} ${w[1]} the internet provider`);
 
+  // Run the command for every finished file, after the hooks declared in the configuration
+  const options = exec
+    ? withExecCommand(parsedOptionsAll, exec, execPolicy)
+    : parsedOptionsAll;
+
   let downloadSucceed = false;
   try {
-    if ((!urls || (urls && !urls.length)) && !batchFile) {
+    if (queueCommand) {
+      downloadSucceed = await runQueueCommand(queueCommand, urls ?? [], options);
+    } else if (watch) {
+      if (urls?.length) throw new Error('Watch mode only accepts a batch file, not URLs');
+      await watchBatchFile(batchFile ?? DEFAULT_BATCH_FILE, options);
+    } else if (toStdout) {
+      if (batchFile) throw new Error('Writing to standard output requires a single video URL');
+      await streamToStdout(urls, parsedOptionsAll);
+    } else if ((!urls || (urls && !urls.length)) && !batchFile) {
       const defaultBatchFileBase = path.basename(DEFAULT_BATCH_FILE);
       log.info(`\x1b[2mNo URL and batch file specified, searching \x1b[93m${
         defaultBatchFileBase}\x1b[0m\x1b[2m ...\x1b[0m`);
@@ -247,21 +423,23 @@ async function main() {
         return;
       }
       log.info('\x1b[95mMode: \x1b[97mBatch Download\x1b[0m');
-      downloadSucceed = !!(await ytmp3.batchDownload(
-        DEFAULT_BATCH_FILE, parsedOptionsAll));
+      downloadSucceed = await runBatchDownload(DEFAULT_BATCH_FILE, options);
     } else if ((!urls || (urls && !urls.length)) && batchFile) {
       log.info('\x1b[95mMode: \x1b[97mBatch Download\x1b[0m');
-      downloadSucceed = !!(await ytmp3.batchDownload(batchFile, parsedOptionsAll));
+      downloadSucceed = await runBatchDownload(batchFile, options);
     } else if (urls.length && !batchFile) {
-      if (Array.isArray(urls) && urls.length > 1) {
+      // Playlist and channel URLs are expanded into multiple videos by the batch download,
+      // which also writes the batch report if requested
+      if (Array.isArray(urls) && (urls.length > 1 || parsedOptionsAll.reportFile
+          || urls.some(u => isPlaylistUrl(u) || isChannelUrl(u)))) {
         log.info('\x1b[95mMode: \x1b[97mMultiple Downloads\x1b[0m');
         tempBatchFile = await createTempFile(urls);
         log.info('Created a temporary file:\x1b[93m',
           path.basename(tempBatchFile), '\x1b[0m');
-        downloadSucceed = !!(await ytmp3.batchDownload(tempBatchFile, parsedOptionsAll));
+        downloadSucceed = await runBatchDownload(tempBatchFile, options);
       } else {
         log.info('\x1b[95mMode: \x1b[97mSingle Download\x1b[0m');
-        downloadSucceed = !!(await ytmp3.download(urls[0], parsedOptionsAll));
+        downloadSucceed = !!(await ytmp3.download(urls[0], options));
       }
     }
   } catch (dlErr) {
@@ -290,7 +468,7 @@ async function driverFunc() {
   ['SIGINT', 'SIGTERM', 'beforeExit'].forEach((signal) => {
     process.prependOnceListener(signal, async function ytmp3CleanUp() {
       if (signal === 'SIGINT') {
-        process.stdout.write('\u001b[2K\r');
+        TO_STDOUT || process.stdout.write('\u001b[2K\r');
         log.warn(`${$c([0, '^', 'BB'], '<Ctrl-C>')} has been pressed, interrupting ...`);
       }
       log.line();
@@ -14,7 +14,9 @@
 
 const {
   checkFfmpeg,
-  convertAudio
+  convertAudio,
+  convertAudioStream,
+  trimAudio
 } = require('./lib/audioconv');
 const {
   URLUtils,
@@ -23,6 +25,7 @@ const {
   ThumbnailUtils
 } = require('./lib/utils');
 const error = require('./lib/error');
+const { JobQueue, JobStates } = require('./lib/queue');
 const { defaults } = require('./lib/utils/options');
 const ytmp3 = require('./lib/ytmp3');
 
@@ -47,6 +50,8 @@ Object.assign(ytmp3, {
   // :: audioconv
   checkFfmpeg,
   convertAudio,
+  convertAudioStream,
+  trimAudio,
   // :: defaults options
   defaults,
   // :: URLUtils
@@ -63,6 +68,9 @@ Object.assign(ytmp3, {
   getAllThumbnails: ThumbnailUtils.getAllThumbnails,
   getThumbnailByResolution: ThumbnailUtils.getThumbnailByResolution,
   getThumbnail: ThumbnailUtils.getThumbnail,
+  // :: queue
+  JobQueue,
+  JobStates,
   // :: error
   ...error
 });
@@ -0,0 +1,128 @@
+/**
+ * @file This module provides functions to manage the download archive file.
+ *
+ * The download archive is a plain-text file recording the IDs of successfully downloaded
+ * videos, one video ID per line. Any video ID listed in the archive will be skipped by the
+ * subsequent downloads, which makes re-running the same batch file cheap.
+ *
+ * Empty lines and lines starting with `#` are ignored. For compatibility with the archive
+ * files created by other tools (e.g., `youtube <ID>`), only the last word of each line
+ * is treated as the video ID.
+ *
+ * @example
+ * const archive = await readArchive('/path/to/archive.txt');
+ * if (!archive.has('abcdeQWERTY')) {
+ *   // ... download the video
+ *   await appendToArchive('/path/to/archive.txt', 'abcdeQWERTY');
+ * }
+ *
+ * @module    archive
+ * @requires  error
+ * @requires  utils
+ * @requires  {@link https://nodejs.org/api/fs.html node:fs}
+ * @requires  {@link https://nodejs.org/api/path.html node:path}
+ * @author    Ryuu Mitsuki <{@link https://github.com/mitsuki31}>
+ * @license   MIT
+ * @since     2.0.0
+ */
+
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { TypeUtils, createDirIfNotExist } = require('./utils');
+const { InvalidTypeError } = require('./error');
+
+/**
+ * Validates the given archive file path.
+ *
+ * @param {string} file - The path to the archive file.
+ * @throws {InvalidTypeError} If the given path is not a string.
+ *
+ * @private
+ * @since   2.0.0
+ */
+function validateArchiveFile(file) {
+  if (typeof file !== 'string') {
+    throw new InvalidTypeError('Archive file path must be a string', {
+      actualType: TypeUtils.getType(file),
+      expectedType: 'string'
+    });
+  }
+}
+
+/**
+ * Parses the contents of a download archive into a set of video IDs.
+ *
+ * @param {string} contents - The contents of the archive file.
+ * @returns {Set<string>} A set containing the archived video IDs.
+ *
+ * @public
+ * @since  2.0.0
+ */
+function parseArchive(contents) {
+  return new Set(String(contents)
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line.length > 0 && !line.startsWith('#'))
+    .map((line) => line.split(/\s+/).pop())
+  );
+}
+
+/**
+ * Reads the video IDs listed in the given download archive file.
+ *
+ * @param {string} file - The path to the archive file.
+ * @returns {Promise<Set<string>>} A promise fulfills with a set containing the archived
+ *          video IDs, or an empty set if the archive file does not exist yet.
+ *
+ * @throws {InvalidTypeError} If the given path is not a string.
+ * @throws {Error} If the archive file exists but cannot be read.
+ *
+ * @async
+ * @public
+ * @since  2.0.0
+ */
+async function readArchive(file) {
+  validateArchiveFile(file);
+  try {
+    return parseArchive(await fs.promises.readFile(file, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return new Set();
+    throw err;
+  }
+}
+
+/**
+ * Appends the given video ID into the download archive file, the archive file
+ * and its parent directory will be created if they do not exist.
+ *
+ * @param {string} file - The path to the archive file.
+ * @param {string} videoId - The ID of the successfully downloaded video.
+ * @returns {Promise<void>}
+ *
+ * @throws {InvalidTypeError} If the given path or the video ID is not a string.
+ *
+ * @async
+ * @public
+ * @since  2.0.0
+ */
+async function appendToArchive(file, videoId) {
+  validateArchiveFile(file);
+  if (typeof videoId !== 'string') {
+    throw new InvalidTypeError('Video ID must be a string', {
+      actualType: TypeUtils.getType(videoId),
+      expectedType: 'string'
+    });
+  }
+
+  await createDirIfNotExist(path.dirname(file));
+  await fs.promises.appendFile(file, `${videoId}\n`, 'utf8');
+}
+
+
+module.exports = {
+  parseArchive,
+  readArchive,
+  appendToArchive
+};
@@ -20,6 +20,7 @@
  *
  * @module    audioconv
  * @requires  utils
+ * @requires  part-file
  * @requires  {@link https://npmjs.com/package/fluent-ffmpeg npm:fluent-ffmpeg}
  * @requires  {@link https://nodejs.org/api/fs.html node:fs}
  * @requires  {@link https://nodejs.org/api/os.html node:os}
@@ -37,6 +38,7 @@ const fs = require('fs');
 const path = require('path');
 const childProcess = require('node:child_process');
 const { EOL } = require('node:os');
+const { Readable, PassThrough } = require('node:stream');
 const ffmpeg = require('fluent-ffmpeg');
 
 const {
@@ -49,10 +51,12 @@ const {
   createDirIfNotExistSync,
   dropNullAndUndefined,
   isNullOrUndefined,
-  isPlainObject
+  isPlainObject,
+  resolveTimeRange
 } = require('./utils');
 const { getGlob } = require('./env');
-const { InvalidTypeError } = require('./error');
+const { InvalidTypeError, AbortError, throwIfAborted } = require('./error');
+const { getTempSiblingPath } = require('./part-file');
 
 /**
  * Options for configuring the audio conversion.
@@ -68,6 +72,18 @@ const { InvalidTypeError } = require('./error');
  * @property {number} [channels=2] - The number of audio channels (`2` for stereo).
  * @property {boolean} [deleteOld=false] - Whether to delete the original file after conversion.
  * @property {boolean} [quiet=false] - Whether to suppress the conversion progress and error message or not.
+ * @property {number | string} [start] - The start time to trim the audio from, either in seconds or `hh:mm:ss` format.
+ *                                       Defaults to the beginning of the audio.
+ * @property {number | string} [end] - The end time to trim the audio to, either in seconds or `hh:mm:ss` format.
+ *                                     Defaults to the end of the audio.
+ * @property {MetadataTags} [metadata] - The metadata tags to embed into the converted audio, written as ID3v2
+ *                                       frames for the MP3 audio and as iTunes metadata atoms for the M4A audio.
+ * @property {string} [coverArt] - The path to a JPEG or PNG image to embed as the front cover of the converted audio.
+ *                                 Only supported by the MP3, M4A, FLAC and Opus (or Ogg) formats, ignored otherwise.
+ * @property {(info: FFmpegInfo) => void} [onProgress] - A function called with the progress information of FFmpeg,
+ *                                                      the last call always has the `percent` of `100`.
+ * @property {AbortSignal} [signal] - An abort signal to cancel the conversion, which terminates the FFmpeg process
+ *                                   and removes the incomplete converted audio.
  *
  * @global
  * @since    1.0.0
@@ -425,6 +441,240 @@ async function getAudioMetadata(file) {
   });
 }
 
+/**
+ * Validates the converted audio file, ensuring it is not empty and contains at least one audio stream.
+ *
+ * Needs the FFprobe binary to be installed on the system.
+ *
+ * @param {string} file - The path to the audio file.
+ * @returns {Promise<ffmpeg.FfprobeData>} Fulfilled with the metadata of the audio file.
+ *
+ * @throws {Error} If the audio file is empty, has no audio stream or FFprobe fails to read it.
+ *
+ * @private
+ * @since   2.0.0
+ */
+async function validateAudioFile(file) {
+  const { size } = await fs.promises.stat(file);
+  if (size === 0) throw new Error(`Converted audio is empty: ${file}`);
+
+  const metadata = await getAudioMetadata(file);
+  if (!metadata?.streams?.some((stream) => stream.codec_type === 'audio')) {
+    throw new Error(`Converted audio has no audio stream: ${file}`);
+  }
+  return metadata;
+}
+
+/**
+ * Applies the given time range to the FFmpeg command, by seeking the input
+ * to the start time and limiting the output duration.
+ *
+ * @param {ffmpeg.FfmpegCommand} command - The FFmpeg command.
+ * @param {{ start: number, end: number | null }} range - The resolved time range in seconds.
+ * @returns {ffmpeg.FfmpegCommand} The same FFmpeg command, for chaining.
+ *
+ * @private
+ * @since   2.0.0
+ */
+function applyTimeRange(command, range) {
+  if (range.start > 0) command.seekInput(range.start);
+  if (range.end !== null) command.duration(range.end - range.start);
+  return command;
+}
+
+/**
+ * The output formats supporting the embedded cover art, by their file extensions.
+ *
+ * The cover art is either attached as a picture stream (`'stream'`), which is written as
+ * the `APIC` frame for MP3, the `covr` atom for M4A and the picture block for FLAC, or
+ * written as the `METADATA_BLOCK_PICTURE` comment (`'comment'`) for the Ogg-based formats.
+ *
+ * @constant
+ * @private
+ * @since    2.0.0
+ */
+const COVER_ART_FORMATS = Object.freeze({
+  mp3: 'stream',
+  m4a: 'stream',
+  m4b: 'stream',
+  mp4: 'stream',
+  flac: 'stream',
+  opus: 'comment',
+  ogg: 'comment',
+  oga: 'comment'
+});
+
+/**
+ * Returns the FFmpeg output options to embed the given metadata tags.
+ *
+ * The ID3v2.3 version is used for the MP3 audio instead of the FFmpeg default (ID3v2.4),
+ * as it is more widely supported by the music players.
+ *
+ * @param {MetadataTags} [metadata] - The metadata tags, the empty values are ignored.
+ * @param {string} [format] - The output format or file extension, e.g., `'mp3'`.
+ * @param {boolean} [hasCoverArt=false] - Whether the cover art is embedded as well.
+ * @returns {string[]} The FFmpeg output options, or an empty array if there is nothing to embed.
+ *
+ * @private
+ * @since   2.0.0
+ */
+function getMetadataOutputOptions(metadata, format, hasCoverArt=false) {
+  const options = Object.entries(metadata || {})
+    .filter(([ , value ]) => !isNullOrUndefined(value) && value !== '')
+    .flatMap(([ tag, value ]) => [ '-metadata', `${tag}=${value}` ]);
+  if ((options.length > 0 || hasCoverArt) && format === 'mp3') {
+    options.push('-id3v2_version', '3');
+  }
+  return options;
+}
+
+/**
+ * Creates the FLAC picture block of the given image as the front cover, which is the value
+ * of the `METADATA_BLOCK_PICTURE` comment before being encoded in Base64.
+ *
+ * @param {Buffer} image - The contents of the image.
+ * @param {Object} info - The information of the image.
+ * @param {string} info.mimeType - The MIME type of the image, e.g., `'image/jpeg'`.
+ * @param {number} [info.width=0] - The width of the image in pixels.
+ * @param {number} [info.height=0] - The height of the image in pixels.
+ * @returns {Buffer} The picture block.
+ *
+ * @private
+ * @since   2.0.0
+ */
+function createPictureBlock(image, { mimeType, width = 0, height = 0 }) {
+  const mime = Buffer.from(mimeType, 'ascii');
+  const description = Buffer.from('Cover (front)', 'utf8');
+  const header = Buffer.alloc(32 + mime.length + description.length);
+  let offset = header.writeUInt32BE(3, 0);  // The picture type of the front cover
+  offset = header.writeUInt32BE(mime.length, offset);
+  offset += mime.copy(header, offset);
+  offset = header.writeUInt32BE(description.length, offset);
+  offset += description.copy(header, offset);
+  // The width, height, color depth, number of indexed colors and the image size
+  for (const value of [ width, height, 24, 0, image.length ]) {
+    offset = header.writeUInt32BE(value, offset);
+  }
+  return Buffer.concat([ header, image ]);
+}
+
+/**
+ * Prepares the FFmpeg input and output options to embed the given cover art, the cover art
+ * input is always the second input of the FFmpeg command.
+ *
+ * The Ogg-based formats cannot carry a picture stream, the cover art is written into a temporary
+ * FFmpeg metadata file next to the output file instead, as the encoded picture block is too large
+ * to be passed as a command-line argument. The temporary file must be removed by the caller.
+ *
+ * @param {string} [coverArt] - The path to the cover art image, in JPEG or PNG format.
+ * @param {string} outFile - The path of the output file.
+ * @param {string} format - The output format or file extension, e.g., `'mp3'`.
+ * @param {boolean} [quiet=false] - Whether to suppress the warning of an unsupported format.
+ * @returns {Promise<{ input: string, outputOptions: string[], tempFile: string | null } | null>}
+ *          A promise fulfills with the cover art input, or `null` if there is no cover art to embed
+ *          or the format does not support it.
+ *
+ * @async
+ * @private
+ * @since  2.0.0
+ */
+async function prepareCoverArtInput(coverArt, outFile, format, quiet=false) {
+  if (!coverArt) return null;
+  if (!Object.hasOwn(COVER_ART_FORMATS, format)) {
+    quiet || log.warn(
+      `The ${format} format does not support the cover art, skipping ...`);
+    return null;
+  }
+
+  if (COVER_ART_FORMATS[format] === 'stream') {
+    return {
+      input: coverArt,
+      outputOptions: [
+        '-map', '0:a', '-map', '1:v', '-c:v', 'copy', '-disposition:v', 'attached_pic',
+        '-metadata:s:v', 'title=Album cover', '-metadata:s:v', 'comment=Cover (front)'
+      ],
+      tempFile: null
+    };
+  }
+
+  const image = await fs.promises.readFile(coverArt);
+  const stream = (await getAudioMetadata(coverArt))?.streams?.[0];
+  const picture = createPictureBlock(image, {
+    mimeType: stream?.codec_name === 'png' ? 'image/png' : 'image/jpeg',
+    width: stream?.width,
+    height: stream?.height
+  }).toString('base64');
+  const tempFile = getTempSiblingPath(`${outFile}.ffmeta`);
+  // Escape the special characters of the FFmpeg metadata file (i.e., the Base64 padding)
+  await fs.promises.writeFile(tempFile,
+    `;FFMETADATA1\nMETADATA_BLOCK_PICTURE=${picture.replace(/[=;#\\\n]/g, '\\$&')}\n`);
+  return { input: tempFile, outputOptions: [ '-map', '0:a', '-map_metadata', '1' ], tempFile };
+}
+
+/**
+ * Creates a new FFmpeg command, using the FFmpeg binary found during setup if any.
+ *
+ * @param {string | Readable} input - The input file path or stream.
+ * @param {object} [options] - The options of the FFmpeg command.
+ * @returns {ffmpeg.FfmpegCommand} The FFmpeg command.
+ *
+ * @private
+ * @since   2.0.0
+ */
+function createFFmpegCommand(input, options) {
+  // The path is set globally for all commands
+  if (HAS_FFMPEG && FFMPEG_PATH) ffmpeg.setFfmpegPath(FFMPEG_PATH);
+  return ffmpeg(input, options);
+}
+
+/**
+ * Runs the given FFmpeg command into a temporary file next to the output file, and moves
+ * it to the output file only once FFmpeg has finished. The temporary file is removed if
+ * the command fails or has been aborted.
+ *
+ * @param {ffmpeg.FfmpegCommand} command - The FFmpeg command, without any output.
+ * @param {string} outFile - The path of the output file, replaced if already exists.
+ * @param {AbortSignal} [signal] - An abort signal to kill the FFmpeg process.
+ * @param {Object} [options] - Options to configure the run.
+ * @param {string} [options.abortMessage='FFmpeg process aborted'] - The message of the
+ *        abort error.
+ * @param {boolean} [options.validate=false] - Whether to validate the output as an audio file
+ *        before replacing the output file.
+ * @returns {Promise<string>} A promise fulfills with the path of the output file.
+ *
+ * @throws {AbortError} If the command has been aborted through the `signal`.
+ * @throws {Error} If FFmpeg fails, or the output audio is invalid.
+ *
+ * @async
+ * @private
+ * @since  2.0.0
+ */
+async function runFfmpegToFile(command, outFile, signal, options) {
+  const { abortMessage = 'FFmpeg process aborted', validate = false } = options || {};
+  const tempOutFile = getTempSiblingPath(outFile);
+  let onAbort = null;
+  try {
+    await new Promise((resolve, reject) => {
+      command
+        .output(tempOutFile)
+        .on('start', () => signal?.aborted && command.kill('SIGTERM'))
+        .on('error', (err) => reject(signal?.aborted
+          ? new AbortError(abortMessage, { cause: signal.reason })
+          : err))
+        .on('end', resolve);
+      onAbort = () => command.kill('SIGTERM');
+      signal?.addEventListener('abort', onAbort, { once: true });
+      command.run();
+    }).finally(() => signal?.removeEventListener('abort', onAbort));
+    if (validate) await validateAudioFile(tempOutFile);
+    await fs.promises.rename(tempOutFile, outFile);
+  } catch (err) {
+    await fs.promises.rm(tempOutFile, { force: true });
+    throw err;
+  }
+  return outFile;
+}
+
 /**
  * Converts an audio file to a specified format using the given options.
  *
@@ -435,14 +685,23 @@ async function getAudioMetadata(file) {
  * If the `ffmpeg` is not installed on the system, this function will aborts
  * immediately and rejects with an error.
  *
+ * The converted audio is written to a temporary file next to the output file, and
+ * renamed to the output file only after the conversion ends cleanly and the converted
+ * audio is validated. Thus, a failed conversion never leaves an incomplete audio file
+ * under the output file name.
+ *
+ * If the `options.start` or `options.end` is specified, the input audio is seeked to the
+ * start time and only the audio until the end time is converted.
+ *
  * @param {string} inFile - The input file path of the audio file to be converted.
  * @param {string | AudioConverterOptions} outFile - The output file path of the converted audio file.
  * @param {AudioConverterOptions} [options] - Options object for configuring the audio conversion process.
  * @returns {Promise<ConversionResult>} An object containing the input and output audio file information.
  *
  * @throws {InvalidTypeError} If the input or output audio path is invalid type.
- * @throws {Error} If the input audio file is not exist or if there is an error
- *                 occurred during audio conversion.
+ * @throws {AbortError} If the conversion has been aborted through the `options.signal`.
+ * @throws {Error} If the input audio file is not exist, the time range is invalid, or
+ *                 if there is an error occurred during audio conversion.
  *
  * @example
  * convertAudio('path/to/audio.wav', { format: 'mp3', bitrate: '192k' })
@@ -530,6 +789,12 @@ async function convertAudio(inFile, outFile, options) {
 
   const convOptions = resolveOptions(options || {}, _AudioConverterOptions, true);
   const { quiet } = convOptions;  // Extract the 'quiet' field
+  // The progress callback and the abort signal are not configurable options,
+  // thus they are not resolved
+  const onProgress = (typeof options?.onProgress === 'function') ? options.onProgress : null;
+  const signal = (options?.signal instanceof AbortSignal) ? options.signal : undefined;
+  throwIfAborted(signal, 'Audio conversion aborted');
+  const timeRange = resolveTimeRange(convOptions.start, convOptions.end);
 
   // Placeholder for the input and output audio metadata
   // This will be filled after ffmpeg executable binary check
@@ -590,11 +855,12 @@ async function convertAudio(inFile, outFile, options) {
   }
 
   inputMetadata = await getAudioMetadata(inFile);
-  try {
-    await fs.promises.access(outFile, fs.constants.R_OK);
-    outputMetadata = await getAudioMetadata(outFile);
-  // eslint-disable-next-line no-unused-vars
-  } catch (_) { /* empty */ }
+
+  // The audio is converted into a temporary file first, and renamed to the output file
+  // only after the conversion ends cleanly and the converted audio is valid
+  const tempOutFile = getTempSiblingPath(outFile);
+  const coverArtInput = await prepareCoverArtInput(
+    convOptions.coverArt, outFile, extnames[1], quiet);
 
   // ==========================================
   //  Conversion Process
@@ -607,7 +873,11 @@ async function convertAudio(inFile, outFile, options) {
     ffmpegChain = ffmpeg.setFfmpegPath(FFMPEG_PATH);
   }
 
-  await new Promise((resolve, reject) => {
+  // Terminate the ffmpeg process once aborted, the temporary file is removed on error
+  const onAbort = () => ffmpegChain?.kill('SIGTERM');
+  signal?.addEventListener('abort', onAbort, { once: true });
+
+  const conversion = new Promise((resolve, reject) => {
     // Perform audio conversion using ffmpeg
     ffmpegChain = (ffmpegChain ?? ffmpeg)({
       niceness: -5,
@@ -615,7 +885,7 @@ async function convertAudio(inFile, outFile, options) {
       logger: quiet ? undefined : (ffmpegOptions.logger || log),
     })
       .addInput(inFile)  // IN
-      .output(outFile);  // OUT
+      .output(tempOutFile);  // OUT
 
     // Only add non-custom options (e.g., bitrate, codec) if the `inputOptions`
     // and `outputOptions` are not set or they are an empty array, this make the
@@ -654,14 +924,36 @@ async function convertAudio(inFile, outFile, options) {
       ffmpegChain.outputOptions(convOptions.outputOptions);
     }
 
+    // Trim the audio if the time range is specified
+    if (timeRange) applyTimeRange(ffmpegChain, timeRange);
+    // Embed the cover art and the metadata tags, if any
+    if (coverArtInput) {
+      ffmpegChain
+        .addInput(coverArtInput.input)
+        .outputOptions(...coverArtInput.outputOptions);
+    }
+    const metadataOptions = getMetadataOutputOptions(
+      convOptions.metadata, extnames[1], !!coverArtInput);
+    if (metadataOptions.length > 0) ffmpegChain.outputOptions(...metadataOptions);
+
     // Shared progression
     let progressStr = null;
     let progressInfo = {};
 
     // Handlers
     ffmpegChain
+      .on('start', () => {
+        // The process may be spawned after the abort signal has been aborted
+        if (signal?.aborted) ffmpegChain.kill('SIGTERM');
+      })
       .on('error', (err) => {
         quiet || process.stdout.write('\n');
+        if (signal?.aborted) {
+          quiet || log.error('audioconv: Audio conversion aborted');
+          fs.promises.rm(tempOutFile, { force: true }).finally(() => reject(
+            new AbortError('Audio conversion aborted', { cause: signal.reason })));
+          return;
+        }
         // Safely get the input file size and prevent any error
         // if the input file has been deleted unexpectedly
         let inputSize = NaN;
@@ -679,11 +971,13 @@ async function convertAudio(inFile, outFile, options) {
           log.error(`   Output Audio: ${$c.style([0, 'Y'], outFile)}`);
           log.line(null, process.stderr);
         }
-        reject(err);
+        // Remove the incomplete converted audio
+        fs.promises.rm(tempOutFile, { force: true }).finally(() => reject(err));
       })
       .on('progress', (info) => {
         progressInfo = info;
         progressStr = createConversionProgress(info, extnames);;
+        onProgress?.(info);
         // Write the progress information to the console
         if (!quiet) {
           process.stdout.clearLine && process.stdout.clearLine();
@@ -691,13 +985,29 @@ async function convertAudio(inFile, outFile, options) {
         }
       })
       .on('end', async () => {
+        try {
+          outputMetadata = await validateAudioFile(tempOutFile);
+          await fs.promises.rename(tempOutFile, outFile);
+          // The metadata was probed from the temporary file, which no longer exists
+          if (outputMetadata.format) outputMetadata.format.filename = outFile;
+        } catch (err) {
+          quiet || process.stdout.write('\n');
+          quiet || log.error(`audioconv: ${err.message}`);
+          await fs.promises.rm(tempOutFile, { force: true });
+          reject(err);
+          return;
+        }
+
         // Update the progress
-        progressStr = createConversionProgress({
+        progressInfo = {
+          ...progressInfo,
           percent: 100,
-          currentKbps: progressInfo.currentKbps,
-          targetSize: ((await fs.promises.stat(outFile).catch((_e) => { })) || {}).size
+          // The target size is in kilobytes
+          targetSize: ((await fs.promises.stat(outFile).catch((_e) => ({})))?.size / 1024)
             || progressInfo.targetSize
-        }, extnames);
+        };
+        progressStr = createConversionProgress(progressInfo, extnames);
+        onProgress?.(progressInfo);
         if (!quiet) {
           process.stdout.clearLine && process.stdout.clearLine();
           process.stdout.write(progressStr + '\n');
@@ -723,13 +1033,21 @@ async function convertAudio(inFile, outFile, options) {
     ffmpegChain.run();
   });
 
+  try {
+    await conversion;
+  } finally {
+    // Detach the interrupt handler from the SIGINT signal and the abort signal
+    process.off('SIGINT', conversionInterruptedHandler);
+    signal?.removeEventListener('abort', onAbort);
+    if (coverArtInput?.tempFile) {
+      await fs.promises.rm(coverArtInput.tempFile, { force: true });
+    }
+  }
+
   // ==========================================
   //  Post-conversion Process
   // ==========================================
 
-  // Detach the interrupt handler from the SIGINT signal
-  process.off('SIGINT', conversionInterruptedHandler);
-
   return {
     input: {
       path: inFile,
@@ -740,11 +1058,327 @@ async function convertAudio(inFile, outFile, options) {
     output: {
       path: outFile,
       name: path.basename(outFile),
-      metadata: outputMetadata || await getAudioMetadata(outFile)
+      metadata: outputMetadata
     }
   };
 }
 
+/**
+ * Converts an audio stream to a specified format, without writing any file.
+ *
+ * The input audio is piped into the standard input of FFmpeg and the converted audio is
+ * read from its standard output. The FFmpeg process is terminated if the returned stream
+ * is destroyed before the conversion ends, e.g., when the consumer stops reading.
+ *
+ * As the standard output is not seekable, the MP4-based formats are written as
+ * fragmented MP4. Unlike the {@link module:audioconv~convertAudio `convertAudio`},
+ * the `deleteOld` option is ignored.
+ *
+ * @param {Readable} input - The input audio stream.
+ * @param {AudioConverterOptions} [options] - Options object for configuring the audio conversion.
+ * @returns {Readable} The converted audio stream, which is destroyed with the error if
+ *                     the conversion fails or with an {@link AbortError} if aborted.
+ *
+ * @throws {InvalidTypeError} If the input is not a readable stream.
+ * @throws {AbortError} If the `options.signal` has already been aborted.
+ * @throws {Error} If the time range is invalid.
+ *
+ * @example
+ * const audio = convertAudioStream(fs.createReadStream('audio.m4a'), { format: 'mp3' });
+ * audio.pipe(fs.createWriteStream('audio.mp3'));
+ *
+ * @public
+ * @since  2.0.0
+ */
+function convertAudioStream(input, options) {
+  if (!(input instanceof Readable)) {
+    throw new InvalidTypeError('Invalid type of input stream', {
+      actualType: TypeUtils.getType(input),
+      expectedType: 'Readable'
+    });
+  }
+
+  // Better use this function rather than from this module
+  const { resolveOptions } = require('./utils');
+  const convOptions = resolveOptions(options || {}, _AudioConverterOptions, true);
+  const signal = (options?.signal instanceof AbortSignal) ? options.signal : undefined;
+  throwIfAborted(signal, 'Audio conversion aborted');
+  const timeRange = resolveTimeRange(convOptions.start, convOptions.end);
+
+  const command = createFFmpegCommand(input, {
+    niceness: -5,
+    ...resolveOptions(options || {}, _FFmpegCommandOptions, true),
+    logger: convOptions.quiet ? undefined : log
+  });
+  const inputOptions = splitOptions(convOptions.inputOptions);
+  const outputOptions = splitOptions(convOptions.outputOptions);
+  if (inputOptions.length || outputOptions.length) {
+    command.inputOptions(inputOptions).outputOptions(outputOptions);
+  } else {
+    if (convOptions.bitrate) command.audioBitrate(convOptions.bitrate);
+    if (convOptions.codec) command.audioCodec(convOptions.codec);
+    if (convOptions.channels) command.audioChannels(convOptions.channels);
+    if (convOptions.frequency) command.audioFrequency(convOptions.frequency);
+  }
+  // The output format cannot be guessed from the standard output
+  command.outputFormat(convOptions.format).noVideo();
+  if (['mp4', 'ipod', 'mov'].includes(convOptions.format)) {
+    command.outputOptions('-movflags frag_keyframe+empty_moov');
+  }
+  if (timeRange) applyTimeRange(command, timeRange);
+  const metadataOptions = getMetadataOutputOptions(
+    convOptions.metadata, convOptions.format);
+  if (metadataOptions.length > 0) command.outputOptions(...metadataOptions);
+
+  const output = new PassThrough();
+  let finished = false;
+  const onAbort = () => command.kill('SIGTERM');
+  signal?.addEventListener('abort', onAbort, { once: true });
+
+  command
+    .on('start', () => {
+      // The process may be spawned after the abort signal has been aborted
+      if (signal?.aborted || output.destroyed) command.kill('SIGTERM');
+    })
+    .on('error', (err) => {
+      finished = true;
+      signal?.removeEventListener('abort', onAbort);
+      output.destroy(signal?.aborted
+        ? new AbortError('Audio conversion aborted', { cause: signal.reason })
+        : err);
+    })
+    .on('end', () => {
+      finished = true;
+      signal?.removeEventListener('abort', onAbort);
+      output.end();
+    });
+  // Terminate the conversion if the consumer has stopped reading
+  output.once('close', () => finished || command.kill('SIGTERM'));
+
+  // End the output stream only after FFmpeg exits successfully, so the consumer
+  // never mistakes the output of a failed conversion for a complete audio
+  command.pipe(output, { end: false });
+  return output;
+}
+
+/**
+ * Trims an audio file in place to the given time range, without re-encoding the audio.
+ *
+ * The audio streams are copied as-is into a temporary file next to the input file, which
+ * replaces the input file only after the trimmed audio is validated. As the audio is not
+ * re-encoded, the cut points may be slightly shifted to the nearest audio frames.
+ *
+ * @param {string} inFile - The path of the audio file to trim.
+ * @param {Object} options - Options to configure the trimming.
+ * @param {number | string} [options.start] - The start time, either in seconds or `hh:mm:ss` format.
+ *                                            Defaults to the beginning of the audio.
+ * @param {number | string} [options.end] - The end time, either in seconds or `hh:mm:ss` format.
+ *                                          Defaults to the end of the audio.
+ * @param {boolean} [options.quiet=false] - Whether to suppress the log messages.
+ * @param {AbortSignal} [options.signal] - An abort signal to cancel the trimming.
+ * @returns {Promise<string>} A promise fulfills with the path of the trimmed audio file.
+ *
+ * @throws {InvalidTypeError} If the input audio path is not a string.
+ * @throws {AbortError} If the trimming has been aborted through the `options.signal`.
+ * @throws {Error} If the time range is invalid, the `ffmpeg` binary is not found, or
+ *                 if there is an error occurred during trimming.
+ *
+ * @example
+ * await trimAudio('path/to/audio.m4a', { start: '12:30', end: '18:45' });
+ *
+ * @async
+ * @public
+ * @since  2.0.0
+ */
+async function trimAudio(inFile, options) {
+  if (typeof inFile !== 'string') {
+    throw new InvalidTypeError('Invalid type of input file', {
+      actualType: TypeUtils.getType(inFile),
+      expectedType: 'string'
+    });
+  }
+
+  const { start, end, quiet = false, signal } = options || {};
+  const timeRange = resolveTimeRange(start, end);
+  if (!timeRange) return inFile;  // Nothing to trim
+  throwIfAborted(signal, 'Audio trimming aborted');
+
+  await fs.promises.access(inFile, fs.constants.R_OK);
+  if (!(await checkFfmpeg(!quiet))) {
+    const msg = 'Cannot find FFmpeg binary on your system.';
+    quiet || log.error(msg + ' Aborting ...');
+    throw new Error(msg);
+  }
+
+  quiet || log.info(`Trimming audio ${$c.style([0, 'BY'], path.basename(inFile))} `
+    + `from ${timeRange.start}s to ${timeRange.end === null ? 'the end' : `${timeRange.end}s`} ...`);
+
+  try {
+    const trimCommand = applyTimeRange(createFFmpegCommand(inFile), timeRange)
+      .outputOptions(['-map 0:a', '-c copy']);  // Copy the audio streams without re-encoding
+    await runFfmpegToFile(trimCommand, inFile, signal, {
+      abortMessage: 'Audio trimming aborted',
+      validate: true
+    });
+  } catch (err) {
+    quiet || log.error(`audioconv: ${err.message?.split(/[\r\n]/)[0]}`);
+    throw err;
+  }
+
+  quiet || log.done(`Audio trimmed: ${$c.style([0, 'BY'], path.basename(inFile))}`);
+  return inFile;
+}
+
+/**
+ * Embeds the given metadata tags and cover art into an audio file in place, without re-encoding
+ * the audio.
+ *
+ * The streams are copied as-is into a temporary file next to the input file, which replaces
+ * the input file only after the tagged audio is validated. This is used to tag the audio that
+ * is not converted, the converted audio is tagged during the conversion instead through the
+ * `metadata` and `coverArt` options of {@link module:audioconv~convertAudio `convertAudio`}.
+ *
+ * @param {string} inFile - The path of the audio file to tag.
+ * @param {Object} options - Options to configure the tagging.
+ * @param {MetadataTags} [options.metadata] - The metadata tags to embed, the empty values are ignored.
+ * @param {string} [options.coverArt] - The path to a JPEG or PNG image to embed as the front cover.
+ *                                      Only supported by the MP3, M4A, FLAC and Opus (or Ogg) audio.
+ * @param {boolean} [options.quiet=false] - Whether to suppress the log messages.
+ * @param {AbortSignal} [options.signal] - An abort signal to cancel the tagging.
+ * @returns {Promise<string>} A promise fulfills with the path of the tagged audio file.
+ *
+ * @throws {InvalidTypeError} If the input audio path is not a string.
+ * @throws {AbortError} If the tagging has been aborted through the `options.signal`.
+ * @throws {Error} If the `ffmpeg` binary is not found, or if there is an error occurred
+ *                 during tagging.
+ *
+ * @example
+ * await tagAudio('path/to/audio.m4a', {
+ *   metadata: { title: 'Title', artist: 'Artist' },
+ *   coverArt: 'path/to/cover.jpg'
+ * });
+ *
+ * @async
+ * @public
+ * @since  2.0.0
+ */
+async function tagAudio(inFile, options) {
+  if (typeof inFile !== 'string') {
+    throw new InvalidTypeError('Invalid type of input file', {
+      actualType: TypeUtils.getType(inFile),
+      expectedType: 'string'
+    });
+  }
+
+  const { metadata, coverArt, quiet = false, signal } = options || {};
+  const format = path.extname(inFile).slice(1);
+  if (!coverArt && getMetadataOutputOptions(metadata, format).length === 0) {
+    return inFile;  // Nothing to embed
+  }
+  throwIfAborted(signal, 'Audio tagging aborted');
+
+  await fs.promises.access(inFile, fs.constants.R_OK);
+  if (!(await checkFfmpeg(!quiet))) {
+    const msg = 'Cannot find FFmpeg binary on your system.';
+    quiet || log.error(msg + ' Aborting ...');
+    throw new Error(msg);
+  }
+
+  let coverArtInput = null;
+  try {
+    coverArtInput = await prepareCoverArtInput(coverArt, inFile, format, quiet);
+    const metadataOptions = getMetadataOutputOptions(metadata, format, !!coverArtInput);
+    if (!coverArtInput && metadataOptions.length === 0) return inFile;  // Unsupported cover art
+
+    quiet || log.info(
+      `Embedding metadata into ${$c.style([0, 'BY'], path.basename(inFile))} ...`);
+    const tagCommand = createFFmpegCommand(inFile);
+    if (coverArtInput) tagCommand.addInput(coverArtInput.input);
+    tagCommand.outputOptions(
+      '-c', 'copy', ...(coverArtInput?.outputOptions ?? [ '-map', '0' ]));
+    if (metadataOptions.length > 0) tagCommand.outputOptions(...metadataOptions);
+    await runFfmpegToFile(tagCommand, inFile, signal, {
+      abortMessage: 'Audio tagging aborted',
+      validate: true
+    });
+  } catch (err) {
+    quiet || log.error(`audioconv: ${err.message?.split(/[\r\n]/)[0]}`);
+    throw err;
+  } finally {
+    if (coverArtInput?.tempFile) {
+      await fs.promises.rm(coverArtInput.tempFile, { force: true });
+    }
+  }
+
+  quiet || log.done(`Metadata embedded: ${$c.style([0, 'BY'], path.basename(inFile))}`);
+  return inFile;
+}
+
+/**
+ * Re-encodes an image into a JPEG image next to it, to be embedded as the cover art.
+ *
+ * This is used to convert the thumbnails in the formats unsupported by the audio containers
+ * (e.g., WebP), and to crop them into a centered square, as the music players commonly
+ * display the cover art as a square.
+ *
+ * The JPEG image is written with the `.jpg` extension and replaces the original image,
+ * which is removed if it has another extension.
+ *
+ * @param {string} image - The path of the image to process.
+ * @param {Object} [options] - Options to configure the processing.
+ * @param {boolean} [options.square=false] - Whether to crop the image into a centered square,
+ *                                           with the side of the shorter dimension.
+ * @param {boolean} [options.quiet=false] - Whether to suppress the log messages.
+ * @param {AbortSignal} [options.signal] - An abort signal to cancel the processing.
+ * @returns {Promise<string>} A promise fulfills with the path of the processed JPEG image.
+ *
+ * @throws {InvalidTypeError} If the image path is not a string.
+ * @throws {AbortError} If the processing has been aborted through the `options.signal`.
+ * @throws {Error} If the `ffmpeg` binary is not found, or if there is an error occurred
+ *                 during processing.
+ *
+ * @example
+ * const cover = await processCoverArt('path/to/cover.webp', { square: true });
+ * // => 'path/to/cover.jpg'
+ *
+ * @async
+ * @public
+ * @since  2.0.0
+ */
+async function processCoverArt(image, options) {
+  if (typeof image !== 'string') {
+    throw new InvalidTypeError('Invalid type of image file', {
+      actualType: TypeUtils.getType(image),
+      expectedType: 'string'
+    });
+  }
+
+  const { square = false, quiet = false, signal } = options || {};
+  throwIfAborted(signal, 'Cover art processing aborted');
+  await fs.promises.access(image, fs.constants.R_OK);
+  if (!(await checkFfmpeg(!quiet))) {
+    const msg = 'Cannot find FFmpeg binary on your system.';
+    quiet || log.error(msg + ' Aborting ...');
+    throw new Error(msg);
+  }
+
+  // Always write a JPEG image, regardless of the extension of the input image
+  const outFile = image.replace(/(\.[^/\\.]*)?$/, '.jpg');
+  try {
+    const imageCommand = createFFmpegCommand(image)
+      .outputOptions('-frames:v', '1', '-update', '1', '-q:v', '2');
+    if (square) imageCommand.outputOptions('-vf', 'crop=\'min(iw,ih)\':\'min(iw,ih)\'');
+    await runFfmpegToFile(imageCommand, outFile, signal, {
+      abortMessage: 'Cover art processing aborted'
+    });
+  } catch (err) {
+    quiet || log.error(`audioconv: ${err.message?.split(/[\r\n]/)[0]}`);
+    throw err;
+  }
+  // The JPEG image replaces the original image, unless it is already a `.jpg` file
+  if (outFile !== image) await fs.promises.rm(image, { force: true });
+  return outFile;
+}
 
 module.exports = {
   defaultOptions,
@@ -753,5 +1387,9 @@ module.exports = {
   createConversionProgress,
   resolveOptions,
   checkFfmpeg,
-  convertAudio
+  convertAudio,
+  convertAudioStream,
+  trimAudio,
+  tagAudio,
+  processCoverArt
 };
@@ -0,0 +1,606 @@
+/**
+ * @file This module provides functions to parse the batch files listing the videos to download.
+ *
+ * The following batch file formats are supported, detected by the file extension or,
+ * if the extension is unknown, by the contents of the file:
+ * - **Text** (`.txt`): One URL per line, optionally followed by the per-line options in the
+ *   form of `| key=value`. Lines starting with `#` or `//` are comments.
+ * - **JSON** (`.json`): An array of URLs or objects, each object has the `url` field and
+ *   optionally the option fields, including the `converterOptions` object.
+ * - **CSV** (`.csv`): A table with a header row, containing the `url` column and optionally
+ *   the option columns. The cells are separated by commas, semicolons or tabs.
+ * - **M3U** (`.m3u`, `.m3u8`): A playlist with one URL per line, the title given by the
+ *   preceding `#EXTINF` directive is used as the output file name.
+ *
+ * Each item may override the following download options: `outFile`, `audioFormat`, `start`,
+ * `end`, and the options of the audio converter (`format`, `codec`, `bitrate`, `frequency` and
+ * `channels`), which are grouped into the `converterOptions` option and enable the audio conversion.
+ *
+ * @example
+ * // downloads.csv
+ * // url,outFile,format
+ * // https://youtu.be/abcdeQWERTY,Intro Theme,flac
+ * const { entries } = await parseBatchFile('downloads.csv');
+ * // => [ { url: 'https://youtu.be/abcdeQWERTY', line: 2, options: { outFile: 'Intro Theme', ... } } ]
+ *
+ * @module    batch-file
+ * @requires  error
+ * @requires  {@link https://nodejs.org/api/fs.html node:fs}
+ * @requires  {@link https://nodejs.org/api/path.html node:path}
+ * @author    Ryuu Mitsuki <{@link https://github.com/mitsuki31}>
+ * @license   MIT
+ * @since     2.0.0
+ */
+
+/**
+ * An item parsed from a batch file.
+ *
+ * @typedef  {Object} BatchEntry
+ * @property {string} url - The URL or the video ID.
+ * @property {DownloadOptions} options - The download options overridden by the item.
+ * @property {number} [line] - The line number of the item, starting from 1.
+ * @property {number} [record] - The record number of the item, starting from 1,
+ *           only for the batch files made of records (e.g., JSON).
+ *
+ * @global
+ * @since    2.0.0
+ */
+
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { BatchFileSyntaxError } = require('./error');
+
+/**
+ * All supported batch file formats.
+ *
+ * @readonly
+ * @enum {string}
+ * @public
+ * @since    2.0.0
+ */
+const BatchFormats = Object.freeze({
+  TEXT: 'text',
+  JSON: 'json',
+  CSV: 'csv',
+  M3U: 'm3u'
+});
+
+/**
+ * The batch file formats detected by the file extension.
+ * @constant
+ * @private
+ */
+const BATCH_EXTENSIONS = Object.freeze({
+  '.txt': BatchFormats.TEXT,
+  '.json': BatchFormats.JSON,
+  '.csv': BatchFormats.CSV,
+  '.m3u': BatchFormats.M3U,
+  '.m3u8': BatchFormats.M3U
+});
+
+/**
+ * The options allowed per item in a batch file, along with the types of their values.
+ * The options of the audio converter are grouped into the `converterOptions` option.
+ * @constant
+ * @private
+ */
+const BATCH_ITEM_OPTIONS = Object.freeze({
+  outFile: { types: [ 'string' ] },
+  audioFormat: { types: [ 'string' ] },
+  start: { types: [ 'number', 'string' ] },
+  end: { types: [ 'number', 'string' ] },
+  format: { types: [ 'string' ], converter: true },
+  codec: { types: [ 'string' ], converter: true },
+  bitrate: { types: [ 'number', 'string' ], converter: true },
+  frequency: { types: [ 'number' ], converter: true },
+  channels: { types: [ 'number' ], converter: true }
+});
+
+/**
+ * Describes the location of the given batch entry or error, e.g., `'line 3'` or `'record 2'`.
+ *
+ * @param {BatchEntry | BatchFileSyntaxError} [location] - The batch entry or error.
+ * @returns {string} The location description.
+ *
+ * @package
+ * @since   2.0.0
+ */
+function describeLocation(location) {
+  return (typeof location?.record === 'number')
+    ? `record ${location.record}`
+    : `line ${location?.line ?? 0}`;
+}
+
+/**
+ * Converts the given string into a number if the option accepts numbers
+ * and the string represents a number.
+ *
+ * @param {string} key - The option name.
+ * @param {string} value - The option value.
+ * @returns {number | string} The converted value.
+ *
+ * @private
+ * @since   2.0.0
+ */
+function coerceValue(key, value) {
+  return (Object.hasOwn(BATCH_ITEM_OPTIONS, key)
+      && BATCH_ITEM_OPTIONS[key].types.includes('number')
+      && /^\d+(\.\d+)?$/.test(value))
+    ? Number(value)
+    : value;
+}
+
+/**
+ * Validates the option fields of a batch item and converts them into the download options.
+ *
+ * @param {Record<string, any>} fields - The option fields of the item.
+ * @param {(reason: string) => never} fail - The function to throw the syntax error.
+ * @returns {DownloadOptions} The download options of the item.
+ *
+ * @private
+ * @since   2.0.0
+ */
+function toDownloadOptions(fields, fail) {
+  const options = {};
+  for (const [ key, value ] of Object.entries(fields)) {
+    if (!Object.hasOwn(BATCH_ITEM_OPTIONS, key)) {
+      fail(`Unknown option "${key}", expected one of: `
+        + Object.keys(BATCH_ITEM_OPTIONS).join(', '));
+    }
+    const { types, converter } = BATCH_ITEM_OPTIONS[key];
+    if (!types.includes(typeof value)) {
+      fail(`Option "${key}" must be a ${types.join(' or ')}, got ${JSON.stringify(value)}`);
+    }
+    // Group the options of the audio converter
+    if (converter) {
+      options.convertAudio = true;
+      options.converterOptions = { ...options.converterOptions, [key]: value };
+    } else {
+      options[key] = value;
+    }
+  }
+  return options;
+}
+
+/**
+ * Detects the format of a batch file by its extension or, if the extension is unknown,
+ * by its contents.
+ *
+ * @param {string} file - The path to the batch file.
+ * @param {string} contents - The contents of the batch file.
+ * @returns {BatchFormats} The detected batch file format, defaults to the text format.
+ *
+ * @package
+ * @since   2.0.0
+ */
+function detectBatchFormat(file, contents) {
+  const ext = path.extname(String(file)).toLowerCase();
+  if (Object.hasOwn(BATCH_EXTENSIONS, ext)) return BATCH_EXTENSIONS[ext];
+
+  const firstLine = contents.split(/\r?\n/).map(line => line.trim()).find(Boolean) ?? '';
+  if (/^\[/.test(firstLine)) return BatchFormats.JSON;
+  if (/^#EXTM3U\b/.test(firstLine)) return BatchFormats.M3U;
+  // A CSV header must contain the `url` column
+  const delimiter = detectCsvDelimiter(firstLine);
+  if (firstLine.split(delimiter).some(cell => /^"?url"?$/i.test(cell.trim()))
+      && firstLine.includes(delimiter)) {
+    return BatchFormats.CSV;
+  }
+  return BatchFormats.TEXT;
+}
+
+/**
+ * Parses a line of a text batch file into the URL and its download options.
+ *
+ * The options are written after the URL in the form of `key=value`, each of them is
+ * separated by a pipe character. A value containing spaces or pipe characters can be
+ * enclosed in double quotes, in which case the double quotes and backslashes inside
+ * are escaped with a backslash. For example:
+ *
+ * ```
+ * https://youtu.be/abcdeQWERTY | outFile="Intro Theme" | format=flac | start=0:30 | end=2:10
+ * ```
+ *
+ * @param {string} line - The trimmed line of the batch file.
+ * @param {(reason: string) => never} fail - The function to throw the syntax error.
+ * @returns {{ url: string, options: DownloadOptions }} The URL and its download options.
+ *
+ * @private
+ * @since   2.0.0
+ */
+function parseTextLine(line, fail) {
+  // Split the line by the pipe characters outside the double quotes
+  const segments = [];
+  let segment = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '|' && !quoted) {
+      segments.push(segment.trim());
+      segment = '';
+      continue;
+    }
+    if (line[i] === '"') quoted = !quoted;
+    // Keep the escape sequences, they are resolved along with the double quotes
+    if (line[i] === '\\' && quoted && i + 1 < line.length) segment += line[i++];
+    segment += line[i];
+  }
+  if (quoted) fail('Unterminated quoted value');
+  segments.push(segment.trim());
+
+  const [ url, ...pairs ] = segments;
+  if (!url) fail('Missing URL before the options');
+
+  const fields = {};
+  for (const pair of pairs) {
+    const [ , key, value ] = /^(\w+)\s*=\s*(.*)$/s.exec(pair) || [];
+    if (!key) fail(`Expected an option in the form of "key=value", got "${pair}"`);
+    if (Object.hasOwn(fields, key)) fail(`Duplicate option "${key}"`);
+
+    if (value.startsWith('"')) {
+      if (!/^"(?:[^"\\]|\\.)*"$/s.test(value)) {
+        fail(`Unexpected characters after the quoted value of "${key}"`);
+      }
+      fields[key] = value.slice(1, -1).replace(/\\(.)/gs, '$1');
+    } else {
+      if (value.length === 0) fail(`Missing value for option "${key}"`);
+      if (value.includes('"')) fail(`Unexpected double quote in the value of "${key}"`);
+      fields[key] = coerceValue(key, value);
+    }
+  }
+  return { url, options: toDownloadOptions(fields, fail) };
+}
+
+/**
+ * Formats the given URL and its download options as a line of a text batch file,
+ * the reverse of {@link module:batch-file~parseTextLine `parseTextLine`}.
+ *
+ * Only the options allowed per item are written, a string value is enclosed in double quotes
+ * unless it consists of the characters other than whitespaces, pipes, double quotes and backslashes.
+ *
+ * @example
+ * formatTextLine('https://youtu.be/abcdeQWERTY', {
+ *   outFile: 'Intro Theme',
+ *   converterOptions: { format: 'flac' }
+ * });
+ * // => 'https://youtu.be/abcdeQWERTY | outFile="Intro Theme" | format=flac'
+ *
+ * @param {string} url - The URL or the video ID.
+ * @param {DownloadOptions} [options] - The download options overridden by the item.
+ * @returns {string} The line of the text batch file.
+ *
+ * @package
+ * @since   2.0.0
+ */
+function formatTextLine(url, options = {}) {
+  const fields = { ...options, ...options.converterOptions };
+  const pairs = Object.entries(BATCH_ITEM_OPTIONS)
+    .filter(([ key, { types } ]) => types.includes(typeof fields[key]))
+    .map(([ key ]) => {
+      const value = String(fields[key]);
+      return (typeof fields[key] === 'string' && !/^[^\s|"\\]+$/.test(value))
+        ? `${key}="${value.replace(/["\\]/g, '\\$&')}"`
+        : `${key}=${value}`;
+    });
+  return [ url, ...pairs ].join(' | ');
+}
+
+/**
+ * Parses the lines of a text batch file, see {@link module:batch-file~parseTextLine `parseTextLine`}.
+ *
+ * @param {string[]} lines - The lines of the batch file.
+ * @param {string} file - The path to the batch file.
+ * @returns {BatchEntry[]} The parsed entries.
+ *
+ * @private
+ * @since   2.0.0
+ */
+function parseTextEntries(lines, file) {
+  const entries = [];
+  lines.forEach((line, idx) => {
+    line = line.trim();  // Trim whitespace
+    if (line.length === 0 || /^#|^\/\//.test(line)) return;  // Skip comments
+    const location = { path: file, line: idx + 1 };
+    const fail = (reason) => {
+      throw new BatchFileSyntaxError(reason, location);
+    };
+    entries.push({ ...parseTextLine(line, fail), line: location.line });
+  });
+  return entries;
+}
+
+/**
+ * Parses a JSON batch file, which is an array of URLs or objects with the `url` field.
+ *
+ * @param {string} contents - The contents of the batch file.
+ * @param {string} file - The path to the batch file.
+ * @returns {BatchEntry[]} The parsed entries, located by their record numbers.
+ *
+ * @private
+ * @since   2.0.0
+ */
+function parseJsonEntries(contents, file) {
+  let items;
+  try {
+    items = JSON.parse(contents);
+  } catch (err) {
+    // Locate the line from the error position, if any
+    const position = /position (\d+)/.exec(err.message)?.[1];
+    throw new BatchFileSyntaxError(`Malformed JSON: ${err.message}`, {
+      path: file,
+      line: position ? contents.slice(0, Number(position)).split('\n').length : undefined
+    });
+  }
+  if (!Array.isArray(items)) {
+    throw new BatchFileSyntaxError('Expected an array of URLs or objects', { path: file, line: 1 });
+  }
+
+  return items.map((item, idx) => {
+    const location = { path: file, record: idx + 1 };
+    const fail = (reason) => {
+      throw new BatchFileSyntaxError(reason, location);
+    };
+    if (typeof item === 'string') {
+      return { url: item.trim(), options: {}, record: location.record };
+    }
+    if (item === null || typeof item !== 'object' || Array.isArray(item)) {
+      fail(`Expected a URL or an object, got ${JSON.stringify(item)}`);
+    }
+
+    const { url, converterOptions = {}, ...fields } = item;
+    if (typeof url !== 'string' || url.trim().length === 0) fail('Missing the "url" field');
+    if (converterOptions === null || typeof converterOptions !== 'object'
+        || Array.isArray(converterOptions)) {
+      fail('Field "converterOptions" must be an object');
+    }
+    for (const key of Object.keys(converterOptions)) {
+      if (!BATCH_ITEM_OPTIONS[key]?.converter) fail(`Unknown converter option "${key}"`);
+      if (Object.hasOwn(fields, key)) fail(`Duplicate option "${key}"`);
+    }
+    // The null fields are treated as unspecified
+    const definedFields = Object.fromEntries(
+      Object.entries({ ...fields, ...converterOptions })
+        .filter(([ , value ]) => value !== null && value !== undefined));
+    return {
+      url: url.trim(),
+      options: toDownloadOptions(definedFields, fail),
+      record: location.record
+    };
+  });
+}
+
+/**
+ * Detects the delimiter of a CSV row, which is either a comma, a semicolon or a tab.
+ *
+ * @param {string} row - The first row of the CSV file.
+ * @returns {string} The most frequent delimiter, defaults to a comma.
+ *
+ * @private
+ * @since   2.0.0
+ */
+function detectCsvDelimiter(row) {
+  return [ ',', ';', '\t' ].reduce((best, delimiter) => (
+    row.split(delimiter).length > row.split(best).length ? delimiter : best
+  ));
+}
+
+/**
+ * Splits the contents of a CSV file into rows of cells. The cells enclosed in double quotes
+ * may contain delimiters, line breaks and escaped double quotes (`""`).
+ *
+ * @param {string} contents - The contents of the CSV file.
+ * @param {string} delimiter - The delimiter of the cells.
+ * @param {string} file - The path to the CSV file.
+ * @returns {Array<{ cells: string[], line: number }>} The rows along with their line numbers.
+ *
+ * @private
+ * @since   2.0.0
+ */
+function splitCsvRows(contents, delimiter, file) {
+  const rows = [];
+  let cells = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+  const endRow = () => {
+    cells.push(cell.trim());
+    rows.push({ cells, line: rowLine });
+    cells = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < contents.length; i++) {
+    const char = contents[i];
+    if (char === '\n') line++;
+    if (quoted) {
+      if (char === '"' && contents[i + 1] === '"') {
+        cell += contents[i++];  // Escaped double quote
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell.trim().length === 0) {
+      quoted = true;
+      cell = '';
+    } else if (char === delimiter) {
+      cells.push(cell.trim());
+      cell = '';
+    } else if (char === '\n') {
+      endRow();
+      rowLine = line;
+    } else if (char !== '\r') {
+      cell += char;
+    }
+  }
+  if (quoted) {
+    throw new BatchFileSyntaxError('Unterminated quoted cell', { path: file, line: rowLine });
+  }
+  endRow();
+  // Skip the empty rows
+  return rows.filter(row => row.cells.some(Boolean));
+}
+
+/**
+ * Parses a CSV batch file, the header row names the `url` column and the option columns.
+ *
+ * @param {string} contents - The contents of the batch file.
+ * @param {string} file - The path to the batch file.
+ * @returns {BatchEntry[]} The parsed entries, located by their line numbers.
+ *
+ * @private
+ * @since   2.0.0
+ */
+function parseCsvEntries(contents, file) {
+  const firstLine = contents.split(/\r?\n/).find(line => line.trim()) ?? '';
+  const [ header, ...rows ] = splitCsvRows(contents, detectCsvDelimiter(firstLine), file);
+  if (!header) return [];
+
+  // Match the column names case-insensitively, the unnamed columns are ignored
+  const knownColumns = [ 'url', ...Object.keys(BATCH_ITEM_OPTIONS) ];
+  const columns = header.cells.map((name) => {
+    if (!name) return null;
+    const column = knownColumns.find(key => key.toLowerCase() === name.toLowerCase());
+    if (!column) {
+      throw new BatchFileSyntaxError(`Unknown column "${name}", expected one of: `
+        + knownColumns.join(', '), { path: file, line: header.line });
+    }
+    return column;
+  });
+  if (!columns.includes('url')) {
+    throw new BatchFileSyntaxError('Missing the "url" column in the header',
+      { path: file, line: header.line });
+  }
+
+  return rows.map(({ cells, line }) => {
+    const fail = (reason) => {
+      throw new BatchFileSyntaxError(reason, { path: file, line });
+    };
+    if (cells.length > columns.length) {
+      fail(`Expected ${columns.length} cells at most, got ${cells.length}`);
+    }
+    // The empty cells are treated as unspecified
+    const { url, ...fields } = columns.reduce((acc, column, idx) => {
+      if (column && cells[idx]) acc[column] = coerceValue(column, cells[idx]);
+      return acc;
+    }, {});
+    if (!url) fail('Missing URL');
+    return { url, options: toDownloadOptions(fields, fail), line };
+  });
+}
+
+/**
+ * Parses an M3U batch file, the title given by the `#EXTINF` directive is used
+ * as the output file name of the following URL.
+ *
+ * @param {string[]} lines - The lines of the batch file.
+ * @returns {BatchEntry[]} The parsed entries, located by their line numbers.
+ *
+ * @private
+ * @since   2.0.0
+ */
+function parseM3uEntries(lines) {
+  const entries = [];
+  let title = null;
+  lines.forEach((line, idx) => {
+    line = line.trim();
+    if (line.length === 0) return;
+    if (line.startsWith('#')) {
+      // #EXTINF:<duration> [<attributes>],<title>
+      const match = /^#EXTINF:[^,]*,(.*)$/.exec(line);
+      if (match) title = match[1].trim() || null;
+      return;  // Skip other directives and comments
+    }
+    entries.push({
+      url: line,
+      options: title ? { outFile: title } : {},
+      line: idx + 1
+    });
+    title = null;
+  });
+  return entries;
+}
+
+/**
+ * Parses the contents of a batch file in the given format.
+ *
+ * @param {string} contents - The contents of the batch file.
+ * @param {Object} [options]
+ * @param {BatchFormats} [options.format] - The format of the batch file, detected if not specified.
+ * @param {string} [options.path=''] - The path to the batch file, used for the format detection
+ *        and attached to the thrown errors.
+ * @returns {{ format: BatchFormats, contents: string[], urls: string[], entries: BatchEntry[],
+ *             comments: string[] }}
+ *          The parsed batch file, containing the lines of the batch file, the URLs, the entries
+ *          along with their download options and locations, and the comment lines.
+ *
+ * @throws {BatchFileSyntaxError} If the batch file is malformed or an item contains an unknown option.
+ *
+ * @package
+ * @since   2.0.0
+ */
+function parseBatchContents(contents, options = {}) {
+  const file = String(options.path ?? '');
+  const format = options.format ?? detectBatchFormat(file, contents);
+  const lines = contents.split(/\r?\n/);
+
+  let entries;
+  switch (format) {
+    case BatchFormats.JSON:
+      entries = parseJsonEntries(contents, file);
+      break;
+    case BatchFormats.CSV:
+      entries = parseCsvEntries(contents, file);
+      break;
+    case BatchFormats.M3U:
+      entries = parseM3uEntries(lines);
+      break;
+    case BatchFormats.TEXT:
+      entries = parseTextEntries(lines, file);
+      break;
+    default:
+      throw new Error(`Unknown batch file format: ${format}`);
+  }
+
+  return {
+    format,
+    contents: lines,  // Actual contents (including comments and untrimmed)
+    urls: entries.map(({ url }) => url),
+    entries,
+    comments: (format === BatchFormats.TEXT || format === BatchFormats.M3U)
+      ? lines.map(line => line.trim()).filter(line => /^#|^\/\//.test(line))
+      : []
+  };
+}
+
+/**
+ * Reads and parses a batch file, the format is detected by its extension or contents.
+ * See {@link module:batch-file~parseBatchContents `parseBatchContents`}.
+ *
+ * @param {string | Buffer<ArrayBufferLike>} file - The path to the batch file.
+ * @param {string} [encoding='utf-8'] - The encoding to use for reading file.
+ * @returns {Promise<ReturnType<typeof parseBatchContents>>} A promise fulfills with the parsed batch file.
+ *
+ * @throws {BatchFileSyntaxError} If the batch file is malformed or an item contains an unknown option.
+ *
+ * @async
+ * @package
+ * @since 2.0.0
+ */
+async function parseBatchFile(file, encoding) {
+  const contents = await fs.promises.readFile(file, encoding || 'utf-8');
+  // Remove the byte order mark, commonly added by the spreadsheet applications
+  return parseBatchContents(contents.replace(/^\uFEFF/, ''), { path: file.toString() });
+}
+
+
+module.exports = {
+  BatchFormats,
+  describeLocation,
+  detectBatchFormat,
+  formatTextLine,
+  parseBatchContents,
+  parseBatchFile
+};
@@ -87,13 +87,14 @@ const { ls, lsTypes } = require('lsfnd');
 
 const {
   YTMP3_HOMEDIR,
-  _DownloadOptions,
+  _BatchDownloadOptions,
   _AudioConverterOptions,
   isNullOrUndefined,
   isObject,
   isPlainObject,
   getType,
   colors: $c,
+  FilenameTemplate,
   resolveOptions,
   dropNullAndUndefined
 } = require('./utils');
@@ -236,7 +237,7 @@ function resolveConfig({ config, file }) {
 
   try {
     // Resolve the download options
-    downloadOptions = resolveOptions(downloadOptions, _DownloadOptions, true);
+    downloadOptions = resolveOptions(downloadOptions, _BatchDownloadOptions, true);
     // Resolve the audio converter options, but all unspecified options will
     // fallback to undefined value instead their default value
     audioConverterOptions = resolveOptions(
@@ -255,9 +256,17 @@ function resolveConfig({ config, file }) {
   downloadOptions.outDir = path.isAbsolute(downloadOptions.outDir)
     ? path.normalize(downloadOptions.outDir)
     : path.join(downloadOptions.cwd, path.normalize(downloadOptions.outDir));
+  // Filename templates may create subdirectories within the output directory
   downloadOptions.outFile = typeof downloadOptions.outFile === 'string'
+    && !FilenameTemplate.isTemplate(downloadOptions.outFile)
     ? path.basename(downloadOptions.outFile)
     : downloadOptions.outFile;
+  downloadOptions.downloadArchive = typeof downloadOptions.downloadArchive === 'string'
+    ? path.resolve(downloadOptions.cwd, path.normalize(downloadOptions.downloadArchive))
+    : downloadOptions.downloadArchive;
+  downloadOptions.reportFile = typeof downloadOptions.reportFile === 'string'
+    ? path.resolve(downloadOptions.cwd, path.normalize(downloadOptions.reportFile))
+    : downloadOptions.reportFile;
 
   // Assign the `audioConverterOptions` to `downloadOptions`
   Object.assign(downloadOptions, {
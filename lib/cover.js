@@ -0,0 +1,204 @@
+/**
+ * @file This module provides functions to fetch the video thumbnails as the cover art of the
+ * audio files, which are embedded into the audio files by the `embedThumbnail` download option.
+ *
+ * The thumbnail is chosen by {@link module:utils/thumb-utils~ThumbnailUtils.getThumbnail
+ * `ThumbnailUtils.getThumbnail()`}, which prefers the `maxresdefault` thumbnail and falls back to
+ * the `sddefault` one. It is fetched through a thumbnail fetcher, which defaults to the global
+ * `fetch` function and can be replaced with a custom function, e.g., to fetch through a proxy or
+ * to read the thumbnails from a local cache.
+ *
+ * The fetched thumbnail is either kept as-is or cropped into a centered square, as the music
+ * players commonly display the cover art as a square. Any thumbnail other than a JPEG or PNG
+ * image (e.g., WebP) is converted into JPEG, as it is not supported by the audio containers.
+ *
+ * @example
+ * const cover = await fetchCoverArt(videoInfo, '/path/to/audio.mp3', { crop: 'square' });
+ * await tagAudio('/path/to/audio.mp3', { coverArt: cover });
+ * await fs.promises.rm(cover);
+ *
+ * @module    cover
+ * @requires  audioconv
+ * @requires  error
+ * @requires  part-file
+ * @requires  utils
+ * @requires  {@link https://nodejs.org/api/fs.html node:fs}
+ * @requires  {@link https://nodejs.org/api/path.html node:path}
+ * @author    Ryuu Mitsuki <{@link https://github.com/mitsuki31}>
+ * @license   MIT
+ * @since     2.0.0
+ */
+
+/**
+ * A function to fetch the thumbnail images.
+ *
+ * The function is called with the thumbnail URL and the request options, and must
+ * returns (or fulfills with) the contents of the image.
+ *
+ * @callback ThumbnailFetcher
+ * @param {string} url - The URL of the thumbnail to fetch.
+ * @param {Object} request - The request options.
+ * @param {AbortSignal} [request.signal] - The abort signal of the download.
+ * @returns {Buffer | Uint8Array | ArrayBuffer | Promise<Buffer | Uint8Array | ArrayBuffer>}
+ *          The contents of the image.
+ *
+ * @global
+ * @since  2.0.0
+ */
+
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { ThumbnailUtils } = require('./utils');
+const { processCoverArt } = require('./audioconv');
+const { getTempSiblingPath } = require('./part-file');
+const { throwIfAborted } = require('./error');
+
+/**
+ * The modes of cropping the thumbnail.
+ *
+ * - `'original'` - Keep the original aspect ratio of the thumbnail.
+ * - `'square'` - Crop the thumbnail into a centered square.
+ *
+ * @type {Readonly<{ ORIGINAL: 'original', SQUARE: 'square' }>}
+ * @constant
+ * @public
+ * @since    2.0.0
+ */
+const CropModes = Object.freeze({
+  ORIGINAL: 'original',
+  SQUARE: 'square'
+});
+
+/**
+ * Resolves the crop mode from the value of the `embedThumbnail` option.
+ *
+ * @param {boolean | string} [value] - The value of the `embedThumbnail` option, `true` or
+ *        `undefined` means the original thumbnail.
+ * @returns {'original' | 'square'} The crop mode, see {@link module:cover~CropModes `CropModes`}.
+ *
+ * @throws {Error} If the crop mode is unknown.
+ *
+ * @package
+ * @since   2.0.0
+ */
+function resolveCropMode(value) {
+  if (value === true || value === undefined) return CropModes.ORIGINAL;
+  if (!Object.values(CropModes).includes(value)) {
+    throw new Error(`Unknown thumbnail crop mode: ${value}, `
+      + `expected one of ${Object.values(CropModes).join(', ')}`);
+  }
+  return value;
+}
+
+/**
+ * Fetches the given thumbnail using the global `fetch` function.
+ *
+ * @param {string} url - The URL of the thumbnail to fetch.
+ * @param {Object} [request] - The request options.
+ * @param {AbortSignal} [request.signal] - An abort signal to cancel the request.
+ * @returns {Promise<Buffer>} A promise fulfills with the contents of the image.
+ *
+ * @throws {Error} If the server responds with an unsuccessful status code.
+ *
+ * @async
+ * @package
+ * @since  2.0.0
+ */
+async function defaultThumbnailFetcher(url, { signal } = {}) {
+  const response = await fetch(url, { signal });
+  if (!response.ok) {
+    throw new Error('Unable to fetch the thumbnail '
+      + `(${response.status} ${response.statusText}): ${url}`);
+  }
+  return Buffer.from(await response.arrayBuffer());
+}
+
+/**
+ * The signatures of the JPEG and PNG images.
+ * @constant
+ * @private
+ */
+const IMAGE_SIGNATURES = Object.freeze([
+  Buffer.from([ 0xFF, 0xD8, 0xFF ]),
+  Buffer.from([ 0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A ])
+]);
+
+/**
+ * Checks whether the given image is a JPEG or PNG image, by its signature.
+ *
+ * @param {Buffer} image - The contents of the image.
+ * @returns {boolean} `true` if the image is a JPEG or PNG image, `false` otherwise.
+ *
+ * @private
+ * @since   2.0.0
+ */
+function isJpegOrPng(image) {
+  return IMAGE_SIGNATURES.some((signature) =>
+    image.subarray(0, signature.length).equals(signature));
+}
+
+/**
+ * Fetches the thumbnail of the given video as the cover art of the given output file.
+ *
+ * The cover art is written into a temporary file next to the output file, which must
+ * be removed by the caller after being embedded.
+ *
+ * @param {ytdl.videoInfo} vInfo - The video information object.
+ * @param {string} output - The path of the audio file to embed the cover art into.
+ * @param {Object} [options] - Options to fetch the cover art.
+ * @param {'original' | 'square'} [options.crop='original'] - The crop mode, see
+ *        {@link module:cover~CropModes `CropModes`}.
+ * @param {ThumbnailFetcher} [options.fetcher] - The function to fetch the thumbnail, defaults to
+ *        {@link module:cover~defaultThumbnailFetcher `defaultThumbnailFetcher`}.
+ * @param {boolean} [options.quiet=false] - Whether to suppress the log messages.
+ * @param {AbortSignal} [options.signal] - An abort signal to cancel the fetching.
+ * @returns {Promise<string | null>} A promise fulfills with the path of the cover art,
+ *          or `null` if the video has no thumbnail.
+ *
+ * @throws {InvalidTypeError} If the video information is not a plain object.
+ * @throws {AbortError} If the fetching has been aborted through the `options.signal`.
+ * @throws {Error} If the crop mode is unknown, the fetched thumbnail is empty, or if there is
+ *                 an error occurred during fetching or processing the thumbnail.
+ *
+ * @async
+ * @public
+ * @since  2.0.0
+ */
+async function fetchCoverArt(vInfo, output, options) {
+  const { fetcher, quiet = false, signal } = options || {};
+  const crop = resolveCropMode(options?.crop);
+  const thumbnail = ThumbnailUtils.getThumbnail(
+    ThumbnailUtils.getVideoThumbnails(vInfo?.videoDetails));
+  if (!thumbnail) return null;
+
+  throwIfAborted(signal, 'Thumbnail fetching aborted');
+  const fetchThumbnail = fetcher || defaultThumbnailFetcher;
+  const image = Buffer.from(await fetchThumbnail(thumbnail.url, { signal }));
+  throwIfAborted(signal, 'Thumbnail fetching aborted');
+  if (image.length === 0) throw new Error(`Fetched thumbnail is empty: ${thumbnail.url}`);
+
+  let file = getTempSiblingPath(
+    path.join(path.dirname(output), `${path.parse(output).name}.jpg`));
+  await fs.promises.writeFile(file, image);
+  try {
+    if (crop === CropModes.SQUARE || !isJpegOrPng(image)) {
+      file = await processCoverArt(file, {
+        square: crop === CropModes.SQUARE, quiet, signal
+      });
+    }
+  } catch (err) {
+    await fs.promises.rm(file, { force: true });
+    throw err;
+  }
+  return file;
+}
+
+
+module.exports = {
+  CropModes,
+  resolveCropMode,
+  defaultThumbnailFetcher,
+  fetchCoverArt
+};
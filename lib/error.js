@@ -69,6 +69,111 @@ class URLValidationError extends Error {}
  */
 class UnknownYouTubeDomainError extends Error {}
 
+/**
+ * @classdesc Represents an error that occurred while resolving a YouTube playlist
+ *            or channel into its video IDs, such as the page cannot be fetched or parsed.
+ *
+ * @extends Error
+ * @global
+ * @since   2.0.0
+ */
+class ResolverError extends Error {}
+
+/**
+ * @classdesc Represents an error that occurred while resolving an output filename template,
+ *            such as the template contains an unknown placeholder.
+ *
+ * @extends Error
+ * @global
+ * @since   2.0.0
+ */
+class FilenameTemplateError extends Error {}
+
+/**
+ * @classdesc Represents an error that occurred while parsing a batch file, such as a malformed
+ *            per-item option. The location of the error is stored in the `path` property, along with
+ *            the `line` property, or the `record` property for the batch files made of records (e.g., JSON).
+ *
+ * @extends Error
+ * @param {string} message - The error message.
+ * @param {Object} [options] - Additional options for the error.
+ * @param {string} [options.path] - The path to the batch file.
+ * @param {number} [options.line] - The line number where the error occurred, starting from 1.
+ * @param {number} [options.record] - The record number where the error occurred, starting from 1.
+ * @global
+ * @since   2.0.0
+ */
+class BatchFileSyntaxError extends Error {
+  constructor(message, options) {
+    super(message);
+    if (isPlainObject(options)) {
+      if (typeof options.path === 'string') this.path = options.path;
+      if (typeof options.line === 'number') this.line = options.line;
+      if (typeof options.record === 'number') this.record = options.record;
+    }
+  }
+}
+
+/**
+ * @classdesc Represents an error that occurred when a command run after a download, such as
+ *            the `--exec` command of the CLI, has exited with a non-zero exit code or has been
+ *            terminated by a signal.
+ *
+ * @extends Error
+ * @param {string} message - The error message.
+ * @param {Object} [options] - Additional options for the error.
+ * @param {string} [options.command] - The command that has been run.
+ * @param {number} [options.exitCode] - The exit code of the command.
+ * @param {string} [options.signal] - The signal that has terminated the command.
+ * @global
+ * @since   2.0.0
+ */
+class CommandExecError extends Error {
+  constructor(message, options) {
+    super(message);
+    if (isPlainObject(options)) {
+      if (typeof options.command === 'string') this.command = options.command;
+      if (typeof options.exitCode === 'number') this.exitCode = options.exitCode;
+      if (typeof options.signal === 'string') this.signal = options.signal;
+    }
+  }
+}
+
+/**
+ * @classdesc Represents an error that occurred when an operation is cancelled through
+ *            an `AbortSignal`. The reason of the abort signal, if any, is stored in
+ *            the `cause` property.
+ *
+ * @extends Error
+ * @param {string} [message='The operation was aborted'] - The error message.
+ * @param {Object} [options] - Additional options for the error.
+ * @param {any} [options.cause] - The reason of the abort signal.
+ * @global
+ * @since   2.0.0
+ */
+class AbortError extends Error {
+  constructor(message, options) {
+    super(message ?? 'The operation was aborted', options);
+    this.name = 'AbortError';
+    this.code = 'ABORT_ERR';
+  }
+}
+
+/**
+ * Throws an {@link AbortError} if the given abort signal has been aborted.
+ *
+ * @param {AbortSignal} [signal] - The abort signal to check, ignored if not specified.
+ * @param {string} [message] - The error message.
+ *
+ * @throws {AbortError} If the abort signal has been aborted.
+ *
+ * @package
+ * @since   2.0.0
+ */
+function throwIfAborted(signal, message) {
+  if (signal?.aborted) throw new AbortError(message, { cause: signal.reason });
+}
+
 /**
  * @classdesc A class represents the error that occurred due to defining an unknown
  * option in the configuration object and may throw during configuration validation.
@@ -250,6 +355,12 @@ module.exports = {
   IDValidationError,
   URLValidationError,
   UnknownYouTubeDomainError,
+  ResolverError,
+  FilenameTemplateError,
+  BatchFileSyntaxError,
+  CommandExecError,
+  AbortError,
+  throwIfAborted,
   UnknownOptionError,
   CacheValidationError,
   InvalidTypeError,
@@ -0,0 +1,260 @@
+/**
+ * @file This module provides the lifecycle hooks of the download pipeline, and the shell command
+ * runner behind the `--exec` option of the CLI.
+ *
+ * The hooks are functions declared in the download options, typically from a JS or MJS
+ * configuration file, and are awaited by the download pipeline at each step of a video:
+ *
+ * | Hook             | Arguments                                     | Called                                    |
+ * | ---------------- | --------------------------------------------- | ----------------------------------------- |
+ * | `onInfo`         | `(info)`                                      | After the video information is fetched.   |
+ * | `beforeDownload` | `({ videoId, url, output, videoInfo })`       | Right before the audio is downloaded.     |
+ * | `afterDownload`  | `(downloadResult, options)`                   | After the audio is downloaded.            |
+ * | `afterConvert`   | `(conversionResult, downloadResult, options)` | After the audio is converted.             |
+ * | `onError`        | `(error, { videoId, url, phase })`            | After a video has failed.                 |
+ * | `onBatchEnd`     | `(results)`                                   | After the batch download has finished.    |
+ *
+ * An error thrown by the `onInfo`, `beforeDownload` or `afterDownload` hook fails the download
+ * of the video, and by the `afterConvert` hook fails the conversion, just like any download or
+ * conversion error. The errors thrown by the `onError` hook are only logged. The hooks are never
+ * called in the dry run mode.
+ *
+ * @example <caption> ES Module Configuration File (<code>ytmp3-js.config.mjs</code>) </caption>
+ * export default {
+ *   downloadOptions: {
+ *     convertAudio: true,
+ *     async afterConvert(result, downloadResult) {
+ *       console.log(`${downloadResult.metadata.title} => ${result.output.path}`);
+ *     },
+ *     onError(error, { videoId, phase }) {
+ *       console.error(`${videoId} failed during ${phase}: ${error.message}`);
+ *     }
+ *   }
+ * }
+ *
+ * @module    hooks
+ * @requires  error
+ * @requires  utils
+ * @requires  {@link https://nodejs.org/api/child_process.html node:child_process}
+ * @requires  {@link https://nodejs.org/api/path.html node:path}
+ * @author    Ryuu Mitsuki <{@link https://github.com/mitsuki31}>
+ * @license   MIT
+ * @since     2.0.0
+ */
+
+'use strict';
+
+const path = require('node:path');
+const { spawn } = require('node:child_process');
+const { Logger } = require('./utils');
+const { CommandExecError } = require('./error');
+const { getGlob } = require('./env');
+
+const log = getGlob('logger', Logger);
+
+/**
+ * The names of the lifecycle hooks, in the order they are called.
+ *
+ * @type {Readonly<string[]>}
+ * @constant
+ * @public
+ * @since    2.0.0
+ */
+const HOOK_NAMES = Object.freeze([
+  'onInfo', 'beforeDownload', 'afterDownload', 'afterConvert', 'onError', 'onBatchEnd'
+]);
+
+/**
+ * The policies of a command exiting with a non-zero exit code.
+ *
+ * - `'ignore'` - Ignore the failure silently.
+ * - `'warn'` - Log a warning and keep the video as downloaded.
+ * - `'fail'` - Fail the video, as if the download or conversion has failed.
+ *
+ * @type {Readonly<{ IGNORE: 'ignore', WARN: 'warn', FAIL: 'fail' }>}
+ * @constant
+ * @public
+ * @since    2.0.0
+ */
+const ExecPolicies = Object.freeze({
+  IGNORE: 'ignore',
+  WARN: 'warn',
+  FAIL: 'fail'
+});
+
+/**
+ * The placeholders that are substituted in the command, see
+ * {@link module:hooks~formatCommand `formatCommand`}.
+ * @constant
+ * @private
+ */
+const COMMAND_PLACEHOLDERS = Object.freeze([ 'path', 'dir', 'name', 'id', 'title', 'url' ]);
+
+/**
+ * Calls the lifecycle hook of the given name from the download options, if declared.
+ *
+ * @param {DownloadOptions} options - The download options declaring the hooks.
+ * @param {string} name - The name of the hook, see {@link module:hooks~HOOK_NAMES `HOOK_NAMES`}.
+ * @param {...any} args - The arguments to call the hook with.
+ * @returns {Promise<void>} A promise fulfills after the hook has finished.
+ *
+ * @async
+ * @package
+ * @since  2.0.0
+ */
+async function runHook(options, name, ...args) {
+  const hook = options?.[name];
+  if (typeof hook === 'function') await hook(...args);
+}
+
+/**
+ * Quotes the given value as a single argument of the shell.
+ *
+ * @param {string} value - The value to quote.
+ * @returns {string} The quoted value.
+ *
+ * @private
+ * @since   2.0.0
+ */
+function quoteShellArg(value) {
+  return process.platform === 'win32'
+    ? `"${value.replace(/"/g, '""')}"`
+    : `'${value.replace(/'/g, '\'\\\'\'')}'`;
+}
+
+/**
+ * Substitutes the placeholders of the given command with the quoted values of the fields.
+ *
+ * The supported placeholders are `{path}`, `{dir}`, `{name}` (the base name of the file),
+ * `{id}`, `{title}` and `{url}`. The values are already quoted for the shell, so the placeholders
+ * must not be quoted in the command. Any other text within braces is kept as is. If the command
+ * has no placeholder at all, the quoted path is appended to the command.
+ *
+ * @param {string} command - The command with the placeholders, e.g., `'mp3gain -r {path}'`.
+ * @param {Object} fields - The values of the placeholders.
+ * @param {string} fields.path - The path to the finished file.
+ * @param {string} [fields.id] - The video ID.
+ * @param {string} [fields.title] - The video title.
+ * @param {string} [fields.url] - The video URL.
+ * @returns {string} The command ready to be run by the shell.
+ *
+ * @example
+ * formatCommand('cp {path} /media/music', { path: '/tmp/Don\'t Stop.mp3' });
+ * // => "cp '/tmp/Don'\''t Stop.mp3' /media/music"
+ *
+ * @public
+ * @since  2.0.0
+ */
+function formatCommand(command, fields) {
+  const values = {
+    ...fields,
+    dir: path.dirname(fields.path),
+    name: path.basename(fields.path)
+  };
+  const pattern = new RegExp(`\\{(${COMMAND_PLACEHOLDERS.join('|')})\\}`, 'g');
+  if (!pattern.test(command)) return `${command} ${quoteShellArg(values.path)}`;
+  return command.replace(pattern, (_, key) => quoteShellArg(String(values[key] ?? '')));
+}
+
+/**
+ * Runs the given command in the shell, sharing the standard output and error of this process.
+ *
+ * @param {string} command - The command to run.
+ * @param {Object} [options]
+ * @param {string} [options.cwd] - The working directory of the command.
+ * @param {AbortSignal} [options.signal] - An abort signal to terminate the command.
+ * @returns {Promise<void>} A promise fulfills if the command has exited successfully.
+ *
+ * @throws {CommandExecError} If the command has exited with a non-zero exit code
+ *                            or has been terminated by a signal.
+ *
+ * @async
+ * @public
+ * @since  2.0.0
+ */
+function runCommand(command, options = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, {
+      shell: true,
+      cwd: options.cwd,
+      signal: options.signal,
+      stdio: [ 'ignore', 'inherit', 'inherit' ]
+    });
+    child.once('error', reject);
+    child.once('close', (exitCode, signal) => {
+      if (exitCode === 0) return resolve();
+      reject(new CommandExecError(signal
+        ? `Command has been terminated by ${signal}: ${command}`
+        : `Command has exited with code ${exitCode}: ${command}`,
+      { command, exitCode: exitCode ?? undefined, signal: signal ?? undefined }));
+    });
+  });
+}
+
+/**
+ * Returns a copy of the given download options, with the hooks to run the command for every
+ * finished file. The finished file is the converted audio if the audio conversion is enabled,
+ * otherwise the downloaded audio. The hooks already declared in the options are called first.
+ * The command honors the `signal` and `quiet` options passed to the hooks for each video.
+ *
+ * @param {DownloadOptions} options - The download options.
+ * @param {string} command - The command to run, see {@link module:hooks~formatCommand `formatCommand`}
+ *        for the supported placeholders.
+ * @param {'ignore' | 'warn' | 'fail'} [policy='warn'] - The policy if the command exits with
+ *        a non-zero exit code, see {@link module:hooks~ExecPolicies `ExecPolicies`}.
+ * @returns {DownloadOptions} The download options with the `afterDownload` and `afterConvert` hooks.
+ *
+ * @throws {Error} If the policy is unknown.
+ *
+ * @public
+ * @since  2.0.0
+ */
+function withExecCommand(options, command, policy=ExecPolicies.WARN) {
+  if (!Object.values(ExecPolicies).includes(policy)) {
+    throw new Error(`Unknown command exit policy: ${policy}, `
+      + `expected one of ${Object.values(ExecPolicies).join(', ')}`);
+  }
+  const { afterDownload, afterConvert } = options;
+
+  // The options of the video, as passed to the hook, may differ from the batch options
+  async function execFor(file, downloadResult, dlOptions) {
+    const { quiet, signal } = dlOptions ?? {};
+    const { videoId, title } = downloadResult.metadata ?? {};
+    const formatted = formatCommand(command, {
+      path: file, id: videoId, title, url: downloadResult.url
+    });
+    try {
+      await runCommand(formatted, { signal });
+    } catch (err) {
+      if (policy === ExecPolicies.FAIL) throw err;
+      policy === ExecPolicies.WARN && !quiet && log.warn(
+        `{\x1b[36m${videoId}\x1b[0m}: ${err.message}`);
+    }
+  }
+
+  return {
+    ...options,
+    async afterDownload(downloadResult, dlOptions) {
+      await runHook({ afterDownload }, 'afterDownload', downloadResult, dlOptions);
+      // Wait for the converted audio instead, if the audio will be converted
+      if (!dlOptions?.convertAudio) {
+        await execFor(downloadResult.path, downloadResult, dlOptions);
+      }
+    },
+    async afterConvert(conversionResult, downloadResult, dlOptions) {
+      await runHook(
+        { afterConvert }, 'afterConvert', conversionResult, downloadResult, dlOptions);
+      await execFor(conversionResult.output.path, downloadResult, dlOptions);
+    }
+  };
+}
+
+
+module.exports = {
+  HOOK_NAMES,
+  ExecPolicies,
+  runHook,
+  formatCommand,
+  runCommand,
+  withExecCommand
+};
@@ -0,0 +1,132 @@
+/**
+ * @file This module provides functions to resolve the metadata tags of the audio files from
+ * the video information, which are embedded into the audio files by the `embedMetadata`
+ * download option.
+ *
+ * The metadata tags are written by FFmpeg as ID3v2 frames for the MP3 audio and as iTunes
+ * metadata atoms for the M4A audio, or as the native tags of any other output format.
+ *
+ * ### Default Metadata Tags
+ * | Tag           | Value                                                            |
+ * | ------------- | ---------------------------------------------------------------- |
+ * | `title`       | The title of the video.                                          |
+ * | `artist`      | The name of the video's author.                                  |
+ * | `album`       | Not available by default, it can only be set by an override.     |
+ * | `date`        | The publish date of the video, in `YYYY-MM-DD` format.           |
+ * | `genre`       | The category of the video.                                       |
+ * | `comment`     | The URL of the video.                                            |
+ * | `description` | The description of the video.                                    |
+ *
+ * Each tag can be overridden with a template, which supports the same placeholders as the
+ * filename template (see {@link module:utils/filename-template}), or be omitted with `null`
+ * or `false`. The tags other than the default ones can be added as well, e.g., `album_artist`.
+ *
+ * @example
+ * const tags = getMetadataTags(videoInfo, {
+ *   album: '{author} ({publishDate:YYYY})',
+ *   description: null
+ * });
+ * // => { title: 'Video Title', artist: 'Author Name', album: 'Author Name (2022)', ... }
+ *
+ * @module    metadata
+ * @requires  error
+ * @requires  utils
+ * @author    Ryuu Mitsuki <{@link https://github.com/mitsuki31}>
+ * @license   MIT
+ * @since     2.0.0
+ */
+
+/**
+ * The metadata tags to embed into the audio files, each tag is a string.
+ *
+ * @typedef  {Object} MetadataTags
+ * @property {string} [title] - The title of the audio.
+ * @property {string} [artist] - The artist of the audio.
+ * @property {string} [album] - The album of the audio.
+ * @property {string} [date] - The release date of the audio.
+ * @property {string} [genre] - The genre of the audio.
+ * @property {string} [comment] - The comment of the audio.
+ * @property {string} [description] - The description of the audio.
+ *
+ * @global
+ * @since    2.0.0
+ */
+
+'use strict';
+
+const { TypeUtils, InfoUtils, FilenameTemplate } = require('./utils');
+const { InvalidTypeError } = require('./error');
+
+/**
+ * The names of the metadata tags embedded by default, see {@link module:metadata}.
+ *
+ * @type {Readonly<string[]>}
+ * @constant
+ * @public
+ * @since    2.0.0
+ */
+const METADATA_TAGS = Object.freeze([
+  'title', 'artist', 'album', 'date', 'genre', 'comment', 'description'
+]);
+
+/**
+ * Resolves the metadata tags of the given video information.
+ *
+ * @param {ytdl.videoInfo} vInfo - The video information object.
+ * @param {boolean | Record<string, string | null | false>} [overrides] - The templates to override
+ *        the default tags with, a `null` or `false` value omits the tag. A boolean value is
+ *        treated as no override, so the `embedMetadata` option can be given as-is.
+ * @returns {MetadataTags} The metadata tags, excluding the unavailable ones.
+ *
+ * @throws {InvalidTypeError} If the video information is not a plain object, the overrides
+ *                            is neither a boolean nor a plain object, or any of the overrides
+ *                            is not a string.
+ * @throws {FilenameTemplateError} If any of the overrides contains an unknown placeholder.
+ *
+ * @public
+ * @since  2.0.0
+ */
+function getMetadataTags(vInfo, overrides) {
+  if (!TypeUtils.isNullOrUndefined(overrides) && typeof overrides !== 'boolean'
+      && !TypeUtils.isPlainObject(overrides)) {
+    throw new InvalidTypeError('Metadata overrides must be a plain object', {
+      actualType: TypeUtils.getType(overrides),
+      expectedType: TypeUtils.getType({})
+    });
+  }
+
+  const videoId = vInfo?.videoDetails?.videoId;
+  const tags = {
+    title: InfoUtils.getTitle(vInfo),
+    artist: InfoUtils.getAuthor(vInfo).name,
+    album: null,
+    date: FilenameTemplate.formatTemplate('{publishDate}', vInfo),
+    genre: InfoUtils.getCategory(vInfo),
+    comment: vInfo?.videoDetails?.video_url
+      || (videoId ? `https://www.youtube.com/watch?v=${videoId}` : null),
+    description: InfoUtils.getDescription(vInfo)
+  };
+
+  const templates = TypeUtils.isPlainObject(overrides) ? overrides : {};
+  for (const [ tag, template ] of Object.entries(templates)) {
+    if (template === null || template === false) {
+      tags[tag] = null;
+    } else if (typeof template === 'string') {
+      tags[tag] = FilenameTemplate.formatTemplate(template, vInfo);
+    } else {
+      throw new InvalidTypeError(`Invalid type of metadata tag override: ${tag}`, {
+        actualType: TypeUtils.getType(template),
+        expectedType: 'string'
+      });
+    }
+  }
+
+  return Object.fromEntries(Object.entries(tags)
+    .filter(([ , value ]) => !TypeUtils.isNullOrUndefined(value) && value !== ''));
+}
+
+
+module.exports = {
+  METADATA_TAGS,
+  getMetadataTags
+};
@@ -0,0 +1,452 @@
+/**
+ * @file This module provides functions to manage the partial files of in-progress
+ *       downloads, allowing interrupted downloads to be resumed.
+ *
+ * Every in-progress download is written to a partial file (`<output>.part`) along with
+ * a JSON sidecar file (`<output>.part.json`) recording the state of the download, which
+ * includes the video ID, the format itag, the content length and the bytes written.
+ *
+ * When the same download is started again, the sidecar is checked against the requested
+ * download and the partial file is resumed from the recorded byte offset. Once the download
+ * completes, the partial file is renamed to the output file and the sidecar is removed.
+ *
+ * Other outputs that cannot be resumed (e.g., the converted audio files) are written to a hidden
+ * temporary sibling file instead (see {@link module:part-file~getTempSiblingPath getTempSiblingPath}),
+ * which is renamed to the output file only after it has been written completely.
+ *
+ * @example
+ * const part = await preparePartFile('/path/to/audio.m4a', {
+ *   videoId: 'abcdeQWERTY',
+ *   itag: 140,
+ *   contentLength: 4317886
+ * });
+ * const outStream = fs.createWriteStream(part.partFile, { flags: part.offset ? 'a' : 'w' });
+ * const tracker = trackPartState(outStream, part);
+ * // ... download from `part.offset` and pipe it into `outStream`
+ * tracker.stop();
+ * await finalizePartFile('/path/to/audio.m4a', part);
+ *
+ * @module    part-file
+ * @requires  error
+ * @requires  utils
+ * @requires  {@link https://nodejs.org/api/crypto.html node:crypto}
+ * @requires  {@link https://nodejs.org/api/fs.html node:fs}
+ * @requires  {@link https://nodejs.org/api/path.html node:path}
+ * @author    Ryuu Mitsuki <{@link https://github.com/mitsuki31}>
+ * @license   MIT
+ * @since     2.0.0
+ */
+
+/**
+ * The state of an in-progress download recorded in the sidecar file.
+ *
+ * @typedef  {Object} PartState
+ * @property {string} videoId - The ID of the video being downloaded.
+ * @property {number | null} itag - The itag of the format being downloaded.
+ * @property {number | null} contentLength - The content length of the format in bytes, or `null` if unknown.
+ * @property {{ start: number, end?: number } | null} range - The requested byte range, or `null` if unspecified.
+ * @property {number} bytesWritten - The number of bytes written into the partial file.
+ *
+ * @global
+ * @since    2.0.0
+ */
+
+/**
+ * The partial file information of a download.
+ *
+ * @typedef  {Object} PartFileInfo
+ * @property {string} partFile - The path to the partial file.
+ * @property {string} stateFile - The path to the sidecar file.
+ * @property {number} offset - The number of bytes already downloaded, the download should resume from this offset.
+ * @property {PartState} state - The state of the download.
+ *
+ * @global
+ * @since    2.0.0
+ */
+
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { randomBytes } = require('node:crypto');
+const { TypeUtils } = require('./utils');
+const { InvalidTypeError } = require('./error');
+
+/**
+ * The file extension appended to the partial files.
+ *
+ * @constant
+ * @public
+ */
+const PART_EXTENSION = '.part';
+
+/**
+ * The file extension appended to the sidecar files.
+ *
+ * @constant
+ * @public
+ */
+const STATE_EXTENSION = '.part.json';
+
+/**
+ * Default interval in milliseconds to record the download state into the sidecar file.
+ *
+ * @constant
+ * @package
+ */
+const STATE_WRITE_INTERVAL = 1000;
+
+/**
+ * Returns the paths of the partial file and the sidecar file of the given output file.
+ *
+ * @param {string} output - The path to the output file.
+ * @returns {{ partFile: string, stateFile: string }}
+ *
+ * @public
+ * @since  2.0.0
+ */
+function getPartPaths(output) {
+  if (typeof output !== 'string') {
+    throw new InvalidTypeError('Output file path must be a string', {
+      actualType: TypeUtils.getType(output),
+      expectedType: 'string'
+    });
+  }
+  return {
+    partFile: output + PART_EXTENSION,
+    stateFile: output + STATE_EXTENSION
+  };
+}
+
+/**
+ * Returns a random path to a hidden temporary file next to the given output file.
+ *
+ * The temporary file is placed in the same directory as the output file, so it can be
+ * renamed atomically to the output file. The file extension of the output file is preserved,
+ * as some tools (e.g., FFmpeg) rely on it to determine the output format.
+ *
+ * @example
+ * getTempSiblingPath('/path/to/audio.mp3');
+ * // => '/path/to/.audio.1a2b3c4d.tmp.mp3'
+ *
+ * @param {string} output - The path to the output file.
+ * @returns {string} The path to the temporary file.
+ *
+ * @public
+ * @since  2.0.0
+ */
+function getTempSiblingPath(output) {
+  if (typeof output !== 'string') {
+    throw new InvalidTypeError('Output file path must be a string', {
+      actualType: TypeUtils.getType(output),
+      expectedType: 'string'
+    });
+  }
+  const ext = path.extname(output);
+  const base = path.basename(output, ext);
+  return path.join(path.dirname(output),
+    `.${base}.${randomBytes(4).toString('hex')}.tmp${ext}`);
+}
+
+/**
+ * Normalizes the given byte range into a plain object, or `null` if unspecified.
+ *
+ * @param {Object} [range] - The byte range.
+ * @returns {{ start: number, end?: number } | null}
+ *
+ * @private
+ * @since   2.0.0
+ */
+function normalizeRange(range) {
+  if (!TypeUtils.isPlainObject(range)
+      || (typeof range.start !== 'number' && typeof range.end !== 'number')) {
+    return null;
+  }
+  const normalized = { start: typeof range.start === 'number' ? range.start : 0 };
+  if (typeof range.end === 'number') normalized.end = range.end;
+  return normalized;
+}
+
+/**
+ * Returns the expected number of bytes of the download described by the given state,
+ * or `null` if the content length is unknown.
+ *
+ * @param {PartState} state - The state of the download.
+ * @returns {number | null}
+ *
+ * @package
+ * @since   2.0.0
+ */
+function getExpectedLength(state) {
+  if (!state || typeof state.contentLength !== 'number') return null;
+  if (!state.range) return state.contentLength;
+
+  const end = typeof state.range.end === 'number'
+    ? Math.min(state.range.end, state.contentLength - 1)
+    : state.contentLength - 1;
+  return Math.max(end - state.range.start + 1, 0);
+}
+
+/**
+ * Reads the download state from the given sidecar file.
+ *
+ * @param {string} stateFile - The path to the sidecar file.
+ * @returns {Promise<PartState | null>} A promise fulfills with the download state,
+ *          or `null` if the sidecar file does not exist or is malformed.
+ *
+ * @async
+ * @public
+ * @since  2.0.0
+ */
+async function readPartState(stateFile) {
+  try {
+    const state = JSON.parse(await fs.promises.readFile(stateFile, 'utf8'));
+    if (TypeUtils.isPlainObject(state)
+        && typeof state.videoId === 'string'
+        && typeof state.bytesWritten === 'number') {
+      return state;
+    }
+  // eslint-disable-next-line no-unused-vars
+  } catch (_) { /* empty */ }
+  return null;
+}
+
+/**
+ * Synchronously writes the download state into the given sidecar file.
+ *
+ * This function is synchronous to ensure the state is recorded even when the
+ * process is about to exit.
+ *
+ * @param {string} stateFile - The path to the sidecar file.
+ * @param {PartState} state - The download state to write.
+ *
+ * @public
+ * @since  2.0.0
+ */
+function writePartStateSync(stateFile, state) {
+  fs.writeFileSync(stateFile, JSON.stringify(state, null, 2), 'utf8');
+}
+
+/**
+ * Creates the initial state of the given download.
+ *
+ * @param {Object} download - The information of the download.
+ * @returns {PartState}
+ *
+ * @private
+ * @since   2.0.0
+ */
+function createPartState({ videoId, itag, contentLength, range }) {
+  return {
+    videoId,
+    itag: typeof itag === 'number' ? itag : null,
+    contentLength: Number(contentLength) || null,
+    range: normalizeRange(range),
+    bytesWritten: 0
+  };
+}
+
+/**
+ * Checks whether the existing partial file can be resumed for the download described
+ * by the given state, without modifying any file.
+ *
+ * @param {string} partFile - The path to the partial file.
+ * @param {string} stateFile - The path to the sidecar file.
+ * @param {PartState} state - The state of the requested download.
+ * @returns {Promise<{ resumable: boolean, prevState: PartState | null, partSize: number }>}
+ *
+ * @async
+ * @private
+ * @since  2.0.0
+ */
+async function checkResumable(partFile, stateFile, state) {
+  const prevState = await readPartState(stateFile);
+  let partSize = -1;
+  try {
+    partSize = (await fs.promises.stat(partFile)).size;
+  // eslint-disable-next-line no-unused-vars
+  } catch (_) { /* empty */ }
+
+  const expectedLength = getExpectedLength(state);
+  const resumable = !!prevState
+    && partSize >= 0
+    && prevState.videoId === state.videoId
+    && prevState.itag === state.itag
+    && prevState.contentLength === state.contentLength
+    && JSON.stringify(prevState.range ?? null) === JSON.stringify(state.range)
+    && (expectedLength === null || prevState.bytesWritten <= expectedLength);
+  return { resumable, prevState, partSize };
+}
+
+/**
+ * Prepares the partial file for the given output file and determines the offset
+ * to resume the download from.
+ *
+ * The existing partial file is resumed only if its sidecar file records the same video ID,
+ * itag, content length and byte range. The partial file is truncated to the bytes recorded
+ * in the sidecar file, so the download always resumes from the exact byte offset. Otherwise,
+ * the download starts from the beginning.
+ *
+ * @param {string} output - The path to the output file.
+ * @param {Object} download - The information of the download.
+ * @param {string} download.videoId - The ID of the video to download.
+ * @param {number} [download.itag] - The itag of the format to download.
+ * @param {number | string} [download.contentLength] - The content length of the format in bytes.
+ * @param {Object} [download.range] - The requested byte range.
+ *
+ * @returns {Promise<PartFileInfo>} A promise fulfills with the partial file information.
+ *
+ * @async
+ * @public
+ * @since  2.0.0
+ */
+async function preparePartFile(output, download) {
+  const { partFile, stateFile } = getPartPaths(output);
+  const state = createPartState(download);
+  const { resumable, prevState, partSize } = await checkResumable(
+    partFile, stateFile, state);
+
+  if (resumable) {
+    state.bytesWritten = Math.min(partSize, Math.max(prevState.bytesWritten, 0));
+    // Discard any bytes that were not recorded in the sidecar file
+    if (partSize > state.bytesWritten) {
+      await fs.promises.truncate(partFile, state.bytesWritten);
+    }
+  }
+
+  writePartStateSync(stateFile, state);
+  return { partFile, stateFile, offset: state.bytesWritten, state };
+}
+
+/**
+ * Returns the byte offset the given download would resume from, without preparing
+ * or modifying the partial file. Useful to plan the download ahead.
+ *
+ * @param {string} output - The path to the output file.
+ * @param {Object} download - The information of the download,
+ *                            see {@link module:part-file~preparePartFile preparePartFile}.
+ *
+ * @returns {Promise<number>} A promise fulfills with the number of bytes already downloaded,
+ *          or `0` if there is no resumable partial file.
+ *
+ * @async
+ * @public
+ * @since  2.0.0
+ */
+async function getResumeOffset(output, download) {
+  const { partFile, stateFile } = getPartPaths(output);
+  const { resumable, prevState, partSize } = await checkResumable(
+    partFile, stateFile, createPartState(download));
+  return resumable ? Math.min(partSize, Math.max(prevState.bytesWritten, 0)) : 0;
+}
+
+/**
+ * Tracks the bytes written by the given output stream and periodically records them
+ * into the sidecar file. The state is also recorded when the stream is closed.
+ *
+ * @param {fs.WriteStream} outStream - The output stream writing to the partial file.
+ * @param {PartFileInfo} part - The partial file information.
+ * @param {number} [interval=1000] - The interval in milliseconds to record the state.
+ *
+ * @returns {{ flush: () => void, stop: () => void }} An object to manually record the state
+ *          (`flush`), and to stop the tracking after recording the state (`stop`).
+ *
+ * @public
+ * @since  2.0.0
+ */
+function trackPartState(outStream, part, interval=STATE_WRITE_INTERVAL) {
+  const { stateFile, offset, state } = part;
+  let stopped = false;
+
+  function flush() {
+    if (stopped) return;
+    state.bytesWritten = offset + (outStream.bytesWritten || 0);
+    try {
+      writePartStateSync(stateFile, state);
+    // eslint-disable-next-line no-unused-vars
+    } catch (_) { /* empty */ }
+  }
+  function stop() {
+    flush();
+    stopped = true;
+    clearInterval(timer);
+    outStream.off('close', stop);
+  }
+
+  const timer = setInterval(flush, interval);
+  timer.unref();  // Do not keep the process alive
+  outStream.once('close', stop);
+
+  return { flush, stop };
+}
+
+/**
+ * Completes the download by renaming the partial file to the output file and removing
+ * the sidecar file.
+ *
+ * The partial file is validated first, it must not be empty and its size must match the content
+ * length if the content length is known. An incomplete partial file is kept along with its sidecar file, so the download can be resumed later.
+ *
+ * @param {string} output - The path to the output file.
+ * @param {PartFileInfo} part - The partial file information.
+ *
+ * @returns {Promise<string>} A promise fulfills with the path to the output file.
+ *
+ * @throws {Error} If the partial file is empty or incomplete, the error code is set to `'EINCOMPLETE'`.
+ *
+ * @async
+ * @public
+ * @since  2.0.0
+ */
+async function finalizePartFile(output, { partFile, stateFile, state }) {
+  const { size } = await fs.promises.stat(partFile);
+  const expectedLength = getExpectedLength(state);
+  let error = null;
+  if (size === 0 && expectedLength !== 0) {
+    error = new Error(`Empty download, no bytes were written: ${partFile}`);
+  } else if (expectedLength !== null && size !== expectedLength) {
+    error = new Error(`Incomplete download, expected ${expectedLength} bytes but `
+      + `got ${size} bytes: ${partFile}`);
+  }
+  if (error) {
+    error.code = 'EINCOMPLETE';  // Allows the download to be retried
+    throw error;
+  }
+
+  await fs.promises.rename(partFile, output);
+  await fs.promises.rm(stateFile, { force: true });
+  return output;
+}
+
+/**
+ * Removes the partial file and the sidecar file of the given output file, if exist.
+ *
+ * @param {string} output - The path to the output file.
+ * @returns {Promise<void>}
+ *
+ * @async
+ * @public
+ * @since  2.0.0
+ */
+async function removePartFiles(output) {
+  const { partFile, stateFile } = getPartPaths(output);
+  await fs.promises.rm(partFile, { force: true });
+  await fs.promises.rm(stateFile, { force: true });
+}
+
+
+module.exports = {
+  PART_EXTENSION,
+  STATE_EXTENSION,
+  STATE_WRITE_INTERVAL,
+  getPartPaths,
+  getTempSiblingPath,
+  getExpectedLength,
+  readPartState,
+  writePartStateSync,
+  preparePartFile,
+  getResumeOffset,
+  trackPartState,
+  finalizePartFile,
+  removePartFiles
+};
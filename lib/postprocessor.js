@@ -0,0 +1,268 @@
+/**
+ * @file This module provides the plugin interface of the post-processors, which run in order
+ * on every finished file of the download pipeline, e.g., a tagger, a normalizer, a splitter or
+ * an uploader.
+ *
+ * A post-processor is a plain object declaring its name, the schema of its options and the
+ * `process` function. The options schema follows the same format as the download options, each
+ * option is defined by an array of the expected type(s) and the default value. The `process`
+ * function receives the path to the finished file and the {@link PostProcessorContext}, which
+ * includes the video information and the resolved options of the post-processor.
+ *
+ * The finished file is the converted audio if the audio conversion is enabled, otherwise the
+ * downloaded audio. A post-processor returning an object with the `path` property passes the
+ * new file to the next post-processor in the chain, e.g., a normalizer writing a new file.
+ * The result of each post-processor is exposed in the `postprocessors` property of the
+ * {@link DownloadResult}, and an error thrown by any of them stops the chain and fails the video.
+ * The chain runs before the `afterConvert` hook, or before the `afterDownload` hook if the audio
+ * is not converted, see {@link module:hooks}.
+ *
+ * The post-processors are registered globally through {@link module:ytmp3~use `ytmp3.use()`},
+ * or per download through the `postprocessors` download option, which can be declared in a JS
+ * or MJS configuration file. The globally registered post-processors run first, and stay
+ * registered for the whole process until unregistered through {@link module:ytmp3~unuse
+ * `ytmp3.unuse()`}.
+ *
+ * @example
+ * const normalizer = {
+ *   name: 'normalizer',
+ *   options: {
+ *     target: ['number', -14]
+ *   },
+ *   async process(file, { videoInfo, options }) {
+ *     const output = await normalize(file, options.target);
+ *     return { path: output };  // The next post-processors receive the normalized file
+ *   }
+ * };
+ *
+ * ytmp3.use(normalizer, { target: -16 });
+ * // Or per download, with or without the options
+ * await ytmp3.download(url, { postprocessors: [ [ normalizer, { target: -16 } ], tagger ] });
+ *
+ * @module    postprocessor
+ * @requires  error
+ * @requires  utils
+ * @author    Ryuu Mitsuki <{@link https://github.com/mitsuki31}>
+ * @license   MIT
+ * @since     2.0.0
+ */
+
+/**
+ * A plugin to process the finished file of the download pipeline.
+ *
+ * @typedef  {Object} PostProcessor
+ * @property {string} name - The name of the post-processor.
+ * @property {Record<string, [any, any?]>} [options] - The schema of the options, each option is defined
+ *           by an array of the expected type(s) and the default value, e.g., `{ target: ['number', -14] }`.
+ * @property {(file: string, context: PostProcessorContext) => any} process - The function to process
+ *           the finished file, either synchronous or asynchronous. If it returns an object with the `path`
+ *           property, the next post-processor receives that file instead.
+ *
+ * @global
+ * @since    2.0.0
+ */
+
+/**
+ * The context passed to the {@link PostProcessor} along with the path to the finished file.
+ *
+ * @typedef  {Object} PostProcessorContext
+ * @property {string} videoId - The video ID.
+ * @property {string} url - The video URL.
+ * @property {ytdl.videoInfo} videoInfo - The video information.
+ * @property {DownloadResult} downloadResult - The download result of the video so far.
+ * @property {Record<string, any>} options - The resolved options of the post-processor.
+ * @property {AbortSignal} [signal] - The abort signal of the download.
+ *
+ * @global
+ * @since    2.0.0
+ */
+
+/**
+ * The result of a {@link PostProcessor} in the chain.
+ *
+ * @typedef  {Object} PostProcessorResult
+ * @property {string} name - The name of the post-processor.
+ * @property {string} input - The path to the file given to the post-processor.
+ * @property {string | null} path - The path to the file given to the next post-processor,
+ *           or `null` if the post-processor has failed.
+ * @property {any} result - The value returned by the post-processor, or `null` if nothing returned.
+ * @property {Error | null} error - The error thrown by the post-processor, or `null` if succeeded.
+ *
+ * @global
+ * @since    2.0.0
+ */
+
+'use strict';
+
+const { TypeUtils, resolveOptions } = require('./utils');
+const { InvalidTypeError } = require('./error');
+
+/**
+ * The post-processors registered globally, along with their resolved options.
+ * @type {Array<{ plugin: PostProcessor, options: Record<string, any> }>}
+ * @private
+ */
+const registry = [];
+
+/**
+ * Validates the given post-processor and resolves its options against its options schema.
+ *
+ * @param {PostProcessor} plugin - The post-processor.
+ * @param {Record<string, any>} [options] - The options of the post-processor.
+ * @returns {{ plugin: PostProcessor, options: Record<string, any> }} The post-processor
+ *          along with its resolved options.
+ *
+ * @throws {InvalidTypeError} If the post-processor is malformed, or any of its options
+ *                            has an invalid type.
+ *
+ * @private
+ * @since   2.0.0
+ */
+function resolvePostProcessor(plugin, options) {
+  if (!TypeUtils.isPlainObject(plugin)) {
+    throw new InvalidTypeError('Post-processor must be a plain object', {
+      actualType: TypeUtils.getType(plugin),
+      expectedType: TypeUtils.getType({})
+    });
+  }
+  if (typeof plugin.name !== 'string' || !plugin.name.trim()) {
+    throw new InvalidTypeError('Post-processor must have a name', {
+      actualType: TypeUtils.getType(plugin.name),
+      expectedType: 'string'
+    });
+  }
+  if (typeof plugin.process !== 'function') {
+    const message = `Post-processor '${plugin.name}' must have a \`process\` function`;
+    throw new InvalidTypeError(message, {
+      actualType: TypeUtils.getType(plugin.process),
+      expectedType: 'function'
+    });
+  }
+  for (const [ value, what ] of [ [ plugin.options, 'options schema' ], [ options, 'options' ] ]) {
+    if (!TypeUtils.isNullOrUndefined(value) && !TypeUtils.isPlainObject(value)) {
+      throw new InvalidTypeError(`The ${what} of post-processor '${plugin.name}' must be `
+        + 'a plain object', {
+        actualType: TypeUtils.getType(value),
+        expectedType: TypeUtils.getType({})
+      });
+    }
+  }
+
+  return {
+    plugin,
+    options: resolveOptions(options ?? {}, plugin.options ?? {}, true)
+  };
+}
+
+/**
+ * Registers the given post-processor globally, it runs on every finished file of the
+ * download pipeline after the previously registered post-processors.
+ *
+ * @param {PostProcessor} plugin - The post-processor to register.
+ * @param {Record<string, any>} [options] - The options of the post-processor,
+ *        resolved against its options schema.
+ *
+ * @throws {InvalidTypeError} If the post-processor is malformed, or any of its options
+ *                            has an invalid type.
+ *
+ * @package
+ * @since   2.0.0
+ */
+function registerPostProcessor(plugin, options) {
+  registry.push(resolvePostProcessor(plugin, options));
+}
+
+/**
+ * Removes every global registration of the given post-processor.
+ *
+ * @param {PostProcessor} plugin - The post-processor to unregister.
+ * @returns {number} The number of removed registrations.
+ *
+ * @package
+ * @since   2.0.0
+ */
+function unregisterPostProcessor(plugin) {
+  const size = registry.length;
+  registry.splice(0, size, ...registry.filter(entry => entry.plugin !== plugin));
+  return size - registry.length;
+}
+
+/**
+ * Removes all the globally registered post-processors.
+ *
+ * @package
+ * @since   2.0.0
+ */
+function clearPostProcessors() {
+  registry.length = 0;
+}
+
+/**
+ * Resolves the chain of post-processors to run, the globally registered post-processors
+ * followed by the post-processors of the given download option.
+ *
+ * @param {Array<PostProcessor | [PostProcessor, Record<string, any>]>} [postprocessors]
+ *        The `postprocessors` download option, each item is either a post-processor or a tuple
+ *        of a post-processor and its options.
+ * @returns {Array<{ plugin: PostProcessor, options: Record<string, any> }>} The ordered
+ *          post-processors along with their resolved options.
+ *
+ * @throws {InvalidTypeError} If any of the post-processors is malformed, or any of its options
+ *                            has an invalid type.
+ *
+ * @package
+ * @since   2.0.0
+ */
+function resolvePostProcessors(postprocessors) {
+  return [
+    ...registry,
+    ...(postprocessors ?? []).map((item) => (Array.isArray(item)
+      ? resolvePostProcessor(item[0], item[1])
+      : resolvePostProcessor(item)))
+  ];
+}
+
+/**
+ * Runs the chain of post-processors on the given file, in order.
+ *
+ * @param {string} file - The path to the finished file.
+ * @param {Omit<PostProcessorContext, 'options'>} context - The context passed to each post-processor.
+ * @param {Array<{ plugin: PostProcessor, options: Record<string, any> }>} chain - The resolved
+ *        post-processors, see {@link module:postprocessor~resolvePostProcessors `resolvePostProcessors`}.
+ * @param {PostProcessorResult[]} results - The array to store the result of each post-processor into,
+ *        including the failed one.
+ * @returns {Promise<string>} A promise fulfills with the path to the file given by the last post-processor.
+ *
+ * @throws {Error} If any of the post-processors has failed, the rest of the chain is skipped.
+ *
+ * @async
+ * @package
+ * @since  2.0.0
+ */
+async function runPostProcessors(file, context, chain, results) {
+  for (const { plugin, options } of chain) {
+    const entry = {
+      name: plugin.name, input: file, path: null, result: null, error: null
+    };
+    results.push(entry);
+    try {
+      const result = await plugin.process(file, { ...context, options });
+      if (typeof result?.path === 'string') file = result.path;
+      entry.path = file;
+      entry.result = result ?? null;
+    } catch (err) {
+      entry.error = err;
+      throw err;
+    }
+  }
+  return file;
+}
+
+
+module.exports = {
+  registerPostProcessor,
+  unregisterPostProcessor,
+  clearPostProcessors,
+  resolvePostProcessors,
+  runPostProcessors
+};
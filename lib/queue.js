@@ -0,0 +1,559 @@
+/**
+ * @file This module provides a persistent job queue to track the state of queued downloads.
+ *
+ * The job queue is stored as a JSON file, by default at `~/.ytmp3-js/queue/queue.json`
+ * (see {@link module:queue~QUEUE_FILE `QUEUE_FILE`}), recording the state of every queued
+ * item. Each change is written to a temporary sibling file before being renamed to the queue
+ * file, so the queue survives crashes and restarts of the process.
+ *
+ * The queue file can be shared by several processes, e.g., a watching process next to a manual
+ * batch download. Each change is applied on the latest contents of the queue file while holding
+ * its lock file (`queue.json.lock`), so the items of the other processes are never overwritten.
+ * A lock file left by a dead process is removed.
+ *
+ * The unfinished items, including the items left in the middle of a download by a crashed
+ * process, can be downloaded again by passing the queue to the
+ * {@link module:ytmp3~batchDownload `batchDownload`} function. An item being processed records
+ * the ID of its process, so it is not downloaded again while that process is still running.
+ *
+ * @example
+ * const queue = await JobQueue.open();
+ * await queue.add([
+ *   'https://youtu.be/abcdeQWERTY',
+ *   { url: 'https://youtu.be/12345-_abcd', options: { outFile: 'Intro Theme' } }
+ * ]);
+ * await ytmp3.batchDownload(queue, { outDir: 'music' });
+ *
+ * @module    queue
+ * @requires  error
+ * @requires  part-file
+ * @requires  utils
+ * @requires  {@link https://nodejs.org/api/fs.html node:fs}
+ * @requires  {@link https://nodejs.org/api/path.html node:path}
+ * @requires  {@link https://nodejs.org/api/timers.html node:timers/promises}
+ * @author    Ryuu Mitsuki <{@link https://github.com/mitsuki31}>
+ * @license   MIT
+ * @since     2.0.0
+ */
+
+/**
+ * An item recorded in the job queue.
+ *
+ * @typedef  {Object} QueueItem
+ * @property {string} id - The video ID, or the URL itself if it is not a video URL (e.g., a playlist URL).
+ * @property {string} url - The queued URL.
+ * @property {'pending' | 'fetching-info' | 'downloading' | 'converting' | 'done' | 'failed'} state
+ *           The state of the item, see {@link module:queue~JobStates `JobStates`}.
+ * @property {DownloadOptions} options - The download options overridden by the item, e.g., the per-line
+ *           options of a batch file, which are applied again when the item is downloaded from the queue.
+ * @property {string | null} error - The error message if the item has failed, otherwise `null`.
+ * @property {number | null} pid - The ID of the process processing the item (i.e., fetching its information,
+ *           downloading or converting it), otherwise `null`.
+ * @property {string} addedAt - The date when the item has been queued, in ISO 8601 format.
+ * @property {string} updatedAt - The date when the state of the item has been updated, in ISO 8601 format.
+ *
+ * @global
+ * @since    2.0.0
+ */
+
+/**
+ * A URL to queue along with the download options overridden by the item.
+ *
+ * @typedef  {Object} QueueEntry
+ * @property {string} url - The URL to queue.
+ * @property {DownloadOptions} [options] - The download options overridden by the item.
+ *
+ * @global
+ * @since    2.0.0
+ */
+
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { setTimeout: sleep } = require('node:timers/promises');
+const { YTMP3_HOMEDIR, TypeUtils, URLUtils, createDirIfNotExist } = require('./utils');
+const { getTempSiblingPath } = require('./part-file');
+const { InvalidTypeError } = require('./error');
+
+/**
+ * The default path to the job queue file. It is kept in a subdirectory, because any JSON file
+ * directly within the `~/.ytmp3-js` directory is treated as a global configuration file.
+ *
+ * @type {string}
+ * @constant
+ * @public
+ * @since    2.0.0
+ */
+const QUEUE_FILE = path.join(YTMP3_HOMEDIR, 'queue', 'queue.json');
+
+/**
+ * The maximum time to wait for the lock of the queue file held by another process,
+ * in milliseconds.
+ *
+ * @type {number}
+ * @constant
+ * @private
+ */
+const LOCK_TIMEOUT = 10000;
+
+/**
+ * The interval to check whether the lock of the queue file has been released, in milliseconds.
+ *
+ * @type {number}
+ * @constant
+ * @private
+ */
+const LOCK_RETRY_INTERVAL = 50;
+
+/**
+ * All states of the queued items.
+ *
+ * @readonly
+ * @enum {string}
+ * @public
+ * @since    2.0.0
+ */
+const JobStates = Object.freeze({
+  PENDING: 'pending',
+  FETCHING_INFO: 'fetching-info',
+  DOWNLOADING: 'downloading',
+  CONVERTING: 'converting',
+  DONE: 'done',
+  FAILED: 'failed'
+});
+
+/**
+ * The states of the items being processed, which are owned by the processing process.
+ *
+ * @type {string[]}
+ * @constant
+ * @private
+ */
+const ACTIVE_STATES = [
+  JobStates.FETCHING_INFO, JobStates.DOWNLOADING, JobStates.CONVERTING
+];
+
+/**
+ * Returns the key of the given URL in the job queue, which is the video ID if available.
+ *
+ * @param {string} url - The queued URL.
+ * @returns {string} The video ID, or the URL itself if it is not a video URL.
+ *
+ * @private
+ * @since   2.0.0
+ */
+function getJobId(url) {
+  try {
+    return URLUtils.extractVideoId(url);
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * Normalizes the given URL or queue entry into a queue entry.
+ *
+ * @param {string | QueueEntry} entry - The URL or the queue entry.
+ * @returns {{ url: string, options: DownloadOptions | undefined }} The queue entry, the options
+ *          are `undefined` if not specified.
+ *
+ * @throws {InvalidTypeError} If the given entry is neither a string nor a valid queue entry.
+ *
+ * @private
+ * @since   2.0.0
+ */
+function toQueueEntry(entry) {
+  if (typeof entry === 'string') return { url: entry.trim(), options: undefined };
+  const options = entry?.options ?? undefined;
+  if (TypeUtils.isPlainObject(entry) && typeof entry.url === 'string'
+      && (options === undefined || TypeUtils.isPlainObject(options))) {
+    return { url: entry.url.trim(), options };
+  }
+  throw new InvalidTypeError('Queued URL must be a string or an object with the `url` property', {
+    actualType: TypeUtils.getType(entry),
+    expectedType: 'string | QueueEntry'
+  });
+}
+
+/**
+ * Reads the items of the given job queue file.
+ *
+ * @param {string} file - The path to the job queue file.
+ * @returns {Promise<QueueItem[]>} A promise fulfills with the queued items, or an empty array
+ *          if the file does not exist yet.
+ *
+ * @throws {Error} If the queue file cannot be read or is malformed.
+ *
+ * @async
+ * @private
+ * @since  2.0.0
+ */
+async function readQueueItems(file) {
+  let contents;
+  try {
+    contents = await fs.promises.readFile(file, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+
+  let items;
+  try {
+    ({ items } = JSON.parse(contents));
+  } catch (err) {
+    throw new Error(`Malformed job queue file: ${file}`, { cause: err });
+  }
+  if (!Array.isArray(items)) throw new Error(`Malformed job queue file: ${file}`);
+  return items;
+}
+
+/**
+ * Checks whether the process with the given ID is still running.
+ *
+ * @param {number} pid - The process ID.
+ * @returns {boolean} `true` if the process is running, `false` otherwise.
+ *
+ * @private
+ * @since   2.0.0
+ */
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);  // Only checks the existence of the process
+    return true;
+  } catch (err) {
+    return err.code === 'EPERM';
+  }
+}
+
+/**
+ * Checks whether the given item is being processed by a running process, including
+ * the current process. The items recorded without any process ID are never owned.
+ *
+ * @param {QueueItem} item - The queued item.
+ * @returns {boolean} `true` if the item is owned by a running process, `false` otherwise.
+ *
+ * @private
+ * @since   2.0.0
+ */
+function isOwnedByLiveProcess(item) {
+  return ACTIVE_STATES.includes(item.state) && item.pid > 0 && isProcessAlive(item.pid);
+}
+
+/**
+ * Acquires the lock of the given job queue file, waiting for the other process holding it.
+ * The lock file records the ID of the holding process, and is removed if that process is dead.
+ *
+ * @param {string} file - The path to the job queue file.
+ * @returns {Promise<() => Promise<void>>} A promise fulfills with the function to release the lock.
+ *
+ * @throws {Error} If the lock is still held by another process after
+ *                 {@link module:queue~LOCK_TIMEOUT `LOCK_TIMEOUT`}.
+ *
+ * @async
+ * @private
+ * @since  2.0.0
+ */
+async function acquireLock(file) {
+  const lockFile = `${file}.lock`;
+  const startTime = Date.now();
+  for (;;) {
+    try {
+      await fs.promises.writeFile(lockFile, String(process.pid), { flag: 'wx' });
+      return () => fs.promises.rm(lockFile, { force: true });
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+    }
+
+    const pid = Number.parseInt(
+      await fs.promises.readFile(lockFile, 'utf8').catch(() => ''), 10);
+    if (pid > 0 && !isProcessAlive(pid)) {
+      await fs.promises.rm(lockFile, { force: true });
+      continue;
+    }
+    if (Date.now() - startTime >= LOCK_TIMEOUT) {
+      throw new Error(`Job queue is locked by another process (PID: ${pid || 'unknown'}), `
+        + `remove the lock file if the process has exited: ${lockFile}`);
+    }
+    await sleep(LOCK_RETRY_INTERVAL);
+  }
+}
+
+/**
+ * A persistent job queue stored as a JSON file.
+ *
+ * Use the {@link module:queue~JobQueue.open `JobQueue.open`} method to load the queue
+ * from the disk. All modifications are saved to the disk immediately and sequentially,
+ * each of them is applied on the latest contents of the queue file under its lock, which
+ * also refreshes the items of this queue with the changes made by the other processes.
+ *
+ * @class
+ * @public
+ * @since   2.0.0
+ */
+class JobQueue {
+  /**
+   * @param {string} [file=QUEUE_FILE] - The path to the job queue file.
+   * @param {QueueItem[]} [items] - The queued items.
+   */
+  constructor(file = QUEUE_FILE, items = []) {
+    if (typeof file !== 'string') {
+      throw new InvalidTypeError('Queue file path must be a string', {
+        actualType: TypeUtils.getType(file),
+        expectedType: 'string'
+      });
+    }
+    this.file = path.resolve(file);
+    this._items = new Map(items.map(item => [ item.id, { ...item } ]));
+    this._writing = Promise.resolve();
+  }
+
+  /**
+   * Loads the job queue from the given file, an empty queue is returned if the file
+   * does not exist yet.
+   *
+   * @param {string} [file=QUEUE_FILE] - The path to the job queue file.
+   * @returns {Promise<JobQueue>} A promise fulfills with the loaded job queue.
+   *
+   * @throws {InvalidTypeError} If the given path is not a string.
+   * @throws {Error} If the queue file cannot be read or is malformed.
+   *
+   * @static
+   * @async
+   * @public
+   * @since  2.0.0
+   */
+  static async open(file = QUEUE_FILE) {
+    const queue = new JobQueue(file);
+    return new JobQueue(queue.file, await readQueueItems(queue.file));
+  }
+
+  /**
+   * The number of queued items.
+   * @type {number}
+   */
+  get size() {
+    return this._items.size;
+  }
+
+  /**
+   * Returns all queued items in the queued order.
+   *
+   * @param {string[]} [states] - Only return the items with these states.
+   * @returns {QueueItem[]} The copies of the queued items.
+   */
+  list(states) {
+    return [ ...this._items.values() ]
+      .filter(item => !states || states.includes(item.state))
+      .map(item => structuredClone(item));
+  }
+
+  /**
+   * Returns the URLs of all unfinished items, which include the pending and failed items,
+   * and the items left unfinished by an interrupted process. The items being processed
+   * by a running process are excluded, so they are never downloaded twice.
+   *
+   * @returns {string[]} The URLs of the unfinished items.
+   */
+  unfinished() {
+    return this.unfinishedEntries().map(entry => entry.url);
+  }
+
+  /**
+   * Returns the unfinished items along with their options, see
+   * {@link module:queue~JobQueue#unfinished `unfinished`}.
+   *
+   * @returns {QueueEntry[]} The URLs and the options of the unfinished items.
+   */
+  unfinishedEntries() {
+    return this.list()
+      .filter(item => item.state !== JobStates.DONE && !isOwnedByLiveProcess(item))
+      .map(({ url, options }) => ({ url, options: options ?? {} }));
+  }
+
+  /**
+   * Adds the given URLs to the queue as pending items. An already queued URL is reset
+   * to pending if it has finished or failed, otherwise it is left unchanged.
+   *
+   * Each URL may be given along with its options, the options of an already queued URL are
+   * kept if no options are given.
+   *
+   * @param {Array<string | QueueEntry>} urls - The URLs to queue.
+   * @returns {Promise<QueueItem[]>} A promise fulfills with the newly queued or reset items.
+   *
+   * @throws {InvalidTypeError} If the given URLs are not an array of strings or queue entries.
+   * @throws {Error} If the queue file is locked by another process for too long.
+   */
+  async add(urls) {
+    if (!Array.isArray(urls)) {
+      throw new InvalidTypeError('URLs must be an array of strings or queue entries', {
+        actualType: TypeUtils.getType(urls),
+        expectedType: 'Array<string | QueueEntry>'
+      });
+    }
+    const entries = urls.map(toQueueEntry).filter(entry => entry.url);
+
+    return this._transact(() => {
+      const now = new Date().toISOString();
+      const added = [];
+      for (const { url, options } of entries) {
+        const id = getJobId(url);
+        const item = this._items.get(id);
+        if (item && ![ JobStates.DONE, JobStates.FAILED ].includes(item.state)) continue;
+        const newItem = {
+          id,
+          url,
+          state: JobStates.PENDING,
+          options: structuredClone(options ?? item?.options ?? {}),
+          error: null,
+          pid: null,
+          addedAt: item?.addedAt ?? now,
+          updatedAt: now
+        };
+        this._items.set(id, newItem);
+        added.push(structuredClone(newItem));
+      }
+      return { result: added, changed: added.length > 0 };
+    });
+  }
+
+  /**
+   * Updates the state of the queued URLs, the URLs are queued first if not queued yet.
+   * The options of a queued URL are replaced only if the URL is given along with its options.
+   * The items updated into a processing state are owned by the current process.
+   *
+   * @param {string | QueueEntry | Array<string | QueueEntry>} urls - The queued URL or URLs.
+   * @param {string} state - The new state, see {@link module:queue~JobStates `JobStates`}.
+   * @param {Error | string} [error] - The error, only recorded for the failed state.
+   * @returns {Promise<void>}
+   *
+   * @throws {InvalidTypeError} If any of the given URLs is neither a string nor a queue entry.
+   * @throws {Error} If the given state is unknown, or the queue file is locked by another
+   *                 process for too long.
+   */
+  async update(urls, state, error) {
+    if (!Object.values(JobStates).includes(state)) {
+      throw new Error(`Unknown job state: ${state}`);
+    }
+    const entries = (Array.isArray(urls) ? urls : [ urls ]).map(toQueueEntry);
+    if (entries.length === 0) return;
+
+    await this._transact(() => {
+      const now = new Date().toISOString();
+      for (const { url, options } of entries) {
+        const id = getJobId(url);
+        const item = this._items.get(id);
+        this._items.set(id, {
+          id,
+          url: item?.url ?? url,
+          state,
+          options: structuredClone(options ?? item?.options ?? {}),
+          error: state === JobStates.FAILED
+            ? String(error?.message ?? error ?? 'Unknown error')
+            : null,
+          pid: ACTIVE_STATES.includes(state) ? process.pid : null,
+          addedAt: item?.addedAt ?? now,
+          updatedAt: now
+        });
+      }
+      return { result: undefined, changed: true };
+    });
+  }
+
+  /**
+   * Removes the given URLs from the queue.
+   *
+   * @param {string[]} urls - The URLs to remove.
+   * @returns {Promise<number>} A promise fulfills with the number of removed items.
+   */
+  async remove(urls) {
+    const ids = new Set(urls.map(getJobId));
+    return this._removeWhere(item => ids.has(item.id));
+  }
+
+  /**
+   * Removes the items from the queue, all items are removed if no state is given.
+   *
+   * The states are checked against the latest contents of the queue file, so the items
+   * updated by the other processes in the meantime are removed only if they still match.
+   *
+   * @param {string[]} [states] - Only remove the items with these states.
+   * @returns {Promise<number>} A promise fulfills with the number of removed items.
+   */
+  async clear(states) {
+    return this._removeWhere(item => !states || states.includes(item.state));
+  }
+
+  /**
+   * Removes the items matching the given predicate from the queue.
+   *
+   * @param {(item: QueueItem) => boolean} predicate - The function to test each item.
+   * @returns {Promise<number>} A promise fulfills with the number of removed items.
+   *
+   * @private
+   */
+  async _removeWhere(predicate) {
+    return this._transact(() => {
+      const ids = [ ...this._items.values() ].filter(predicate).map(item => item.id);
+      ids.forEach(id => this._items.delete(id));
+      return { result: ids.length, changed: ids.length > 0 };
+    });
+  }
+
+  /**
+   * Applies the given modification on the latest contents of the queue file and writes
+   * the result back, while holding the lock of the queue file. The transactions are
+   * serialized, and each write replaces the queue file atomically.
+   *
+   * @template T
+   * @param {() => { result: T, changed: boolean }} modify - The function to modify the items,
+   *        returning the result and whether the items have been changed.
+   * @returns {Promise<T>} A promise fulfills with the result of the modification.
+   *
+   * @throws {Error} If the lock cannot be acquired, or the queue file cannot be read or written.
+   *
+   * @private
+   */
+  async _transact(modify) {
+    const transaction = this._writing.catch(() => {}).then(async () => {
+      await createDirIfNotExist(path.dirname(this.file));
+      const releaseLock = await acquireLock(this.file);
+      try {
+        const items = await readQueueItems(this.file);
+        this._items = new Map(items.map(item => [ item.id, item ]));
+        const { result, changed } = modify();
+        if (changed) await this._write();
+        return result;
+      } finally {
+        await releaseLock();
+      }
+    });
+    this._writing = transaction;
+    return transaction;
+  }
+
+  /**
+   * Writes the items to the queue file atomically, must be called while holding the lock.
+   *
+   * @returns {Promise<void>}
+   *
+   * @private
+   */
+  async _write() {
+    const contents = JSON.stringify({ items: this.list() }, null, 2) + '\n';
+    const tempFile = getTempSiblingPath(this.file);
+    try {
+      await fs.promises.writeFile(tempFile, contents, 'utf8');
+      await fs.promises.rename(tempFile, this.file);
+    } catch (err) {
+      await fs.promises.rm(tempFile, { force: true });
+      throw err;
+    }
+  }
+}
+
+module.exports = {
+  QUEUE_FILE,
+  JobStates,
+  JobQueue
+};
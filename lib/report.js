@@ -0,0 +1,307 @@
+/**
+ * @file This module provides functions to write the machine-readable report of a batch download.
+ *
+ * The report is written as a JSON file, or as a CSV file if the report file has the `.csv`
+ * extension. Each video of the batch download is reported with its status, output paths,
+ * file sizes, duration, conversion result, error and timing.
+ *
+ * A companion `<report>.failed.txt` file is written next to the report (e.g., `report.failed.txt`
+ * for `report.json`), listing only the failed videos along with their per-item options in the
+ * text batch file syntax. It is a valid batch file, so the failed videos can be downloaded again
+ * the same way with `ytmp3 -f report.failed.txt`.
+ *
+ * @example
+ * const results = await ytmp3.batchDownload('downloads.txt', { reportFile: 'report.json' });
+ * // Or write the report of the results manually
+ * await writeBatchReport('report.csv', createBatchReport(results));
+ *
+ * @module    report
+ * @requires  batch-file
+ * @requires  utils
+ * @requires  {@link https://nodejs.org/api/fs.html node:fs}
+ * @requires  {@link https://nodejs.org/api/path.html node:path}
+ * @author    Ryuu Mitsuki <{@link https://github.com/mitsuki31}>
+ * @license   MIT
+ * @since     2.0.0
+ */
+
+/**
+ * The report of a video in the batch download.
+ *
+ * @typedef  {Object} BatchReportItem
+ * @property {string} videoId - The video ID.
+ * @property {string} url - The video URL.
+ * @property {string | null} title - The video title, or `null` if unknown.
+ * @property {'done' | 'failed' | 'skipped'} status - The status of the video.
+ * @property {'info' | 'download' | 'convert' | 'postprocess' | null} phase - The phase in which the video
+ *           has failed, or `null` if it has not failed.
+ * @property {string | null} output - The path to the downloaded audio file.
+ * @property {number | null} size - The size of the downloaded audio file in bytes, or `null` if it does not exist.
+ * @property {number | null} duration - The video duration in seconds.
+ * @property {string | null} convertedOutput - The path to the converted audio file, or `null` if not converted.
+ * @property {number | null} convertedSize - The size of the converted audio file in bytes.
+ * @property {string | null} errorClass - The class name of the error, e.g., `'URLValidationError'`.
+ * @property {string | null} errorMessage - The error message.
+ * @property {number} attempts - The number of download attempts, including the retries.
+ * @property {string | null} startedAt - The date when the video started processing, in ISO 8601 format.
+ * @property {string | null} finishedAt - The date when the video finished processing, in ISO 8601 format.
+ * @property {number | null} elapsed - The processing time in milliseconds.
+ * @property {DownloadOptions} options - The download options overridden by the item of the video, e.g., the
+ *           per-line options of the batch file. It is omitted from the CSV report.
+ *
+ * @global
+ * @since    2.0.0
+ */
+
+/**
+ * The report of a batch download.
+ *
+ * @typedef  {Object} BatchReport
+ * @property {string | null} startedAt - The date when the batch download started, in ISO 8601 format.
+ * @property {string | null} finishedAt - The date when the batch download finished, in ISO 8601 format.
+ * @property {number | null} elapsed - The elapsed time in milliseconds.
+ * @property {{ total: number, done: number, failed: number, skipped: number }} summary
+ *           The number of videos for each status.
+ * @property {BatchReportItem[]} items - The report of each video, in the batch file order.
+ *
+ * @global
+ * @since    2.0.0
+ */
+
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { createDirIfNotExist } = require('./utils');
+const { formatTextLine } = require('./batch-file');
+
+/**
+ * The suffix of the file listing the failed URLs, which replaces the extension of the report file.
+ *
+ * @type {string}
+ * @constant
+ * @public
+ * @since    2.0.0
+ */
+const FAILED_FILE_SUFFIX = '.failed.txt';
+
+/**
+ * The columns of the CSV report, in order.
+ * @constant
+ * @private
+ */
+const REPORT_COLUMNS = Object.freeze([
+  'videoId', 'url', 'title', 'status', 'phase', 'output', 'size', 'duration',
+  'convertedOutput', 'convertedSize', 'errorClass', 'errorMessage', 'attempts',
+  'startedAt', 'finishedAt', 'elapsed'
+]);
+
+/**
+ * Returns the path to the file listing the failed URLs of the given report file, which is
+ * written next to the report file, e.g., `report.failed.txt` for `report.json`.
+ *
+ * @param {string} reportFile - The path to the report file.
+ * @returns {string} The absolute path to the failed URLs file.
+ *
+ * @public
+ * @since   2.0.0
+ */
+function getFailedFilePath(reportFile) {
+  const { dir, name } = path.parse(path.resolve(reportFile));
+  return path.join(dir, name + FAILED_FILE_SUFFIX);
+}
+
+/**
+ * Returns the size of the given file in bytes.
+ *
+ * @param {string | null} file - The path to the file.
+ * @returns {number | null} The file size, or `null` if the file does not exist.
+ *
+ * @private
+ * @since   2.0.0
+ */
+function getFileSize(file) {
+  try {
+    return file ? fs.statSync(file).size : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Converts the given date into an ISO 8601 string.
+ *
+ * @param {Date | number | string} [date] - The date to convert.
+ * @returns {string | null} The ISO 8601 string, or `null` if no date is given.
+ *
+ * @private
+ * @since   2.0.0
+ */
+function toISOString(date) {
+  return (date === undefined || date === null) ? null : new Date(date).toISOString();
+}
+
+/**
+ * Returns the elapsed time between the given dates in milliseconds.
+ *
+ * @param {Date | number | string} [start] - The start date.
+ * @param {Date | number | string} [end] - The end date.
+ * @returns {number | null} The elapsed time, or `null` if either date is not given.
+ *
+ * @private
+ * @since   2.0.0
+ */
+function getElapsed(start, end) {
+  return (start && end) ? new Date(end) - new Date(start) : null;
+}
+
+/**
+ * Returns the phase in which the video of the given result has failed.
+ *
+ * @param {BatchDownloadResult} result - The result of the failed video.
+ * @param {Error | null} convertError - The conversion error of the video, if any.
+ * @returns {'info' | 'download' | 'convert' | 'postprocess'} The phase of the failure.
+ *
+ * @private
+ * @since   2.0.0
+ */
+function getFailedPhase(result, convertError) {
+  if (result.postprocessors?.some(pp => pp.error)) return 'postprocess';
+  if (convertError) return 'convert';
+  // The video information is missing if it has failed to be fetched
+  return result.metadata ? 'download' : 'info';
+}
+
+/**
+ * Creates the report of a batch download from its results.
+ *
+ * @param {Record<string, BatchDownloadResult>} results - The results of the batch download,
+ *        with the video IDs as keys.
+ * @param {Object} [options]
+ * @param {Date | number} [options.startedAt] - The date when the batch download started.
+ * @param {Date | number} [options.finishedAt] - The date when the batch download finished.
+ * @param {Record<string, { startedAt: Date, finishedAt: Date }>} [options.timings]
+ *        The processing dates of each video, with the video IDs as keys.
+ * @param {Record<string, DownloadOptions>} [options.itemOptions] - The download options
+ *        overridden by the item of each video, with the video IDs as keys.
+ * @returns {BatchReport} The report of the batch download.
+ *
+ * @public
+ * @since   2.0.0
+ */
+function createBatchReport(results, options = {}) {
+  const { startedAt, finishedAt, timings = {}, itemOptions = {} } = options;
+  const items = Object.entries(results).map(([ videoId, result ]) => {
+    const [ downloadError, convertError ] = result.errors ?? [];
+    const error = downloadError || convertError || null;
+    const timing = timings[videoId] ?? {};
+    const convertedOutput = result.conversionResult?.output?.path ?? null;
+    return {
+      videoId,
+      url: result.url,
+      title: result.metadata?.title ?? null,
+      status: result.skipped ? 'skipped' : (error ? 'failed' : 'done'),
+      phase: error ? getFailedPhase(result, convertError) : null,
+      output: result.path ?? null,
+      size: getFileSize(result.path),
+      duration: result.metadata?.duration ?? null,
+      convertedOutput,
+      convertedSize: getFileSize(convertedOutput),
+      errorClass: error ? (error.constructor?.name || error.name || 'Error') : null,
+      errorMessage: error ? String(error.message ?? error) : null,
+      attempts: result.attempts?.length ?? 0,
+      startedAt: toISOString(timing.startedAt),
+      finishedAt: toISOString(timing.finishedAt),
+      elapsed: getElapsed(timing.startedAt, timing.finishedAt),
+      options: itemOptions[videoId] ?? {}
+    };
+  });
+
+  return {
+    startedAt: toISOString(startedAt),
+    finishedAt: toISOString(finishedAt),
+    elapsed: getElapsed(startedAt, finishedAt),
+    summary: {
+      total: items.length,
+      ...[ 'done', 'failed', 'skipped' ].reduce((acc, status) => {
+        acc[status] = items.filter(item => item.status === status).length;
+        return acc;
+      }, {})
+    },
+    items
+  };
+}
+
+/**
+ * Escapes the given value as a CSV cell.
+ *
+ * @param {any} value - The value to escape.
+ * @returns {string} The CSV cell, enclosed in double quotes if necessary.
+ *
+ * @private
+ * @since   2.0.0
+ */
+function toCsvCell(value) {
+  const cell = (value === null || value === undefined) ? '' : String(value);
+  return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+}
+
+/**
+ * Formats the given report as a CSV table, one row per video.
+ *
+ * @param {BatchReport} report - The report to format.
+ * @returns {string} The CSV table with a header row.
+ *
+ * @private
+ * @since   2.0.0
+ */
+function formatCsvReport(report) {
+  return [
+    REPORT_COLUMNS.join(','),
+    ...report.items.map(item => REPORT_COLUMNS.map(col => toCsvCell(item[col])).join(','))
+  ].join('\n') + '\n';
+}
+
+/**
+ * Writes the given report into a JSON file, or a CSV file if the file has the `.csv` extension.
+ * The failed videos are written along with their options into the `<report>.failed.txt` file
+ * next to the report (see {@link module:report~getFailedFilePath `getFailedFilePath`}), which
+ * can be downloaded again as a batch file. Both files are overwritten if they already exist.
+ *
+ * @param {string} file - The path to the report file.
+ * @param {BatchReport} report - The report to write.
+ * @returns {Promise<{ reportFile: string, failedFile: string }>} A promise fulfills with
+ *          the absolute paths to the written report file and failed URLs file.
+ *
+ * @async
+ * @public
+ * @since  2.0.0
+ */
+async function writeBatchReport(file, report) {
+  const reportFile = path.resolve(file);
+  const failedFile = getFailedFilePath(reportFile);
+  await createDirIfNotExist(path.dirname(reportFile));
+
+  await fs.promises.writeFile(reportFile, path.extname(reportFile).toLowerCase() === '.csv'
+    ? formatCsvReport(report)
+    : JSON.stringify(report, null, 2) + '\n', 'utf8');
+
+  const failedLines = report.items
+    .filter(item => item.status === 'failed')
+    .map(item => formatTextLine(item.url, item.options));
+  await fs.promises.writeFile(failedFile, [
+    `# Failed downloads reported in ${path.basename(reportFile)}`
+      + (report.finishedAt ? ` at ${report.finishedAt}` : ''),
+    ...failedLines
+  ].join('\n') + '\n', 'utf8');
+
+  return { reportFile, failedFile };
+}
+
+
+module.exports = {
+  FAILED_FILE_SUFFIX,
+  getFailedFilePath,
+  createBatchReport,
+  writeBatchReport
+};
@@ -0,0 +1,465 @@
+/**
+ * @file This module provides functions to resolve YouTube playlist and channel URLs into
+ *       an ordered list of video IDs.
+ *
+ * The playlist page is fetched and its initial data (`ytInitialData`) is parsed to collect
+ * the video IDs. Playlists with more items than the first page can hold are continued by
+ * requesting the next pages using the continuation tokens found within the page data.
+ *
+ * Channels are resolved through their uploads playlist, which lists the uploaded videos
+ * from the newest one. The channel ID of a handle URL (`/@HANDLE`) is looked up from the
+ * channel page first.
+ *
+ * All requests are made through a page fetcher, which defaults to the global `fetch` function.
+ * The fetcher can be replaced with a custom function, making it possible to resolve the
+ * playlists from local HTML or JSON files.
+ *
+ * @example
+ * const { resolvePlaylist } = require('./resolver');
+ *
+ * const ids = await resolvePlaylist('https://www.youtube.com/playlist?list=PL123', {
+ *   limit: 10,
+ *   offset: 5,
+ *   reverse: true
+ * });
+ * console.log(ids);  // [ 'abcdefghijk', ... ]
+ *
+ * @module    resolver
+ * @requires  error
+ * @requires  utils
+ * @requires  utils/yt-urlfmt
+ * @author    Ryuu Mitsuki <{@link https://github.com/mitsuki31}>
+ * @license   MIT
+ * @since     2.0.0
+ */
+
+'use strict';
+
+const {
+  TypeUtils,
+  resolveOptions,
+  _ResolverOptions
+} = require('./utils');
+const YT_URLFORMAT = require('./utils/yt-urlfmt');
+const { InvalidTypeError, ResolverError } = require('./error');
+
+/**
+ * A function to fetch the contents of YouTube pages.
+ *
+ * The function is called with the page URL and the request options, and must
+ * returns (or fulfills with) the contents of the page as a string, whether it is
+ * an HTML page or a JSON response.
+ *
+ * @callback PageFetcher
+ * @param {string} url - The URL of the page to fetch.
+ * @param {Object} request - The request options.
+ * @param {'GET' | 'POST'} request.method - The request method.
+ * @param {Record<string, string>} request.headers - The request headers.
+ * @param {string} [request.body] - The request body, only for `POST` requests.
+ * @returns {string | Promise<string>} The contents of the page.
+ *
+ * @global
+ * @since  2.0.0
+ */
+
+/**
+ * Options to configure the playlist resolution.
+ *
+ * @typedef  {Object} ResolverOptions
+ * @property {number} [limit] - The maximum number of videos to resolve. Unlimited if unspecified
+ *                              or a non-positive number.
+ * @property {number} [offset=0] - The number of videos to skip from the start of the playlist.
+ * @property {boolean} [reverse=false] - Whether to reverse the order of resolved videos. The videos
+ *                                       are reversed after the `offset` and `limit` being applied.
+ * @property {PageFetcher} [fetcher] - The function to fetch the pages. If not specified, defaults to
+ *                                     {@link module:resolver~defaultFetcher `defaultFetcher`}.
+ *
+ * @global
+ * @since    2.0.0
+ */
+
+/**
+ * The URL of YouTube internal API to request the continuation pages.
+ *
+ * @constant
+ * @package
+ */
+const BROWSE_API_URL = 'https://www.youtube.com/youtubei/v1/browse';
+
+/**
+ * The fallback web client version used to request the continuation pages,
+ * used when the client version is not found within the page.
+ *
+ * @constant
+ * @package
+ */
+const DEFAULT_CLIENT_VERSION = '2.20250101.00.00';
+
+/**
+ * Default headers used for all requests, the consent cookie prevents
+ * being redirected to the consent page.
+ *
+ * @constant
+ * @private
+ */
+const DEFAULT_HEADERS = Object.freeze({
+  'Accept-Language': 'en-US,en;q=0.9',
+  Cookie: 'CONSENT=YES+1'
+});
+
+/**
+ * Fetches the contents of the given page using the global `fetch` function.
+ *
+ * @param {string} url - The URL of the page to fetch.
+ * @param {Object} [request] - The request options.
+ * @param {'GET' | 'POST'} [request.method='GET'] - The request method.
+ * @param {Record<string, string>} [request.headers] - The request headers.
+ * @param {string} [request.body] - The request body.
+ *
+ * @returns {Promise<string>} A promise fulfills with the contents of the page.
+ *
+ * @throws {ResolverError} If the server responds with an unsuccessful status code.
+ *
+ * @async
+ * @package
+ * @since  2.0.0
+ */
+async function defaultFetcher(url, { method = 'GET', headers, body } = {}) {
+  const response = await fetch(url, {
+    method,
+    headers: { ...DEFAULT_HEADERS, ...headers },
+    body
+  });
+  if (!response.ok) {
+    throw new ResolverError(
+      `Unable to fetch the page (${response.status} ${response.statusText}): ${url}`);
+  }
+  return await response.text();
+}
+
+/**
+ * Checks whether the given URL is a YouTube (or YouTube Music) playlist URL.
+ *
+ * A video URL that is played within a playlist (e.g., `watch?v=VIDEO_ID&list=PLAYLIST_ID`)
+ * is not considered as playlist URL, as it refers to a single video.
+ *
+ * @param {string | URL} url - The URL to check.
+ * @returns {boolean} `true` if the given URL is a playlist URL, otherwise `false`.
+ *
+ * @public
+ * @since  2.0.0
+ */
+function isPlaylistUrl(url) {
+  url = (url instanceof URL) ? url.href : url;
+  if (typeof url !== 'string') return false;
+  url = url.trim();
+
+  return YT_URLFORMAT.PLAYLIST.test(url)
+    || (YT_URLFORMAT.MUSIC.test(url) && new URL(url).pathname === '/playlist');
+}
+
+/**
+ * Extracts the playlist ID from the given playlist URL.
+ *
+ * @param {string | URL} url - The playlist URL.
+ * @returns {string} The playlist ID.
+ *
+ * @throws {ResolverError} If the given URL is not a playlist URL.
+ *
+ * @public
+ * @since  2.0.0
+ */
+function extractPlaylistId(url) {
+  if (!isPlaylistUrl(url)) {
+    throw new ResolverError(`Given URL is not a playlist URL: ${url}`);
+  }
+  return new URL(url).searchParams.get('list');
+}
+
+/**
+ * Checks whether the given URL is a YouTube channel URL, either with the channel ID
+ * (`/channel/CHANNEL_ID`) or the channel handle (`/@HANDLE`).
+ *
+ * @param {string | URL} url - The URL to check.
+ * @returns {boolean} `true` if the given URL is a channel URL, otherwise `false`.
+ *
+ * @public
+ * @since  2.0.0
+ */
+function isChannelUrl(url) {
+  url = (url instanceof URL) ? url.href : url;
+  if (typeof url !== 'string') return false;
+  url = url.trim();
+
+  return YT_URLFORMAT.CHANNEL.test(url) || YT_URLFORMAT.HANDLE.test(url);
+}
+
+/**
+ * Extracts the channel ID from the given channel URL.
+ *
+ * The channel handle URL does not contain the channel ID, in that case this
+ * function returns `null` and the ID must be looked up from the channel page.
+ *
+ * @param {string | URL} url - The channel URL.
+ * @returns {string | null} The channel ID, or `null` if the URL is a channel handle URL.
+ *
+ * @throws {ResolverError} If the given URL is not a channel URL.
+ *
+ * @public
+ * @since  2.0.0
+ */
+function extractChannelId(url) {
+  if (!isChannelUrl(url)) {
+    throw new ResolverError(`Given URL is not a channel URL: ${url}`);
+  }
+  const [ first, second ] = new URL(url).pathname.split('/').slice(1);
+  return first === 'channel' ? second : null;
+}
+
+/**
+ * Parses the page data from the given page contents.
+ *
+ * The contents can be either a JSON response, or an HTML page containing the
+ * `ytInitialData` object.
+ *
+ * @param {string} contents - The page contents.
+ * @returns {{ data: Object, clientVersion: string | null }} The parsed page data and the
+ *          web client version (only available for HTML page).
+ *
+ * @throws {ResolverError} If the page data cannot be found or parsed.
+ *
+ * @package
+ * @since   2.0.0
+ */
+function parsePageData(contents) {
+  if (typeof contents !== 'string') {
+    throw new InvalidTypeError('Page contents must be a string', {
+      actualType: TypeUtils.getType(contents),
+      expectedType: 'string'
+    });
+  }
+
+  contents = contents.trim();
+  let data = null;
+  let clientVersion = null;
+  try {
+    if (contents.startsWith('{')) {
+      data = JSON.parse(contents);
+    } else {
+      const match = /ytInitialData"?\]?\s*=\s*({.+?})\s*;\s*(?:var\s|<\/script>)/s
+        .exec(contents);
+      if (match) data = JSON.parse(match[1]);
+      clientVersion = (/"INNERTUBE_CONTEXT_CLIENT_VERSION"\s*:\s*"([^"]+)"/
+        .exec(contents) || [])[1] || null;
+    }
+  } catch (cause) {
+    throw new ResolverError('Unable to parse the page data', { cause });
+  }
+
+  if (!TypeUtils.isPlainObject(data)) {
+    throw new ResolverError('No page data found within the page contents');
+  }
+  return { data, clientVersion };
+}
+
+/**
+ * Collects all values of properties with the given key within the given object,
+ * in the order they appear in the object.
+ *
+ * @param {Object} obj - The object to search in.
+ * @param {string} key - The property name to collect.
+ * @returns {Array<any>} All values of the matching properties.
+ *
+ * @private
+ * @since   2.0.0
+ */
+function findAll(obj, key) {
+  const results = [];
+  const stack = [ obj ];
+
+  while (stack.length) {
+    const current = stack.pop();
+    if (!current || typeof current !== 'object') continue;
+    if (!Array.isArray(current) && key in current) results.push(current[key]);
+
+    // Push in reverse order to visit the children in their original order
+    const children = Array.isArray(current) ? current : Object.values(current);
+    for (let i = children.length - 1; i >= 0; i--) {
+      if (children[i] && typeof children[i] === 'object') stack.push(children[i]);
+    }
+  }
+  return results;
+}
+
+/**
+ * Extracts the playable video IDs and the next continuation token from the given page data.
+ *
+ * @param {Object} data - The page data.
+ * @returns {{ ids: string[], continuation: string | null }}
+ *
+ * @private
+ * @since   2.0.0
+ */
+function extractPlaylistItems(data) {
+  const ids = findAll(data, 'playlistVideoRenderer')
+    .filter(item => item && item.isPlayable !== false && typeof item.videoId === 'string')
+    .map(item => item.videoId);
+  const continuation = findAll(data, 'continuationItemRenderer')
+    .map(item => item?.continuationEndpoint?.continuationCommand?.token)
+    .find(token => typeof token === 'string') || null;
+
+  return { ids, continuation };
+}
+
+/**
+ * Resolves the given YouTube playlist URL into an ordered list of video IDs.
+ *
+ * The `offset` and `limit` options are applied in the playlist order, and then the selected
+ * videos are reversed if the `reverse` option is enabled. Only the required pages are requested,
+ * so a limited resolution of a large playlist stops early.
+ *
+ * Unavailable videos (e.g., deleted or private videos) within the playlist are excluded.
+ *
+ * @param {string | URL} url - The playlist URL to resolve.
+ * @param {ResolverOptions} [options] - Options to configure the playlist resolution.
+ *
+ * @returns {Promise<string[]>} A promise fulfills with the ordered video IDs.
+ *
+ * @throws {InvalidTypeError} If the given options is not a plain object.
+ * @throws {ResolverError} If the given URL is not a playlist URL, the playlist page cannot be
+ *                         fetched or parsed, or the playlist contains no videos.
+ *
+ * @example
+ * // Resolve the playlist from local files
+ * const ids = await resolvePlaylist('https://www.youtube.com/playlist?list=PL123', {
+ *   fetcher: async (url, { method }) => {
+ *     return fs.promises.readFile(method === 'POST' ? 'next.json' : 'playlist.html', 'utf8');
+ *   }
+ * });
+ *
+ * @async
+ * @public
+ * @since  2.0.0
+ */
+async function resolvePlaylist(url, options) {
+  if (typeof options !== 'undefined' && !TypeUtils.isPlainObject(options)) {
+    throw new InvalidTypeError('Options must be a plain object', {
+      actualType: TypeUtils.getType(options),
+      expectedType: TypeUtils.getType({})
+    });
+  }
+
+  const { limit, offset, reverse, fetcher } = resolveOptions(
+    options || {}, _ResolverOptions, true);
+  const fetchPage = fetcher || defaultFetcher;
+  const start = Math.max(Math.floor(offset) || 0, 0);
+  const count = (typeof limit === 'number' && limit > 0) ? Math.floor(limit) : Infinity;
+
+  const playlistId = extractPlaylistId(url);
+  const pageUrl = `https://www.youtube.com/playlist?list=${encodeURIComponent(playlistId)}`;
+
+  const { data, clientVersion } = parsePageData(await fetchPage(pageUrl, {
+    method: 'GET',
+    headers: { ...DEFAULT_HEADERS }
+  }));
+  let { ids, continuation } = extractPlaylistItems(data);
+  if (!ids.length && !continuation) {
+    throw new ResolverError(`No videos found in playlist: ${playlistId}`);
+  }
+
+  // Request the next pages until the required videos are collected
+  const seenTokens = new Set();
+  while (continuation && ids.length < start + count && !seenTokens.has(continuation)) {
+    seenTokens.add(continuation);
+    const { data: nextData } = parsePageData(await fetchPage(BROWSE_API_URL, {
+      method: 'POST',
+      headers: { ...DEFAULT_HEADERS, 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        context: {
+          client: {
+            clientName: 'WEB',
+            clientVersion: clientVersion || DEFAULT_CLIENT_VERSION,
+            hl: 'en'
+          }
+        },
+        continuation
+      })
+    }));
+    const next = extractPlaylistItems(nextData);
+    ids.push(...next.ids);
+    continuation = next.continuation;
+  }
+
+  ids = ids.slice(start, start + count);
+  return reverse ? ids.reverse() : ids;
+}
+
+/**
+ * Resolves the given YouTube channel URL into an ordered list of its uploaded video IDs,
+ * starting from the newest upload.
+ *
+ * The videos are resolved from the channel's uploads playlist using
+ * {@link module:resolver~resolvePlaylist `resolvePlaylist`}, thus the same options are applied.
+ * Use the `limit` option to only resolve the latest uploads.
+ *
+ * @param {string | URL} url - The channel URL to resolve, either with channel ID or channel handle.
+ * @param {ResolverOptions} [options] - Options to configure the channel resolution.
+ *
+ * @returns {Promise<string[]>} A promise fulfills with the ordered video IDs.
+ *
+ * @throws {InvalidTypeError} If the given options is not a plain object.
+ * @throws {ResolverError} If the given URL is not a channel URL, the channel ID cannot be
+ *                         found, or the uploads playlist cannot be resolved.
+ *
+ * @example
+ * // Resolve the latest 10 uploads
+ * const ids = await resolveChannel('https://www.youtube.com/@someone', { limit: 10 });
+ *
+ * @async
+ * @public
+ * @since  2.0.0
+ */
+async function resolveChannel(url, options) {
+  if (typeof options !== 'undefined' && !TypeUtils.isPlainObject(options)) {
+    throw new InvalidTypeError('Options must be a plain object', {
+      actualType: TypeUtils.getType(options),
+      expectedType: TypeUtils.getType({})
+    });
+  }
+
+  let channelId = extractChannelId(url);
+  if (!channelId) {
+    // Look up the channel ID from the channel page
+    const handle = new URL(url).pathname.split('/')[1];
+    const fetchPage = options?.fetcher || defaultFetcher;
+    const { data } = parsePageData(await fetchPage(`https://www.youtube.com/${handle}`, {
+      method: 'GET',
+      headers: { ...DEFAULT_HEADERS }
+    }));
+    channelId = findAll(data, 'channelMetadataRenderer')
+      .map(metadata => metadata?.externalId)
+      .find(id => typeof id === 'string') || null;
+  }
+
+  // The channel ID always begins with 'UC', and its uploads playlist begins with 'UU'
+  if (typeof channelId !== 'string' || !/^UC[\w-]{22}$/.test(channelId)) {
+    throw new ResolverError(`Unable to find the channel ID of: ${url}`);
+  }
+
+  return await resolvePlaylist(
+    `https://www.youtube.com/playlist?list=UU${channelId.slice(2)}`, options);
+}
+
+
+module.exports = {
+  BROWSE_API_URL,
+  DEFAULT_CLIENT_VERSION,
+  defaultFetcher,
+  isPlaylistUrl,
+  isChannelUrl,
+  extractPlaylistId,
+  extractChannelId,
+  parsePageData,
+  resolvePlaylist,
+  resolveChannel
+};
@@ -277,10 +277,10 @@ function checkFfmpeg({ env, logger }) {
 
 // region Setups
 
-function setupLogLevel({ env = process.env }) {
+function setupLogLevel({ env = process.env, stdout = process.stdout }) {
   let logLevel;
   let logger = Logger.createLogger(Logger.LOG_LEVELS.INFO, {
-    stdout: process.stdout,
+    stdout,
     stderr: process.stderr
   });
 
@@ -300,17 +300,19 @@ function setupLogLevel({ env = process.env }) {
       && Logger.debug(`Log level set to ${$c([0, '^', 'BB'], logLevel)}`);
 
     // * NOTE: Make sure it does not create a new logger with similar log level as previous
-    if (usedLevel !== logger.level) logger = Logger.createLogger(usedLevel);
+    if (usedLevel !== logger.level) {
+      logger = Logger.createLogger(usedLevel, { stdout, stderr: process.stderr });
+    }
   }
 
   setGlob('logLevel', usedLevel);
   setGlob('logger', logger);
 }
 
-function setupLogFile({ logLevel, env = process.env }) {
+function setupLogFile({ logLevel, env = process.env, stdout = process.stdout }) {
   let logger = global[YTMP3_SYMBOL].logger ?? Logger.createLogger(
     Logger.LOG_LEVELS.INFO, {
-      stdout: process.stdout,
+      stdout,
       stderr: process.stderr
     }
   );
@@ -351,7 +353,7 @@ function setupLogFile({ logLevel, env = process.env }) {
       // ! WARN: These error messages will only appear on debug level
       if (logLevel === 'DEBUG') {
         logger = Logger.createLogger(Logger.LOG_LEVELS.INFO, {
-          stdout: process.stdout,
+          stdout,
           stderr: process.stderr
         });
         setGlob('logger', logger);
@@ -518,16 +520,19 @@ function setupGlobalVars({ env = process.env }) {
 /**
  * @param {object} params
  * @param {NodeJS.ProcessEnv | object} [env]
+ * @param {NodeJS.WritableStream} [stdout] - The stream to write the standard log outputs,
+ *                                           e.g. `process.stderr` when stdout carries data.
  * @returns {Promise<void>}
  */
-async function setupAll({ env = process.env } = {}) {
+async function setupAll({ env = process.env, stdout = process.stdout } = {}) {
   env = typeof env === 'object' ? env : process.env;
 
-  setupLogLevel({ env });
+  setupLogLevel({ env, stdout });
 
   const logFile = setupLogFile({
     logLevel: getGlob('logger').level,
-    env
+    env,
+    stdout
   });
   if (logFileStatus) logFileStatus = await logFileStatus;
 
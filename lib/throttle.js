@@ -0,0 +1,219 @@
+/**
+ * @file This module provides a token-bucket throttle to limit the download bandwidth.
+ *
+ * A token bucket is filled with tokens (bytes) at a constant rate, up to its capacity.
+ * Each chunk passing through the throttle stream consumes its size from every given bucket,
+ * and is delayed until all buckets have enough tokens. Sharing a single bucket across several
+ * throttle streams limits their total throughput, which allows to limit the bandwidth both
+ * per download and globally across concurrent downloads.
+ *
+ * @example
+ * const globalBucket = new TokenBucket(parseRate('2M'));
+ * const throttle = createThrottle([ new TokenBucket(parseRate('1M')), globalBucket ]);
+ * ytdlStream.pipe(throttle).pipe(outStream);
+ *
+ * @module    throttle
+ * @requires  error
+ * @requires  utils
+ * @requires  {@link https://nodejs.org/api/stream.html node:stream}
+ * @author    Ryuu Mitsuki <{@link https://github.com/mitsuki31}>
+ * @license   MIT
+ * @since     2.0.0
+ */
+
+'use strict';
+
+const { Transform } = require('node:stream');
+const { TypeUtils } = require('./utils');
+const { InvalidTypeError } = require('./error');
+
+/**
+ * The multipliers of the rate units, using binary prefixes (e.g., `1K` equals to 1024 bytes).
+ *
+ * @constant
+ * @private
+ * @since    2.0.0
+ */
+const RATE_UNITS = Object.freeze({
+  '': 1,
+  k: 1024,
+  m: 1024 ** 2,
+  g: 1024 ** 3
+});
+
+/**
+ * The maximum size of a chunk passed at once, larger chunks are split to keep
+ * the throughput smooth.
+ *
+ * @constant
+ * @private
+ * @since    2.0.0
+ */
+const MAX_CHUNK_SIZE = 16 * 1024;
+
+/**
+ * Parses the given rate limit into the number of bytes per second.
+ *
+ * The rate can be a number of bytes per second, or a string with an optional unit suffix
+ * `K`, `M` or `G` using binary prefixes (e.g., `'500K'`, `'2M'`, `'1.5MiB'` or `'2MB/s'`).
+ *
+ * @param {number | string} rate - The rate limit to parse.
+ * @returns {number} The rate limit in bytes per second.
+ *
+ * @throws {InvalidTypeError} If the given rate is neither a number nor a string.
+ * @throws {Error} If the given rate is invalid or not positive.
+ *
+ * @public
+ * @since  2.0.0
+ */
+function parseRate(rate) {
+  if (typeof rate !== 'number' && typeof rate !== 'string') {
+    throw new InvalidTypeError('Rate limit must be a number or a string', {
+      actualType: TypeUtils.getType(rate),
+      expectedType: 'number | string'
+    });
+  }
+
+  let bytes = rate;
+  if (typeof rate === 'string') {
+    const match = /^(\d+(?:\.\d+)?)\s*([kmg]?)(?:i?b)?(?:\/s)?$/i.exec(rate.trim());
+    bytes = match ? parseFloat(match[1]) * RATE_UNITS[match[2].toLowerCase()] : NaN;
+  }
+  if (!Number.isFinite(bytes) || bytes <= 0) {
+    throw new Error(`Invalid rate limit: ${rate}`);
+  }
+  return Math.floor(bytes) || 1;
+}
+
+/**
+ * A token bucket limiting the number of bytes passed per second.
+ *
+ * The bucket starts empty and lends the tokens in advance, the consumer waits until the borrowed
+ * tokens have been refilled. Thus, the consumers sharing the same bucket are served in the order
+ * they consume, and the rate is satisfied from the very first byte.
+ *
+ * @public
+ * @since  2.0.0
+ */
+class TokenBucket {
+  /**
+   * Creates a new token bucket.
+   *
+   * @param {number} rate - The number of tokens (bytes) refilled per second.
+   * @param {number} [capacity=rate] - The maximum number of tokens, which limits the burst size.
+   *
+   * @throws {Error} If the rate or the capacity is not a positive number.
+   */
+  constructor(rate, capacity=rate) {
+    if (!(rate > 0) || !(capacity > 0)) {
+      throw new Error(`Invalid token bucket rate or capacity: ${rate}, ${capacity}`);
+    }
+    /**
+     * The number of tokens (bytes) refilled per second.
+     * @type {number}
+     */
+    this.rate = rate;
+    /**
+     * The maximum number of tokens.
+     * @type {number}
+     */
+    this.capacity = capacity;
+    this.tokens = 0;
+    this.lastRefill = Date.now();
+  }
+
+  /**
+   * Consumes the given number of tokens.
+   *
+   * @param {number} count - The number of tokens to consume.
+   * @returns {number} The delay in milliseconds to wait until the consumed tokens are available.
+   */
+  consume(count) {
+    const now = Date.now();
+    this.tokens = Math.min(
+      this.capacity, this.tokens + ((now - this.lastRefill) / 1000) * this.rate);
+    this.lastRefill = now;
+    this.tokens -= count;
+    return this.tokens >= 0 ? 0 : Math.ceil((-this.tokens / this.rate) * 1000);
+  }
+}
+
+/**
+ * Creates a transform stream that delays the passed chunks to satisfy all given token buckets.
+ *
+ * The stream emits the `'progress'` event similar to the `ytdl-core` download stream, with the chunk
+ * length, the number of bytes downloaded and the total bytes. The number of bytes downloaded starts
+ * from the `offset` property of the stream, while the total bytes is taken from its `total` property,
+ * both can be updated by the source stream.
+ *
+ * @param {TokenBucket[]} buckets - The token buckets to consume.
+ * @returns {Transform} The throttle stream.
+ *
+ * @throws {InvalidTypeError} If the given buckets is not an array of `TokenBucket`.
+ *
+ * @public
+ * @since  2.0.0
+ */
+function createThrottle(buckets) {
+  if (!Array.isArray(buckets)
+      || buckets.some(bucket => !(bucket instanceof TokenBucket))) {
+    throw new InvalidTypeError('Buckets must be an array of TokenBucket', {
+      actualType: TypeUtils.getType(buckets),
+      expectedType: 'TokenBucket[]'
+    });
+  }
+
+  let timer = null;
+  let passed = 0;
+  const throttle = new Transform({
+    transform(chunk, _encoding, callback) {
+      const pushPiece = (piece) => {
+        passed += piece.length;
+        this.push(piece);
+        const downloaded = this.offset + passed;
+        this.emit('progress', piece.length, downloaded, this.total || downloaded);
+      };
+      const pushNext = (offset) => {
+        while (offset < chunk.length) {
+          const piece = chunk.subarray(offset, offset + MAX_CHUNK_SIZE);
+          const delay = Math.max(
+            0, ...buckets.map(bucket => bucket.consume(piece.length)));
+          offset += piece.length;
+          if (delay > 0) {
+            timer = setTimeout(() => {
+              timer = null;
+              pushPiece(piece);
+              pushNext(offset);
+            }, delay);
+            return;
+          }
+          pushPiece(piece);
+        }
+        callback();
+      };
+      pushNext(0);
+    },
+    destroy(err, callback) {
+      if (timer) clearTimeout(timer);
+      callback(err);
+    }
+  });
+  /**
+   * The number of bytes already downloaded before the stream started.
+   * @type {number}
+   */
+  throttle.offset = 0;
+  /**
+   * The total bytes to download, used by the `'progress'` event.
+   * @type {number}
+   */
+  throttle.total = 0;
+  return throttle;
+}
+
+
+module.exports = {
+  TokenBucket,
+  parseRate,
+  createThrottle
+};
@@ -0,0 +1,297 @@
+/**
+ * @file A utility module that provides functions to resolve the output filename templates.
+ *
+ * A filename template is a string containing placeholders in the form of `{field}` or
+ * `{field:spec}`, which are replaced with the metadata of the video. The forward slashes
+ * in the template create subdirectories relative to the output directory, while the
+ * illegal characters within the replaced values are replaced with underscores.
+ *
+ * ### Supported Placeholders
+ * | Placeholder     | Description                                                       |
+ * | --------------- | ----------------------------------------------------------------- |
+ * | `{title}`       | The title of the video.                                           |
+ * | `{author}`      | The name of the video's author.                                   |
+ * | `{id}`          | The ID of the video.                                              |
+ * | `{channelId}`   | The ID of the channel that uploaded the video.                    |
+ * | `{ext}`         | The file extension of the output file, without the leading dot.   |
+ * | `{uploadDate}`  | The upload date of the video, defaults to `YYYY-MM-DD` format.    |
+ * | `{publishDate}` | The publish date of the video, defaults to `YYYY-MM-DD` format.   |
+ * | `{duration}`    | The duration of the video, defaults to the number of seconds.     |
+ * | `{category}`    | The category of the video.                                        |
+ *
+ * The date placeholders accept a format spec built from the `YYYY`, `YY`, `MM`, `DD`, `HH`,
+ * `mm` and `ss` tokens (e.g., `{uploadDate:YYYY}`), while the `{duration}` placeholder accepts
+ * a format spec built from the `HH`, `mm` and `ss` tokens (e.g., `{duration:HH.mm.ss}`).
+ * Any unavailable value is replaced with `NA`.
+ *
+ * @example
+ * resolveTemplate('{author} - {title} [{id}].{ext}', videoInfo, { ext: 'm4a' });
+ * // => 'Author Name - Video Title [abcdeQWERTY].m4a'
+ * resolveTemplate('{uploadDate:YYYY}/{author}/{title}.{ext}', videoInfo, { ext: 'm4a' });
+ * // => '2022/Author Name/Video Title.m4a'
+ *
+ * @module    utils/filename-template
+ * @requires  error
+ * @requires  utils/info-utils
+ * @requires  utils/type-utils
+ * @author    Ryuu Mitsuki <{@link https://github.com/mitsuki31}>
+ * @license   MIT
+ * @since     2.0.0
+ */
+
+'use strict';
+
+const TypeUtils = require('./type-utils');
+const { InfoUtils } = require('./info-utils');
+const { InvalidTypeError, FilenameTemplateError } = require('../error');
+
+const FilenameTemplate = {};
+
+/**
+ * A regular expression to match the placeholders within a filename template.
+ *
+ * @constant
+ * @private
+ * @since    2.0.0
+ */
+const PLACEHOLDER_REGEX = /\{([a-zA-Z]+)(?::([^{}]*))?\}/g;
+
+/**
+ * The replacement value for unavailable metadata.
+ *
+ * @constant
+ * @private
+ * @since    2.0.0
+ */
+const UNAVAILABLE = 'NA';
+
+/**
+ * Replaces the characters that are illegal in a file name with underscores.
+ *
+ * @param {string} value - The value to sanitize.
+ * @returns {string} The sanitized value.
+ *
+ * @private
+ * @since   2.0.0
+ */
+function sanitize(value) {
+  return String(value).replace(/[/\\:*?"|<>]/g, '_').replace(/\s{2,}/g, ' ').trim();
+}
+
+/**
+ * Replaces the tokens within the given format spec with the given parts.
+ *
+ * @param {string} spec - The format spec, e.g., `'YYYY-MM-DD'`.
+ * @param {Record<string, string>} parts - The values of each token.
+ * @returns {string} The formatted string.
+ *
+ * @private
+ * @since   2.0.0
+ */
+function formatTokens(spec, parts) {
+  const tokens = Object.keys(parts).sort((a, b) => b.length - a.length);
+  return spec.replace(new RegExp(tokens.join('|'), 'g'), (token) => parts[token]);
+}
+
+/**
+ * Formats the given ISO date string using the given format spec.
+ *
+ * The date components are taken as-is from the date string, thus the date is not
+ * affected by the local time zone.
+ *
+ * @param {string | null} date - The ISO date string, e.g., `'2022-01-01T11:17:10-07:00'`.
+ * @param {string} [spec='YYYY-MM-DD'] - The format spec.
+ * @returns {string | null} The formatted date, or `null` if the date is unavailable.
+ *
+ * @private
+ * @since   2.0.0
+ */
+function formatDate(date, spec) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2}):(\d{2}))?/.exec(date || '');
+  if (!match) return null;
+  const [ , year, month, day, hours='00', minutes='00', seconds='00' ] = match;
+  return formatTokens(spec || 'YYYY-MM-DD', {
+    YYYY: year,
+    YY: year.slice(-2),
+    MM: month,
+    DD: day,
+    HH: hours,
+    mm: minutes,
+    ss: seconds
+  });
+}
+
+/**
+ * Formats the given duration in seconds using the given format spec.
+ *
+ * @param {number} duration - The duration in seconds.
+ * @param {string} [spec] - The format spec, e.g., `'HH.mm.ss'`. If not specified,
+ *                          the number of seconds is returned.
+ * @returns {string | null} The formatted duration, or `null` if the duration is unavailable.
+ *
+ * @private
+ * @since   2.0.0
+ */
+function formatDuration(duration, spec) {
+  if (!duration) return null;
+  if (!spec) return String(duration);
+  const pad = (n) => String(n).padStart(2, '0');
+  return formatTokens(spec, {
+    HH: pad(Math.floor(duration / 3600)),
+    mm: pad(Math.floor((duration % 3600) / 60)),
+    ss: pad(duration % 60)
+  });
+}
+
+/**
+ * Returns the value resolvers of each supported placeholder for the given video information.
+ *
+ * @param {string} template - The template to resolve, only used for validation.
+ * @param {ytdl.videoInfo} vInfo - The video information object.
+ * @param {Object} [options] - Options to resolve the template.
+ * @param {string} [options.ext='m4a'] - The file extension to replace the `{ext}` placeholder.
+ * @returns {Record<string, (spec?: string) => any>} The value resolvers of each placeholder.
+ *
+ * @throws {InvalidTypeError} If the given template is not a string.
+ *
+ * @private
+ * @since   2.0.0
+ */
+function getTemplateFields(template, vInfo, options) {
+  if (typeof template !== 'string') {
+    throw new InvalidTypeError('Filename template must be a string', {
+      actualType: TypeUtils.getType(template),
+      expectedType: 'string'
+    });
+  }
+
+  const ext = (options?.ext || 'm4a').replace(/^\./, '');
+  return {
+    title: () => InfoUtils.getTitle(vInfo),
+    author: () => InfoUtils.getAuthor(vInfo).name,
+    id: () => vInfo.videoDetails?.videoId,
+    channelId: () => vInfo.videoDetails?.channelId,
+    ext: () => ext,
+    uploadDate: (spec) => formatDate(InfoUtils.getUploadDate(vInfo), spec),
+    publishDate: (spec) => formatDate(InfoUtils.getPublishDate(vInfo), spec),
+    duration: (spec) => formatDuration(InfoUtils.getDuration(vInfo), spec),
+    category: () => InfoUtils.getCategory(vInfo)
+  };
+}
+
+/**
+ * Resolves the value of a placeholder using the given value resolvers.
+ *
+ * @param {Record<string, (spec?: string) => any>} fields - The value resolvers of each placeholder.
+ * @param {string} placeholder - The whole placeholder, e.g., `'{uploadDate:YYYY}'`.
+ * @param {string} field - The field name of the placeholder, e.g., `'uploadDate'`.
+ * @param {string} [spec] - The format spec of the placeholder, e.g., `'YYYY'`.
+ * @param {string} template - The template containing the placeholder.
+ * @returns {any} The resolved value, can be `null` or `undefined` if unavailable.
+ *
+ * @throws {FilenameTemplateError} If the placeholder is unknown.
+ *
+ * @private
+ * @since   2.0.0
+ */
+function resolvePlaceholder(fields, placeholder, field, spec, template) {
+  if (!Object.hasOwn(fields, field)) {
+    throw new FilenameTemplateError(
+      `Unknown placeholder ${placeholder} in filename template: ${template}`);
+  }
+  return fields[field](spec);
+}
+
+/**
+ * Checks whether the given string is a filename template, which contains at least one placeholder.
+ *
+ * @param {string} str - The string to check.
+ * @returns {boolean} `true` if the string is a filename template, `false` otherwise.
+ *
+ * @memberof module:utils/filename-template~FilenameTemplate
+ * @public
+ * @since    2.0.0
+ */
+function isTemplate(str) {
+  return typeof str === 'string' && new RegExp(PLACEHOLDER_REGEX.source).test(str);
+}
+FilenameTemplate.isTemplate = isTemplate;
+
+/**
+ * Resolves the given filename template using the metadata of the given video information.
+ *
+ * The resolved path is always relative, any empty, `'.'` and `'..'` path segments are removed.
+ * Thus, the resolved path never escapes the output directory.
+ *
+ * @param {string} template - The filename template, e.g., `'{author} - {title} [{id}].{ext}'`.
+ * @param {ytdl.videoInfo} vInfo - The video information object.
+ * @param {Object} [options] - Options to resolve the template.
+ * @param {string} [options.ext='m4a'] - The file extension to replace the `{ext}` placeholder.
+ *
+ * @returns {string} The resolved relative path, using forward slashes as the separator.
+ *
+ * @throws {InvalidTypeError} If the given template is not a string.
+ * @throws {FilenameTemplateError} If the template contains an unknown placeholder,
+ *                                 or it resolves into an empty path.
+ *
+ * @memberof module:utils/filename-template~FilenameTemplate
+ * @public
+ * @since    2.0.0
+ */
+function resolveTemplate(template, vInfo, options) {
+  const fields = getTemplateFields(template, vInfo, options);
+  const resolved = template
+    .split(/[/\\]/)
+    .map((segment) => segment.replace(PLACEHOLDER_REGEX, (placeholder, field, spec) => {
+      const value = resolvePlaceholder(fields, placeholder, field, spec, template);
+      return TypeUtils.isNullOrUndefined(value) || value === ''
+        ? UNAVAILABLE
+        : sanitize(value);
+    }).trim())
+    .filter((segment) => segment.length > 0 && segment !== '.' && segment !== '..')
+    .join('/');
+
+  if (resolved.length === 0) {
+    throw new FilenameTemplateError(
+      `Filename template resolves into an empty path: ${template}`);
+  }
+  return resolved;
+}
+FilenameTemplate.resolveTemplate = resolveTemplate;
+
+/**
+ * Formats the given template using the metadata of the given video information, as-is.
+ *
+ * Unlike {@link module:utils/filename-template~FilenameTemplate.resolveTemplate `resolveTemplate`},
+ * the replaced values are not sanitized, the forward slashes are kept and any unavailable value
+ * is replaced with an empty string. This is suitable for the texts other than the file names,
+ * such as the metadata tags.
+ *
+ * @param {string} template - The template, e.g., `'{author} ({uploadDate:YYYY})'`.
+ * @param {ytdl.videoInfo} vInfo - The video information object.
+ * @param {Object} [options] - Options to format the template.
+ * @param {string} [options.ext='m4a'] - The file extension to replace the `{ext}` placeholder.
+ *
+ * @returns {string} The formatted string, trimmed from surrounding whitespaces.
+ *
+ * @throws {InvalidTypeError} If the given template is not a string.
+ * @throws {FilenameTemplateError} If the template contains an unknown placeholder.
+ *
+ * @memberof module:utils/filename-template~FilenameTemplate
+ * @public
+ * @since    2.0.0
+ */
+function formatTemplate(template, vInfo, options) {
+  const fields = getTemplateFields(template, vInfo, options);
+  return template.replace(PLACEHOLDER_REGEX, (placeholder, field, spec) => {
+    const value = resolvePlaceholder(fields, placeholder, field, spec, template);
+    return TypeUtils.isNullOrUndefined(value) ? '' : String(value);
+  }).trim();
+}
+FilenameTemplate.formatTemplate = formatTemplate;
+
+
+module.exports = {
+  FilenameTemplate,
+  ...FilenameTemplate
+};
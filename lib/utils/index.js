@@ -17,6 +17,7 @@
  * @requires  utils/type-utils
  * @requires  utils/info-utils
  * @requires  utils/thumb-utils
+ * @requires  utils/filename-template
  * @author    Ryuu Mitsuki <{@link https://github.com/mitsuki31}>
  * @license   MIT
  * @since     1.0.0
@@ -60,9 +61,10 @@ const TypeUtils = require('./type-utils');
 const URLUtils = require('./url-utils');
 const InfoUtils = require('./info-utils');
 const ThumbnailUtils = require('./thumb-utils');
+const FilenameTemplate = require('./filename-template');
 const options = require('./options');
 const { isAsyncFunction } = require('node:util/types');
-const { InvalidTypeError } = require('../error');
+const { InvalidTypeError, AbortError } = require('../error');
 
 
 // region Constants
@@ -261,6 +263,280 @@ function captureStdoutSync(fn) {
   return output;
 }
 
+/**
+ * Runs an asynchronous worker function over the given items with a bounded number of
+ * workers running at the same time.
+ *
+ * Each worker picks the next pending item as soon as it finishes its current one, so a
+ * slow item never blocks the others. The worker rejection is never propagated, instead it
+ * is captured into the returned array, which always preserves the order of the given items.
+ *
+ * @template T, R
+ * @param {T[]} items - The items to process.
+ * @param {number} limit - The maximum number of workers running at the same time.
+ *                         Any non-positive or invalid number will fallback to `1`.
+ * @param {(item: T, index: number) => Promise<R>} worker - The function to process each item.
+ *
+ * @returns {Promise<Array<PromiseSettledResult<R>>>} A promise fulfills with the settled
+ *          result of each item, in the same order as the given items.
+ *
+ * @example
+ * const results = await runConcurrently(urls, 3, async (url) => {
+ *   return await download(url);
+ * });
+ * results.forEach(({ status, value, reason }) => { ... });
+ *
+ * @async
+ * @package
+ * @since   2.0.0
+ */
+async function runConcurrently(items, limit, worker) {
+  if (!Array.isArray(items)) {
+    throw new InvalidTypeError('Items to process must be an array', {
+      actualType: TypeUtils.getType(items),
+      expectedType: TypeUtils.getType([])
+    });
+  }
+  if (typeof worker !== 'function') {
+    throw new InvalidTypeError('Worker must be a function', {
+      actualType: TypeUtils.getType(worker),
+      expectedType: 'function'
+    });
+  }
+
+  limit = Math.floor(limit);
+  limit = (Number.isFinite(limit) && limit > 0) ? Math.min(limit, items.length) : 1;
+
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  async function spawn() {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;  // Claim the item before awaiting
+      try {
+        results[index] = { status: 'fulfilled', value: await worker(items[index], index) };
+      } catch (reason) {
+        results[index] = { status: 'rejected', reason };
+      }
+    }
+  }
+
+  await Promise.all(Array.from({ length: limit }, spawn));
+  return results;
+}
+
+/**
+ * Error codes of the transient network errors, which are worth to retry.
+ *
+ * @constant
+ * @private
+ * @since 2.0.0
+ */
+const RETRYABLE_ERROR_CODES = [
+  'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE',
+  'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH', 'ENETDOWN',
+  'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_HEADERS_TIMEOUT',
+  'UND_ERR_BODY_TIMEOUT', 'ERR_STREAM_PREMATURE_CLOSE', 'EINCOMPLETE'
+];
+
+/**
+ * Checks whether the given error is caused by an expired or rejected signed URL.
+ *
+ * YouTube responds the expired signed format URLs with either `403 Forbidden` or `410 Gone`,
+ * in this case the video information needs to be re-fetched to get the new URLs.
+ *
+ * @param {Error} err - The error to check.
+ * @returns {boolean} `true` if the error is caused by an expired URL, `false` otherwise.
+ *
+ * @package
+ * @since   2.0.0
+ */
+function isExpiredUrlError(err) {
+  return [403, 410].includes(err?.statusCode ?? err?.status);
+}
+
+/**
+ * Checks whether the given error is a transient error, which is worth to retry.
+ *
+ * Transient errors include the network errors (e.g., socket reset, timeout), the server
+ * errors (HTTP `5xx`), the rate limiting (HTTP `429`), the expired signed URLs
+ * (see {@link module:utils~isExpiredUrlError `isExpiredUrlError`}) and the incomplete downloads.
+ * Aborted operations are never retried.
+ *
+ * @param {Error} err - The error to check.
+ * @returns {boolean} `true` if the error is retryable, `false` otherwise.
+ *
+ * @package
+ * @since   2.0.0
+ */
+function isRetryableError(err) {
+  if (!err || err.name === 'AbortError') return false;
+  if (RETRYABLE_ERROR_CODES.includes(err.code ?? err.cause?.code)) return true;
+
+  const status = err.statusCode ?? err.status;
+  if (typeof status === 'number') {
+    return isExpiredUrlError(err) || status === 408 || status === 429 || status >= 500;
+  }
+  return /socket hang up|fetch failed|premature close/i.test(err.message || '');
+}
+
+/**
+ * Returns the delay in milliseconds before the given retry attempt, which grows
+ * exponentially by the backoff factor.
+ *
+ * @param {number} retry - The retry number, starting from `1`.
+ * @param {number} [retryDelay=1000] - The delay in milliseconds before the first retry.
+ * @param {number} [retryBackoff=2] - The factor to multiply the delay by on each retry.
+ * @returns {number} The delay in milliseconds.
+ *
+ * @package
+ * @since   2.0.0
+ */
+function getRetryDelay(retry, retryDelay=1000, retryBackoff=2) {
+  const delay = Math.max(retryDelay, 0)
+    * (Math.max(retryBackoff, 1) ** Math.max(retry - 1, 0));
+  return Number.isFinite(delay) ? delay : 0;
+}
+
+/**
+ * Calls the given asynchronous function and retries it with exponential backoff
+ * whenever it rejects with a retryable error.
+ *
+ * @template T
+ * @param {(attempt: number) => Promise<T>} fn - The function to call, it receives the
+ *                                               attempt number, starting from `1`.
+ * @param {object} [options] - Options to configure the retries.
+ * @param {number} [options.retries=0] - The maximum number of retries after the first attempt.
+ * @param {number} [options.retryDelay=1000] - The delay in milliseconds before the first retry.
+ * @param {number} [options.retryBackoff=2] - The factor to multiply the delay by on each retry.
+ * @param {(err: Error) => boolean} [options.shouldRetry] - A function to determine whether the error
+ *        is retryable. Defaults to {@link module:utils~isRetryableError `isRetryableError`}.
+ * @param {(err: Error, attempt: number, delay: number) => any} [options.onRetry] - A function
+ *        called before waiting for the next attempt.
+ * @param {AbortSignal} [options.signal] - An abort signal to stop retrying, the last error
+ *        is thrown as is if the signal has been aborted before the next attempt.
+ *
+ * @returns {Promise<T>} A promise fulfills with the value of the first successful attempt.
+ *
+ * @throws {Error} The error of the last attempt, if all attempts failed or the error is not retryable.
+ * @throws {AbortError} If the signal is aborted while waiting for the next attempt.
+ *
+ * @example
+ * const info = await retryAsync(() => ytdl.getInfo(url), {
+ *   retries: 3,
+ *   onRetry: (err, attempt, delay) => console.log(`Retrying in ${delay} ms ...`)
+ * });
+ *
+ * @async
+ * @package
+ * @since   2.0.0
+ */
+async function retryAsync(fn, options) {
+  const {
+    retries = 0,
+    retryDelay = 1000,
+    retryBackoff = 2,
+    shouldRetry = isRetryableError,
+    onRetry,
+    signal
+  } = options || {};
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (err) {
+      if (attempt > retries || signal?.aborted || !shouldRetry(err)) throw err;
+      const delay = getRetryDelay(attempt, retryDelay, retryBackoff);
+      if (typeof onRetry === 'function') await onRetry(err, attempt, delay);
+      await new Promise((resolve, reject) => {
+        const onAbort = () => {
+          clearTimeout(timer);
+          reject(new AbortError(undefined, { cause: signal.reason }));
+        };
+        const timer = setTimeout(() => {
+          signal?.removeEventListener('abort', onAbort);
+          resolve();
+        }, delay);
+        if (signal?.aborted) onAbort();
+        else signal?.addEventListener('abort', onAbort, { once: true });
+      });
+    }
+  }
+}
+
+/**
+ * Parses the given timestamp into the number of seconds.
+ *
+ * Supported formats are the number of seconds (e.g., `90` or `'90.5'`), the clock
+ * format (e.g., `'1:30'` or `'01:02:03.5'`) and the YouTube `t=` parameter format
+ * (e.g., `'90s'` or `'1h2m3s'`).
+ *
+ * @param {number | string} value - The timestamp to parse.
+ * @returns {number} The number of seconds.
+ *
+ * @throws {InvalidTypeError} If the given timestamp is neither a number nor a string.
+ * @throws {Error} If the given timestamp is invalid or negative.
+ *
+ * @example
+ * parseTimestamp('12:30');   // 750
+ * parseTimestamp('1h2m3s');  // 3723
+ *
+ * @package
+ * @since   2.0.0
+ */
+function parseTimestamp(value) {
+  if (typeof value !== 'number' && typeof value !== 'string') {
+    throw new InvalidTypeError('Timestamp must be a number or a string', {
+      actualType: TypeUtils.getType(value),
+      expectedType: 'number | string'
+    });
+  }
+
+  const str = String(value).trim();
+  let match, seconds = NaN;
+  if (/^\d+(\.\d+)?$/.test(str)) {
+    seconds = parseFloat(str);
+  } else if ((match = /^(?:(\d+):)?(\d{1,2}):(\d{1,2}(?:\.\d+)?)$/.exec(str))) {
+    const [ , hours='0', minutes, secs ] = match;
+    seconds = (parseInt(hours) * 3600) + (parseInt(minutes) * 60) + parseFloat(secs);
+  } else if ((match = /^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+(?:\.\d+)?)s)?$/.exec(str)) && str) {
+    const [ , hours='0', minutes='0', secs='0' ] = match;
+    seconds = (parseInt(hours) * 3600) + (parseInt(minutes) * 60) + parseFloat(secs);
+  }
+
+  if (!Number.isFinite(seconds) || seconds < 0) {
+    throw new Error(`Invalid timestamp: ${value}`);
+  }
+  return seconds;
+}
+
+/**
+ * Resolves the given start and end timestamps into a time range in seconds.
+ *
+ * @param {number | string} [start] - The start timestamp, defaults to the beginning.
+ * @param {number | string} [end] - The end timestamp, defaults to the end.
+ * @returns {{ start: number, end: number | null } | null} The resolved time range,
+ *          or `null` if neither the start nor the end timestamp is specified.
+ *
+ * @throws {Error} If any timestamp is invalid, or the end is not after the start.
+ *
+ * @package
+ * @since   2.0.0
+ */
+function resolveTimeRange(start, end) {
+  if (TypeUtils.isNullOrUndefined(start) && TypeUtils.isNullOrUndefined(end)) return null;
+
+  const range = {
+    start: TypeUtils.isNullOrUndefined(start) ? 0 : parseTimestamp(start),
+    end: TypeUtils.isNullOrUndefined(end) ? null : parseTimestamp(end)
+  };
+  if (range.end !== null && range.end <= range.start) {
+    throw new Error(
+      `End time (${range.end}s) must be after the start time (${range.start}s)`);
+  }
+  return range;
+}
+
 // region Utilities Class
 
 class ProgressBar {
@@ -306,6 +582,34 @@ class ProgressBar {
      * @default
      */
     this.loadings = [ '\\', '|', '/', '-' ];
+    /**
+     * The recent progress samples to measure the throughput, each sample
+     * is a pair of the timestamp in milliseconds and the bytes downloaded.
+     * @type {Array<[number, number]>}
+     */
+    this.samples = [];
+  }
+
+  /**
+   * Measures the throughput of the download over the last few seconds.
+   *
+   * @method
+   * @param {number} bytesDownloaded - The number of bytes downloaded so far.
+   * @returns {number} The throughput in bytes per second, or `0` if it cannot be measured yet.
+   *
+   * @since  2.0.0
+   */
+  measureSpeed(bytesDownloaded) {
+    const now = Date.now();
+    this.samples.push([ now, bytesDownloaded ]);
+    // Keep only the samples within the window, but always keep the oldest one to compare
+    while (this.samples.length > 2 && now - this.samples[1][0] >= 3000) {
+      this.samples.shift();
+    }
+    const [ startTime, startBytes ] = this.samples[0];
+    return (now > startTime)
+      ? (bytesDownloaded - startBytes) / ((now - startTime) / 1000)
+      : 0;
   }
 
   /**
@@ -372,13 +676,16 @@ class ProgressBar {
     const byteInfo = `[${
       (bytesDownloaded / (1024 * 1024)).toFixed(2)
     }/${(totalBytes / (1024 * 1024)).toFixed(2)} MiB]`;
+    // Calculate the throughput, which reflects the rate limit if any
+    const speedInfo = `[${
+      (this.measureSpeed(bytesDownloaded) / (1024 * 1024)).toFixed(2)} MiB/s]`;
 
     // Return the formatted progress bar with percentage
     return (progress < 100)
       // eslint-disable-next-line max-len
-      ? `\x1b[K\x1b[1;93m[...]\x1b[0m \x1b[1m${progressBar} \x1b[0;93m[${loading}]\x1b[0m \x1b[1;95m${byteInfo}\x1b[0m\r`
+      ? `\x1b[K\x1b[1;93m[...]\x1b[0m \x1b[1m${progressBar} \x1b[0;93m[${loading}]\x1b[0m \x1b[1;95m${byteInfo}\x1b[0m \x1b[2m${speedInfo}\x1b[0m\r`
       // eslint-disable-next-line max-len
-      : `\x1b[K\x1b[1;92m[DONE]\x1b[0m \x1b[1m${progressBar} \x1b[0;92m[\u2714]\x1b[0m \x1b[1;95m${byteInfo}\x1b[0m\n`;
+      : `\x1b[K\x1b[1;92m[DONE]\x1b[0m \x1b[1m${progressBar} \x1b[0;92m[\u2714]\x1b[0m \x1b[1;95m${byteInfo}\x1b[0m \x1b[2m${speedInfo}\x1b[0m\n`;
   }
 }
 
@@ -408,6 +715,9 @@ module.exports = {
   ThumbnailUtils: ThumbnailUtils.ThumbnailUtils,
   ThumbUtils:ThumbnailUtils.ThumbUtils,  // alias for ThumbnailUtils
 
+  // FilenameTemplate module
+  FilenameTemplate: FilenameTemplate.FilenameTemplate,
+
   // Options module
   resolveOptions: options.resolve,
   mergeOptions: options.merge,
@@ -419,8 +729,11 @@ module.exports = {
   _GetInfoOptions: options._GetInfoOptions,
   _DownloadOptions: options._DownloadOptions,
   _DownloadOptions$N: options._DownloadOptions$N,
+  _BatchDownloadOptions: options._BatchDownloadOptions,
+  _ResolverOptions: options._ResolverOptions,
   _AudioConverterOptions: options._AudioConverterOptions,
   _AudioConverterOptions$N: options._AudioConverterOptions$N,
+  _AudioStreamOptions: options._AudioStreamOptions,
   AllSupportedOptions: options.AllSupportedOptions,
 
   // Utils (this) module
@@ -430,5 +743,12 @@ module.exports = {
   createLogFile,
   captureStdout,
   captureStdoutSync,
+  runConcurrently,
+  isExpiredUrlError,
+  isRetryableError,
+  getRetryDelay,
+  retryAsync,
+  parseTimestamp,
+  resolveTimeRange,
   ProgressBar
 };
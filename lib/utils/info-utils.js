@@ -359,6 +359,220 @@ function hasAudio(fmtObj) {
 }
 FormatUtils.hasAudio = hasAudio;
 
+/**
+ * The preferences to rank the available audio formats, see
+ * {@link module:utils/info-utils~FormatUtils.chooseAudioFormat `FormatUtils.chooseAudioFormat`}.
+ *
+ * @typedef  {Object} AudioFormatPreference
+ * @property {string | string[]} [language] - The preferred audio track languages in order, e.g., `['en', 'ja']`.
+ *                                            If unspecified, the original audio track is preferred.
+ * @property {string | string[]} [codec='aac'] - The preferred audio codecs in order, e.g., `['opus', 'aac']`.
+ *                                              Defaults to `'aac'` only if the `container` is unspecified.
+ * @property {string | string[]} [container] - The preferred containers in order, e.g., `['webm', 'mp4']`.
+ * @property {'highest' | 'lowest' | number} [bitrate='highest'] - The preferred bitrate, or the target bitrate in kbps.
+ * @property {'highest' | 'lowest' | number} [sampleRate='highest'] - The preferred sample rate, or the target
+ *                                                                    sample rate in Hz.
+ *
+ * @global
+ * @since    2.0.0
+ */
+
+/**
+ * The default audio format preference, prefers the highest bitrate AAC audio.
+ *
+ * @constant
+ * @private
+ * @since    2.0.0
+ */
+const DEFAULT_AUDIO_FORMAT_PREFERENCE = Object.freeze({
+  codec: ['aac'],
+  bitrate: 'highest',
+  sampleRate: 'highest'
+});
+
+/**
+ * The alias names of audio codecs and containers, mapped to their names used by YouTube.
+ *
+ * @constant
+ * @private
+ * @since    2.0.0
+ */
+const FORMAT_ALIASES = Object.freeze({
+  aac: 'mp4a',
+  m4a: 'mp4'
+});
+
+/**
+ * Returns the rank of the given value within the preferred values, lower is better.
+ *
+ * @param {string | null} value - The value to rank.
+ * @param {string[]} preferred - The preferred values in order.
+ * @returns {number} The index of the first matching preferred value, or the number of
+ *                   the preferred values if none matches.
+ *
+ * @private
+ * @since   2.0.0
+ */
+function rankByList(value, preferred) {
+  const index = preferred.findIndex((pref) => (
+    typeof value === 'string' && value.toLowerCase().startsWith(pref)));
+  return index === -1 ? preferred.length : index;
+}
+
+/**
+ * Returns the rank of the given number based on the preference, lower is better.
+ *
+ * @param {number} value - The value to rank.
+ * @param {'highest' | 'lowest' | number} preference - The preference.
+ * @returns {number} The rank of the value.
+ *
+ * @private
+ * @since   2.0.0
+ */
+function rankByNumber(value, preference) {
+  if (preference === 'lowest') return value;
+  if (typeof preference === 'number') {
+    // The closest to the target wins, prefer the higher one on a tie
+    return Math.abs(value - preference) - (value / 1e9);
+  }
+  return -value;  // Defaults to the highest
+}
+
+/**
+ * Parses the given audio format preference string into an {@link AudioFormatPreference} object.
+ *
+ * The string consists of comma-separated `key=value` pairs, where the ranked values are separated
+ * by a slash (`/`). A pair without the key is treated as the preferred codecs.
+ *
+ * @example
+ * parseAudioFormatPreference('opus/aac,bitrate=160');
+ * // => { codec: ['opus', 'aac'], bitrate: 160 }
+ * parseAudioFormatPreference('codec=aac,sampleRate=lowest,language=en/ja');
+ * // => { codec: ['aac'], sampleRate: 'lowest', language: ['en', 'ja'] }
+ *
+ * @param {string} str - The audio format preference string.
+ * @returns {AudioFormatPreference} The parsed audio format preference.
+ *
+ * @throws {InvalidTypeError} If the given preference is not a string.
+ * @throws {Error} If the preference contains an unknown key or an invalid value.
+ *
+ * @memberof module:utils/info-utils~FormatUtils
+ * @public
+ * @since 2.0.0
+ */
+function parseAudioFormatPreference(str) {
+  if (typeof str !== 'string') {
+    throw new InvalidTypeError('Audio format preference must be a string', {
+      actualType: TypeUtils.getType(str),
+      expectedType: 'string'
+    });
+  }
+
+  return str.split(',').map((pair) => pair.trim()).filter(Boolean)
+    .reduce((acc, pair) => {
+      const [ key, value ] = pair.includes('=') ? pair.split('=', 2) : [ 'codec', pair ];
+      const values = value.split('/').map((val) => val.trim()).filter(Boolean);
+      switch (key.trim()) {
+        case 'codec':
+        case 'container':
+        case 'language':
+          acc[key.trim()] = values;
+          break;
+        case 'bitrate':
+        case 'sampleRate':
+          if (values.length !== 1 || !/^(highest|lowest|\d+(\.\d+)?k?)$/i.test(values[0])) {
+            throw new Error(`Invalid ${key.trim()} in audio format preference: ${value}`);
+          }
+          acc[key.trim()] = /^(highest|lowest)$/i.test(values[0])
+            ? values[0].toLowerCase()
+            : parseFloat(values[0]);
+          break;
+        default:
+          throw new Error(`Unknown key in audio format preference: ${key}`);
+      }
+      return acc;
+    }, {});
+}
+FormatUtils.parseAudioFormatPreference = parseAudioFormatPreference;
+
+/**
+ * Chooses the best audio format from the given formats based on the given preference.
+ *
+ * The audio-only formats are preferred, the formats containing both audio and video are only considered
+ * if there are no audio-only formats. Then the formats are ranked by the following criteria in order,
+ * where the next criterion is only compared if the formats are equal on the previous criteria:
+ * 1. The audio track language (the original audio track if unspecified).
+ * 2. The audio codec.
+ * 3. The container.
+ * 4. The audio bitrate.
+ * 5. The audio sample rate.
+ *
+ * @example
+ * // Prefer Opus around 160 kbps, else the highest bitrate AAC
+ * chooseAudioFormat(videoInfo.formats, { codec: ['opus', 'aac'], bitrate: 160 });
+ *
+ * @param {Array<YTFormatObject | ParsedYTFormatObject>} formats - The available formats.
+ * @param {AudioFormatPreference | string} [preference] - The audio format preference, or a preference string
+ *        (see {@link module:utils/info-utils~FormatUtils.parseAudioFormatPreference `parseAudioFormatPreference`}).
+ *        If unspecified, defaults to the highest bitrate AAC audio.
+ * @returns {YTFormatObject | ParsedYTFormatObject} The chosen format, as-is from the given formats.
+ *
+ * @throws {InvalidTypeError} If the given formats is not an array or the preference is invalid type.
+ * @throws {Error} If there is no format containing audio.
+ *
+ * @memberof module:utils/info-utils~FormatUtils
+ * @public
+ * @since 2.0.0
+ */
+function chooseAudioFormat(formats, preference) {
+  if (!Array.isArray(formats)) {
+    throw new InvalidTypeError('Formats must be an array', {
+      actualType: TypeUtils.getType(formats),
+      expectedType: 'Array'
+    });
+  }
+  if (typeof preference === 'string') preference = parseAudioFormatPreference(preference);
+  if (!TypeUtils.isNullOrUndefined(preference) && !TypeUtils.isPlainObject(preference)) {
+    throw new InvalidTypeError('Audio format preference must be a plain object or a string', {
+      actualType: TypeUtils.getType(preference),
+      expectedType: 'AudioFormatPreference | string'
+    });
+  }
+
+  const pref = { ...DEFAULT_AUDIO_FORMAT_PREFERENCE, ...preference };
+  // The default codec is not applied if only the container is preferred
+  if (preference?.container && !preference.codec) pref.codec = [];
+  const toList = (value) => [].concat(value ?? [])
+    .map((val) => String(val).toLowerCase())
+    .map((val) => FORMAT_ALIASES[val] || val);
+  const languages = toList(pref.language);
+  const codecs = toList(pref.codec);
+  const containers = toList(pref.container);
+
+  const audioFormats = formats.filter((format) => hasAudio(format));
+  const audioOnlyFormats = audioFormats.filter((format) => !hasVideo(format));
+  const candidates = audioOnlyFormats.length ? audioOnlyFormats : audioFormats;
+  if (!candidates.length) throw new Error('No audio formats are available');
+
+  const getRanks = (format) => [
+    languages.length
+      ? rankByList(format.audioTrack?.id, languages)
+      : (format.audioTrack && !format.audioTrack.audioIsDefault ? 1 : 0),
+    rankByList(format.audioCodec, codecs),
+    rankByList(format.container, containers),
+    rankByNumber(format.audioBitrate || (format.bitrate || 0) / 1000, pref.bitrate),
+    rankByNumber(parseInt(format.audioSampleRate, 10) || 0, pref.sampleRate)
+  ];
+
+  return candidates
+    .map((format) => ({ format, ranks: getRanks(format) }))
+    .sort((a, b) => {
+      const idx = a.ranks.findIndex((rank, i) => rank !== b.ranks[i]);
+      return idx === -1 ? 0 : a.ranks[idx] - b.ranks[idx];
+    })[0].format;
+}
+FormatUtils.chooseAudioFormat = chooseAudioFormat;
+
 
 // =========================
 // region InfoUtils
@@ -33,11 +33,17 @@ const defaults = {
    * @property {boolean} useCache=true
    * @property {boolean} asObject=false
    * @property {boolean} verbose=false
+   * @property {number} retries=0
+   * @property {number} retryDelay=1000
+   * @property {number} retryBackoff=2
    */
   GetInfoOptions: Object.freeze({
     useCache: true,
     asObject: false,
-    verbose: false
+    verbose: false,
+    retries: 0,
+    retryDelay: 1000,
+    retryBackoff: 2
   }),
   /**
    * Default options for {@link module:ytmp3~download `download`} function.
@@ -50,6 +56,14 @@ const defaults = {
    * @property {boolean} quiet=false
    * @property {Function} handler
    * @property {boolean} useCache=false
+   * @property {string} downloadArchive
+   * @property {AudioFormatPreference | string} audioFormat
+   * @property {number | string} start
+   * @property {number | string} end
+   * @property {number | string} rateLimit
+   * @property {boolean} dryRun=false
+   * @property {boolean | object} embedMetadata=false
+   * @property {boolean | string} embedThumbnail=false
    */
   DownloadOptions: Object.freeze({
     cwd: '.',
@@ -60,7 +74,39 @@ const defaults = {
     quiet: false,
     handler: () => {},  // Will be override later
     format: undefined,
-    useCache: true
+    audioFormat: undefined,
+    useCache: true,
+    downloadArchive: undefined,
+    start: undefined,
+    end: undefined,
+    rateLimit: undefined,
+    dryRun: false,
+    embedMetadata: false,
+    embedThumbnail: false
+  }),
+  /**
+   * Default options for {@link module:ytmp3~batchDownload `batchDownload`} function.
+   * These options are extending the {@link module:utils/options~defaults.DownloadOptions `DownloadOptions`}.
+   *
+   * @memberof module:utils/options~defaults
+   * @property {string} encoding="utf-8"
+   * @property {boolean} includeID=false
+   * @property {number} concurrency=1
+   * @property {number} playlistLimit
+   * @property {number} playlistOffset=0
+   * @property {boolean} playlistReverse=false
+   * @property {number} latest
+   * @property {string} reportFile
+   */
+  BatchDownloadOptions: Object.freeze({
+    encoding: 'utf-8',
+    includeID: false,
+    concurrency: 1,
+    playlistLimit: undefined,
+    playlistOffset: 0,
+    playlistReverse: false,
+    latest: undefined,
+    reportFile: undefined
   }),
   AudioConverterOptions: Object.freeze({
     inputOptions: [],
@@ -71,7 +117,11 @@ const defaults = {
     frequency: 44100,
     channels: 2,
     deleteOld: false,
-    quiet: false
+    quiet: false,
+    start: undefined,
+    end: undefined,
+    metadata: undefined,
+    coverArt: undefined
   })
 };
 
@@ -118,7 +168,11 @@ const _GetInfoOptions = {
   ..._YTDLGetInfoOptions,
   useCache: ['boolean', defaults.GetInfoOptions.useCache],
   asObject: ['boolean', defaults.GetInfoOptions.asObject],
-  verbose: ['boolean', defaults.GetInfoOptions.verbose]
+  verbose: ['boolean', defaults.GetInfoOptions.verbose],
+  retries: ['number', defaults.GetInfoOptions.retries],
+  retryDelay: ['number', defaults.GetInfoOptions.retryDelay],
+  retryBackoff: ['number', defaults.GetInfoOptions.retryBackoff],
+  signal: [[AbortSignal, 'undefined']]
 };
 
 const _DownloadOptions = {
@@ -137,7 +191,45 @@ const _DownloadOptions = {
   converterOptions: [['object', 'boolean'], defaults.DownloadOptions.converterOptions],
   quiet: [['boolean', 'string'], defaults.DownloadOptions.quiet],
   handler: [['function', 'undefined']],
-  useCache: ['boolean', defaults.DownloadOptions.useCache]
+  audioFormat: [['object', 'string', 'undefined'], defaults.DownloadOptions.audioFormat],
+  useCache: ['boolean', defaults.DownloadOptions.useCache],
+  downloadArchive: [['string', 'undefined'], defaults.DownloadOptions.downloadArchive],
+  start: [['number', 'string', 'undefined'], defaults.DownloadOptions.start],
+  end: [['number', 'string', 'undefined'], defaults.DownloadOptions.end],
+  rateLimit: [['number', 'string', 'undefined'], defaults.DownloadOptions.rateLimit],
+  dryRun: ['boolean', defaults.DownloadOptions.dryRun],
+  emitter: [['object', 'undefined']],
+  onInfo: [['function', 'undefined']],
+  beforeDownload: [['function', 'undefined']],
+  afterDownload: [['function', 'undefined']],
+  afterConvert: [['function', 'undefined']],
+  onError: [['function', 'undefined']],
+  postprocessors: [['array', 'undefined']],
+  embedMetadata: [['boolean', 'object'], defaults.DownloadOptions.embedMetadata],
+  embedThumbnail: [['boolean', 'string'], defaults.DownloadOptions.embedThumbnail],
+  thumbnailFetcher: [['function', 'undefined']]
+};
+
+const _BatchDownloadOptions = {
+  ..._DownloadOptions,
+  encoding: ['string', defaults.BatchDownloadOptions.encoding],
+  includeID: ['boolean', defaults.BatchDownloadOptions.includeID],
+  concurrency: ['number', defaults.BatchDownloadOptions.concurrency],
+  playlistLimit: [['number', 'undefined'], defaults.BatchDownloadOptions.playlistLimit],
+  playlistOffset: ['number', defaults.BatchDownloadOptions.playlistOffset],
+  playlistReverse: ['boolean', defaults.BatchDownloadOptions.playlistReverse],
+  latest: [['number', 'undefined'], defaults.BatchDownloadOptions.latest],
+  reportFile: [['string', 'undefined'], defaults.BatchDownloadOptions.reportFile],
+  onBatchEnd: [['function', 'undefined']],
+  pageFetcher: [['function', 'undefined']],
+  queue: [['object', 'undefined']]
+};
+
+const _ResolverOptions = {
+  limit: [['number', 'undefined']],
+  offset: ['number', 0],
+  reverse: ['boolean', false],
+  fetcher: [['function', 'undefined']]
 };
 
 const _DownloadOptions$N = Object.entries(_DownloadOptions)
@@ -155,7 +247,11 @@ const _AudioConverterOptions = {
   frequency: ['number', defaults.AudioConverterOptions.frequency],
   channels: ['number', defaults.AudioConverterOptions.channels],
   deleteOld: ['boolean', defaults.AudioConverterOptions.deleteOld],
-  quiet: ['boolean', defaults.AudioConverterOptions.quiet]
+  quiet: ['boolean', defaults.AudioConverterOptions.quiet],
+  start: [['number', 'string', 'undefined'], defaults.AudioConverterOptions.start],
+  end: [['number', 'string', 'undefined'], defaults.AudioConverterOptions.end],
+  metadata: [['object', 'undefined'], defaults.AudioConverterOptions.metadata],
+  coverArt: [['string', 'undefined'], defaults.AudioConverterOptions.coverArt]
 };
 
 const _AudioConverterOptions$N = Object.entries(_AudioConverterOptions)
@@ -164,6 +260,30 @@ const _AudioConverterOptions$N = Object.entries(_AudioConverterOptions)
     return acc;
   }, {});
 
+const _AudioStreamOptions = {
+  ...(Object.entries(_DownloadOptions)
+    .reduce((acc, [key, val]) => {
+      // Exclude the options related to the output files, and the `format` option
+      // which is the output audio format instead of the ytdl format
+      if (![
+        'cwd', 'outDir', 'outFile', 'convertAudio', 'converterOptions', 'handler',
+        'downloadArchive', 'dryRun', 'emitter', 'format', 'onInfo', 'beforeDownload',
+        'afterDownload', 'afterConvert', 'onError', 'postprocessors', 'embedThumbnail',
+        'thumbnailFetcher'
+      ].includes(key)) acc[key] = val;
+      return acc;
+    }, {})
+  ),
+  ...(Object.entries(_AudioConverterOptions)
+    .reduce((acc, [key, val]) => {
+      // Exclude the `deleteOld` option, there is no file to delete, and the `coverArt`
+      // option, the cover art cannot be attached to the streamed audio
+      if (![ 'deleteOld', 'coverArt' ].includes(key)) acc[key] = val;
+      return acc;
+    }, {})
+  )
+};
+
 const AllSupportedOptions = Object
   .values(defaults)
   .reduce((acc, item) => acc.push(...Object.keys(item)) && acc, []);
@@ -335,8 +455,11 @@ module.exports = {
   _GetInfoOptions,
   _DownloadOptions,
   _DownloadOptions$N,
+  _BatchDownloadOptions,
+  _ResolverOptions,
   _AudioConverterOptions,
   _AudioConverterOptions$N,
+  _AudioStreamOptions,
   AllSupportedOptions,
   defaults,
   resolve,
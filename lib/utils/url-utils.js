@@ -283,4 +283,35 @@ URLUtils.validateUrl = function (url, withId=true) {
   return result;
 };
 
+/**
+ * Extracts the start time from the given YouTube URL.
+ *
+ * The start time is taken from either the `t` or the `start` query parameter, or from
+ * the `t` parameter within the URL fragment (e.g., `#t=1m30s`). The returned value is the
+ * raw timestamp, see {@link module:utils~parseTimestamp `parseTimestamp`} to parse it.
+ *
+ * @param {string | URL} url - The YouTube URL to extract the start time from.
+ * @returns {string | null} The raw start time (e.g., `'90'` or `'1m30s'`), or `null` if
+ *                          the URL has no start time or the URL is malformed.
+ *
+ * @static
+ * @public
+ * @since  2.0.0
+ */
+URLUtils.extractStartTime = function (url) {
+  let parsedUrl;
+  try {
+    parsedUrl = (url instanceof URL) ? url : new URL(String(url).trim());
+  // eslint-disable-next-line no-unused-vars
+  } catch (_) {
+    return null;
+  }
+
+  const fragment = new URLSearchParams(parsedUrl.hash.slice(1));
+  return parsedUrl.searchParams.get('t')
+    || parsedUrl.searchParams.get('start')
+    || fragment.get('t')
+    || null;
+};
+
 module.exports = URLUtils;
@@ -7,7 +7,8 @@
  *   2. **Shortened URLv** `https://youtu.be/VIDEO_ID`
  *   3. **Playlist URL:** `https://www.youtube.com/playlist?list=PLAYLIST_ID`
  *   4. **Channel URL:** `https://www.youtube.com/channel/CHANNEL_ID`
- *   5. **YouTube Music URL:** `https://music.youtube.com/watch?v=VIDEO_ID`
+ *   5. **Channel Handle URL:** `https://www.youtube.com/@HANDLE`
+ *   6. **YouTube Music URL:** `https://music.youtube.com/watch?v=VIDEO_ID`
  *
  * These formats allow the library to navigate directly to specific videos, playlists,
  * or channels on YouTube.
@@ -49,6 +50,12 @@
  *              <li>`https://youtube.com/channel/CHANNEL_ID`</li>
  *              <li>`https://www.youtube.com/channel/CHANNEL_ID`</li>
  *            </li>
+ * @property  {RegExp} HANDLE
+ *            Regular expression for matching YouTube channel handle URLs of the form(s):  
+ *            <ul>
+ *              <li>`https://youtube.com/@HANDLE`</li>
+ *              <li>`https://www.youtube.com/@HANDLE`</li>
+ *            </ul>
  * @property  {RegExp} PLAYLIST
  *            Regular expression for matching YouTube playlist URLs of the form(s):  
  *            <ul>
@@ -68,6 +75,7 @@ const YT_URLFORMAT = Object.freeze({
   SHORTENED: /^https?:\/\/youtu\.be\/[a-zA-Z0-9_=-]+/,
   VIDEO: /^https?:\/\/((?:(www|m)\.)?youtube\.com\/watch\?v=|youtu\.be\/)[a-zA-Z0-9_=-]+/,
   CHANNEL: /^https?:\/\/(?:(www|m)\.)?youtube\.com\/channel\/[a-zA-Z0-9_=-]+/,
+  HANDLE: /^https?:\/\/(?:(www|m)\.)?youtube\.com\/@[a-zA-Z0-9_.-]+/,
   PLAYLIST: /^https?:\/\/(?:(www|m)\.)?youtube\.com\/playlist\?list=[a-zA-Z0-9_=-]+/,
   MUSIC: /^https?:\/\/music\.youtube\.com\/(?:watch\?v=|playlist\?list=)[a-zA-Z0-9_=-]+/
 });
@@ -48,9 +48,9 @@ const fs = require('node:fs');               // File system module
 const os = require('node:os');               // OS module
 const path = require('node:path');           // Path module
 const { deprecate } = require('node:util');
+const { EventEmitter } = require('node:events');
 const { isAsyncFunction } = require('node:util/types');
 const ytdl = require('@distube/ytdl-core');  // Youtube Downloader module
-const { ffprobe } = require('fluent-ffmpeg');
 
 const {
   // eslint-disable-next-line no-unused-vars
@@ -66,22 +66,65 @@ const {
   InfoUtils,
   ThumbnailUtils,
   FormatUtils,
+  FilenameTemplate,
   createDirIfNotExist,
   createDirIfNotExistSync,
   createLogFile,
   resolveOptions,
-  _DownloadOptions, _GetInfoOptions, _AudioConverterOptions,
+  runConcurrently,
+  retryAsync,
+  resolveTimeRange,
+  isRetryableError,
+  isExpiredUrlError,
+  _DownloadOptions, _BatchDownloadOptions, _GetInfoOptions, _AudioConverterOptions,
+  _AudioStreamOptions,
 } = require('./utils');
 const {
   checkFfmpeg,
   convertAudio,
+  convertAudioStream,
+  trimAudio,
+  tagAudio,
   defaultOptions: defaultAudioConvOptions
 } = require('./audioconv');
 const { VInfoCache, getCachePath } = require('./cache');
+const {
+  preparePartFile,
+  getResumeOffset,
+  trackPartState,
+  finalizePartFile,
+  removePartFiles,
+  getTempSiblingPath
+} = require('./part-file');
+const { readArchive, appendToArchive } = require('./archive');
+const { parseBatchFile, describeLocation } = require('./batch-file');
+const { createBatchReport, writeBatchReport } = require('./report');
+const { runHook } = require('./hooks');
+const { getMetadataTags } = require('./metadata');
+const { resolveCropMode, fetchCoverArt } = require('./cover');
+const {
+  registerPostProcessor,
+  unregisterPostProcessor,
+  clearPostProcessors,
+  resolvePostProcessors,
+  runPostProcessors
+} = require('./postprocessor');
+const { JobQueue, JobStates } = require('./queue');
+const { TokenBucket, parseRate, createThrottle } = require('./throttle');
+const {
+  isPlaylistUrl,
+  isChannelUrl,
+  extractPlaylistId,
+  resolvePlaylist,
+  resolveChannel
+} = require('./resolver');
 const {
   InvalidTypeError,
   IDValidationError,
-  URLValidationError
+  URLValidationError,
+  BatchFileSyntaxError,
+  AbortError,
+  throwIfAborted
 } = require('./error');
 const { getGlob, hasInterrupted, setInterrupted } = require('./env');
 
@@ -115,6 +158,8 @@ const log = getGlob('logger', Logger);
  * @property {ytdl.videoInfo} videoInfo - The information about the video.
  * @property {ytdl.videoFormat} videoFormat - The format information of the video.
  * @property {fs.WriteStream} outStream - The output stream for the video.
+ * @property {string} [outputFile] - The path to the output file. The output stream may write to a partial file
+ *                                   (`<outputFile>.part`) which is renamed to this path once the download completes.
  * @property {object} [range] - The range information of the video.
  * @property {number} range.start - The start byte of the range.
  * @property {number} range.end - The end byte of the range.
@@ -157,6 +202,84 @@ const log = getGlob('logger', Logger);
  * @property {ThumbnailObject[]} thumbnails.author - The thumbnails of the video's author.
  * @property {ThumbnailObject[]} thumbnails.video - The thumbnails of the video.
  * @property {ConversionResult | null} conversionResult - The audio conversion result object.
+ * @property {PostProcessorResult[]} postprocessors - The result of each post-processor that has run on the finished file,
+ *                                                    in order, see {@link module:postprocessor}.
+ * @property {DownloadAttempt[]} attempts - All download attempts, including the failed ones that have been retried.
+ * @property {boolean} skipped - Whether the download has been skipped, because the video ID is already listed in
+ *                               the download archive. If `true`, the `path`, `metadata`, `thumbnails` and `format` are `null`.
+ * @property {DownloadFormatInfo | null} format - The details of the downloaded audio format.
+ *
+ * @global
+ * @since    2.0.0
+ */
+
+/**
+ * The details of the downloaded audio format, exposed in the {@link DownloadResult} object.
+ *
+ * @typedef  {Object} DownloadFormatInfo
+ * @property {number} itag - The format's unique identifier.
+ * @property {string} mimeType - The MIME type of the format, e.g., `'audio/webm;codecs=opus'`.
+ * @property {string | null} container - The container of the format, e.g., `'webm'`.
+ * @property {string | null} codec - The audio codec of the format, e.g., `'opus'`.
+ * @property {number | null} bitrate - The audio bitrate in kbps.
+ * @property {number | null} sampleRate - The audio sample rate in Hz.
+ * @property {number | null} channels - The number of audio channels.
+ * @property {string | null} language - The language of the audio track, or `null` if the video has a single audio track.
+ * @property {number | null} contentLength - The size of the format in bytes.
+ *
+ * @global
+ * @since    2.0.0
+ */
+
+/**
+ * A record of a single download attempt, exposed in the {@link DownloadResult} object.
+ *
+ * @typedef  {Object} DownloadAttempt
+ * @property {number} attempt - The attempt number, starting from `1`.
+ * @property {number} offset - The number of bytes already downloaded before the attempt started.
+ * @property {number} bytesWritten - The number of bytes written during the attempt.
+ * @property {boolean} refetchedInfo - Whether the video information has been re-fetched before the attempt,
+ *                                     due to the expired signed format URL.
+ * @property {Error | null} error - The error that failed the attempt, or `null` if the attempt succeeded.
+ *
+ * @global
+ * @since    2.0.0
+ */
+
+/**
+ * The download plan object returned by the {@link module:ytmp3~download `download`} and
+ * {@link module:ytmp3~batchDownload `batchDownload`} functions if the `dryRun` option is enabled.
+ * It describes what would be done for a video, without downloading anything.
+ *
+ * @typedef  {Object} DownloadPlan
+ * @property {string} url - The URL of the video.
+ * @property {string} videoId - The ID of the video.
+ * @property {string | null} title - The title of the video, or `null` if skipped.
+ * @property {'download' | 'resume' | 'overwrite' | 'skip'} action - What would be done for the video.
+ *           The `'resume'` action continues an interrupted download, while the `'overwrite'` action replaces
+ *           the existing output file. The video is skipped if it is already listed in the download archive.
+ * @property {string | null} output - The full path to the output file, or `null` if skipped.
+ * @property {number} resumeOffset - The number of bytes already downloaded, the download would resume from this offset.
+ * @property {DownloadFormatInfo | null} format - The details of the selected audio format, or `null` if skipped.
+ * @property {{ start: number, end: number | null } | null} timeRange - The time range in seconds to clip the audio,
+ *                                                                  or `null` if the whole audio is wanted.
+ * @property {{ format: string | null, output: string } | null} conversion - The target of the audio conversion,
+ *                                                                        or `null` if the audio would not be converted.
+ * @property {Error | null} error - The error that would fail the video, or `null` if there is none.
+ *
+ * @global
+ * @since    2.0.0
+ */
+
+/**
+ * The payload of the `'progress'` event emitted by the {@link module:ytmp3~Downloader `Downloader`}.
+ *
+ * @typedef  {Object} DownloadProgress
+ * @property {string} videoId - The ID of the video being downloaded.
+ * @property {number} bytes - The number of bytes downloaded, including the bytes of the resumed partial file.
+ * @property {number} total - The total bytes to download.
+ * @property {number} speed - The average throughput of the current attempt in bytes per second.
+ * @property {number | null} eta - The estimated remaining time in seconds, or `null` if unknown.
  *
  * @global
  * @since    2.0.0
@@ -168,13 +291,26 @@ const log = getGlob('logger', Logger);
  * @typedef  {Object} BatchDownloadResult
  * @property {Record<string, DownloadResult>} results - A mapping of video IDs to their download results.
  * @property {Error[]} results[videoId].errors - All errors that occurred during the download process for each video ID,
- *                                               or `null` if there are no errors.
+ *                                               or `null` if there are no errors. The first error is the download error,
+ *                                               the second is the conversion or post-processing error of a converted audio.
  *
  * @global
  * @since    2.0.0
  * @see      {@link DownloadResult}
  */
 
+/**
+ * The record yielded by the {@link module:ytmp3~downloadAudio `downloadAudio`} generator for a failed input.
+ *
+ * @typedef  {Object} DownloadErrorRecord
+ * @property {string | URL} url - The failed input, either the video URL, video ID, playlist or channel URL.
+ * @property {string | null} videoId - The ID of the video, or `null` if the input is not a video.
+ * @property {Error} error - The error that caused the failure.
+ *
+ * @global
+ * @since    2.0.0
+ */
+
 /**
  * An object to configure the download process, including the getting of video information, and audio conversion.
  * It extends the {@link module:utils/options~_YTDLDownloadOptions `ytdl.downloadOptions`} interface from the
@@ -186,15 +322,59 @@ const log = getGlob('logger', Logger);
  * @property {string} [outDir='.'] - The output directory where downloaded files will be saved.
  *                                   If not specified, defaults to the current directory.
  * @property {string} [outFile] - The output file name for the downloaded audio. If not specified,
- *                                defaults to the sanitized title of the video.
+ *                                defaults to the sanitized title of the video. It can be a filename template
+ *                                with metadata placeholders, e.g., `'{author} - {title} [{id}].{ext}'`, and
+ *                                any forward slash creates subdirectories within `outDir`, see
+ *                                {@link module:utils/filename-template} for the supported placeholders.
+ *                                The template is resolved again for the converted audio if `converterOptions.format` is set.
  * @property {boolean} [convertAudio=false] - Whether to enable audio conversion behavior. Defaults to `false`.
  * @property {AudioConverterOptions} [converterOptions] - The options for audio conversion (requires `convertAudio`).
  *                                                      If not specified, defaults to {@link module:utils/options~defaults.AudioConverterOptions `AudioConverterOptions`}.
  * @property {boolean | 'all'} [quiet=true] - Whether to suppress all log messages. If set to `'all'`, the audio conversion process will also run silently, default is `true`.
  * @property {Function} [handler] - An asynchronous function to handle and customize the download process.
  *                                  If not specified, defaults to {@link module:ytmp3~defaultHandler `defaultHandler`}.
- * @property {ytdl.videoFormat} [format] - The audio format to download. If not specified, defaults to the best audio format.
+ * @property {ytdl.videoFormat} [format] - The audio format to download. If not specified, the format is chosen by the `audioFormat`.
+ * @property {AudioFormatPreference | string} [audioFormat] - The preference to choose the audio format, either an object or
+ *                                                          a preference string (e.g., `'opus/aac,bitrate=160'`). If not specified,
+ *                                                          defaults to the highest bitrate AAC audio.
  * @property {boolean} [useCache=true] - Whether to enable caching video information during the download process. Defaults to `true`.
+ * @property {number} [retries=0] - The maximum number of retries on transient errors, for both fetching the video information
+ *                                  and downloading the audio. Each download retry resumes from the bytes already written.
+ * @property {number} [retryDelay=1000] - The delay in milliseconds before the first retry.
+ * @property {number} [retryBackoff=2] - The factor to multiply the retry delay by on each retry.
+ * @property {number | string} [start] - The start time to clip the audio from, either in seconds or `hh:mm:ss` format.
+ *                                       If unspecified, the `t` parameter of the URL is used, if any.
+ * @property {number | string} [end] - The end time to clip the audio to, either in seconds or `hh:mm:ss` format.
+ *                                     The clipped audio is cut losslessly, or trimmed by FFmpeg during the audio conversion
+ *                                     if `convertAudio` is enabled. Both require FFmpeg to be installed.
+ * @property {number | string} [rateLimit] - The maximum download rate in bytes per second, either a number or a string with
+ *                                           a binary unit suffix (e.g., `'500K'` or `'2M'`). The limit applies to each download, and
+ *                                           to the total of the concurrent downloads in the batch download. Unlimited if unspecified.
+ * @property {AbortSignal} [signal] - An abort signal to cancel the download. Aborting it destroys the download stream,
+ *                                     kills the FFmpeg process, removes the partial files, and rejects with an {@link AbortError}.
+ * @property {EventEmitter} [emitter] - The event emitter to emit the download events into, see
+ *                                     {@link module:ytmp3~Downloader `Downloader`} for the emitted events.
+ * @property {boolean} [dryRun=false] - Whether to only plan the download without downloading anything. The URLs are validated
+ *                                      and the video information is fetched, but no output file is written and FFmpeg is never
+ *                                      spawned. The {@link DownloadPlan} object is returned instead of the download result.
+ * @property {Function} [onInfo] - A lifecycle hook awaited after the video information is fetched, see {@link module:hooks}.
+ * @property {Function} [beforeDownload] - A lifecycle hook awaited right before the audio is downloaded.
+ * @property {Function} [afterDownload] - A lifecycle hook awaited with the {@link DownloadResult} after the audio is downloaded.
+ * @property {Function} [afterConvert] - A lifecycle hook awaited with the {@link ConversionResult} after the audio is converted.
+ * @property {Function} [onError] - A lifecycle hook awaited with the error after a video has failed.
+ * @property {Array<PostProcessor | [PostProcessor, Object]>} [postprocessors] - The post-processors to run in order on the
+ *                                      finished file, after the ones registered by {@link module:ytmp3~use `ytmp3.use`}. Each item
+ *                                      is either a post-processor or a tuple of a post-processor and its options.
+ * @property {boolean | Object} [embedMetadata=false] - Whether to embed the metadata tags from the video information into
+ *                                      the output file, see {@link module:metadata} for the embedded tags. An object of
+ *                                      templates overrides the tags, a `null` or `false` value omits the tag. The converted
+ *                                      audio is tagged during the conversion, otherwise the downloaded audio is remuxed losslessly.
+ * @property {boolean | 'original' | 'square'} [embedThumbnail=false] - Whether to embed the video thumbnail as the front cover
+ *                                      of the output file, only supported by the MP3, M4A, FLAC and Opus audio. The `'square'`
+ *                                      value crops the thumbnail into a centered square, while `true` or `'original'` keeps it as-is.
+ *                                      A thumbnail failed to fetch only logs a warning, see {@link module:cover}.
+ * @property {ThumbnailFetcher} [thumbnailFetcher] - A custom function to fetch the thumbnail to embed, defaults to the global
+ *                                      `fetch` function.
  *
  * @global
  * @extends {ytdl.downloadOptions}
@@ -211,12 +391,67 @@ const log = getGlob('logger', Logger);
  * @typedef  {DownloadOptions} BatchDownloadOptions
  * @property {string} [encoding='utf-8'] - The encoding to use for reading the batch file contents.
  * @property {boolean} [includeID] - Whether to include and parse any string representing a YouTube video ID when processing batch file.
+ * @property {number} [concurrency=1] - The maximum number of videos to download simultaneously. Defaults to `1` (sequential download).
+ * @property {number} [playlistLimit] - The maximum number of videos to download from each playlist. Unlimited if unspecified.
+ * @property {number} [playlistOffset=0] - The number of videos to skip from the start of each playlist.
+ * @property {boolean} [playlistReverse=false] - Whether to download the selected videos of each playlist in reverse order.
+ * @property {number} [latest] - The number of latest uploads to download from each channel. All uploads if unspecified.
+ * @property {Function} [onBatchEnd] - A lifecycle hook awaited with the results after the batch download has finished,
+ *                                    see {@link module:hooks}.
+ * @property {PageFetcher} [pageFetcher] - A custom function to fetch the playlist and channel pages, defaults to the global `fetch` function.
+ * @property {JobQueue} [queue] - The job queue to record the state of each video into, so the unfinished videos can be
+ *                                downloaded again after a crash, see {@link module:queue~JobQueue `JobQueue`}.
+ * @property {string} [reportFile] - The path to write the report of the batch download into, as a JSON file or a CSV file
+ *                                   if it has the `.csv` extension. The failed videos are also written along with their
+ *                                   options into the `<report>.failed.txt` file next to the report, see {@link module:report}.
+ * @property {string | string[]} [outFile] - The output file names for each video in order. A single filename template
+ *                                          is applied to all videos, e.g., `'{uploadDate:YYYY}/{author}/{title}.{ext}'`.
  *
  * @global
  * @extends  {DownloadOptions}
  * @since    2.0.0
  */
 
+/**
+ * An object to configure the audio stream created by the {@link module:ytmp3~createAudioStream `createAudioStream`}
+ * function. It accepts the {@link AudioConverterOptions} (except `deleteOld`) to configure the output audio, and the
+ * {@link DownloadOptions} which are not related to the output files.
+ *
+ * @typedef  {AudioConverterOptions} AudioStreamOptions
+ * @property {string} [format='mp3'] - The output audio format, e.g., `'mp3'`, `'opus'` or `'ipod'` (M4A).
+ * @property {AudioFormatPreference | string} [audioFormat] - The preference to choose the source audio format.
+ * @property {number | string} [start] - The start time to clip the audio from. If unspecified, the `t` parameter
+ *                                       of the URL is used, if any.
+ * @property {number | string} [end] - The end time to clip the audio to.
+ * @property {number | string} [rateLimit] - The maximum download rate in bytes per second.
+ * @property {boolean} [useCache=true] - Whether to use the cached video information.
+ * @property {AbortSignal} [signal] - An abort signal to cancel the stream, which is then destroyed with an {@link AbortError}.
+ * @property {boolean} [quiet=true] - Whether to suppress the log messages.
+ *
+ * @global
+ * @since    2.0.0
+ */
+
+/**
+ * The metadata attached to the audio stream created by the {@link module:ytmp3~createAudioStream `createAudioStream`}
+ * function, in the `metadata` property of the stream.
+ *
+ * @typedef  {Object} AudioStreamMetadata
+ * @property {string} videoId - The ID of the video.
+ * @property {string} url - The URL of the video.
+ * @property {string} title - The title of the video.
+ * @property {string} author - The name of the video author.
+ * @property {number} duration - The duration of the video in seconds.
+ * @property {DownloadFormatInfo} sourceFormat - The details of the downloaded audio format.
+ * @property {string} format - The output audio format.
+ * @property {string} mimeType - The MIME type of the output audio, e.g., `'audio/mpeg'`.
+ * @property {{ start: number, end: number | null } | null} timeRange - The clipped time range in seconds,
+ *                                                                   or `null` if the whole audio is streamed.
+ *
+ * @global
+ * @since    2.0.0
+ */
+
 // region Constants
 
 /**
@@ -250,19 +485,34 @@ const version_info = (() => {
   });
 })();
 
-// Prevent the 'ytdl-core' module to check updates
-Object.assign(process.env, { YTDL_NO_UPDATE: true });
+/**
+ * The MIME types of the audio formats supported by the audio stream.
+ * @constant
+ * @private
+ */
+const AUDIO_MIME_TYPES = Object.freeze({
+  mp3: 'audio/mpeg',
+  aac: 'audio/aac',
+  adts: 'audio/aac',
+  ipod: 'audio/mp4',
+  mp4: 'audio/mp4',
+  ogg: 'audio/ogg',
+  opus: 'audio/ogg',
+  flac: 'audio/flac',
+  wav: 'audio/wav',
+  webm: 'audio/webm'
+});
 
 /**
- * The audio format options for the `ytdl.downloadFromInfo()` function.
+ * The default delay in milliseconds to wait for the batch file changes to settle,
+ * before processing the newly appended URLs in watch mode.
+ * @constant
  * @private
- * @default
- * @type {ytdl.chooseFormatOptions}
  */
-const AUDIO_FMT_OPTIONS = {
-  quality: 140,
-  filter: 'audioonly'
-};
+const WATCH_DEBOUNCE = 500;
+
+// Prevent the 'ytdl-core' module to check updates
+Object.assign(process.env, { YTDL_NO_UPDATE: true });
 
 
 // region Helpers
@@ -430,34 +680,6 @@ function resolveDlOptions({ downloadOptions }) {
   };
 }
 
-/**
- * Parses a batch file by reading its contents, trimming whitespace from each line,
- * count the comment lines, and filtering out empty lines and comments.
- *
- * @param {string | Buffer<ArrayBufferLike>} file - The path to the batch file to be sanitized.
- * @param {string} [encoding] - The encoding to use for reading file.
- * @returns {Promise<object>}
- *
- * @async
- * @private
- * @since 2.0.0
- */
-async function parseBatchFile(file, encoding) {
-  encoding = encoding || 'utf-8';
-  const contents = (await fs.promises.readFile(file, encoding))
-    .replace('\r\n', '\n')
-    .split('\n');
-
-  return {
-    contents,       // Actual contents (including comments and untrimmed)
-    urls: contents  // URLs
-      .map(line => line.trim())  // Trim whitespace
-      .filter(line => line.length > 0 && !/^#|^\/\//.test(line)),  // Remove comments
-    comments: contents.map(line => line.trim())
-      .filter(line => /^#|^\/\//.test(line))
-  };
-}
-
 /**
  * Sanitizes a filename by replacing invalid characters with underscores.
  *
@@ -471,195 +693,1082 @@ function sanitizeFilename(filename) {
   return filename.replace(invalidCharsRegex, '_');
 }
 
-
-async function isDownloaded(path, vInfo) {
-  return await new Promise((resolve) => {
-    ffprobe(path, (err, meta) => {
-      if (err) {
-        resolve(false);
-      } else {
-        resolve(Math.floor(parseInt(meta.format.duration)) === Math.floor(
-          InfoUtils.getDuration(vInfo)));
-      }
-    });
-  });
+/**
+ * Returns the file extension for the given audio format, without the leading dot.
+ *
+ * @param {ytdl.videoFormat} [format] - The audio format to download.
+ * @returns {string} The file extension, defaults to `'m4a'` if the container is unknown.
+ *
+ * @private
+ * @since   2.0.0
+ */
+function getFormatExtension(format) {
+  const container = format?.container;
+  return (!container || container === 'mp4') ? 'm4a' : container;
 }
 
 /**
- * Handles the interruption of the download process.
- * 
- * This function is triggered when the download process is interrupted.
- * It clears the current line in the console, logs an error message, and
- * then attempts to destroy the `ytdlStream` if it is not already destroyed.
- * Finally, it exits the process with a status code of 130 (`SIGINT`).
- * 
+ * Resolves the output file name of a video, relative to the output directory.
+ *
+ * If the given file name is a filename template, the placeholders are replaced with the video
+ * metadata and the forward slashes create subdirectories, see {@link module:utils/filename-template}.
+ * Otherwise, the file name is sanitized. Falls back to the title of the video if no file name is given.
+ *
+ * @param {string} [outFile] - The output file name or filename template.
+ * @param {ytdl.videoInfo} videoInfo - The video information object.
+ * @param {string} ext - The file extension to add if the file name has no extension.
+ * @returns {string} The resolved output file name.
+ *
+ * @throws {FilenameTemplateError} If the filename template contains an unknown placeholder.
+ *
  * @private
+ * @since   2.0.0
  */
-async function downloadInterruptedHandler({ quiet, ytdlStream }) {
-  quiet || process.stdout.write('\u001b[2K\r');
-  quiet || log.error('Program has been interrupted. Exiting now ...');
-
-  // It consumes the `ytdlStream` variable and destroy if it is not destroyed yet,
-  // thus need to ensure the variable is declared in the outside scope before call
-  if (ytdlStream) {
-    if (!ytdlStream.destroyed) {
-      ytdlStream.destroy(new Error('Interrupted'));
-      quiet || log.debug('[SIGTERM] Terminated the download process');
-    }
+function resolveOutputName(outFile, videoInfo, ext) {
+  outFile = (typeof outFile === 'string') ? outFile.trim() : '';
+  outFile = FilenameTemplate.isTemplate(outFile)
+    ? FilenameTemplate.resolveTemplate(outFile, videoInfo, { ext })
+    : sanitizeFilename(outFile || videoInfo.videoDetails.title);
+  // Add the file extension if missing
+  return /.+\.\w+$/.test(path.basename(outFile)) ? outFile : `${outFile}.${ext}`;
+}
 
-    await new Promise(resolve => ytdlStream.on('close', resolve));
+/**
+ * Resolves the given URL or video ID into a video URL.
+ *
+ * @param {string | URL} url - The YouTube URL or video ID.
+ * @returns {string} The video URL.
+ *
+ * @throws {IDValidationError} If the given input is neither a URL nor a video ID.
+ *
+ * @private
+ * @since   2.0.0
+ */
+function resolveVideoUrl(url) {
+  // Check if the `url` is a URL represents in a string or URL object
+  if ((typeof url === 'string' && /^https?:\/\//.test(url)) || url instanceof URL) {
+    return (url instanceof URL) ? url.href : url.trim();
   }
-  // * NOTE: Cleanup function will auto-called in background
+  // ... or if the given input is a video ID
+  if (typeof url === 'string' && url.length === URLUtils.MAX_ID_LENGTH) {
+    return (new URL(url, 'https://youtu.be')).href;
+  }
+  // ... otherwise the input is treated as invalid video ID
+  throw new IDValidationError(`Given video ID is invalid: ${url}`);
 }
-  
-async function convertDownloadedAudio(path, options, quiet) {
-  let result = null;
-  try {
-    // Convert the audio file
-    result = await convertAudio(path, options);
-  } catch (e) {
-    const messages = e.message.split('\n');
-    e.message = `${messages[0]}\n${messages[messages.length - 1]}`;
 
-    quiet || log.error(
-      '\x1b[91m\u2716\x1b[0m Upss! An error occurred during audio conversion');
-    quiet || console.error(`\x1b[91m${e.name}: ${e.message}\x1b[0m`);
-    quiet || log.info('Skipping audio conversion for this file ...');
-    throw e;
-  }
-  return result;
+/**
+ * Resolves a playlist or channel URL into the URLs of its videos, in the playlist order or
+ * from the newest upload respectively.
+ *
+ * @param {string} url - The playlist or channel URL.
+ * @param {BatchDownloadOptions} options - The resolved options, which provide the `playlist*`,
+ *                                         `latest` and `pageFetcher` options.
+ * @param {boolean} [quiet=false] - Whether to suppress the log messages.
+ * @returns {Promise<string[]>} A promise that resolves to the video URLs.
+ *
+ * @async
+ * @private
+ * @since   2.0.0
+ */
+async function resolveCollectionUrls(url, options, quiet=false) {
+  const isPlaylist = isPlaylistUrl(url);
+  quiet || log.info(`Resolving ${isPlaylist ? 'playlist' : 'channel'} \x1b[93m${
+    isPlaylist ? extractPlaylistId(url) : url}\x1b[0m ...`);
+  const ids = isPlaylist
+    ? await resolvePlaylist(url, {
+      limit: options.playlistLimit,
+      offset: options.playlistOffset,
+      reverse: options.playlistReverse,
+      fetcher: options.pageFetcher
+    })
+    : await resolveChannel(url, {
+      limit: options.latest,
+      fetcher: options.pageFetcher
+    });
+  quiet || log.info(`${isPlaylist ? 'Playlist' : 'Channel'} contains `
+    + `\x1b[96m${ids.length}\x1b[0m ${ids.length > 1 ? 'videos' : 'video'}`);
+  return ids.map(id => (new URL(id, 'https://youtu.be')).href);
 }
 
 /**
- * Fetches video information and format from a given URL.
+ * Resolves the time range to clip the audio of a video. If the start time is unspecified,
+ * the `t` parameter within the URL is used as the start time.
  *
- * @param {string} url - The URL of the video to fetch information for.
- * @param {object} options - Options to pass to the `getInfo` function.
- * @param {boolean} [quiet=false] - If `true`, suppresses error logging.
- * @returns {Promise<object>} - Fulfills with an object containing video information and format.
+ * @param {string} url - The URL of the video.
+ * @param {DownloadOptions} options - The resolved download options.
+ * @returns {{ start: number, end: number | null } | null} The time range in seconds,
+ *          or `null` if the whole audio is wanted.
  *
- * @throws {Error} - Throws an error if the fetch process fails.
+ * @throws {Error} If any timestamp is invalid, or the end time is not after the start time.
  *
  * @private
- * @since 2.0.0
+ * @since   2.0.0
  */
-async function fetchVideoInfo(url, options, quiet=false) {
-  try {
-    const videoInfo = await getInfo(url, options);
-    const videoFormat = FormatUtils.parseFormatObject(
-      ytdl.chooseFormat(videoInfo.formats, AUDIO_FMT_OPTIONS));
-    return { videoInfo, videoFormat };
-  } catch (e) {
-    quiet || log.error('\x1b[91m\u2716\x1b[0m Upss! An error occurred during pre-download process');
-    throw e;  // Needs to be handled
-  }
+function resolveClipRange(url, options) {
+  const range = resolveTimeRange(
+    options.start ?? URLUtils.extractStartTime(url), options.end);
+  return (range && (range.start > 0 || range.end !== null)) ? range : null;
 }
 
-async function fetchVideoInfos(urls, options, quiet=false) {
-  try {
-    const videoInfos = await getInfo(urls, options);
-    let videoFormats = null;
-    if (options.asObject && !Array.isArray(videoInfos)) {
-      videoFormats = Object.entries(videoInfos).reduce((acc, [id, info]) => {
-        acc[id] = FormatUtils.parseFormatObject(
-          ytdl.chooseFormat(info.formats, AUDIO_FMT_OPTIONS));
-        return acc;
-      }, {});
-    } else if (Array.isArray(videoInfos)) {
-      videoFormats = videoInfos.map(info => FormatUtils.parseFormatObject(
-        ytdl.chooseFormat(info.formats, AUDIO_FMT_OPTIONS)
-      ));
-    }
-    return { videoInfos, videoFormats };
-  } catch (e) {
-    quiet || log.error('\x1b[91m\u2716\x1b[0m Upss! An error occurred during pre-download process');
-    throw e;  // Needs to be handled
-  }
+/**
+ * Resolves the audio format preference, the preference string is parsed
+ * so that an invalid preference fails before making any request.
+ *
+ * @param {AudioFormatPreference | string} [audioFormat] - The audio format preference.
+ * @returns {AudioFormatPreference | undefined} The parsed audio format preference.
+ *
+ * @throws {Error} If the audio format preference string is invalid.
+ *
+ * @private
+ * @since   2.0.0
+ */
+function resolveAudioFormat(audioFormat) {
+  return (typeof audioFormat === 'string')
+    ? FormatUtils.parseAudioFormatPreference(audioFormat)
+    : audioFormat;
 }
 
 /**
- * Constructs an object containing download data for a video.
+ * Emits the given event into the event emitter, if specified.
  *
- * @param {object} data
- * @param {ytdl.videoInfo} data.videoInfo - The information about the video.
- * @param {ytdl.videoFormat} data.videoFormat - The format information of the video.
- * @param {AuthorInfo} data.authorInfo - The information about the author.
- * @param {fs.WriteStream} outStream - The output stream for the video.
+ * The `'error'` event is only emitted if there is any listener, because an unhandled `'error'`
+ * event throws. The errors are always thrown or exposed in the download results anyway.
  *
- * @returns  {DLHandlerData} An object containing the download data.
+ * @param {EventEmitter} [emitter] - The event emitter.
+ * @param {string} event - The name of the event.
+ * @param {object} payload - The payload of the event, always contains the video ID.
  *
  * @private
- * @since 2.0.0
+ * @since   2.0.0
  */
-function constructDownloadData(outStream, data, options) {
-  return {
-    videoInfo: data.videoInfo,
-    videoFormat: data.videoFormat,
-    outStream,
-    range: options.range,
-    title: InfoUtils.getTitle(data.videoInfo),
-    authorName: data.authorInfo.name,
-    videoUrl: data.videoInfo.videoDetails.video_url,
-    videoId: data.videoInfo.videoDetails.videoId,
-    channelId: data.videoInfo.videoDetails.channelId,
-    duration: InfoUtils.getDuration(data.videoInfo),
-    viewers: InfoUtils.getViewers(data.videoInfo),
-    subscribers: InfoUtils.getSubscribers(data.authorInfo)
-  };
+function emitEvent(emitter, event, payload) {
+  if (!emitter || (event === 'error' && emitter.listenerCount('error') === 0)) return;
+  emitter.emit(event, payload);
 }
 
 /**
- * Constructs a download result object.
- *
- * @param {string} url - The URL of the video.
- * @param {string} outputFile - The path to the output file.
- * @param {DLHandlerData} data - The download data.
+ * Emits the `'error'` event and calls the `onError` hook of a failed video.
+ * Any error thrown by the hook is only logged, the original error is kept.
  *
- * @returns {DownloadResult} The download result object.
+ * @param {DownloadOptions} options - The resolved download options, with the hooks.
+ * @param {{ videoId: string, url: string, phase: string, error: Error }} payload
+ *        The payload of the `'error'` event.
+ * @param {boolean} [quiet=false] - If `true`, suppresses the log messages.
+ * @returns {Promise<void>}
  *
+ * @async
  * @private
  * @since 2.0.0
  */
-function constructDownloadResult(url, outputFile, data, options) {
-  return {
-    path: outputFile,
-    outputFile,
-    url,
-    cache: {
-      useCache: options.useCache,
-      id: options.useCache ? URLUtils.extractVideoId(url) : null,
-      path: options.useCache ? getCachePath(data.videoId) : null
-    },
-    metadata: {
-      title: data.title,
-      description: InfoUtils.getDescription(data.videoInfo),
-      publishDate: InfoUtils.getPublishDate(data.videoInfo),
-      authorUrl: data.authorInfo.url,
-      authorName: data.authorName,
-      videoId: data.videoId,
-      channelId: data.channelId,
-      duration: data.duration,
-      viewers: data.viewers,
-      subscribers: data.subscribers,
-      keywords: InfoUtils.getKeywords(data.videoInfo)
-    },
-    thumbnails: {
-      author: ThumbnailUtils.sortThumbnailsByResolution(data.authorInfo.thumbnails),
-      video: ThumbnailUtils.getVideoThumbnails(data.videoInfo.videoDetails, true)
-    },
-    conversionResult: null
-  };
+async function notifyError(options, payload, quiet=false) {
+  const { error, ...context } = payload;
+  emitEvent(options.emitter, 'error', payload);
+  try {
+    await runHook(options, 'onError', error, context);
+  } catch (err) {
+    quiet || log.warn(`{\x1b[36m${payload.videoId}\x1b[0m}: `
+      + `The \`onError\` hook has failed: ${err.message}`);
+  }
 }
 
-
-// region Core Functions
-
-
 /**
- * Retrieves information for multiple YouTube videos sequentially.
+ * Returns the phase in which the video has failed, which is the post-processing phase
+ * if any post-processor of the download result has failed.
  *
- * **Deprecated**: Please use {@link module:ytmp3~getInfo `getInfo`} instead for better
- * video information retrieval with caching capability.
+ * @param {DownloadResult} downloadResult - The download result of the video.
+ * @param {'download' | 'convert'} phase - The phase of the failed step.
+ * @returns {'download' | 'convert' | 'postprocess'} The phase of the failure.
+ *
+ * @private
+ * @since   2.0.0
+ */
+function getFailedPhase(downloadResult, phase) {
+  return downloadResult?.postprocessors?.some(pp => pp.error) ? 'postprocess' : phase;
+}
+
+/**
+ * Creates the token bucket to limit the download bandwidth, the rate limit is parsed
+ * so that an invalid rate limit fails before making any request.
+ *
+ * @param {number | string} [rateLimit] - The rate limit in bytes per second, e.g., `'2M'`.
+ * @returns {TokenBucket | null} The token bucket, or `null` if the bandwidth is unlimited.
+ *
+ * @throws {Error} If the rate limit is invalid.
+ *
+ * @private
+ * @since   2.0.0
+ */
+function createRateLimiter(rateLimit) {
+  return TypeUtils.isNullOrUndefined(rateLimit)
+    ? null
+    : new TokenBucket(parseRate(rateLimit));
+}
+
+/**
+ * Throttles the given download stream to satisfy all given token buckets.
+ *
+ * The returned stream emits the `'progress'` event with the throttled throughput, and
+ * forwards the errors between both streams.
+ *
+ * @param {Readable} ytdlStream - The download stream.
+ * @param {TokenBucket[]} buckets - The token buckets to consume.
+ * @returns {Readable} The throttled download stream.
+ *
+ * @private
+ * @since   2.0.0
+ */
+function throttleDownload(ytdlStream, buckets) {
+  const throttle = createThrottle(buckets);
+  ytdlStream.on('progress', (chunkLength, downloaded, total) => {
+    // Synchronize with the source stream on the first progress
+    if (!throttle.total) throttle.offset = downloaded - chunkLength;
+    throttle.total = total;
+  });
+  ytdlStream.once('error', (err) => throttle.destroyed || throttle.destroy(err));
+  throttle.once('error', (err) => ytdlStream.destroyed || ytdlStream.destroy(err));
+  return ytdlStream.pipe(throttle);
+}
+
+/**
+ * Resolves the output path of the converted audio from the filename template, so that
+ * the `{ext}` placeholder follows the converted audio format.
+ *
+ * @param {string} [outFile] - The output file name or filename template.
+ * @param {ytdl.videoInfo} videoInfo - The video information object.
+ * @param {string} outDir - The output directory.
+ * @param {AudioConverterOptions} converterOptions - The resolved audio converter options.
+ * @returns {string | undefined} The output path of the converted audio, or `undefined` if the
+ *          output file name is not a filename template or the output format is unknown.
+ *
+ * @private
+ * @since   2.0.0
+ */
+function resolveConvertedOutput(outFile, videoInfo, outDir, converterOptions) {
+  if (!FilenameTemplate.isTemplate(outFile) || typeof converterOptions.format !== 'string') {
+    return undefined;  // Let the converter decide the output path
+  }
+  return path.resolve(outDir.trim() || '.', FilenameTemplate.resolveTemplate(
+    outFile.trim(), videoInfo, { ext: converterOptions.format }));
+}
+
+/**
+ * Waits until the given output stream has finished writing, or rejects if either
+ * the output stream or the download stream emits an error.
+ *
+ * This is required for synchronous download handlers, which return before
+ * the download completes.
+ *
+ * @param {fs.WriteStream} outStream - The output stream.
+ * @param {Readable} ytdlStream - The download stream.
+ * @returns {Promise<void>}
+ *
+ * @async
+ * @private
+ * @since 2.0.0
+ */
+async function waitForOutStream(outStream, ytdlStream) {
+  if (outStream.writableFinished || outStream.destroyed) return;
+  await new Promise((resolve, reject) => {
+    outStream.once('finish', resolve).once('close', resolve).once('error', reject);
+    ytdlStream?.once('error', reject);
+  });
+}
+
+/**
+ * Prepares the partial file of a download and opens the output stream to write into it.
+ *
+ * If an interrupted download of the same video and format is found, the output stream
+ * appends to its partial file and the returned range starts from the bytes already
+ * downloaded. The state of the download is tracked into the sidecar file until the
+ * tracker is stopped.
+ *
+ * @param {string} output - The path to the output file.
+ * @param {object} download - The information of the download.
+ * @param {string} download.videoId - The ID of the video to download.
+ * @param {ytdl.videoFormat} download.format - The format to download.
+ * @param {object} [download.range] - The user-specified byte range.
+ *
+ * @returns {Promise<{ part: PartFileInfo, outStream: fs.WriteStream, tracker: object,
+ *          range: { start: number, end?: number } | undefined }>}
+ *
+ * @async
+ * @private
+ * @since 2.0.0
+ */
+async function preparePartDownload(output, { videoId, format, range }) {
+  const part = await preparePartFile(output, {
+    videoId,
+    itag: format?.itag,
+    contentLength: format?.contentLength,
+    range
+  });
+  const outStream = fs.createWriteStream(part.partFile, {
+    flags: part.offset > 0 ? 'a' : 'w'
+  });
+  const tracker = trackPartState(outStream, part);
+
+  // Resume from the bytes already downloaded, relative to the requested range
+  const start = (part.state.range?.start || 0) + part.offset;
+  const end = part.state.range?.end;
+  const dlRange = (start > 0 || typeof end === 'number')
+    ? { start, ...(typeof end === 'number' ? { end } : {}) }
+    : undefined;
+
+  return { part, outStream, tracker, range: dlRange };
+}
+
+/**
+ * Downloads the audio content into the output file, retrying the download with exponential
+ * backoff on transient errors (see {@link module:utils~isRetryableError `isRetryableError`}).
+ *
+ * Each retry resumes from the bytes already written into the partial file. If the signed format
+ * URL has expired, the video information is re-fetched (bypassing the cache) before the next attempt.
+ * Every attempt is recorded into the given `attempts` array.
+ *
+ * @param {object} task - The download task.
+ * @param {string} task.url - The URL of the video.
+ * @param {string} task.output - The path to the output file.
+ * @param {DLHandlerData} task.data - The download data shared to the handler, it is updated on each attempt.
+ * @param {ytdl.videoFormat} [task.format] - The user-specified format, or `undefined` to use the chosen format.
+ * @param {Function} task.handler - The download handler.
+ * @param {object} task.handlerOptions - The options passed to the download handler.
+ * @param {DownloadOptions} task.options - The resolved download options.
+ * @param {object} task.infoOptions - The resolved options to re-fetch the video information.
+ * @param {Set<Readable>} task.streams - The set of ongoing download streams.
+ * @param {DownloadAttempt[]} task.attempts - The array to record the attempts into.
+ * @param {TokenBucket | null} [task.rateLimiter] - The token bucket shared by all downloads to limit
+ *                                                 the total bandwidth, the same rate limit is also applied
+ *                                                 to this download alone. Unlimited if `null`.
+ * @param {boolean} [task.quiet=false] - Whether to suppress the log messages.
+ *
+ * @returns {Promise<void>}
+ *
+ * @throws {Error} The error of the last attempt, if all attempts failed or the error is not retryable.
+ *
+ * @async
+ * @private
+ * @since 2.0.0
+ */
+async function downloadWithRetries({
+  url, output, data, format: userFormat, handler, handlerOptions,
+  options, infoOptions, streams, attempts, rateLimiter=null, quiet=false
+}) {
+  const { videoId } = data;
+  const { signal } = options;
+  const idC = `{\x1b[36m${videoId}\x1b[0m}`;
+  let refetchedInfo = false;
+  // Limit this download alone as well as the total bandwidth, kept across the retries
+  const buckets = rateLimiter
+    ? [ new TokenBucket(rateLimiter.rate), rateLimiter ]
+    : [];
+
+  await retryAsync(async (attempt) => {
+    const format = userFormat || data.videoFormat;
+    const record = { attempt, offset: 0, bytesWritten: 0, refetchedInfo, error: null };
+    attempts.push(record);
+    refetchedInfo = false;
+
+    let ytdlStream = null;
+    let outStream = null;
+    let tracker = null;
+    let downloadError = null;
+    const onAbort = () => {
+      if (ytdlStream && !ytdlStream.destroyed) {
+        ytdlStream.destroy(new AbortError('Download aborted', { cause: signal.reason }));
+      }
+    };
+    try {
+      throwIfAborted(signal, 'Download aborted');
+      // Write into the partial file, resuming the interrupted download if any
+      const prepared = await preparePartDownload(
+        output, { videoId, format, range: options.range });
+      const { part, range: dlRange } = prepared;
+      ({ outStream, tracker } = prepared);
+      record.offset = part.offset;
+      emitEvent(options.emitter, 'start', {
+        videoId, url, output, attempt, offset: part.offset
+      });
+
+      outStream.on('error', function errHandler(err) {
+        // The handler may destroy the output stream with the download error
+        if (err === downloadError) return;
+        quiet || log.error(
+          `I/O error: (${err.errno}) Unable to write to file: ${outStream.path}`);
+        // Delete the partial file if there is no bytes written yet
+        if (outStream.bytesWritten === 0 && part.offset === 0) {
+          tracker.stop();
+          removePartFiles(output).catch(() => {});
+        }
+        // Propagate the error to the download stream, let the handler reject it
+        if (ytdlStream && !ytdlStream.destroyed) ytdlStream.destroy(err);
+      });
+      data.outStream = outStream;
+      data.range = dlRange;
+
+      if (!quiet) {
+        if (dlRange && dlRange.start > 0) {
+          const mb = (dlRange.start / (1024 ** 2)).toFixed(3);
+          log.info(`${idC}: Resume downloading from bytes `
+            + `[\x1b[96m${dlRange.start} B//${mb} MiB\x1b[0m]`);
+        } else {
+          log.info(`${idC}: Downloading the audio content ...`);
+        }
+      }
+
+      // Download the audio using the video information
+      ytdlStream = ytdl.downloadFromInfo(data.videoInfo, {
+        ...options,
+        range: dlRange,
+        format
+      });
+      ytdlStream.once('error', (err) => { downloadError = err; });
+      streams.add(ytdlStream);
+      signal?.addEventListener('abort', onAbort, { once: true });
+      throwIfAborted(signal, 'Download aborted');
+      const dlStream = buckets.length
+        ? throttleDownload(ytdlStream, buckets)
+        : ytdlStream;
+      if (options.emitter) {
+        const startTime = Date.now();
+        dlStream.on('progress', (_chunkLength, downloaded, total) => {
+          const elapsed = (Date.now() - startTime) / 1000;
+          const speed = elapsed > 0 ? downloaded / elapsed : 0;
+          emitEvent(options.emitter, 'progress', {
+            videoId,
+            bytes: part.offset + downloaded,
+            total: part.offset + total,
+            speed,
+            eta: speed > 0 ? Math.max(total - downloaded, 0) / speed : null
+          });
+        });
+      }
+
+      if (isAsyncFunction(handler)) {
+        await handler(dlStream, data, handlerOptions);
+      } else {
+        handler(dlStream, data, handlerOptions);
+      }
+      await waitForOutStream(outStream, ytdlStream);
+
+      // Move the completed partial file to the output file
+      tracker.stop();
+      await finalizePartFile(output, part);
+    } catch (err) {
+      record.error = err;
+      if (!signal?.aborted) throw err;
+      // The aborted download is never resumed, thus remove its partial files
+      tracker?.stop();
+      if (ytdlStream && !ytdlStream.destroyed) ytdlStream.destroy();
+      // Wait for the file to be closed, so it cannot be recreated after the removal
+      if (outStream && !outStream.closed) {
+        await new Promise((resolve) => outStream.once('close', resolve).destroy());
+      }
+      await removePartFiles(output).catch(() => {});
+      throw (err instanceof AbortError)
+        ? err
+        : new AbortError('Download aborted', { cause: signal.reason });
+    } finally {
+      tracker?.stop();  // The partial file is kept for resuming if the download fails
+      record.bytesWritten = outStream?.bytesWritten || 0;
+      streams.delete(ytdlStream);
+      signal?.removeEventListener('abort', onAbort);
+    }
+  }, {
+    retries: options.retries,
+    retryDelay: options.retryDelay,
+    retryBackoff: options.retryBackoff,
+    signal,
+    shouldRetry: (err) => !hasInterrupted() && isRetryableError(err),
+    onRetry: async (err, attempt, delay) => {
+      quiet || log.warn(`${idC}: Download failed (${err.message}), retrying in `
+        + `${(delay / 1000).toFixed(1)}s [${attempt}/${options.retries}] ...`);
+      if (!isExpiredUrlError(err)) return;
+
+      // The signed format URLs have expired, fetch the fresh video information
+      quiet || log.info(`${idC}: Format URL has expired, re-fetching the video info ...`);
+      const { audioFormat } = options;
+      const { videoInfo, videoFormat } = await fetchVideoInfo(
+        url, { ...infoOptions, useCache: false, audioFormat }, quiet);
+      // Keep the same format if still available, so the partial file can be resumed
+      const { itag: prevItag } = data.videoFormat;
+      const sameFormat = videoInfo.formats.find(({ itag }) => itag === prevItag);
+      data.videoInfo = videoInfo;
+      data.videoFormat = sameFormat
+        ? FormatUtils.parseFormatObject(sameFormat)
+        : videoFormat;
+      if (userFormat) {
+        userFormat = videoInfo.formats.find(({ itag }) => itag === userFormat.itag)
+          || userFormat;
+      }
+      refetchedInfo = true;
+    }
+  });
+}
+
+/**
+ * Handles the interruption of the download process.
+ * 
+ * This function is triggered when the download process is interrupted.
+ * It clears the current line in the console, logs an error message, and
+ * then attempts to destroy the `ytdlStream` if it is not already destroyed.
+ * Finally, it exits the process with a status code of 130 (`SIGINT`).
+ * 
+ * @private
+ */
+async function downloadInterruptedHandler({ quiet, ytdlStream }) {
+  quiet || process.stdout.write('\u001b[2K\r');
+  quiet || log.error('Program has been interrupted. Exiting now ...');
+
+  // It consumes the `ytdlStream` variable and destroy if it is not destroyed yet,
+  // thus need to ensure the variable is declared in the outside scope before call
+  if (ytdlStream) {
+    if (!ytdlStream.destroyed) {
+      ytdlStream.destroy(new Error('Interrupted'));
+      quiet || log.debug('[SIGTERM] Terminated the download process');
+    }
+
+    await new Promise(resolve => ytdlStream.on('close', resolve));
+  }
+  // * NOTE: Cleanup function will auto-called in background
+}
+  
+/**
+ * Fetches the cover art of the video, if the `embedThumbnail` option is enabled, and calls
+ * the given function with it. The cover art is removed after the function has finished.
+ *
+ * A failed fetch only logs a warning instead of failing the video, as the audio is still
+ * usable without the cover art.
+ *
+ * @param {ytdl.videoInfo} videoInfo - The video information object.
+ * @param {string} output - The path of the audio file to embed the cover art into.
+ * @param {DownloadOptions} options - The resolved download options.
+ * @param {boolean} quiet - Whether to suppress the log messages.
+ * @param {(coverArt: string | undefined) => Promise<T>} fn - The function to embed the cover art,
+ *        called with `undefined` if there is no cover art to embed.
+ * @returns {Promise<T>} A promise fulfills with the value returned by the function.
+ *
+ * @throws {Error} If the crop mode is unknown, or the fetching has been aborted.
+ *
+ * @template T
+ * @async
+ * @private
+ * @since  2.0.0
+ */
+async function withCoverArt(videoInfo, output, options, quiet, fn) {
+  let coverArt = null;
+  if (options.embedThumbnail) {
+    const videoId = videoInfo.videoDetails?.videoId;
+    // An unknown crop mode is a usage error, not a failed fetch
+    const crop = resolveCropMode(options.embedThumbnail);
+    try {
+      coverArt = await fetchCoverArt(videoInfo, output, {
+        crop,
+        fetcher: options.thumbnailFetcher,
+        quiet,
+        signal: options.signal
+      });
+      coverArt || quiet || log.warn(
+        `{\x1b[36m${videoId}\x1b[0m}: No thumbnail to embed, skipping ...`);
+    } catch (e) {
+      if (options.signal?.aborted) throw e;
+      quiet || log.warn(
+        `{\x1b[36m${videoId}\x1b[0m}: Unable to embed the thumbnail: ${e.message}`);
+    }
+  }
+
+  try {
+    return await fn(coverArt ?? undefined);
+  } finally {
+    if (coverArt) await fs.promises.rm(coverArt, { force: true });
+  }
+}
+
+async function convertDownloadedAudio(inFile, outFile, options, quiet) {
+  let result = null;
+  try {
+    // Ensure the directory of the resolved output file exists
+    if (outFile) await createDirIfNotExist(path.dirname(outFile));
+    // Convert the audio file
+    result = await convertAudio(inFile, outFile, options);
+  } catch (e) {
+    const messages = e.message.split('\n');
+    if (messages.length > 1) {
+      e.message = `${messages[0]}\n${messages[messages.length - 1]}`;
+    }
+
+    quiet || log.error(
+      '\x1b[91m\u2716\x1b[0m Upss! An error occurred during audio conversion');
+    quiet || console.error(`\x1b[91m${e.name}: ${e.message}\x1b[0m`);
+    quiet || log.info('Skipping audio conversion for this file ...');
+    throw e;
+  }
+  return result;
+}
+
+/**
+ * Chooses the audio format to download from the given video information.
+ *
+ * @param {ytdl.videoInfo} videoInfo - The video information object.
+ * @param {AudioFormatPreference} [audioFormat] - The audio format preference.
+ * @returns {ParsedYTFormatObject} The parsed chosen audio format.
+ *
+ * @private
+ * @since 2.0.0
+ */
+function chooseVideoFormat(videoInfo, audioFormat) {
+  return FormatUtils.parseFormatObject(
+    FormatUtils.chooseAudioFormat(videoInfo.formats, audioFormat));
+}
+
+/**
+ * Fetches video information and format from a given URL.
+ *
+ * @param {string} url - The URL of the video to fetch information for.
+ * @param {object} options - Options to pass to the `getInfo` function.
+ * @param {AudioFormatPreference} [options.audioFormat] - The preference to choose the audio format.
+ * @param {boolean} [quiet=false] - If `true`, suppresses error logging.
+ * @returns {Promise<object>} - Fulfills with an object containing video information and format.
+ *
+ * @throws {Error} - Throws an error if the fetch process fails.
+ *
+ * @private
+ * @since 2.0.0
+ */
+async function fetchVideoInfo(url, options, quiet=false) {
+  try {
+    const videoInfo = await getInfo(url, options);
+    const videoFormat = chooseVideoFormat(videoInfo, options.audioFormat);
+    return { videoInfo, videoFormat };
+  } catch (e) {
+    quiet || log.error('\x1b[91m\u2716\x1b[0m Upss! An error occurred during pre-download process');
+    throw e;  // Needs to be handled
+  }
+}
+
+async function fetchVideoInfos(urls, options, quiet=false) {
+  try {
+    const videoInfos = await getInfo(urls, options);
+    let videoFormats = null;
+    if (options.asObject && !Array.isArray(videoInfos)) {
+      videoFormats = Object.entries(videoInfos).reduce((acc, [id, info]) => {
+        acc[id] = chooseVideoFormat(info, options.audioFormat);
+        return acc;
+      }, {});
+    } else if (Array.isArray(videoInfos)) {
+      videoFormats = videoInfos.map(info => chooseVideoFormat(info, options.audioFormat));
+    }
+    return { videoInfos, videoFormats };
+  } catch (e) {
+    quiet || log.error('\x1b[91m\u2716\x1b[0m Upss! An error occurred during pre-download process');
+    throw e;  // Needs to be handled
+  }
+}
+
+/**
+ * Constructs an object containing download data for a video.
+ *
+ * @param {object} data
+ * @param {ytdl.videoInfo} data.videoInfo - The information about the video.
+ * @param {ytdl.videoFormat} data.videoFormat - The format information of the video.
+ * @param {AuthorInfo} data.authorInfo - The information about the author.
+ * @param {string} [data.outputFile] - The path to the output file.
+ * @param {fs.WriteStream} outStream - The output stream for the video.
+ *
+ * @returns  {DLHandlerData} An object containing the download data.
+ *
+ * @private
+ * @since 2.0.0
+ */
+function constructDownloadData(outStream, data, options) {
+  return {
+    videoInfo: data.videoInfo,
+    videoFormat: data.videoFormat,
+    outStream,
+    outputFile: data.outputFile,
+    range: options.range,
+    title: InfoUtils.getTitle(data.videoInfo),
+    authorName: data.authorInfo.name,
+    videoUrl: data.videoInfo.videoDetails.video_url,
+    videoId: data.videoInfo.videoDetails.videoId,
+    channelId: data.videoInfo.videoDetails.channelId,
+    duration: InfoUtils.getDuration(data.videoInfo),
+    viewers: InfoUtils.getViewers(data.videoInfo),
+    subscribers: InfoUtils.getSubscribers(data.authorInfo)
+  };
+}
+
+/**
+ * Constructs an object describing the given audio format.
+ *
+ * @param {ytdl.videoFormat | ParsedYTFormatObject} format - The audio format.
+ * @returns {DownloadFormatInfo} The details of the audio format.
+ *
+ * @private
+ * @since 2.0.0
+ */
+function constructFormatInfo(format) {
+  return {
+    itag: format.itag,
+    mimeType: String(format.mimeType),
+    container: format.container ?? null,
+    codec: format.audioCodec ?? null,
+    bitrate: format.audioBitrate ?? null,
+    sampleRate: parseInt(format.audioSampleRate, 10) || null,
+    channels: format.audioChannels ?? null,
+    language: format.audioTrack?.id?.split('.')[0] ?? null,
+    contentLength: parseInt(format.contentLength, 10) || null
+  };
+}
+
+/**
+ * Logs the chosen audio format of a video.
+ *
+ * @param {string} videoId - The ID of the video.
+ * @param {ytdl.videoFormat | ParsedYTFormatObject} format - The chosen audio format.
+ *
+ * @private
+ * @since 2.0.0
+ */
+function logChosenFormat(videoId, format) {
+  const {
+    itag, container, codec, bitrate, sampleRate, language
+  } = constructFormatInfo(format);
+  log.info(`{\x1b[36m${videoId}\x1b[0m}: Audio format: \x1b[93m${codec} `
+    + `${bitrate ?? '?'} kbps${sampleRate ? `, ${sampleRate} Hz` : ''}\x1b[0m `
+    + `(${container}, itag ${itag}${language ? `, ${language}` : ''})`);
+}
+
+/**
+ * Constructs a download result object.
+ *
+ * @param {string} url - The URL of the video.
+ * @param {string} outputFile - The path to the output file.
+ * @param {DLHandlerData} data - The download data.
+ *
+ * @returns {DownloadResult} The download result object.
+ *
+ * @private
+ * @since 2.0.0
+ */
+function constructDownloadResult(url, outputFile, data, options) {
+  return {
+    path: outputFile,
+    outputFile,
+    url,
+    cache: {
+      useCache: options.useCache,
+      id: options.useCache ? URLUtils.extractVideoId(url) : null,
+      path: options.useCache ? getCachePath(data.videoId) : null
+    },
+    metadata: {
+      title: data.title,
+      description: InfoUtils.getDescription(data.videoInfo),
+      publishDate: InfoUtils.getPublishDate(data.videoInfo),
+      authorUrl: data.authorInfo.url,
+      authorName: data.authorName,
+      videoId: data.videoId,
+      channelId: data.channelId,
+      duration: data.duration,
+      viewers: data.viewers,
+      subscribers: data.subscribers,
+      keywords: InfoUtils.getKeywords(data.videoInfo)
+    },
+    thumbnails: {
+      author: ThumbnailUtils.sortThumbnailsByResolution(data.authorInfo.thumbnails),
+      video: ThumbnailUtils.getVideoThumbnails(data.videoInfo.videoDetails, true)
+    },
+    conversionResult: null,
+    postprocessors: [],
+    attempts: [],
+    skipped: false,
+    format: constructFormatInfo(options.format ?? data.videoFormat)
+  };
+}
+
+/**
+ * Constructs a download result object for a video skipped by the download archive.
+ *
+ * @param {string} url - The URL of the video.
+ * @param {DownloadOptions} options - The resolved download options.
+ *
+ * @returns {DownloadResult} The download result object, marked as skipped.
+ *
+ * @private
+ * @since 2.0.0
+ */
+function constructSkippedResult(url, options) {
+  return {
+    path: null,
+    outputFile: null,
+    url,
+    cache: {
+      useCache: options.useCache,
+      id: null,
+      path: null
+    },
+    metadata: null,
+    thumbnails: null,
+    conversionResult: null,
+    postprocessors: [],
+    attempts: [],
+    skipped: true,
+    format: null
+  };
+}
+
+/**
+ * Predicts the output path of the converted audio, following the same naming
+ * as the audio converter.
+ *
+ * @param {string} output - The path to the downloaded audio file.
+ * @param {string | undefined} convertedOutput - The resolved output path from the filename template, if any.
+ * @param {AudioConverterOptions} converterOptions - The resolved audio converter options.
+ * @returns {{ format: string | null, output: string }} The target of the audio conversion.
+ *
+ * @private
+ * @since 2.0.0
+ */
+function predictConversion(output, convertedOutput, converterOptions) {
+  const format = typeof converterOptions.format === 'string' ? converterOptions.format : null;
+  if (convertedOutput) return { format, output: convertedOutput };
+
+  const ext = path.extname(output);
+  const base = output.slice(0, output.length - ext.length);
+  const targetExt = format ? `.${format}` : ext;
+  return {
+    format,
+    // The converter never overwrites the input file, a suffix is added instead
+    output: `${base}${targetExt === ext ? '_(copy)' : ''}${targetExt}`
+  };
+}
+
+/**
+ * Constructs the download plan of a video, without modifying any file.
+ *
+ * @param {object} plan
+ * @param {string} plan.url - The URL of the video.
+ * @param {ytdl.videoInfo} plan.videoInfo - The video information object.
+ * @param {ytdl.videoFormat} plan.format - The audio format to download.
+ * @param {string} plan.output - The path to the output file.
+ * @param {{ start: number, end: number | null } | null} plan.timeRange - The time range to clip the audio.
+ * @param {string | undefined} plan.convertedOutput - The resolved output path of the converted audio, if any.
+ * @param {DownloadOptions} options - The resolved download options.
+ *
+ * @returns {Promise<DownloadPlan>} The download plan object.
+ *
+ * @async
+ * @private
+ * @since 2.0.0
+ */
+async function constructDownloadPlan({
+  url, videoInfo, format, output, timeRange, convertedOutput
+}, options) {
+  const { videoId } = videoInfo.videoDetails;
+  const resumeOffset = await getResumeOffset(output, {
+    videoId,
+    itag: format?.itag,
+    contentLength: format?.contentLength,
+    range: options.range
+  });
+
+  let action = 'download';
+  if (resumeOffset > 0) {
+    action = 'resume';
+  } else if (fs.existsSync(output)) {
+    action = 'overwrite';
+  }
+
+  return {
+    url,
+    videoId,
+    title: InfoUtils.getTitle(videoInfo),
+    action,
+    output,
+    resumeOffset,
+    format: constructFormatInfo(format),
+    timeRange,
+    conversion: options.convertAudio
+      ? predictConversion(output, convertedOutput, options.converterOptions)
+      : null,
+    error: null
+  };
+}
+
+/**
+ * Constructs a download plan object for a video skipped by the download archive.
+ *
+ * @param {string} url - The URL of the video.
+ * @returns {DownloadPlan} The download plan object, marked as skipped.
+ *
+ * @private
+ * @since 2.0.0
+ */
+function constructSkippedPlan(url) {
+  return {
+    url,
+    videoId: URLUtils.extractVideoId(url),
+    title: null,
+    action: 'skip',
+    output: null,
+    resumeOffset: 0,
+    format: null,
+    timeRange: null,
+    conversion: null,
+    error: null
+  };
+}
+
+/**
+ * Prints the given download plans as a table into the standard output.
+ *
+ * @param {DownloadPlan[]} plans - The download plans to print.
+ *
+ * @private
+ * @since 2.0.0
+ */
+function printDownloadPlan(plans) {
+  const toMiB = (bytes) => `${((bytes || 0) / (1024 ** 2)).toFixed(3)} MiB`;
+  const relative = (file) => {
+    const rel = path.relative(process.cwd(), file);
+    return (!rel || rel.startsWith('..')) ? file : rel;
+  };
+  const rows = plans.map((plan) => [
+    plan.videoId,
+    plan.error ? 'error' : plan.action,
+    plan.format ? `${plan.format.codec} ${plan.format.bitrate ?? '?'} kbps` : '-',
+    plan.format ? toMiB(plan.format.contentLength) : '-',
+    plan.output ? relative(plan.output) : '-'
+  ]);
+  const header = [ 'ID', 'ACTION', 'FORMAT', 'SIZE', 'OUTPUT' ];
+  const widths = header.map((col, idx) => Math.max(
+    col.length, ...rows.map((row) => row[idx].length)));
+  const formatRow = (row) => row
+    .map((col, idx) => (idx === row.length - 1 ? col : col.padEnd(widths[idx])))
+    .join('  ');
+
+  console.log('\n\x1b[1m[DOWNLOAD PLAN]\x1b[0m');
+  console.log(`  \x1b[2m${formatRow(header)}\x1b[0m`);
+  plans.forEach((plan, idx) => {
+    console.log(`  ${formatRow(rows[idx])}`);
+    const indent = ' '.repeat(widths.slice(0, -1).reduce((acc, w) => acc + w + 2, 2));
+    if (plan.resumeOffset > 0) {
+      console.log(`${indent}\x1b[2m(resume from ${toMiB(plan.resumeOffset)})\x1b[0m`);
+    }
+    if (plan.timeRange) {
+      console.log(`${indent}\x1b[2m(clip ${plan.timeRange.start}s - `
+        + `${plan.timeRange.end ?? 'end'}${plan.timeRange.end === null ? '' : 's'})\x1b[0m`);
+    }
+    if (plan.conversion) {
+      console.log(`${indent}>> ${relative(plan.conversion.output)}`);
+    }
+    if (plan.error) {
+      console.log(`${indent}\x1b[91m${plan.error.message}\x1b[0m`);
+    }
+  });
+
+  const count = (action) => plans
+    .filter((plan) => !plan.error && plan.action === action).length;
+  process.stdout.write('\n');
+  log.done('Dry run, nothing has been downloaded: '
+    + `\x1b[96m${count('download')}\x1b[0m to download, `
+    + `\x1b[96m${count('resume')}\x1b[0m to resume, `
+    + `\x1b[96m${count('overwrite')}\x1b[0m to overwrite, `
+    + `\x1b[96m${count('skip')}\x1b[0m skipped and `
+    + `\x1b[96m${plans.filter((plan) => plan.error).length}\x1b[0m errors`);
+}
+
+/**
+ * Records the successfully downloaded video ID into the download archive, if specified.
+ *
+ * The download itself has succeeded, thus any error while writing the archive is
+ * only logged as a warning instead of failing the download.
+ *
+ * @param {string | undefined} archive - The path to the download archive file.
+ * @param {string} videoId - The ID of the downloaded video.
+ * @param {boolean} [quiet=false] - If `true`, suppresses the warning message.
+ * @returns {Promise<void>}
+ *
+ * @async
+ * @private
+ * @since 2.0.0
+ */
+async function recordToArchive(archive, videoId, quiet=false) {
+  if (!archive) return;
+  try {
+    await appendToArchive(path.resolve(archive), videoId);
+  } catch (err) {
+    quiet || log.warn(`{\x1b[36m${videoId}\x1b[0m}: Unable to record into the download `
+      + `archive: ${err.message}`);
+  }
+}
+
+/**
+ * Records the state of the given URL into the job queue, if specified.
+ *
+ * Like the download archive, any error while writing the job queue is only logged
+ * as a warning instead of failing the download.
+ *
+ * @param {JobQueue | undefined} queue - The job queue.
+ * @param {string | QueueEntry | Array<string | QueueEntry>} urls - The URLs to update,
+ *        optionally along with their options.
+ * @param {string} state - The new state, see {@link module:queue~JobStates `JobStates`}.
+ * @param {Error} [error] - The error, only recorded for the failed state.
+ * @param {boolean} [quiet=false] - If `true`, suppresses the warning message.
+ * @returns {Promise<void>}
+ *
+ * @async
+ * @private
+ * @since 2.0.0
+ */
+async function recordJobState(queue, urls, state, error, quiet=false) {
+  if (!queue) return;
+  try {
+    await queue.update(urls, state, error);
+  } catch (err) {
+    quiet || log.warn(`Unable to record into the job queue: ${err.message}`);
+  }
+}
+
+/**
+ * Writes the report of the batch download into the report file, if specified.
+ *
+ * Like the job queue, any error while writing the report is only logged
+ * as a warning instead of failing the download.
+ *
+ * @param {string | undefined} reportFile - The path to the report file.
+ * @param {Record<string, BatchDownloadResult>} results - The results of the batch download.
+ * @param {Object} timing - The dates of the batch download and each video, along with the
+ *        options of each item, see {@link module:report~createBatchReport `createBatchReport`}.
+ * @param {boolean} [quiet=false] - If `true`, suppresses the log messages.
+ * @returns {Promise<void>}
+ *
+ * @async
+ * @private
+ * @since 2.0.0
+ */
+async function recordReport(reportFile, results, timing, quiet=false) {
+  if (!reportFile) return;
+  try {
+    const report = createBatchReport(results, { ...timing, finishedAt: new Date() });
+    const { reportFile: writtenFile, failedFile } =
+      await writeBatchReport(reportFile, report);
+    quiet || log.info(`Batch report written to \x1b[93m${writtenFile}\x1b[0m`);
+    quiet || log.info(`Failed URLs written to \x1b[93m${failedFile}\x1b[0m`);
+  } catch (err) {
+    quiet || log.warn(`Unable to write the batch report: ${err.message}`);
+  }
+}
+
+
+// region Core Functions
+
+
+/**
+ * Retrieves information for multiple YouTube videos sequentially.
+ *
+ * **Deprecated**: Please use {@link module:ytmp3~getInfo `getInfo`} instead for better
+ * video information retrieval with caching capability.
  *
  * This function accepts multiple YouTube URLs and retrieves information for each
  * video sequentially. It processes each URL one by one, ensuring that the next
@@ -735,6 +1844,11 @@ async function getVideosInfo(...urls) {
  *                                       from the server. This also will make the function to create a
  *                                       new cache file in the YTMP3's cache directory.
  * @param {boolean} [options.verbose=false] - Whether to print the process retrieval to standard output. Defaults to `false`.
+ * @param {number} [options.retries=0] - The maximum number of retries if fetching the video information fails
+ *                                       due to a transient error (e.g., socket reset, server error).
+ * @param {number} [options.retryDelay=1000] - The delay in milliseconds before the first retry.
+ * @param {number} [options.retryBackoff=2] - The factor to multiply the retry delay by on each retry.
+ * @param {AbortSignal} [options.signal] - An abort signal to cancel the fetch.
  *
  * @returns {Promise.<ytdl.videoInfo | Array.<ytdl.videoInfo> | Record.<string, ytdl.videoInfo>>}
  *          A promise fulfills with a video information. If the `url` is an array, returned value
@@ -743,6 +1857,7 @@ async function getVideosInfo(...urls) {
  *
  * @throws {IDValidationError} If there is an invalid YouTube video ID.
  * @throws {URLValidationError} If there is an invalid YouTube video URL.
+ * @throws {AbortError} If the fetch has been aborted through the `options.signal`.
  * @throws {Error} If there is an error occurred while fetching video information from server or cache.
  *
  * @async
@@ -763,6 +1878,8 @@ async function getInfo(url, options) {
 
   const resolvedOptions = resolveOptions(options, _GetInfoOptions);
   const { asObject, useCache, verbose } = resolvedOptions;
+  const { retries, retryDelay, retryBackoff, signal: userSignal } = resolvedOptions;
+  throwIfAborted(userSignal, 'Fetch video info aborted');
 
   // ==========================================
   //  Pre-fetch Process
@@ -818,6 +1935,7 @@ async function getInfo(url, options) {
     let cache = null;
     let info = null;
     const idC = `{\x1b[36m${id}\x1b[0m}`;
+    throwIfAborted(userSignal, 'Fetch video info aborted');
 
     if (useCache) {
       verbose && log.info(`${idC}: Using video information from cache ...`);
@@ -858,31 +1976,57 @@ async function getInfo(url, options) {
         setInterrupted();
         controller.abort();
       };
+      // Abort this fetch only, without interrupting the whole process
+      const onAbort = () => controller.abort(userSignal.reason);
 
       process.once('SIGINT', onInterrupt);
+      userSignal?.addEventListener('abort', onAbort, { once: true });
 
       if (hasInterrupted()) {
         // If the process has been interrupted, throw an error
         // to stop the fetching process
         process.off('SIGINT', onInterrupt);
+        userSignal?.removeEventListener('abort', onAbort);
         throw new Error('Fetch video info aborted by user');
       }
 
       verbose && log.info(`${idC}: Fetching video info from server ...`);
 
       // Wrap getInfo in a race against the abort signal
-      const infoPromise = ytdl.getInfo(u, { ...options, requestOptions: { signal }});
       const abortPromise = new Promise((_, reject) => {
         signal.addEventListener('abort', () => {
           // Before rejecting the promise, remove the SIGINT listener
           process.off('SIGINT', onInterrupt);
+          if (userSignal?.aborted) {
+            reject(new AbortError('Fetch video info aborted', { cause: userSignal.reason }));
+            return;
+          }
           setInterrupted();
           reject(new Error('Fetch video info aborted by user'));
         }, { once: true });
       });
-      info = await Promise.race([infoPromise, abortPromise]);
+      abortPromise.catch(() => {});  // Might be rejected while waiting for the next retry
 
-      process.off('SIGINT', onInterrupt);  // Remove the SIGINT listener
+      // Retry the fetch on transient errors, unless it has been aborted
+      try {
+        info = await retryAsync(() => Promise.race([
+          ytdl.getInfo(u, { ...options, requestOptions: { signal }}),
+          abortPromise
+        ]), {
+          retries,
+          retryDelay,
+          retryBackoff,
+          signal: userSignal,
+          shouldRetry: (err) => !signal.aborted && isRetryableError(err),
+          onRetry: (err, attempt, delay) => {
+            verbose && log.warn(`${idC}: Unable to fetch video info (${err.message}), `
+              + `retrying in ${(delay / 1000).toFixed(1)}s [${attempt}/${retries}] ...`);
+          }
+        });
+      } finally {
+        process.off('SIGINT', onInterrupt);  // Remove the SIGINT listener
+        userSignal?.removeEventListener('abort', onAbort);
+      }
     }
 
     // Create a cache for the video info
@@ -987,6 +2131,9 @@ async function writeErrorLog(logfile, videoData, error) {
 /**
  * Downloads audio from multiple YouTube videos sequentially.
  *
+ * Only used by the deprecated {@link module:ytmp3~singleDownload `singleDownload`} function,
+ * use the {@link module:ytmp3~downloadAudio `downloadAudio`} generator instead.
+ *
  * @param  {...(string | URL)} urls - The URLs to download audio from.
  *                                    Each URL can be a string or a URL object.
  * @yields {Promise<object>} A promise that resolves to an object containing
@@ -994,11 +2141,11 @@ async function writeErrorLog(logfile, videoData, error) {
  *
  * @async
  * @generator
- * @package
+ * @private
  * @since   1.0.0, 2.0.0
  * @deprecated
  */
-async function* downloadAudio(...urls) {
+async function* downloadAudioLegacy(...urls) {
   // Map the URLs to strings, converting URL objects
   // to strings and trimming whitespace
   urls = urls.map((url) => ((url instanceof URL) ? url.href : url).trim());
@@ -1014,7 +2161,7 @@ async function* downloadAudio(...urls) {
      */
     const data = {
       info,
-      format: ytdl.chooseFormat(info.formats, AUDIO_FMT_OPTIONS),
+      format: FormatUtils.chooseAudioFormat(info.formats),
       title: info.videoDetails.title.replace(illegalCharRegex, '_'),
       author: info.videoDetails.author.name,
       videoUrl: info.videoDetails.video_url,
@@ -1124,7 +2271,8 @@ async function defaultHandler(stream, data, options) {
     options.quiet
       || log.done(
         `\x1b[92m\u2714\x1b[0m Download completed: \x1b[93m${data.title}\x1b[0m`);
-    options.quiet || log.info(`File saved to: \x1b[93m${outStream.path}\x1b[0m`);
+    options.quiet || log.info(
+      `File saved to: \x1b[93m${data.outputFile || outStream.path}\x1b[0m`);
     // eslint-disable-next-line no-unused-vars
     try { stream.end(resolve); } catch(_) { /* empty */ }
   }
@@ -1172,6 +2320,8 @@ async function defaultHandler(stream, data, options) {
  * @param {string} [options.outDir='.'] - The output directory for the downloaded file.
  * @param {string} [options.outFile] - The name of the output file.
  * @param {Object} [options.range] - The range of bytes to download.
+ * @param {number} [options.concurrency=1] - The number of simultaneous downloads. The progress
+ *                                           bar is not displayed if greater than `1`.
  *
  * @returns {Promise<void>}
  *
@@ -1183,13 +2333,16 @@ async function defaultHandler(stream, data, options) {
  */
 async function defaultBatchHandler(stream, data, options) {
   function onProgress(_chunk, downloaded, total) {
-    options.quiet || process.stdout.write(pb.create(downloaded, total));
+    // The progress bars would overlap each other on concurrent downloads
+    if (options.quiet || options.concurrency > 1) return;
+    process.stdout.write(pb.create(downloaded, total));
   }
   function onEnd(stream, resolve) {
     options.quiet
       || log.done(
         `\x1b[92m\u2714\x1b[0m Download completed: \x1b[93m${data.title}\x1b[0m`);
-    options.quiet || log.info(`File saved to: \x1b[93m${outStream.path}\x1b[0m`);
+    options.quiet || log.info(
+      `File saved to: \x1b[93m${data.outputFile || outStream.path}\x1b[0m`);
     // eslint-disable-next-line no-unused-vars
     try { stream.end(resolve); } catch(_) { /* empty */ }
   }
@@ -1223,7 +2376,7 @@ async function defaultBatchHandler(stream, data, options) {
     stream
       .on('progress', onProgress)
       .on('error', (err) => onError(outStream, err, reject))
-      .on('end', () => onEnd(resolve))
+      .on('end', () => onEnd(outStream, resolve))
       .pipe(outStream);
   });
 }
@@ -1268,10 +2421,12 @@ async function defaultBatchHandler(stream, data, options) {
  * @param {string | URL} url - A YouTube video URL or video ID to download its audio content.
  * @param {DownloadOptions} [options] - Options to configure the video information retrieval and download process.
  *
- * @returns {Promise<DownloadResult>} Fulfills with an object containing download metadata and file paths.
+ * @returns {Promise<DownloadResult | DownloadPlan>} Fulfills with an object containing download metadata and file paths,
+ *          or the download plan object if the `dryRun` option is enabled.
  *
  * @throws {IDValidationError} If the provided video ID is invalid.
  * @throws {InvalidTypeError} If options are not a valid object.
+ * @throws {AbortError} If the download has been aborted through the `options.signal`.
  * @throws {Error} If an error occurs during fetching, downloading, or writing the file.
  *
  * @async
@@ -1279,16 +2434,7 @@ async function defaultBatchHandler(stream, data, options) {
  * @since  2.0.0
  */
 async function download(url, options) {
-  // Check if the `url` is a URL represents in a string or URL object
-  if ((typeof url === 'string' && /^https?:\/\//.test(url)) || url instanceof URL) {
-    url = (url instanceof URL) ? url.href : url.trim();
-  // ... or if the given input is a video ID
-  } else if (typeof url === 'string' && url.length === URLUtils.MAX_ID_LENGTH) {
-    url = (new URL(url, 'https://youtu.be')).href;
-  // ... otherwise the input is treated as invalid video ID
-  } else {
-    throw new IDValidationError(`Given video ID is invalid: ${url}`);
-  }
+  url = resolveVideoUrl(url);
 
   if (typeof options !== 'undefined' && !TypeUtils.isPlainObject(options)) {
     throw new InvalidTypeError('Options must be a plain object', {
@@ -1301,8 +2447,11 @@ async function download(url, options) {
   // * make the process all quiet; unless user specified
   options = { convertAudio: false, quiet: true, ...options };
 
-  // Extract the video ID
-  const videoId = URLUtils.extractVideoId(url);
+  if (isPlaylistUrl(url) || isChannelUrl(url)) {
+    throw new URLValidationError(`${isPlaylistUrl(url) ? 'Playlist' : 'Channel'} URL `
+      + `is not supported, use \`batchDownload()\` instead: ${url}`);
+  }
+
   // Resolve the download options
   const resolvedDlOptions = resolveOptions(options, {
     ..._DownloadOptions,
@@ -1311,10 +2460,10 @@ async function download(url, options) {
   resolvedDlOptions.handler = typeof resolvedDlOptions.handler === 'undefined'
     ? defaultHandler
     : resolvedDlOptions.handler;
-  const { quiet: dlQuiet, handler, range, outDir } = resolvedDlOptions;
+  const { quiet: dlQuiet, handler, outDir } = resolvedDlOptions;
   let { outFile } = resolvedDlOptions;
   let quiet = dlQuiet, allQuiet;
-  let ytdlStream = null;  // Declare first
+  const activeStreams = new Set();  // Store the ongoing download stream
 
   if (typeof dlQuiet === 'string' && dlQuiet === 'all') {
     quiet = true;
@@ -1325,96 +2474,156 @@ async function download(url, options) {
   const resolvedInfoOptions = resolveOptions(
     { ...resolvedDlOptions, verbose: !quiet }, _GetInfoOptions);
 
+  // Resolve the time range to clip and the audio format preference, before making any request
+  const timeRange = resolveClipRange(url, resolvedDlOptions);
+  resolvedDlOptions.audioFormat = resolveAudioFormat(resolvedDlOptions.audioFormat);
+  const { audioFormat } = resolvedDlOptions;
+  const rateLimiter = createRateLimiter(resolvedDlOptions.rateLimit);
+  const postprocessors = resolvePostProcessors(resolvedDlOptions.postprocessors);
+  if (resolvedDlOptions.embedThumbnail) resolveCropMode(resolvedDlOptions.embedThumbnail);
+
+  // Skip the video if it is already listed in the download archive
+  const videoId = URLUtils.extractVideoId(url);
+  const { downloadArchive } = resolvedDlOptions;
+  const archivedIds = downloadArchive
+    ? await readArchive(path.resolve(downloadArchive))
+    : new Set();
+  if (archivedIds.has(videoId)) {
+    quiet || log.info(`{\x1b[36m${videoId}\x1b[0m}: Already recorded in the download `
+      + 'archive, skipping ...');
+    emitEvent(resolvedDlOptions.emitter, 'skipped', { videoId, url, reason: 'archive' });
+    if (resolvedDlOptions.dryRun) {
+      const plan = constructSkippedPlan(url);
+      quiet || printDownloadPlan([ plan ]);
+      return plan;
+    }
+    return constructSkippedResult(url, resolvedDlOptions);
+  }
+  const { emitter, signal } = resolvedDlOptions;
+  throwIfAborted(signal, 'Download aborted');
+
   // ==========================================
   //  Pre-download Process
   // ==========================================
 
   // Rebuild the interruption (SIGINT) handler
   const interruptionHandler = function () {
-    downloadInterruptedHandler({ quiet, ytdlStream });
+    downloadInterruptedHandler({ quiet, ytdlStream: [ ...activeStreams ][0] });
   };
 
   // Attach the SIGINT handler
   process.once('SIGINT', interruptionHandler);
 
   // Get the video information
-  const { videoInfo, videoFormat } = await fetchVideoInfo(
-    url, resolvedInfoOptions, quiet);
-
-  outFile = (typeof outFile === 'string' && outFile.trim().length > 0)
-    ? outFile.trim()
-    : videoInfo.videoDetails.title + '.m4a';
-  // Resolve extension file and sanitize the file name
-  outFile = sanitizeFilename((!/.+\.\w+$/.test(outFile) ? `${outFile}.m4a` : outFile));
-  const output = path.resolve(outDir.trim() || '.', outFile);
-
-  let flags = 'w';
-  if ((await isDownloaded(output, videoInfo))
-      && (TypeUtils.isPlainObject(range) && typeof range.start === 'number')) {
-    flags = 'a+';
+  let videoInfo, videoFormat;
+  try {
+    ({ videoInfo, videoFormat } = await fetchVideoInfo(
+      url, { ...resolvedInfoOptions, audioFormat }, quiet));
+  } catch (e) {
+    process.off('SIGINT', interruptionHandler);
+    await notifyError(resolvedDlOptions, { videoId, url, phase: 'info', error: e }, quiet);
+    throw e;
   }
+  quiet || logChosenFormat(videoId, resolvedDlOptions.format ?? videoFormat);
 
-  // Create the output directory if it doesn't exist
-  await createDirIfNotExist(outDir);
+  // Resolve the output file name, which can be a filename template
+  const outTemplate = outFile;
+  outFile = resolveOutputName(
+    outTemplate, videoInfo, getFormatExtension(resolvedDlOptions.format ?? videoFormat));
+  const output = path.resolve(outDir.trim() || '.', outFile);
+  const infoPayload = {
+    videoId,
+    url,
+    title: InfoUtils.getTitle(videoInfo),
+    format: constructFormatInfo(resolvedDlOptions.format ?? videoFormat),
+    output
+  };
+  emitEvent(emitter, 'info', infoPayload);
+
+  // Only report the plan, without writing any file nor spawning FFmpeg
+  if (resolvedDlOptions.dryRun) {
+    process.off('SIGINT', interruptionHandler);
+    const converterOptions = resolveOptions(
+      resolvedDlOptions.converterOptions, _AudioConverterOptions);
+    const plan = await constructDownloadPlan({
+      url,
+      videoInfo,
+      format: resolvedDlOptions.format ?? videoFormat,
+      output,
+      timeRange,
+      convertedOutput: resolveConvertedOutput(
+        outTemplate, videoInfo, outDir, converterOptions)
+    }, { ...resolvedDlOptions, converterOptions });
+    quiet || printDownloadPlan([ plan ]);
+    return plan;
+  }
 
-  const outStream = fs.createWriteStream(output, { flags, range });
-  outStream.on('error', function errHandler(err) {
-    quiet
-      || log.error(`I/O error: (${err.errno}) Unable to write to file: ${outFile}`);
-    // Delete the file if there is no bytes written yet
-    if (outStream.bytesWritten === 0) fs.unlinkSync(outStream.path);
-    throw err;
-  });
+  // Create the output directory if it doesn't exist, including the template subdirectories
+  await createDirIfNotExist(path.dirname(output));
 
   const authorInfo = InfoUtils.getAuthor(videoInfo);
   const data = constructDownloadData(
-    outStream,
-    { videoInfo, videoFormat, authorInfo },
+    null,  // The output stream is opened on each download attempt
+    { videoInfo, videoFormat, authorInfo, outputFile: output },
     resolvedDlOptions
   );
 
+  const resolvedHandlerOptions = resolveOptions(resolvedDlOptions, {
+    quiet: ['boolean', (allQuiet || quiet)],
+    outDir: ['string', outDir],
+    outFile: ['string', outFile]
+  });
+
+  // Download the audio, the partial file is kept for resuming if the download fails
+  const attempts = [];
+  let metadataTags = null;
   try {
-    if (!quiet) {
-      if (TypeUtils.isPlainObject(range) && typeof range.start === 'number') {
-        const mb = range.start === 0
-          ? range.start : (range.start / (1024 ** 2)).toFixed(3);
-        log.info(`{\x1b[36m${videoId}\x1b[0m}: `
-          + `Resume downloading from bytes [\x1b[96m${range.start} B//${mb} MiB\x1b[0m]`);
-      } else {
-        log.info(`{\x1b[36m${videoId}\x1b[0m}: Downloading the audio content ...`);
-      }
+    if (resolvedDlOptions.embedMetadata) {
+      metadataTags = getMetadataTags(videoInfo, resolvedDlOptions.embedMetadata);
     }
-
-    // Download the audio using the video information
-    ytdlStream = ytdl.downloadFromInfo(data.videoInfo, {
-      ...resolvedDlOptions,
-      format: TypeUtils.isNullOrUndefined(resolvedDlOptions.format)
-        ? videoFormat
-        : resolvedDlOptions.format
+    await runHook(resolvedDlOptions, 'onInfo', { ...infoPayload, videoInfo });
+    await runHook(resolvedDlOptions, 'beforeDownload', { videoId, url, output, videoInfo });
+    await downloadWithRetries({
+      url,
+      output,
+      data,
+      format: resolvedDlOptions.format ?? undefined,  // Use the chosen format if unspecified
+      handler,
+      handlerOptions: resolvedHandlerOptions,
+      options: resolvedDlOptions,
+      infoOptions: resolvedInfoOptions,
+      streams: activeStreams,
+      attempts,
+      rateLimiter,
+      quiet
     });
+
+    // Trim the audio losslessly, unless it will be trimmed during the audio conversion
+    if (timeRange && !resolvedDlOptions.convertAudio) {
+      await trimAudio(output, { ...timeRange, quiet: allQuiet || quiet, signal });
+    }
+    // Embed the metadata tags and the cover art, unless they will be embedded
+    // during the audio conversion
+    if (!resolvedDlOptions.convertAudio) {
+      await withCoverArt(videoInfo, output, resolvedDlOptions, allQuiet || quiet,
+        (coverArt) => tagAudio(output, {
+          metadata: metadataTags ?? undefined, coverArt, quiet: allQuiet || quiet, signal
+        }));
+    }
   } catch (e) {
+    process.off('SIGINT', interruptionHandler);
     quiet || log.error(
       '\x1b[91m\u2716\x1b[0m Upss! An error occurred while downloading the audio');
+    await notifyError(resolvedDlOptions, { videoId, url, phase: 'download', error: e }, quiet);
     throw e;
   }
 
-  const resolvedHandlerOptions = resolveOptions(resolvedDlOptions, {
-    quiet: ['boolean', (allQuiet || quiet)],
-    outDir: ['string', outDir],
-    outFile: ['string', outFile]
-  });
-
-  // Call the handler
-  if (isAsyncFunction(handler)) {
-    await handler(ytdlStream, data, resolvedHandlerOptions);
-  } else {
-    handler(ytdlStream, data, resolvedHandlerOptions);
-  }
-
   // ==========================================
   //  Post-download Process
   // ==========================================
 
+  emitEvent(emitter, 'downloaded', { videoId, url, path: output });
+
   // Detach the SIGINT handler
   process.off('SIGINT', interruptionHandler);
 
@@ -1422,21 +2631,63 @@ async function download(url, options) {
   const downloadResult = constructDownloadResult(
     url,
     output,
-    { ...data, videoInfo, authorInfo },
+    { ...data, authorInfo },
     resolvedDlOptions
   );
+  downloadResult.attempts = attempts;
+  const postprocessContext = { videoId, url, videoInfo, downloadResult, signal };
+
+  // Run the post-processors on the downloaded audio, unless it will be converted,
+  // a failed post-processor or `afterDownload` hook fails the download
+  try {
+    resolvedDlOptions.convertAudio || await runPostProcessors(
+      output, postprocessContext, postprocessors, downloadResult.postprocessors);
+    await runHook(resolvedDlOptions, 'afterDownload', downloadResult, resolvedDlOptions);
+  } catch (e) {
+    await notifyError(resolvedDlOptions, {
+      videoId, url, phase: getFailedPhase(downloadResult, 'download'), error: e
+    }, quiet);
+    throw e;
+  }
+
+  // Record the downloaded video ID, so it will be skipped next time
+  await recordToArchive(downloadArchive, videoId, quiet);
 
   // Convert the downloaded audio if specified
   // ! The auto-conversion behavior only for CLI usage
   if (resolvedDlOptions.convertAudio) {
-    downloadResult.conversionResult = await convertDownloadedAudio(output, resolveOptions(
-      {
-        ...resolvedDlOptions.converterOptions,
-        quiet: allQuiet || typeof resolvedDlOptions.converterOptions.quiet !== 'undefined'
-          ? resolvedDlOptions.converterOptions.quiet : quiet
-      },
-      _AudioConverterOptions
-    ), allQuiet || quiet);
+    const converterOptions = resolveOptions({
+      ...resolvedDlOptions.converterOptions,
+      ...(timeRange && { start: timeRange.start, end: timeRange.end ?? undefined }),
+      quiet: allQuiet || typeof resolvedDlOptions.converterOptions.quiet !== 'undefined'
+        ? resolvedDlOptions.converterOptions.quiet : quiet
+    }, _AudioConverterOptions);
+    try {
+      downloadResult.conversionResult = await withCoverArt(
+        videoInfo, output, resolvedDlOptions, allQuiet || quiet,
+        (coverArt) => convertDownloadedAudio(
+          output,
+          resolveConvertedOutput(outTemplate, videoInfo, outDir, converterOptions),
+          {
+            ...converterOptions,
+            ...(metadataTags && { metadata: metadataTags }),
+            ...(coverArt && { coverArt }),
+            signal,
+            onProgress: (info) => emitEvent(emitter, 'convertProgress', { videoId, ...info })
+          },
+          allQuiet || quiet
+        ));
+      emitEvent(emitter, 'converted', { videoId, result: downloadResult.conversionResult });
+      await runPostProcessors(downloadResult.conversionResult.output.path,
+        postprocessContext, postprocessors, downloadResult.postprocessors);
+      await runHook(resolvedDlOptions, 'afterConvert',
+        downloadResult.conversionResult, downloadResult, resolvedDlOptions);
+    } catch (e) {
+      await notifyError(resolvedDlOptions, {
+        videoId, url, phase: getFailedPhase(downloadResult, 'convert'), error: e
+      }, quiet);
+      throw e;
+    }
     resolvedDlOptions.converterOptions.quiet || log.info(
       `New audio file: \x1b[93m${downloadResult.conversionResult.output.path}\x1b[0m`);
   }
@@ -1444,6 +2695,99 @@ async function download(url, options) {
   return downloadResult;
 }
 
+/**
+ * Creates a stream of the converted audio of a YouTube video, without writing any file.
+ *
+ * The downloaded audio is piped through FFmpeg and converted on the fly, which makes it
+ * possible to pipe the audio straight into an HTTP response, for example. The metadata of
+ * the audio is attached to the `metadata` property of the returned stream.
+ *
+ * Unlike the {@link module:ytmp3~download `download`} function, a failed download cannot be
+ * resumed, the stream is destroyed with the error instead.
+ *
+ * @param {string | URL} url - The YouTube URL or video ID to stream.
+ * @param {AudioStreamOptions} [options] - Options to configure the download and the output audio.
+ * @returns {Promise<Readable & { metadata: AudioStreamMetadata }>} A promise fulfills with
+ *          the converted audio stream.
+ *
+ * @throws {IDValidationError} If the provided video ID is invalid.
+ * @throws {URLValidationError} If the provided URL is a playlist or channel URL.
+ * @throws {InvalidTypeError} If options are not a valid object.
+ * @throws {AbortError} If the `options.signal` is aborted before the stream is created.
+ * @throws {Error} If the video information cannot be fetched or the time range is invalid.
+ *
+ * @example
+ * http.createServer(async (req, res) => {
+ *   const audio = await ytmp3.createAudioStream('https://youtu.be/<VIDEO_ID>', { format: 'mp3' });
+ *   res.setHeader('Content-Type', audio.metadata.mimeType);
+ *   audio.pipe(res);
+ * });
+ *
+ * @async
+ * @public
+ * @since  2.0.0
+ */
+async function createAudioStream(url, options) {
+  url = resolveVideoUrl(url);
+  if (typeof options !== 'undefined' && !TypeUtils.isPlainObject(options)) {
+    throw new InvalidTypeError('Options must be a plain object', {
+      actualType: TypeUtils.getType(options),
+      expectedType: TypeUtils.getType({})
+    });
+  }
+  if (isPlaylistUrl(url) || isChannelUrl(url)) {
+    throw new URLValidationError(`${isPlaylistUrl(url) ? 'Playlist' : 'Channel'} URL `
+      + `is not supported: ${url}`);
+  }
+
+  const resolvedOptions = resolveOptions(
+    { quiet: true, ...options }, _AudioStreamOptions, true);
+  const { quiet, signal, format } = resolvedOptions;
+  throwIfAborted(signal, 'Audio stream aborted');
+  const timeRange = resolveClipRange(url, resolvedOptions);
+  const audioFormat = resolveAudioFormat(resolvedOptions.audioFormat);
+  const rateLimiter = createRateLimiter(resolvedOptions.rateLimit);
+
+  const { videoInfo, videoFormat } = await fetchVideoInfo(url, {
+    ...resolveOptions({ ...resolvedOptions, verbose: !quiet }, _GetInfoOptions),
+    audioFormat
+  }, quiet);
+  throwIfAborted(signal, 'Audio stream aborted');
+  const videoId = URLUtils.extractVideoId(url);
+  quiet || logChosenFormat(videoId, videoFormat);
+  quiet || log.info(`{\x1b[36m${videoId}\x1b[0m}: Streaming the audio as `
+    + `\x1b[93m${format}\x1b[0m ...`);
+
+  const ytdlStream = ytdl.downloadFromInfo(videoInfo, {
+    ...resolvedOptions,
+    format: videoFormat
+  });
+  const source = rateLimiter ? throttleDownload(ytdlStream, [ rateLimiter ]) : ytdlStream;
+  const audio = convertAudioStream(source, {
+    ...resolvedOptions,
+    start: timeRange?.start,
+    end: timeRange?.end ?? undefined,
+    ...(resolvedOptions.embedMetadata && {
+      metadata: getMetadataTags(videoInfo, resolvedOptions.embedMetadata)
+    })
+  });
+  // Stop downloading once the audio stream has ended, failed or been destroyed
+  audio.once('close', () => ytdlStream.destroyed || ytdlStream.destroy());
+
+  audio.metadata = {
+    videoId,
+    url,
+    title: InfoUtils.getTitle(videoInfo),
+    author: InfoUtils.getAuthor(videoInfo).name,
+    duration: InfoUtils.getDuration(videoInfo),
+    sourceFormat: constructFormatInfo(videoFormat),
+    format,
+    mimeType: AUDIO_MIME_TYPES[format] ?? 'application/octet-stream',
+    timeRange
+  };
+  return audio;
+}
+
 /**
  * Downloads audio from a single YouTube URL and saves it to the output directory.
  *
@@ -1486,13 +2830,14 @@ async function singleDownload(inputUrl, downloadOptions) {
   validateYTURL(inputUrl, !quiet);
 
   quiet || log.info('Processing the video data...');
-  const gen = downloadAudio(inputUrl);
+  const gen = downloadAudioLegacy(inputUrl);
   // Get the video information and download stream
   const { videoData, download } = (await gen.next()).value;
 
-  // Create a write stream for the output file
-  const outStream = fs.createWriteStream(
-    path.join(downloadOptions.outDir, `${videoData.title}.m4a`));
+  // Create a write stream for the temporary file, it will be renamed
+  // to the output file only after the download completes
+  const outFile = path.join(downloadOptions.outDir, `${videoData.title}.m4a`);
+  const outStream = fs.createWriteStream(getTempSiblingPath(outFile));
   const errLogFile = createLogFile();  // Create a log file
 
   quiet || log.info(`Starting download \x1b[93m${videoData.title}\x1b[0m ...`);
@@ -1502,7 +2847,13 @@ async function singleDownload(inputUrl, downloadOptions) {
       videoData, outStream,
       errLogFile, progressBar
     }, !quiet);
+    await waitForOutStream(outStream);
+    if (outStream.bytesWritten === 0) {
+      throw new Error(`Empty download, no bytes were written: ${outFile}`);
+    }
+    await fs.promises.rename(outStream.path, outFile);
   } catch (err) {
+    await fs.promises.rm(outStream.path, { force: true });
     const errLog = path.join(LOGDIR, path.basename(errLogFile));
     if (!quiet && fs.existsSync(errLog)) {
       log.error(`Error log written to: \x1b[93m${errLog}\x1b[0m`);
@@ -1514,7 +2865,7 @@ async function singleDownload(inputUrl, downloadOptions) {
     if (await checkFfmpeg(false)) {
       try {
         // For the last touch, convert the downloaded audio to MP3 format
-        await convertAudio(outStream.path, downloadOptions.converterOptions);
+        await convertAudio(outFile, downloadOptions.converterOptions);
       } catch (err) {
         if (!quiet) {
           log.error(err.message);
@@ -1526,7 +2877,7 @@ async function singleDownload(inputUrl, downloadOptions) {
       quiet || log.warn('ffmpeg not found, unable to convert audio to specific format');
     }
   }
-  return outStream.path;  // Return the output file path, only if succeed
+  return outFile;  // Return the output file path, only if succeed
 }
 
 
@@ -1548,33 +2899,65 @@ async function singleDownload(inputUrl, downloadOptions) {
  * - `# This is a comment`
  * - `// This is also a comment`
  * Not only that, the function now capable to parse any string representing the YouTube video ID, this behavior can be
- * enabled by set the `options.includeID` to `true`.
+ * enabled by set the `options.includeID` to `true`. Any playlist URL within the file is expanded into its videos in the
+ * playlist order, see {@link module:resolver~resolvePlaylist `resolvePlaylist`} for the `playlist*` options. Likewise, any
+ * channel URL (including the `/@HANDLE` URL) is expanded into its uploads from the newest, limited by the `options.latest`.
  * Furthermore, the function has improved to make user more easy to integrate their download handler and the returned
  * result now provide detail information for each downloaded audio, they are includes but not least, the downloaded audio path,
  * metadata information per audio, audio conversion result (if enabled), and all errors that occurred during download process.
  *
- * @param   {string | Buffer<ArrayBufferLike>} file - The path to the file containing YouTube URLs.
+ * Each line of the batch file may also override the download options for its URL, such as the output file name,
+ * the audio format or the time range to clip. The options are written after the URL, separated by pipe characters:
+ * - `https://youtu.be/abcdeQWERTY | outFile="Intro Theme" | format=flac | start=0:30 | end=2:10`
+ * The options of a line are merged over the given options, the options of a playlist or channel URL are applied
+ * to all of its videos. The supported options are `outFile`, `audioFormat`, `start`, `end`, and the options of
+ * the audio converter (`format`, `codec`, `bitrate`, `frequency` and `channels`) which enable the audio conversion.
+ * Besides the text format, the batch file can also be a JSON array, a CSV table or an M3U playlist, detected by
+ * the file extension or contents, see {@link module:batch-file} for the fields of each format.
+ *
+ * The videos are downloaded sequentially by default. Set the `options.concurrency` to download several videos
+ * simultaneously, each video is converted (if enabled) as soon as its download completes. The result always follows
+ * the order in the batch file, regardless of the concurrency. As with the sequential download, the failed downloads
+ * are left out of the result, and a failed conversion rejects the batch download with its error once all videos
+ * have been processed.
+ *
+ * Set the `options.reportFile` to write a machine-readable report of the batch download, as a JSON file or a CSV file,
+ * including the status, output paths, file sizes, conversion result, error and timing of each video. The failed
+ * videos are written along with their options into the `<report>.failed.txt` file next to the report (e.g.,
+ * `report.failed.txt` for `report.json`), which can be used as a batch file.
+ *
+ * The videos can also be downloaded from a {@link module:queue~JobQueue `JobQueue`} instead of a batch file, in which
+ * case all unfinished items of the queue are downloaded, including the items left unfinished by an interrupted process.
+ * The state of each video is recorded into the queue as the download progresses, the same goes for the `options.queue`.
+ * The per-item options are recorded as well, so the unfinished items are downloaded again with their own options.
+ *
+ * @param   {string | Buffer<ArrayBufferLike> | JobQueue} file - The path to the file containing YouTube URLs,
+ *          or the job queue to download the unfinished items from.
  * @param   {BatchDownloadOptions} [options]
  *          Options to configure the batch download process. If not specified, it will automatically
  *          uses default options, see {@link module:utils/options~defaults.DownloadOptions `defaults.DownloadOptions`}.
  *          There is one option exclusively for this function, it is called `includeID`, if set to `true` the batch file processor
  *          will treats and parses any string representing the video ID.
  *
- * @returns {Promise<Record<string, BatchDownloadResult>>} Fulfills with an object with video IDs as keys and the download result objects
- *                                                    as values.
+ * @returns {Promise<Record<string, BatchDownloadResult | DownloadPlan>>} Fulfills with an object with video IDs as keys and the
+ *          download result objects as values, or the download plan objects if the `dryRun` option is enabled.
  * 
+ * @throws {AbortError} If the batch download has been aborted through the `options.signal`.
+ * @throws {BatchFileSyntaxError} If a line of the batch file is malformed or contains an unknown option.
  * @throws {Error} If the file does not exist or no URLs found within file, or if there is an error
- *                 occurred during download process.
+ *                 occurred during download process or audio conversion.
  *
  * @async
  * @public
  * @since  1.0.0
  */
 async function batchDownload(file, options) {
-  if (typeof file !== 'string' && !((file instanceof Buffer) || Buffer.isBuffer(file))) {
-    throw new InvalidTypeError('Given file path must be a string or Buffer instance', {
+  const fromQueue = file instanceof JobQueue;
+  if (!fromQueue && typeof file !== 'string'
+      && !((file instanceof Buffer) || Buffer.isBuffer(file))) {
+    throw new InvalidTypeError('Given file path must be a string, Buffer or JobQueue instance', {
       actualType: TypeUtils.getType(file),
-      expectedType: 'string | Buffer'
+      expectedType: 'string | Buffer | JobQueue'
     });
   }
 
@@ -1589,23 +2972,50 @@ async function batchDownload(file, options) {
   if (typeof file === 'string') {
     file = path.isAbsolute(file) ? file : path.resolve(file);
   }
-  const fileStr = file instanceof Buffer ? file.toString() : file;
+  const fileStr = fromQueue
+    ? file.file
+    : (file instanceof Buffer ? file.toString() : file);
 
+  const startedAt = new Date();
   // * DO NOT ALLOW auto-conversion when using API directly, and
   // * make the process all quiet; unless user specified
   options = { convertAudio: false, quiet: true, ...options };
   const resolvedDlOptions = resolveOptions(options, {
-    ..._DownloadOptions,
-    outFile: [['string', 'array'], []],
-    handler: ['function', defaultBatchHandler],
-    includeID: ['boolean', false]
+    ..._BatchDownloadOptions,
+    outFile: [['string', 'array', 'undefined'], []],
+    handler: ['function', defaultBatchHandler]
   }, true);
+  resolvedDlOptions.handler = typeof resolvedDlOptions.handler === 'undefined'
+    ? defaultBatchHandler
+    : resolvedDlOptions.handler;
 
-  const { quiet: dlQuiet, handler, range, outDir } = resolvedDlOptions;
+  const { quiet: dlQuiet, handler, outDir } = resolvedDlOptions;
   let { outFile } = resolvedDlOptions;
   let quiet = dlQuiet, allQuiet;
-  let ytdlStream = null;  // Declare first
+  // Validate the time range early, the `t` parameter of each URL is resolved later
+  resolveTimeRange(resolvedDlOptions.start, resolvedDlOptions.end);
+  resolvedDlOptions.audioFormat = resolveAudioFormat(resolvedDlOptions.audioFormat);
+  const { audioFormat } = resolvedDlOptions;
+  // The bandwidth limit is shared by all concurrent downloads
+  const rateLimiter = createRateLimiter(resolvedDlOptions.rateLimit);
+  const postprocessors = resolvePostProcessors(resolvedDlOptions.postprocessors);
+  if (resolvedDlOptions.embedThumbnail) resolveCropMode(resolvedDlOptions.embedThumbnail);
+  // Limit the number of simultaneous downloads, at least one download at a time
+  const concurrency = Math.max(Math.floor(resolvedDlOptions.concurrency) || 1, 1);
+  const activeStreams = new Set();  // Store the ongoing download streams
+  if (resolvedDlOptions.queue && !(resolvedDlOptions.queue instanceof JobQueue)) {
+    throw new InvalidTypeError('Job queue must be an instance of JobQueue', {
+      actualType: TypeUtils.getType(resolvedDlOptions.queue),
+      expectedType: 'JobQueue'
+    });
+  }
+  // Nothing is recorded into the job queue in dry-run mode
+  const queue = resolvedDlOptions.dryRun
+    ? undefined
+    : (fromQueue ? file : resolvedDlOptions.queue);
 
+  // A single filename template is applied to all videos
+  const outFileTemplate = FilenameTemplate.isTemplate(outFile) ? outFile : undefined;
   if (!Array.isArray(outFile)) outFile = [ outFile ];
 
   if (typeof dlQuiet === 'string' && dlQuiet === 'all') {
@@ -1620,19 +3030,49 @@ async function batchDownload(file, options) {
     asObject: true  // For easy debugging
   }, _GetInfoOptions);
 
-  // Check whether the file is exist
-  try {
-    // Check for file readability
-    await fs.promises.access(file, fs.constants.R_OK);
-  } catch (err) {
-    quiet || log.error('I/O error: Unable to access the batch file');
-    throw err;
-  }
+  // Logs the location of the given batch entry or syntax error in the batch file
+  const logErrorLocation = (location) => quiet || log.error(
+    `Error in file \x1b[93m${path.basename(fileStr)}\x1b[0m `
+      + `at \x1b[96m${describeLocation(location)}\x1b[0m`);
+  // Finds the batch entry of the given URL, including the video IDs converted into URLs
+  const findEntry = (url) => entries.find(entry => entry.url === url)
+    ?? entries.find(entry => url.includes(entry.url));
+
+  let contents, urls, entries, comments;
+  if (fromQueue) {
+    quiet || log.info(`Processing job queue \x1b[93m${fileStr}\x1b[0m ...`);
+    // The queued URLs are treated as the lines of a batch file, along with their options
+    entries = file.unfinishedEntries().map((entry, idx) => ({ ...entry, line: idx + 1 }));
+    urls = contents = entries.map(entry => entry.url);
+    comments = [];
+    if (urls.length === 0) {
+      quiet || log.info('No unfinished items found inside the job queue');
+      return {};
+    }
+  } else {
+    // Check whether the file is exist
+    try {
+      // Check for file readability
+      await fs.promises.access(file, fs.constants.R_OK);
+    } catch (err) {
+      quiet || log.error('I/O error: Unable to access the batch file');
+      throw err;
+    }
 
-  quiet || log.info(`Processing file \x1b[93m${path.basename(fileStr)}\x1b[0m ...`);
+    quiet || log.info(`Processing file \x1b[93m${path.basename(fileStr)}\x1b[0m ...`);
 
-  // Parse the contents of the given file
-  const { contents, urls, comments } = await parseBatchFile(file, options.encoding);
+    // Parse the contents of the given file
+    try {
+      ({ contents, urls, entries, comments } = await parseBatchFile(
+        file, resolvedDlOptions.encoding));
+    } catch (e) {
+      if (e instanceof BatchFileSyntaxError) {
+        logErrorLocation(e);
+        quiet || log.error(`Invalid syntax: ${e.message}`);
+      }
+      throw e;
+    }
+  }
   if (urls.length === 0) {
     quiet || log.error(
       `No URLs found inside \x1b[93m${path.basename(fileStr)}\x1b[0m file`);
@@ -1645,15 +3085,58 @@ async function batchDownload(file, options) {
     throw new Error('Batch file is empty, no URLs found');
   }
 
-  let filteredUrls = urls.map((url) => {
+  // Validate the per-item options early, before making any request. The options are kept
+  // as written, so they can be recorded into the job queue and the failed URLs file
+  for (const entry of entries) {
+    const { url, options: itemOptions } = entry;
+    try {
+      resolveTimeRange(itemOptions.start ?? resolvedDlOptions.start,
+        itemOptions.end ?? resolvedDlOptions.end);
+      resolveAudioFormat(itemOptions.audioFormat);
+    } catch (e) {
+      logErrorLocation(entry);
+      quiet || log.error(`Invalid options for \x1b[2;37m${url}\x1b[0m: ${e.message}`);
+      throw e;
+    }
+  }
+
+  // Expand the playlist and channel URLs into their video URLs, preserving the order,
+  // the videos of a playlist or channel share the options of its item
+  const expandedUrls = [];
+  const urlOptions = new Map();
+  const addExpandedUrls = (videoUrls, itemOptions) => videoUrls.forEach((url) => {
+    expandedUrls.push(url);
+    urlOptions.has(url) || urlOptions.set(url, itemOptions);
+  });
+  for (const entry of entries) {
+    const { url, options: itemOptions } = entry;
+    const isPlaylist = isPlaylistUrl(url);
+    if (!isPlaylist && !isChannelUrl(url)) {
+      addExpandedUrls([ url ], itemOptions);
+      continue;
+    }
+
+    const kind = isPlaylist ? 'playlist' : 'channel';
+    try {
+      addExpandedUrls(
+        await resolveCollectionUrls(url, resolvedDlOptions, quiet), itemOptions);
+    } catch (e) {
+      logErrorLocation(entry);
+      quiet || log.error(`Unable to resolve ${kind}: \x1b[2;37m${url}\x1b[0m`);
+      throw e;
+    }
+  }
+
+  const itemOptionsById = new Map();  // Store the per-item options of each video
+  let filteredUrls = expandedUrls.map((url) => {
+    const itemOptions = urlOptions.get(url);
     // Convert the line to URL if it's representing a video ID
     if (!/^https:/.test(url)
         && url.length === URLUtils.MAX_ID_LENGTH
         && resolvedDlOptions.includeID) {
       // Validate the video ID first
       if (!URLUtils.validateId(url)) {
-        quiet || log.error(`Error in \x1b[93m${path.basename(file)}\x1b[0m `
-          + `at line ${contents.indexOf(contents.find(l => l.includes(url))) + 1}`);
+        logErrorLocation(findEntry(url));
         quiet || log.error(`Video ID is invalid: \x1b[2;37m${url}\x1b[0m`);
         throw new IDValidationError(`Given video ID is invalid: ${url}`);
       }
@@ -1662,12 +3145,16 @@ async function batchDownload(file, options) {
 
     // Validate the video URL
     if (/^https:/.test(url) && !URLUtils.validateUrl(url)) {
-      quiet || log.error(`Error in file \x1b[93m${path.basename(file)}\x1b[0m `
-        + `at line \x1b[96m${
-          contents.indexOf(contents.find(l => l.includes(url))) + 1}\x1b[0m`);
+      logErrorLocation(findEntry(url));
       quiet || log.error(`Video URL is invalid: \x1b[2;37m${url}\x1b[0m`);
       throw new URLValidationError(`Given video URL is invalid: ${url}`);
     }
+
+    // The first item wins if the same video is listed several times
+    if (/^https:/.test(url)) {
+      const id = URLUtils.extractVideoId(url);
+      itemOptionsById.has(id) || itemOptionsById.set(id, itemOptions);
+    }
     return url;
   }).filter(url => url && /^https:/.test(url));  // Filter only the URLs
 
@@ -1678,7 +3165,48 @@ async function batchDownload(file, options) {
   quiet || log.info(`Given batch file contains \x1b[96m${filteredUrls.length}\x1b[0m `
     + (filteredUrls.length > 1 ? 'URLs' : 'URL'));
 
-  const videoIds = filteredUrls.map(u => URLUtils.extractVideoId(u));
+  // Different URLs may refer to the same video, which must not be downloaded
+  // simultaneously into the same output file
+  filteredUrls = filteredUrls.filter((url, idx, arr) => {
+    const id = URLUtils.extractVideoId(url);
+    return arr.findIndex(u => URLUtils.extractVideoId(u) === id) === idx;
+  });
+  const allUrls = filteredUrls;
+  const allVideoIds = allUrls.map(u => URLUtils.extractVideoId(u));
+
+  // Skip the videos already listed in the download archive, before fetching their information
+  const { downloadArchive } = resolvedDlOptions;
+  const archivedIds = downloadArchive
+    ? await readArchive(path.resolve(downloadArchive))
+    : new Set();
+  const skippedIds = allVideoIds.filter(id => archivedIds.has(id));
+  if (skippedIds.length > 0) {
+    quiet || log.info(`Skipping \x1b[96m${skippedIds.length}\x1b[0m `
+      + `${skippedIds.length > 1 ? 'videos' : 'video'} already recorded in the download archive`);
+    // Keep the output file names aligned with the remaining videos
+    outFile = outFile.filter((_, idx) => !archivedIds.has(allVideoIds[idx]));
+    filteredUrls = allUrls.filter((_, idx) => !archivedIds.has(allVideoIds[idx]));
+  }
+  const videoIds = allVideoIds.filter(id => !archivedIds.has(id));
+  const { emitter, signal } = resolvedDlOptions;
+  throwIfAborted(signal, 'Batch download aborted');
+  allVideoIds.forEach((id, idx) => archivedIds.has(id)
+    && emitEvent(emitter, 'skipped', { videoId: id, url: allUrls[idx], reason: 'archive' }));
+
+  // Replace the expanded playlists and channels with their videos in the job queue
+  if (queue) {
+    try {
+      await queue.remove(urls.filter(url => isPlaylistUrl(url) || isChannelUrl(url)));
+    } catch (err) {
+      quiet || log.warn(`Unable to record into the job queue: ${err.message}`);
+    }
+  }
+  // Record the per-item options, so the items are downloaded the same way when resumed
+  await recordJobState(queue, filteredUrls.map((url, idx) => ({
+    url, options: itemOptionsById.get(videoIds[idx]) ?? {}
+  })), JobStates.FETCHING_INFO, null, quiet);
+  const archivedUrls = allUrls.filter((_, idx) => archivedIds.has(allVideoIds[idx]));
+  await recordJobState(queue, archivedUrls, JobStates.DONE, null, quiet);
 
   // ==========================================
   //  Pre-download Process
@@ -1687,207 +3215,728 @@ async function batchDownload(file, options) {
   quiet || log.info('-'.repeat(process.stdout.columns / 2 + 10));
 
   const interruptionHandler = function () {
+    const [ ytdlStream, ...otherStreams ] = [ ...activeStreams ];
     downloadInterruptedHandler({ quiet, ytdlStream });
+    otherStreams.forEach((stream) => {
+      downloadInterruptedHandler({ quiet: true, ytdlStream: stream });
+    });
   };
 
   // Attach the handler to SIGINT signal
   process.once('SIGINT', interruptionHandler);
 
   // Get the video information for each URL
-  const { videoInfos, videoFormats } = await fetchVideoInfos(
-    filteredUrls, resolvedInfoOptions, quiet
-  );
-  const videoInfosEntries = Object.entries(videoInfos);
-
-  // Resolve the output file names from the options
-  outFile = outFile.map((f) => {
-    if (typeof f === 'string' && f.trim().length > 0) {
-      // Add the file extension if missing
-      return (!/.+\.\w+$/.test(f) ? `${f}.m4a` : f).trim();
+  let videoInfos, videoFormats;
+  try {
+    ({ videoInfos, videoFormats } = await fetchVideoInfos(
+      filteredUrls, { ...resolvedInfoOptions, audioFormat }, quiet
+    ));
+  } catch (e) {
+    process.off('SIGINT', interruptionHandler);
+    if (!signal?.aborted) {
+      await recordJobState(queue, filteredUrls, JobStates.FAILED, e, quiet);
+      if (!resolvedDlOptions.dryRun) {
+        for (const [ idx, id ] of videoIds.entries()) {
+          await notifyError(resolvedDlOptions, {
+            videoId: id, url: filteredUrls[idx], phase: 'info', error: e
+          }, quiet);
+        }
+      }
+      // Report all videos as failed, their information is unavailable
+      resolvedDlOptions.dryRun || await recordReport(resolvedDlOptions.reportFile,
+        videoIds.reduce((acc, id, idx) => {
+          acc[id] = {
+            url: filteredUrls[idx], path: null, errors: [ e, null ], attempts: []
+          };
+          return acc;
+        }, {}), { startedAt, itemOptions: Object.fromEntries(itemOptionsById) }, quiet);
     }
-  }).filter(outFile => outFile && outFile.trim().length > 0);
-
-  if (outFile.length < Object.keys(videoInfos).length) {
-    outFile = Object.values(videoInfos)
-      .map((info, idx) => {
-        return (outFile.length !== 0 && idx !== outFile.length)
-          ? outFile[idx]
-          : info.videoDetails.title + '.m4a';
-      })
-      .map(f => sanitizeFilename(f.trim()));
+    throw e;
   }
 
-  const outputs = outFile.map(f => path.resolve(outDir.trim() || '.', f));
-
-  // Resolve the output file flags
-  const flags = new Array(outputs.length).fill('w');
-  for (const out of outputs) {
-    const idx = outputs.indexOf(out);
-    // Check if the output file already downloaded
-    if ((await isDownloaded(out, videoInfos[videoIds[idx]])
-        && TypeUtils.isPlainObject(range) && typeof range.start === 'number')) {
-      flags[idx] = 'a+';  // Append mode used for resuming
+  const converterOptions = resolveOptions({
+    ...resolvedDlOptions.converterOptions,
+    quiet: allQuiet || typeof resolvedDlOptions.converterOptions.quiet !== 'undefined'
+      ? resolvedDlOptions.converterOptions.quiet : quiet
+  }, _AudioConverterOptions);
+
+  // Merge the per-item options of each video over the batch options
+  const videoOptions = videoIds.reduce((acc, id) => {
+    const { converterOptions: itemConverterOptions, ...itemOptions } =
+      itemOptionsById.get(id) ?? {};
+    acc[id] = {
+      ...resolvedDlOptions,
+      ...itemOptions,
+      converterOptions: { ...converterOptions, ...itemConverterOptions }
+    };
+    // Choose the audio format again if the item prefers another one
+    if (itemOptions.audioFormat) {
+      acc[id].audioFormat = resolveAudioFormat(itemOptions.audioFormat);
+      videoFormats[id] = chooseVideoFormat(videoInfos[id], acc[id].audioFormat);
     }
-  }
-
-  // Ensure that the output directory exists
-  await createDirIfNotExist(outDir);
-
-  const outStreams = outputs.map((out, idx) =>
-    fs.createWriteStream(out, { flags: flags[idx], range }));
-
-  // Attach the error handler to the streams
-  outStreams.forEach((stream) => {
-    stream.on('error', function errHandler(err) {
-      quiet
-        || log.error(`I/O error: (${err.errno}) Unable to write to file: ${stream.path}`);
-      // Delete the file if there is no bytes written yet
-      if (stream.bytesWritten === 0 && fs.existsSync(stream.path)) {
-        fs.unlinkSync(stream.path);
-      }
-      throw err;
-    });
-  });
-
-  const authorInfos = videoInfosEntries.reduce((acc, [id, info]) => {
-    acc[id] = InfoUtils.getAuthor(info);
     return acc;
   }, {});
 
-  const handlerDatas = videoInfosEntries.reduce((acc, [id, info], idx) => {
-    acc[id] = constructDownloadData(outStreams[idx], {
-      videoInfo: info,
-      videoFormat: videoFormats[id],
-      authorInfo: authorInfos[id]
-    }, resolvedDlOptions);
-    return acc;
-  }, {});
+  // Resolve the output file names from the options, a single filename template
+  // is applied to all videos, otherwise each name is applied to the video at the same index,
+  // unless the name is specified in the item of the video. The batch-level `outFile` of the
+  // merged options must not be used here, as it holds the names of all videos
+  outFile = outFile.filter(f => typeof f === 'string' && f.trim().length > 0);
+  const outTemplates = videoIds.map((id, idx) => (
+    itemOptionsById.get(id)?.outFile ?? outFileTemplate ?? outFile[idx]
+  ));
+  const outputs = videoIds.map((id, idx) => path.resolve(
+    outDir.trim() || '.',
+    resolveOutputName(outTemplates[idx], videoInfos[id],
+      getFormatExtension(resolvedDlOptions.format ?? videoFormats[id]))
+  ));
+  videoIds.forEach((id, idx) => emitEvent(emitter, 'info', {
+    videoId: id,
+    url: filteredUrls[idx],
+    title: InfoUtils.getTitle(videoInfos[id]),
+    format: constructFormatInfo(resolvedDlOptions.format ?? videoFormats[id]),
+    output: outputs[idx]
+  }));
+
+  // Only report the plan, without writing any file nor spawning FFmpeg
+  if (resolvedDlOptions.dryRun) {
+    process.off('SIGINT', interruptionHandler);
+    const plans = {};
+    for (const [ idx, url ] of allUrls.entries()) {
+      const id = allVideoIds[idx];
+      if (archivedIds.has(id)) {
+        plans[id] = constructSkippedPlan(url);
+        continue;
+      }
+      const vIdx = videoIds.indexOf(id);
+      const plan = await constructDownloadPlan({
+        url,
+        videoInfo: videoInfos[id],
+        format: resolvedDlOptions.format ?? videoFormats[id],
+        output: outputs[vIdx],
+        timeRange: null,
+        convertedOutput: resolveConvertedOutput(
+          outTemplates[vIdx], videoInfos[id], outDir, videoOptions[id].converterOptions)
+      }, videoOptions[id]);
+      try {
+        plan.timeRange = resolveClipRange(url, videoOptions[id]);
+      } catch (e) {
+        plan.error = e;
+      }
+      plans[id] = plan;
+    }
+    quiet || printDownloadPlan(Object.values(plans));
+    return plans;
+  }
+
+  // Ensure that the output directories exist, including the template subdirectories
+  for (const dir of new Set(outputs.map(output => path.dirname(output)))) {
+    await createDirIfNotExist(dir);
+  }
 
-  // Initialize arrays to store the success and failed downloads
+  // Initialize arrays to store the failed downloads and conversions
   const failedDownloads = [];
-  const failedConverts = [];  // Store the failed conversion
+  const failedConverts = [];
   const errors = {};  // Store the errors
+  const handlerDatas = {};
+  const downloadResults = {};
+
+  // Downloads and converts a single video, all errors are captured per video ID
+  async function processVideo(id, idx) {
+    if (signal?.aborted) return;  // Do not start any download after aborted
+    const dlOptions = videoOptions[id];
+    const info = videoInfos[id];
+    const output = outputs[idx];
+    const authorInfo = InfoUtils.getAuthor(info);
+    const attempts = [];
+    let timeRange = null;
+    let metadataTags = null;
+
+    handlerDatas[id] = constructDownloadData(null, {
+      videoInfo: info,
+      videoFormat: videoFormats[id],
+      authorInfo,
+      outputFile: output
+    }, dlOptions);
 
-  for (const [ id, info ] of videoInfosEntries) {
-    if (!quiet && videoIds.indexOf(id) <= videoIds.length - 1) {
+    if (!quiet && concurrency === 1) {
       log.info('-'.repeat(process.stdout.columns / 2 + 10));
     }
 
-    // This try-catch block need to be inside loop,
-    // because we need to share the `id` and `info` variable into catch block
+    // Resolve the handler options
+    const resolvedHandlerOptions = resolveOptions(dlOptions, {
+      quiet: ['boolean', (allQuiet || quiet)],
+      outDir: ['string', outDir],
+      outFile: ['string', path.basename(output)],
+      concurrency: ['number', concurrency]
+    });
+
+    // Marks the video as failed to download, the error is captured instead of thrown
+    async function failDownload(e) {
+      // The failed post-processors of a downloaded audio count as download errors
+      const phase = getFailedPhase(downloadResults[id], 'download');
+      failedDownloads.push(id);
+      quiet || log.error(`{\x1b[36m${id}\x1b[0m}: `
+        + `${phase === 'postprocess' ? 'Post-processing' : 'Download'} failed `
+        + `[${failedDownloads.length}/${videoIds.length}]`
+      );
+      errors[id] = e;  // * No throw
+      await notifyError(dlOptions, {
+        videoId: id, url: filteredUrls[idx], phase, error: e
+      }, quiet);
+      // Leave the aborted downloads unfinished, so they can be resumed later
+      signal?.aborted
+        || await recordJobState(queue, filteredUrls[idx], JobStates.FAILED, e, quiet);
+    }
+
+    await recordJobState(queue, filteredUrls[idx], JobStates.DOWNLOADING, null, quiet);
     try {
-      if (!quiet) {
-        if (TypeUtils.isPlainObject(range) && typeof range.start === 'number') {
-          const mb = range.start === 0
-            ? range.start : (range.start / (1024 ** 2)).toFixed(3);
-          log.info(`{\x1b[36m${id}\x1b[0m}: `
-            + 'Resume downloading from bytes '
-            + `[\x1b[96m${range.start} B//${mb} MiB\x1b[0m]`);
-        } else {
-          log.info(`{\x1b[36m${id}\x1b[0m}: Downloading the audio content ...`);
-        }
+      timeRange = resolveClipRange(filteredUrls[idx], dlOptions);
+      if (dlOptions.embedMetadata) {
+        metadataTags = getMetadataTags(info, dlOptions.embedMetadata);
       }
-
-      // Resolve the handler options
-      const resolvedHandlerOptions = resolveOptions(resolvedDlOptions, {
-        quiet: ['boolean', (allQuiet || quiet)],
-        outDir: ['string', outDir],
-        outFile: ['string', outFile]
+      quiet || logChosenFormat(id, dlOptions.format ?? videoFormats[id]);
+      await runHook(dlOptions, 'onInfo', {
+        videoId: id,
+        url: filteredUrls[idx],
+        title: InfoUtils.getTitle(info),
+        format: constructFormatInfo(dlOptions.format ?? videoFormats[id]),
+        output,
+        videoInfo: info
       });
-
-      // Download the audio using the video information
-      ytdlStream = ytdl.downloadFromInfo(info, {
-        ...resolvedDlOptions,
-        format: TypeUtils.isNullOrUndefined(resolvedDlOptions.format)
-          ? videoFormats[id]
-          : resolvedDlOptions.format
+      await runHook(dlOptions, 'beforeDownload', {
+        videoId: id, url: filteredUrls[idx], output, videoInfo: info
+      });
+      await downloadWithRetries({
+        url: filteredUrls[idx],
+        output,
+        data: handlerDatas[id],
+        format: dlOptions.format ?? undefined,  // Use the chosen format if unspecified
+        handler,
+        handlerOptions: resolvedHandlerOptions,
+        options: dlOptions,
+        infoOptions: resolvedInfoOptions,
+        streams: activeStreams,
+        attempts,
+        rateLimiter,
+        quiet
       });
 
-      if (isAsyncFunction(handler)) {
-        await handler(ytdlStream, handlerDatas[id], resolvedHandlerOptions);
-      } else {
-        handler(ytdlStream, handlerDatas[id], resolvedHandlerOptions);
+      // Trim the audio losslessly, unless it will be trimmed during the audio conversion
+      if (timeRange && !dlOptions.convertAudio) {
+        await trimAudio(output, { ...timeRange, quiet: allQuiet || quiet, signal });
+      }
+      // Embed the metadata tags and the cover art, unless they will be embedded
+      // during the audio conversion
+      if (!dlOptions.convertAudio) {
+        await withCoverArt(info, output, dlOptions, allQuiet || quiet,
+          (coverArt) => tagAudio(output, {
+            metadata: metadataTags ?? undefined,
+            coverArt,
+            quiet: allQuiet || quiet,
+            signal
+          }));
       }
     } catch (e) {
-      failedDownloads.push(id);
-      quiet || log.error(`{\x1b[36m${id}\x1b[0m}: Download failed `
-        + `[${failedDownloads.length}/${filteredUrls.length}]`
-      );
-      errors[id] = e;  // * No throw
+      await failDownload(e);
+    }
+    errors[id] || emitEvent(emitter, 'downloaded', {
+      videoId: id, url: filteredUrls[idx], path: output
+    });
+
+    // Construct the download result for this video ID
+    downloadResults[id] = constructDownloadResult(
+      filteredUrls[idx],
+      output,
+      { ...handlerDatas[id], authorInfo },
+      dlOptions
+    );
+    downloadResults[id].attempts = attempts;
+    const postprocessContext = {
+      videoId: id,
+      url: filteredUrls[idx],
+      videoInfo: info,
+      downloadResult: downloadResults[id],
+      signal
+    };
+
+    if (!errors[id]) {
+      // Run the post-processors on the downloaded audio, unless it will be converted,
+      // a failed post-processor or `afterDownload` hook fails the download
+      try {
+        dlOptions.convertAudio || await runPostProcessors(
+          output, postprocessContext, postprocessors, downloadResults[id].postprocessors);
+        await runHook(dlOptions, 'afterDownload', downloadResults[id], dlOptions);
+      } catch (e) {
+        await failDownload(e);
+      }
+    }
+
+    // Record the downloaded video ID, so it will be skipped next time
+    if (!errors[id]) await recordToArchive(downloadArchive, id, quiet);
+    // Expose the occurred errors during download process, or set to null if no errors
+    downloadResults[id].errors = errors[id] ? [errors[id], null] : null;
+
+    // Audio conversion process, skipped if the download has failed or aborted
+    if (errors[id] || signal?.aborted) return;
+    if (!dlOptions.convertAudio) {
+      await recordJobState(queue, filteredUrls[idx], JobStates.DONE, null, quiet);
+      return;
+    }
+    await recordJobState(queue, filteredUrls[idx], JobStates.CONVERTING, null, quiet);
+    try {
+      downloadResults[id].conversionResult = await withCoverArt(
+        info, output, dlOptions, allQuiet || quiet,
+        (coverArt) => convertDownloadedAudio(
+          output,
+          resolveConvertedOutput(
+            outTemplates[idx], info, outDir, dlOptions.converterOptions),
+          {
+            ...dlOptions.converterOptions,
+            ...(timeRange && { start: timeRange.start, end: timeRange.end ?? undefined }),
+            ...(metadataTags && { metadata: metadataTags }),
+            ...(coverArt && { coverArt }),
+            signal,
+            onProgress: (progress) => emitEvent(emitter, 'convertProgress', {
+              videoId: id, ...progress
+            })
+          },
+          allQuiet || quiet
+        ));
+      emitEvent(emitter, 'converted', {
+        videoId: id, result: downloadResults[id].conversionResult
+      });
+      await runPostProcessors(downloadResults[id].conversionResult.output.path,
+        postprocessContext, postprocessors, downloadResults[id].postprocessors);
+      await runHook(dlOptions, 'afterConvert',
+        downloadResults[id].conversionResult, downloadResults[id], dlOptions);
+      await recordJobState(queue, filteredUrls[idx], JobStates.DONE, null, quiet);
+    } catch (e) {
+      // The failed post-processors of a converted audio count as conversion errors
+      const phase = getFailedPhase(downloadResults[id], 'convert');
+      failedConverts.push(id);
+      quiet || log.error(`{\x1b[36m${id}\x1b[0m}: `
+        + `${phase === 'postprocess' ? 'Post-processing' : 'Conversion'} failed `
+        + `[${failedConverts.length}/${videoIds.length}]`);
+      downloadResults[id].errors = [null, e];  // * No throw
+      await notifyError(dlOptions, {
+        videoId: id, url: filteredUrls[idx], phase, error: e
+      }, quiet);
+      signal?.aborted
+        || await recordJobState(queue, filteredUrls[idx], JobStates.FAILED, e, quiet);
     }
   }
 
+  // Download the videos using a bounded pool of workers, recording the processing dates
+  const timings = {};
+  await runConcurrently(videoIds, concurrency, async (id, idx) => {
+    const videoStartedAt = new Date();
+    await processVideo(id, idx);
+    timings[id] = { startedAt: videoStartedAt, finishedAt: new Date() };
+  });
+
   // ==========================================
   //  Post-download Process
   // ==========================================
 
   // Detach the interruption handler
   process.off('SIGINT', interruptionHandler);
-
-  // Create the download result object for each video ID
-  const downloadResults = videoIds
-    .filter(id => !failedDownloads.includes(id))
-    .reduce((acc, id, index) => {
-      // Construct the download result for each video ID
-      acc[id] = constructDownloadResult(
-        filteredUrls[index],
-        outputs[index],
-        { ...handlerDatas[id], videoInfo: videoInfos[id], authorInfo: authorInfos[id] },
-        resolvedDlOptions
-      );
-      const currentError = errors[id] ? [errors[id], null] : null;
-      // Expose the occurred errors during download process, or set to null if no errors
-      acc[id].errors = currentError;
-      return acc;
-    }, {});
+  // All ongoing downloads have been cleaned up, reject the whole batch
+  throwIfAborted(signal, 'Batch download aborted');
 
   quiet || log.line();
 
-  // Audio conversion process
-  if (resolvedDlOptions.convertAudio) {
-    for (const output of outputs) {
-      const id = videoIds[outputs.indexOf(output)];
-      try {
-        downloadResults[id].conversionResult = await convertDownloadedAudio(
-          output,
-          resolveOptions({
-            ...resolvedDlOptions.converterOptions,
-            quiet: allQuiet || typeof resolvedDlOptions.converterOptions.quiet !== 'undefined'
-              ? resolvedDlOptions.converterOptions.quiet : quiet
-          }, _AudioConverterOptions),
-          allQuiet || quiet
-        );
-      } catch (e) {
-        failedConverts.push(id);
-        quiet || log.error(
-          `Conversion failed [${failedConverts.length}/${filteredUrls.length}]`);
-        if (Array.isArray(downloadResults[id].errors)) {
-          downloadResults[id].errors.push(e);
-        } else {
-          downloadResults[id].errors = [null, e];
-        }
-        throw e;
-      }
-    }
-    quiet || log.line();
-  }
-
   // :: Downloads Summary
   if (!quiet) {
     console.log('\n\x1b[1m[DOWNLOADS SUMMARY]\x1b[0m');
-    videoIds.forEach((id) => {
+    allVideoIds.forEach((id, idx) => {
+      if (archivedIds.has(id)) {
+        console.log(`  [-] {\x1b[36m${id}\x1b[0m} => ${allUrls[idx]} `
+          + '\x1b[2m(skipped, already in the download archive)\x1b[0m');
+        return;
+      }
       const downloaded = !failedDownloads.includes(id);
       console.log(`  [${downloaded ? '\u2714' : ' '}] `
-        + `{\x1b[36m${id}\x1b[0m} => ${handlerDatas[id].title}\x1b[0m`);
+        + `{\x1b[36m${id}\x1b[0m} => ${InfoUtils.getTitle(videoInfos[id])}\x1b[0m`);
     });
 
     process.stdout.write('\n');
     log.done('All done, with '
-      + `\x1b[96m${failedDownloads.length}\x1b[0m download errors and `
-      + `\x1b[96m${failedConverts.length}\x1b[0m convert errors`);
+      + `\x1b[96m${failedDownloads.length}\x1b[0m download errors, `
+      + `\x1b[96m${failedConverts.length}\x1b[0m convert errors and `
+      + `\x1b[96m${skippedIds.length}\x1b[0m skipped`);
+  }
+
+  // Rebuild the results to follow the input order, regardless of completion order
+  const results = allVideoIds.reduce((acc, id, idx) => {
+    acc[id] = archivedIds.has(id)
+      ? { ...constructSkippedResult(allUrls[idx], resolvedDlOptions), errors: null }
+      : downloadResults[id];
+    return acc;
+  }, {});
+  // The report includes the failed videos, unlike the returned results
+  await recordReport(resolvedDlOptions.reportFile, results, {
+    startedAt, timings, itemOptions: Object.fromEntries(itemOptionsById)
+  }, quiet);
+
+  // Throw the error of the first failed conversion, in the order of the batch file
+  const failedConvertId = videoIds.find(id => failedConverts.includes(id));
+  if (failedConvertId) throw downloadResults[failedConvertId].errors[1];
+
+  // Leave out the failed downloads from the results
+  failedDownloads.forEach(id => delete results[id]);
+  await runHook(resolvedDlOptions, 'onBatchEnd', results);
+  return results;
+}
+
+/**
+ * Downloads the YouTube audios from the given inputs, yielding the result of each video
+ * as soon as it finishes.
+ *
+ * The inputs can be a single video URL, video ID, playlist or channel URL, or an iterable
+ * or async iterable of them. The inputs are consumed lazily and the results are not kept,
+ * this way a huge queue of videos can be downloaded without holding every result in memory
+ * as the {@link module:ytmp3~batchDownload `batchDownload`} function does. Playlist and channel
+ * URLs are expanded into their videos, see the `playlist*` and `latest` options.
+ *
+ * An input can also be a {@link BatchEntry} as parsed from a batch file, its `options` are
+ * merged over the given options for that input only (including the videos of a playlist).
+ *
+ * A failed input does not stop the iteration, a {@link DownloadErrorRecord} is yielded instead.
+ * The videos are downloaded sequentially by default, set the `options.concurrency` to download
+ * several videos simultaneously, in which case the results are yielded in the completion order.
+ * Breaking out of the loop waits for the ongoing downloads to finish, abort them through the
+ * `options.signal` to cancel.
+ *
+ * @param {string | URL | Iterable<string | URL | BatchEntry> |
+ *         AsyncIterable<string | URL | BatchEntry>} inputs
+ *        The YouTube URLs, video IDs, playlist or channel URLs to download.
+ * @param {BatchDownloadOptions} [options] - Options to configure the download process,
+ *        the `outFile` option is applied to every video and therefore should be a filename template.
+ * @yields {DownloadResult | DownloadPlan | DownloadErrorRecord} The download result of each video,
+ *         the download plan if the `dryRun` option is enabled, or the error record of a failed input.
+ *
+ * @throws {InvalidTypeError} If the inputs are not iterable or the options are not a valid object.
+ * @throws {AbortError} If the downloads have been aborted through the `options.signal`.
+ *
+ * @example
+ * for await (const result of ytmp3.downloadAudio(urls, { outDir: 'music' })) {
+ *   if (result.error) console.error(`${result.url}: ${result.error.message}`);
+ *   else console.log('Downloaded:', result.path);
+ * }
+ *
+ * @async
+ * @generator
+ * @public
+ * @since   2.0.0
+ */
+async function* downloadAudio(inputs, options) {
+  const sources = (typeof inputs === 'string' || inputs instanceof URL) ? [ inputs ] : inputs;
+  const isIterable = (Symbol.iterator in Object(sources))
+    || (Symbol.asyncIterator in Object(sources));
+  if (TypeUtils.isNullOrUndefined(sources) || !isIterable) {
+    throw new InvalidTypeError('Inputs must be a string, URL or an iterable of them', {
+      actualType: TypeUtils.getType(inputs),
+      expectedType: 'string | URL | Iterable | AsyncIterable'
+    });
+  }
+  if (typeof options !== 'undefined' && !TypeUtils.isPlainObject(options)) {
+    throw new InvalidTypeError('Options must be a plain object', {
+      actualType: TypeUtils.getType(options),
+      expectedType: TypeUtils.getType({})
+    });
+  }
+
+  // * DO NOT ALLOW auto-conversion when using API directly, and
+  // * make the process all quiet; unless user specified
+  options = { convertAudio: false, quiet: true, ...options };
+  const resolvedOptions = resolveOptions(options, _BatchDownloadOptions, true);
+  const { signal } = resolvedOptions;
+  const quiet = !!resolvedOptions.quiet;
+  const concurrency = Math.max(Math.floor(resolvedOptions.concurrency) || 1, 1);
+  throwIfAborted(signal, 'Download aborted');
+
+  // Expand the inputs lazily, a failed input is passed as an error record
+  async function* expandInputs() {
+    for await (const input of sources) {
+      const isEntry = TypeUtils.isPlainObject(input);
+      const source = isEntry ? input.url : input;
+      const itemOptions = (isEntry && input.options) || {};
+      const url = (source instanceof URL) ? source.href : source;
+      if (typeof url === 'string' && (isPlaylistUrl(url) || isChannelUrl(url))) {
+        let urls;
+        try {
+          urls = await resolveCollectionUrls(
+            url, { ...resolvedOptions, ...itemOptions }, quiet);
+        } catch (error) {
+          yield { url, videoId: null, error };
+          continue;
+        }
+        // The videos of a playlist or channel share the options of its input
+        yield* urls.map(videoUrl => ({ url: videoUrl, itemOptions }));
+      } else {
+        yield { url, itemOptions };
+      }
+    }
+  }
+
+  // Merge the per-item options over the given options, same as the batch download
+  async function downloadItem(url, itemOptions) {
+    const { converterOptions: itemConverterOptions, ...restItemOptions } = itemOptions;
+    try {
+      return await download(url, {
+        ...options,
+        ...restItemOptions,
+        ...(itemConverterOptions && {
+          converterOptions: { ...options.converterOptions, ...itemConverterOptions }
+        })
+      });
+    } catch (error) {
+      let videoId = null;
+      try {
+        videoId = URLUtils.extractVideoId(resolveVideoUrl(url));
+      } catch {
+        // The input is not a valid video URL nor video ID
+      }
+      return { url, videoId, error };
+    }
+  }
+
+  const iterator = expandInputs();
+  const pending = new Set();
+  let exhausted = false;
+  try {
+    while (true) {
+      // Fill the free slots with the next inputs
+      while (!exhausted && pending.size < concurrency && !signal?.aborted) {
+        const { value, done } = await iterator.next();
+        if (done) {
+          exhausted = true;
+        } else if (value.error) {
+          yield value;
+        } else {
+          const task = downloadItem(value.url, value.itemOptions)
+            .then((result) => ({ task, result }));
+          pending.add(task);
+        }
+      }
+      if (pending.size === 0) break;
+
+      const { task, result } = await Promise.race(pending);
+      pending.delete(task);
+      if (signal?.aborted && result.error instanceof AbortError) throw result.error;
+      yield result;
+    }
+    throwIfAborted(signal, 'Download aborted');
+  } finally {
+    // Never leave the ongoing downloads behind, even if the consumer stops iterating
+    await Promise.allSettled(pending);
+    await iterator.return();
+  }
+}
+
+/**
+ * Watches the given batch file and downloads the newly appended URLs as they appear.
+ *
+ * The URLs already in the batch file are downloaded first. Afterward, every change of the
+ * batch file is detected using `fs.watch` and debounced, so the URLs appended by an editor or
+ * another process are only processed once the file settles. Each URL is processed once per
+ * watch, combine with the `downloadArchive` option to also skip the videos downloaded by the
+ * previous runs. A failed URL is logged and does not stop the watch, it is retried on the next
+ * change of the batch file.
+ *
+ * The watch keeps running until the `options.signal` is aborted, then the ongoing downloads
+ * are aborted and the returned promise fulfills.
+ *
+ * @param {string} file - The path to the batch file to watch.
+ * @param {BatchDownloadOptions & { debounce?: number }} [options] - Options to configure the
+ *        download process, see {@link module:ytmp3~downloadAudio `downloadAudio`}. The `debounce`
+ *        option sets the delay in milliseconds to wait for the changes to settle (default: 500).
+ * @returns {Promise<void>} A promise fulfills once the watch has been stopped.
+ *
+ * @throws {InvalidTypeError} If the given file path is not a string or the options are not
+ *                            a valid object.
+ * @throws {Error} If the batch file cannot be accessed.
+ *
+ * @example
+ * const controller = new AbortController();
+ * process.once('SIGINT', () => controller.abort());
+ * await ytmp3.watchBatchFile('downloads.txt', { outDir: 'music', signal: controller.signal });
+ *
+ * @async
+ * @public
+ * @since  2.0.0
+ */
+async function watchBatchFile(file, options) {
+  if (typeof file !== 'string') {
+    throw new InvalidTypeError('Given file path must be a string', {
+      actualType: TypeUtils.getType(file),
+      expectedType: 'string'
+    });
+  }
+  if (typeof options !== 'undefined' && !TypeUtils.isPlainObject(options)) {
+    throw new InvalidTypeError('Options must be a plain object', {
+      actualType: TypeUtils.getType(options),
+      expectedType: TypeUtils.getType({})
+    });
+  }
+
+  options = { convertAudio: false, quiet: true, ...options };
+  const resolvedOptions = resolveOptions(options, _BatchDownloadOptions, true);
+  const { debounce } = resolveOptions(options, { debounce: ['number', WATCH_DEBOUNCE] }, true);
+  const { signal, encoding, includeID } = resolvedOptions;
+  const quiet = !!resolvedOptions.quiet;
+  throwIfAborted(signal, 'Watch aborted');
+
+  file = path.resolve(file);
+  try {
+    await fs.promises.access(file, fs.constants.R_OK);
+  } catch (err) {
+    quiet || log.error('I/O error: Unable to access the batch file');
+    throw err;
+  }
+
+  const processed = new Set();  // Store the processed video IDs or URLs
+  let running = null;
+  let dirty = false;
+  let timer = null;
+
+  // Returns the video ID of the URL, or the URL itself if not a video URL (e.g., playlist)
+  function getProcessedKey(url) {
+    try {
+      return URLUtils.extractVideoId(resolveVideoUrl(url));
+    } catch {
+      return url;
+    }
+  }
+
+  // Downloads the URLs which have not been processed yet, with their per-item options
+  async function processNewUrls() {
+    const { entries } = await parseBatchFile(file, encoding);
+    const newEntries = entries.filter(({ url }) => {
+      // Same as the batch download, the video IDs are only parsed if enabled
+      if (!/^https?:\/\//.test(url) && !includeID) return false;
+      const key = getProcessedKey(url);
+      if (processed.has(key)) return false;
+      // Mark it early to skip the duplicate URLs, it is unmarked if the download fails
+      processed.add(key);
+      return true;
+    });
+    if (newEntries.length === 0) return;
+
+    quiet || log.info(`Found \x1b[96m${newEntries.length}\x1b[0m new `
+      + `${newEntries.length > 1 ? 'URLs' : 'URL'} in \x1b[93m${path.basename(file)}\x1b[0m`);
+    for await (const result of downloadAudio(newEntries, options)) {
+      if (result.error) {
+        // Retry the failed URL on the next change of the batch file
+        processed.delete(result.videoId ?? getProcessedKey(result.url));
+        quiet || log.error(`Unable to download \x1b[2;37m${result.url}\x1b[0m: `
+          + result.error.message);
+      }
+    }
+  }
+
+  // Process the changes one at a time, the changes during a run are processed afterward
+  function scheduleRun() {
+    if (running) {
+      dirty = true;
+      return;
+    }
+    running = (async () => {
+      do {
+        dirty = false;
+        try {
+          await processNewUrls();
+        } catch (err) {
+          // The batch file may be missing for a moment while being replaced by an editor
+          if (!signal?.aborted && err.code !== 'ENOENT') {
+            quiet || log.error('Unable to process the batch file'
+              + (err instanceof BatchFileSyntaxError ? ` at ${describeLocation(err)}` : '')
+              + `: ${err.message}`);
+          }
+        }
+      } while (dirty && !signal?.aborted);
+      running = null;
+    })();
   }
 
-  return downloadResults;
+  // Watch the parent directory instead, as some editors replace the file on save
+  const watcher = fs.watch(path.dirname(file), (_, filename) => {
+    if (filename && filename !== path.basename(file)) return;
+    clearTimeout(timer);
+    timer = setTimeout(scheduleRun, debounce);
+  });
+  quiet || log.info(`Watching \x1b[93m${path.basename(file)}\x1b[0m for new URLs ...`);
+  scheduleRun();
+
+  try {
+    await new Promise((resolve, reject) => {
+      watcher.once('error', reject);
+      signal?.addEventListener('abort', resolve, { once: true });
+    });
+  } finally {
+    clearTimeout(timer);
+    watcher.close();
+    await running;
+    quiet || log.info(`Stopped watching \x1b[93m${path.basename(file)}\x1b[0m`);
+  }
+}
+
+/**
+ * Registers a post-processor globally, it runs on every finished file of the
+ * {@link module:ytmp3~download `download`} and {@link module:ytmp3~batchDownload `batchDownload`}
+ * functions, after the previously registered post-processors and before the post-processors of
+ * the `postprocessors` download option. See {@link module:postprocessor} for the plugin interface.
+ *
+ * The registration lasts for the whole process, use {@link module:ytmp3~unuse `unuse`} to
+ * unregister the post-processor.
+ *
+ * @param {PostProcessor} plugin - The post-processor to register.
+ * @param {Record<string, any>} [options] - The options of the post-processor,
+ *        resolved against its options schema.
+ * @returns {typeof ytmp3} This module, to chain the registrations.
+ *
+ * @throws {InvalidTypeError} If the post-processor is malformed, or any of its options
+ *                            has an invalid type.
+ *
+ * @example
+ * ytmp3
+ *   .use(normalizer, { target: -16 })
+ *   .use(tagger);
+ * const result = await ytmp3.download(url, { convertAudio: true });
+ * console.log(result.postprocessors);  // [ { name: 'normalizer', ... }, { name: 'tagger', ... } ]
+ *
+ * @public
+ * @since  2.0.0
+ */
+function use(plugin, options) {
+  registerPostProcessor(plugin, options);
+  return ytmp3;
+}
+
+/**
+ * Unregisters a post-processor registered globally through {@link module:ytmp3~use `use`},
+ * including all of its registrations with different options. All the registered
+ * post-processors are unregistered if no post-processor is given.
+ *
+ * @param {PostProcessor} [plugin] - The post-processor to unregister.
+ * @returns {typeof ytmp3} This module, to chain the calls.
+ *
+ * @example
+ * ytmp3.use(normalizer).use(tagger);
+ * ytmp3.unuse(normalizer);  // Only the tagger remains
+ * ytmp3.unuse();            // No post-processor remains
+ *
+ * @public
+ * @since  2.0.0
+ */
+function unuse(plugin) {
+  if (plugin === undefined) {
+    clearPostProcessors();
+  } else {
+    unregisterPostProcessor(plugin);
+  }
+  return ytmp3;
 }
 
 /**
@@ -1911,6 +3960,78 @@ async function ytmp3(input, options) {
   return await download(input, options);
 }
 
+/**
+ * An event emitter reporting the progress of the downloads and conversions.
+ *
+ * Each download started with this downloader emits the following events, every payload
+ * contains the ID of the video in the `videoId` property:
+ *
+ * - `'info'` - The video information has been fetched, with the `url`, `title`, the chosen
+ *   `format` and the `output` path.
+ * - `'skipped'` - The video has been skipped, with the `url` and the `reason`.
+ * - `'start'` - A download attempt has started, with the `url`, `output`, `attempt` number
+ *   and the resumed `offset` in bytes.
+ * - `'progress'` - The download progress, see {@link DownloadProgress}.
+ * - `'downloaded'` - The audio has been downloaded into the `path`.
+ * - `'convertProgress'` - The audio conversion progress, see {@link FFmpegInfo}.
+ * - `'converted'` - The audio has been converted, with the conversion `result`.
+ * - `'error'` - An error occurred, with the `url`, the `phase` (`'info'`, `'download'` or
+ *   `'convert'`) and the `error`. This event is only emitted if there is any listener.
+ *
+ * @example
+ * const downloader = new ytmp3.Downloader();
+ * downloader.on('progress', ({ videoId, bytes, total }) => {
+ *   console.log(`${videoId}: ${(bytes / total * 100).toFixed(1)}%`);
+ * });
+ * await downloader.download('https://youtu.be/<VIDEO_ID>', { quiet: true });
+ *
+ * @public
+ * @since  2.0.0
+ */
+class Downloader extends EventEmitter {
+  /**
+   * Downloads a YouTube audio, emitting the events into this downloader.
+   *
+   * @param {string | URL} url - The YouTube URL or video ID to download.
+   * @param {DownloadOptions} [options] - The download options.
+   * @returns {Promise<DownloadResult>} A promise that resolves to the download result.
+   *
+   * @see {@link module:ytmp3~download ytmp3.download}
+   */
+  download(url, options) {
+    return download(url, { ...options, emitter: this });
+  }
+
+  /**
+   * Downloads the YouTube audios from a batch file, emitting the events into this downloader.
+   *
+   * @param {string} file - The path of the batch file.
+   * @param {BatchDownloadOptions} [options] - The batch download options.
+   * @returns {Promise<Record<string, DownloadResult>>} A promise that resolves to the
+   *          download results keyed by the video ID.
+   *
+   * @see {@link module:ytmp3~batchDownload ytmp3.batchDownload}
+   */
+  batchDownload(file, options) {
+    return batchDownload(file, { ...options, emitter: this });
+  }
+
+  /**
+   * Downloads the YouTube audios from the given inputs, emitting the events into this downloader.
+   *
+   * @param {string | URL | Iterable<string | URL> | AsyncIterable<string | URL>} inputs
+   *        The YouTube URLs, video IDs, playlist or channel URLs to download.
+   * @param {BatchDownloadOptions} [options] - The download options.
+   * @returns {AsyncGenerator<DownloadResult | DownloadPlan | DownloadErrorRecord>} An async
+   *          generator that yields the result of each video as soon as it finishes.
+   *
+   * @see {@link module:ytmp3~downloadAudio ytmp3.downloadAudio}
+   */
+  downloadAudio(inputs, options) {
+    return downloadAudio(inputs, { ...options, emitter: this });
+  }
+}
+
 
 Object.assign(ytmp3, {
   version,
@@ -1929,6 +4050,8 @@ Object.assign(ytmp3, {
     + 'and will be removed in a future version.'
   ),
   getInfo,
+  resolvePlaylist,
+  resolveChannel,
   download,
   singleDownload: deprecate(
     singleDownload,
@@ -1936,7 +4059,13 @@ Object.assign(ytmp3, {
     + 'and will be removed in a future version. Please use `download()` '
     + 'for better and improved processes handling and more efficient.'
   ),
-  batchDownload
+  batchDownload,
+  downloadAudio,
+  watchBatchFile,
+  createAudioStream,
+  use,
+  unuse,
+  Downloader
 });
 
 module.exports = ytmp3;
@@ -0,0 +1,77 @@
+import assert from 'node:assert';
+import fs from 'node:fs';
+import path from 'node:path';
+import { getTempPath } from '@mitsuki31/temppath';
+
+import archive from '../../lib/archive.js';
+import utils from '../../lib/utils/index.js';
+import error from '../../lib/error.js';
+const { InvalidTypeError } = error;
+
+describe('module:archive', function () {
+  const testMessages = {
+    parseArchive: [
+      'should parse the video IDs and ignore the empty and comment lines',
+      'should only take the last word of each line as the video ID'
+    ],
+    readArchive: [
+      'should return an empty set if the archive file does not exist',
+      'should throw a `InvalidTypeError` if the given path is not a string'
+    ],
+    appendToArchive: [
+      'should create the archive file and append the video IDs line by line',
+      'should throw a `InvalidTypeError` if the given video ID is not a string'
+    ]
+  };
+  let tempDir;
+  let archiveFile;
+
+  before(function () {
+    tempDir = getTempPath(path.join(utils.ROOTDIR, 'tmp'), 20);
+    archiveFile = path.join(tempDir, 'nested', 'archive.txt');
+  });
+
+  after(async function () {
+    await fs.promises.rm(tempDir, { recursive: true, force: true });
+  });
+
+  describe('#parseArchive', function () {
+    it(testMessages.parseArchive[0], function () {
+      const ids = archive.parseArchive('abcdeQWERTY\n\n# A comment\r\n  12345-_abcd  \n');
+      assert.deepStrictEqual([ ...ids ], [ 'abcdeQWERTY', '12345-_abcd' ]);
+    });
+
+    it(testMessages.parseArchive[1], function () {
+      const ids = archive.parseArchive('youtube abcdeQWERTY\nyoutube 12345-_abcd\n');
+      assert.deepStrictEqual([ ...ids ], [ 'abcdeQWERTY', '12345-_abcd' ]);
+    });
+  });
+
+  describe('#readArchive', function () {
+    it(testMessages.readArchive[0], async function () {
+      const ids = await archive.readArchive(path.join(tempDir, 'inexistent.txt'));
+      assert.ok(ids instanceof Set);
+      assert.strictEqual(ids.size, 0);
+    });
+
+    it(testMessages.readArchive[1], async function () {
+      await assert.rejects(() => archive.readArchive(null), InvalidTypeError);
+    });
+  });
+
+  describe('#appendToArchive', function () {
+    it(testMessages.appendToArchive[0], async function () {
+      await archive.appendToArchive(archiveFile, 'abcdeQWERTY');
+      await archive.appendToArchive(archiveFile, '12345-_abcd');
+
+      assert.strictEqual(
+        await fs.promises.readFile(archiveFile, 'utf8'), 'abcdeQWERTY\n12345-_abcd\n');
+      assert.deepStrictEqual(
+        [ ...(await archive.readArchive(archiveFile)) ], [ 'abcdeQWERTY', '12345-_abcd' ]);
+    });
+
+    it(testMessages.appendToArchive[1], async function () {
+      await assert.rejects(() => archive.appendToArchive(archiveFile, 123), InvalidTypeError);
+    });
+  });
+});
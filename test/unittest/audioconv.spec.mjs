@@ -2,11 +2,14 @@ import assert from 'node:assert';
 import fs from 'node:fs';
 import path from 'node:path';
 import childProcess from 'node:child_process';
+import { Readable } from 'node:stream';
 import { stripVTControlCharacters } from 'node:util';
 import { getTempPath } from '@mitsuki31/temppath';
 
 import audioconv from '../../lib/audioconv.js';
 import utils from '../../lib/utils/index.js';
+import error from '../../lib/error.js';
+const { InvalidTypeError } = error;
 
 describe('module:audioconv', function () {
   const testMessages = {
@@ -39,6 +42,14 @@ describe('module:audioconv', function () {
       'should throw an error when input file does not exist',
       'should reject when ffmpeg has not installed',
       'should pass the pre-setup of ffmpeg chain without any error'
+    ],
+    convertAudioStream: [
+      'should throw an error if the given input is not a readable stream',
+      'should throw an `AbortError` if the given signal has been aborted'
+    ],
+    tagAudio: [
+      'should return the input file as-is if there is no metadata tag to embed',
+      'should throw an error if the given input file is not a string'
     ]
   };
 
@@ -380,4 +391,31 @@ describe('module:audioconv', function () {
       if (fs.existsSync(fakeAudioFile)) fs.rmSync(fakeAudioFile);
     });
   });
+
+  describe('#convertAudioStream', function () {
+    it(testMessages.convertAudioStream[0], function () {
+      assert.throws(() => audioconv.convertAudioStream('audio.m4a'), InvalidTypeError);
+      assert.throws(() => audioconv.convertAudioStream(null), InvalidTypeError);
+    });
+
+    it(testMessages.convertAudioStream[1], function () {
+      assert.throws(() => {
+        audioconv.convertAudioStream(Readable.from([]), { signal: AbortSignal.abort() });
+      }, { name: 'AbortError' });
+    });
+  });
+
+  describe('#tagAudio', function () {
+    it(testMessages.tagAudio[0], async function () {
+      // The input file is never accessed, as there is nothing to embed
+      assert.strictEqual(await audioconv.tagAudio('audio.m4a'), 'audio.m4a');
+      assert.strictEqual(await audioconv.tagAudio('audio.m4a', {
+        metadata: { title: '', artist: null }
+      }), 'audio.m4a');
+    });
+
+    it(testMessages.tagAudio[1], async function () {
+      await assert.rejects(() => audioconv.tagAudio(null), InvalidTypeError);
+    });
+  });
 });
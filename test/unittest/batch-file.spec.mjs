@@ -0,0 +1,202 @@
+import assert from 'node:assert';
+import fs from 'node:fs';
+import path from 'node:path';
+import { getTempPath } from '@mitsuki31/temppath';
+
+import batchFile from '../../lib/batch-file.js';
+import utils from '../../lib/utils/index.js';
+import error from '../../lib/error.js';
+const {
+  BatchFormats,
+  detectBatchFormat,
+  formatTextLine,
+  parseBatchContents,
+  parseBatchFile
+} = batchFile;
+const { BatchFileSyntaxError } = error;
+
+describe('module:batch-file', function () {
+  const testMessages = {
+    detectBatchFormat: [
+      'should detect the format by the file extension',
+      'should detect the format by the contents if the extension is unknown'
+    ],
+    parseBatchContents: [
+      'should parse the URLs and per-line options of a text batch file',
+      'should parse the URLs and objects of a JSON batch file by record',
+      'should parse the rows of a CSV batch file with any supported delimiter',
+      'should use the `#EXTINF` titles of an M3U batch file as the output file names',
+      'should throw a `BatchFileSyntaxError` with the line or record number of a malformed item'
+    ],
+    parseBatchFile: [
+      'should read the batch file and detect its format, ignoring the byte order mark'
+    ],
+    formatTextLine: [
+      'should format the URL and its options as a text batch line parsed back into the same options'
+    ]
+  };
+  const urls = [ 'https://youtu.be/abcdeQWERTY', 'https://youtu.be/12345-_abcd' ];
+
+  describe('#detectBatchFormat', function () {
+    it(testMessages.detectBatchFormat[0], function () {
+      assert.strictEqual(detectBatchFormat('list.json', ''), BatchFormats.JSON);
+      assert.strictEqual(detectBatchFormat('list.CSV', ''), BatchFormats.CSV);
+      assert.strictEqual(detectBatchFormat('list.m3u8', ''), BatchFormats.M3U);
+      assert.strictEqual(detectBatchFormat('list.txt', '[ "url" ]'), BatchFormats.TEXT);
+    });
+
+    it(testMessages.detectBatchFormat[1], function () {
+      assert.strictEqual(detectBatchFormat('list', '\n  [ "url" ]'), BatchFormats.JSON);
+      assert.strictEqual(detectBatchFormat('list', '#EXTM3U\n'), BatchFormats.M3U);
+      assert.strictEqual(detectBatchFormat('list', 'URL;outFile\n'), BatchFormats.CSV);
+      assert.strictEqual(detectBatchFormat('list', `# url,outFile\n${urls[0]}`),
+        BatchFormats.TEXT);
+    });
+  });
+
+  describe('#parseBatchContents', function () {
+    it(testMessages.parseBatchContents[0], function () {
+      const { format, urls: parsedUrls, entries, comments } = parseBatchContents([
+        '# Comment',
+        `${urls[0]} | outFile="Intro | \\"Theme\\"" | format=flac | start=0:30 | bitrate=192`,
+        '',
+        urls[1]
+      ].join('\r\n'));
+      assert.strictEqual(format, BatchFormats.TEXT);
+      assert.deepStrictEqual(parsedUrls, urls);
+      assert.deepStrictEqual(comments, [ '# Comment' ]);
+      assert.deepStrictEqual(entries, [
+        {
+          url: urls[0],
+          options: {
+            outFile: 'Intro | "Theme"',
+            start: '0:30',
+            convertAudio: true,
+            converterOptions: { format: 'flac', bitrate: 192 }
+          },
+          line: 2
+        },
+        { url: urls[1], options: {}, line: 4 }
+      ]);
+    });
+
+    it(testMessages.parseBatchContents[1], function () {
+      const { entries } = parseBatchContents(JSON.stringify([
+        urls[0],
+        { url: urls[1], outFile: 'Intro Theme', end: null, converterOptions: { channels: 2 } }
+      ]), { format: BatchFormats.JSON });
+      assert.deepStrictEqual(entries, [
+        { url: urls[0], options: {}, record: 1 },
+        {
+          url: urls[1],
+          options: {
+            outFile: 'Intro Theme',
+            convertAudio: true,
+            converterOptions: { channels: 2 }
+          },
+          record: 2
+        }
+      ]);
+    });
+
+    it(testMessages.parseBatchContents[2], function () {
+      for (const delimiter of [ ',', ';', '\t' ]) {
+        const { format, entries } = parseBatchContents([
+          [ 'URL', 'outFile', 'channels' ].join(delimiter),
+          [ urls[0], `"Intro${delimiter} ""Theme"""`, '2' ].join(delimiter),
+          '',
+          [ urls[1], '', '' ].join(delimiter)
+        ].join('\n'), { path: 'list.csv' });
+        assert.strictEqual(format, BatchFormats.CSV);
+        assert.deepStrictEqual(entries, [
+          {
+            url: urls[0],
+            options: {
+              outFile: `Intro${delimiter} "Theme"`,
+              convertAudio: true,
+              converterOptions: { channels: 2 }
+            },
+            line: 2
+          },
+          { url: urls[1], options: {}, line: 4 }
+        ]);
+      }
+    });
+
+    it(testMessages.parseBatchContents[3], function () {
+      const { format, entries } = parseBatchContents([
+        '#EXTM3U',
+        '#EXTINF:123,Artist - Title',
+        urls[0],
+        urls[1]
+      ].join('\n'));
+      assert.strictEqual(format, BatchFormats.M3U);
+      assert.deepStrictEqual(entries, [
+        { url: urls[0], options: { outFile: 'Artist - Title' }, line: 3 },
+        { url: urls[1], options: {}, line: 4 }
+      ]);
+    });
+
+    it(testMessages.parseBatchContents[4], function () {
+      const malformedFiles = [
+        [ 'list.txt', `${urls[0]}\n${urls[1]} | foo=bar`, { line: 2 }, /Unknown option "foo"/ ],
+        [ 'list.json', `[ "${urls[0]}", { "outFile": "x" } ]`, { record: 2 }, /Missing the "url"/ ],
+        [ 'list.json', `[\n "${urls[0]}"\n "${urls[1]}" ]`, { line: 3 }, /Malformed JSON/ ],
+        [ 'list.json', `{ "url": "${urls[0]}" }`, { line: 1 }, /Expected an array/ ],
+        [ 'list.csv', `url,outFile\n${urls[0]},"Intro\n`, { line: 2 }, /Unterminated/ ],
+        [ 'list.csv', `url,title\n${urls[0]},Intro\n`, { line: 1 }, /Unknown column "title"/ ],
+        [ 'list.csv', `outFile\nIntro\n`, { line: 1 }, /Missing the "url" column/ ],
+        [ 'list.csv', `url,channels\n${urls[0]},2\n${urls[1]},two`, { line: 3 }, /must be a number/ ]
+      ];
+      for (const [ file, contents, location, message ] of malformedFiles) {
+        assert.throws(() => parseBatchContents(contents, { path: file }), (err) => {
+          assert.ok(err instanceof BatchFileSyntaxError);
+          assert.match(err.message, message);
+          assert.strictEqual(err.path, file);
+          assert.strictEqual(err.line, location.line);
+          assert.strictEqual(err.record, location.record);
+          return true;
+        });
+      }
+    });
+  });
+
+  describe('#parseBatchFile', function () {
+    let tempDir;
+
+    before(async function () {
+      tempDir = getTempPath(path.join(utils.ROOTDIR, 'tmp'), 20);
+      await fs.promises.mkdir(tempDir, { recursive: true });
+    });
+
+    after(async function () {
+      await fs.promises.rm(tempDir, { recursive: true, force: true });
+    });
+
+    it(testMessages.parseBatchFile[0], async function () {
+      const file = path.join(tempDir, 'downloads');
+      await fs.promises.writeFile(file, `\uFEFFurl,outFile\n${urls[0]},Intro\n`);
+      const { format, urls: parsedUrls } = await parseBatchFile(file);
+      assert.strictEqual(format, BatchFormats.CSV);
+      assert.deepStrictEqual(parsedUrls, [ urls[0] ]);
+    });
+  });
+
+  describe('#formatTextLine', function () {
+    it(testMessages.formatTextLine[0], function () {
+      const options = {
+        outFile: 'Intro | "Theme" \\ Remix',
+        audioFormat: 'opus>m4a',
+        start: '0:30',
+        end: 90,
+        convertAudio: true,
+        converterOptions: { format: 'flac', bitrate: '320k', channels: 2 }
+      };
+      const line = formatTextLine(urls[0], options);
+      assert.strictEqual(line, `${urls[0]} | outFile="Intro | \\"Theme\\" \\\\ Remix" `
+        + '| audioFormat=opus>m4a | start=0:30 | end=90 | format=flac | bitrate=320k | channels=2');
+      assert.deepStrictEqual(parseBatchContents(line).entries[0].options, options);
+      assert.strictEqual(formatTextLine(urls[1]), urls[1]);
+    });
+  });
+});
@@ -86,8 +86,39 @@ describe('module:config', function () {
       outFile: undefined,
       convertAudio: false,
       quiet: false,
+      audioFormat: undefined,
       useCache: true,
+      retries: 0,
+      retryDelay: 1000,
+      retryBackoff: 2,
+      signal: undefined,
+      downloadArchive: undefined,
+      start: undefined,
+      end: undefined,
+      rateLimit: undefined,
+      dryRun: false,
+      emitter: undefined,
+      onInfo: undefined,
+      beforeDownload: undefined,
+      afterDownload: undefined,
+      afterConvert: undefined,
+      onError: undefined,
+      postprocessors: undefined,
+      embedMetadata: false,
+      embedThumbnail: false,
+      thumbnailFetcher: undefined,
       handler: undefined,
+      encoding: 'utf-8',
+      includeID: false,
+      concurrency: 1,
+      playlistLimit: undefined,
+      playlistOffset: 0,
+      playlistReverse: false,
+      latest: undefined,
+      reportFile: undefined,
+      onBatchEnd: undefined,
+      pageFetcher: undefined,
+      queue: undefined,
       converterOptions: {
         ...options.defaults.AudioConverterOptions,
         format: 'opus',
@@ -362,8 +393,39 @@ stream.write(JSON.stringify(configObj));
           convertAudio: false,
           converterOptions: options.defaults.AudioConverterOptions,
           quiet: true,
+          audioFormat: undefined,
           useCache: true,
-          handler: undefined
+          retries: 0,
+          retryDelay: 1000,
+          retryBackoff: 2,
+          signal: undefined,
+          downloadArchive: undefined,
+          start: undefined,
+          end: undefined,
+          rateLimit: undefined,
+          dryRun: false,
+          emitter: undefined,
+          onInfo: undefined,
+          beforeDownload: undefined,
+          afterDownload: undefined,
+          afterConvert: undefined,
+          onError: undefined,
+          postprocessors: undefined,
+          embedMetadata: false,
+          embedThumbnail: false,
+          thumbnailFetcher: undefined,
+          handler: undefined,
+          encoding: 'utf-8',
+          includeID: false,
+          concurrency: 1,
+          playlistLimit: undefined,
+          playlistOffset: 0,
+          playlistReverse: false,
+          latest: undefined,
+          reportFile: undefined,
+          onBatchEnd: undefined,
+          pageFetcher: undefined,
+          queue: undefined
         }
       }
 
@@ -0,0 +1,91 @@
+import assert from 'node:assert';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+import cover from '../../lib/cover.js';
+import utils from '../../lib/utils/index.js';
+const { CropModes, resolveCropMode, fetchCoverArt } = cover;
+
+const TEST_ASSETS = path.join(utils.ROOTDIR, 'test', 'assets');
+const JPEG_IMAGE = Buffer.from([ 0xFF, 0xD8, 0xFF, 0xE0, 0x00, 0x10 ]);
+const TEMP_DIR = path.join(os.tmpdir(), 'ytmp3-cover-test');
+const OUTPUT_FILE = path.join(TEMP_DIR, 'Video Title.mp3');
+
+describe('module:cover', function () {
+  const testMessages = {
+    resolveCropMode: [
+      'should resolve the crop mode from the `embedThumbnail` option',
+      'should throw an error if the crop mode is unknown'
+    ],
+    fetchCoverArt: [
+      'should fetch the highest resolution thumbnail into a file next to the output',
+      'should return `null` if the video has no thumbnail',
+      'should throw an error if the fetched thumbnail is empty'
+    ]
+  };
+  let VIDEO_INFO;
+
+  before(async function () {
+    const videoInfo = JSON.parse(
+      await fs.promises.readFile(path.join(TEST_ASSETS, 'json', 'videoInfo.json')));
+    const thumbnails = JSON.parse(
+      await fs.promises.readFile(path.join(TEST_ASSETS, 'json', 'videoThumbnails.json')));
+    VIDEO_INFO = {
+      ...videoInfo,
+      videoDetails: { ...videoInfo.videoDetails, thumbnails }
+    };
+    await fs.promises.mkdir(TEMP_DIR, { recursive: true });
+  });
+
+  describe('#resolveCropMode', function () {
+    it(testMessages.resolveCropMode[0], function () {
+      assert.strictEqual(resolveCropMode(true), CropModes.ORIGINAL);
+      assert.strictEqual(resolveCropMode(undefined), CropModes.ORIGINAL);
+      assert.strictEqual(resolveCropMode('original'), CropModes.ORIGINAL);
+      assert.strictEqual(resolveCropMode('square'), CropModes.SQUARE);
+    });
+
+    it(testMessages.resolveCropMode[1], function () {
+      for (const value of [ 'circle', false, 1 ]) {
+        assert.throws(() => resolveCropMode(value), /Unknown thumbnail crop mode/);
+      }
+    });
+  });
+
+  describe('#fetchCoverArt', function () {
+    it(testMessages.fetchCoverArt[0], async function () {
+      const requests = [];
+      const fetcher = (url, request) => {
+        requests.push([ url, request ]);
+        return JPEG_IMAGE;
+      };
+      const file = await fetchCoverArt(VIDEO_INFO, OUTPUT_FILE, { fetcher, quiet: true });
+      try {
+        assert.strictEqual(path.dirname(file), TEMP_DIR);
+        assert.deepStrictEqual(await fs.promises.readFile(file), JPEG_IMAGE);
+        assert.deepStrictEqual(requests, [
+          [ 'https://i.ytimg.com/vi/VIDEO_ID/maxresdefault.jpg', { signal: undefined } ]
+        ]);
+      } finally {
+        await fs.promises.rm(file, { force: true });
+      }
+    });
+
+    it(testMessages.fetchCoverArt[1], async function () {
+      const fetcher = () => assert.fail('The fetcher must not be called');
+      assert.strictEqual(
+        await fetchCoverArt({ videoDetails: {} }, OUTPUT_FILE, { fetcher }), null);
+    });
+
+    it(testMessages.fetchCoverArt[2], async function () {
+      await assert.rejects(() => fetchCoverArt(VIDEO_INFO, OUTPUT_FILE, {
+        fetcher: async () => new Uint8Array()
+      }), /Fetched thumbnail is empty/);
+    });
+  });
+
+  after(async function () {
+    await fs.promises.rm(TEMP_DIR, { recursive: true, force: true });
+  });
+});
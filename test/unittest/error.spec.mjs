@@ -135,6 +135,32 @@ describe('module:error', function () {
     });
   });
 
+  describe('.AbortError', function () {
+    it('should create an instance with the default message and the abort reason', function () {
+      const controller = new AbortController();
+      controller.abort('Cancelled');
+      const err = new error.AbortError(undefined, { cause: controller.signal.reason });
+      assert.ok(err instanceof Error);
+      assert.strictEqual(err.name, 'AbortError');
+      assert.strictEqual(err.code, 'ABORT_ERR');
+      assert.strictEqual(err.message, 'The operation was aborted');
+      assert.strictEqual(err.cause, 'Cancelled');
+    });
+  });
+
+  describe('#throwIfAborted', function () {
+    it('should throw an `AbortError` only if the signal has been aborted', function () {
+      const controller = new AbortController();
+      assert.doesNotThrow(() => error.throwIfAborted(undefined));
+      assert.doesNotThrow(() => error.throwIfAborted(controller.signal));
+      controller.abort();
+      assert.throws(() => error.throwIfAborted(controller.signal, 'Aborted'), {
+        name: 'AbortError',
+        message: 'Aborted'
+      });
+    });
+  });
+
   describe('.CacheValidationError', function () {
     it('should create an instance with a message string', function () {
       const err = new error.CacheValidationError('Invalid cache');
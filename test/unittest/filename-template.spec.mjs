@@ -0,0 +1,114 @@
+import assert from 'node:assert';
+import fs from 'node:fs';
+import path from 'node:path';
+
+import filenameTemplate from '../../lib/utils/filename-template.js';
+import utils from '../../lib/utils/index.js';
+import error from '../../lib/error.js';
+const { FilenameTemplate } = filenameTemplate;
+const { InvalidTypeError, FilenameTemplateError } = error;
+
+const TEST_ASSETS = path.join(utils.ROOTDIR, 'test', 'assets');
+
+describe('module:utils/filename-template', function () {
+  const testMessages = {
+    isTemplate: [
+      'should return true only if the given string contains a placeholder'
+    ],
+    resolveTemplate: [
+      'should replace the placeholders with the video metadata',
+      'should format the dates and the duration using the given format spec',
+      'should create subdirectories and never escape the output directory',
+      'should sanitize the replaced values and replace the unavailable values with "NA"',
+      'should throw a `FilenameTemplateError` if the template contains an unknown placeholder',
+      'should throw a `InvalidTypeError` if the given template is not a string'
+    ],
+    formatTemplate: [
+      'should replace the placeholders with the unsanitized values or empty strings'
+    ]
+  };
+  let VIDEO_INFO;
+
+  before(async function () {
+    VIDEO_INFO = JSON.parse(
+      await fs.promises.readFile(path.join(TEST_ASSETS, 'json', 'videoInfo.json')));
+  });
+
+  describe('#isTemplate', function () {
+    it(testMessages.isTemplate[0], function () {
+      assert.ok(FilenameTemplate.isTemplate('{title}.{ext}'));
+      assert.ok(FilenameTemplate.isTemplate('{uploadDate:YYYY}/{title}'));
+      assert.strictEqual(FilenameTemplate.isTemplate('Video Title.m4a'), false);
+      assert.strictEqual(FilenameTemplate.isTemplate('{}'), false);
+      assert.strictEqual(FilenameTemplate.isTemplate(null), false);
+    });
+  });
+
+  describe('#resolveTemplate', function () {
+    it(testMessages.resolveTemplate[0], function () {
+      assert.strictEqual(
+        FilenameTemplate.resolveTemplate('{author} - {title} [{id}].{ext}', VIDEO_INFO),
+        'Author Name - Video Title [video_id123].m4a'
+      );
+      assert.strictEqual(
+        FilenameTemplate.resolveTemplate('{category}/{title}.{ext}', VIDEO_INFO, { ext: '.mp3' }),
+        'Music/Video Title.mp3'
+      );
+    });
+
+    it(testMessages.resolveTemplate[1], function () {
+      assert.strictEqual(
+        FilenameTemplate.resolveTemplate(
+          '{uploadDate} {publishDate:YY.MM.DD HH-mm-ss} {duration} {duration:HH.mm.ss}', VIDEO_INFO),
+        '2022-01-01 22.01.01 11-17-10 300 00.05.00'
+      );
+    });
+
+    it(testMessages.resolveTemplate[2], function () {
+      assert.strictEqual(
+        FilenameTemplate.resolveTemplate('{uploadDate:YYYY}/{author}/{title}.{ext}', VIDEO_INFO),
+        '2022/Author Name/Video Title.m4a'
+      );
+      assert.strictEqual(
+        FilenameTemplate.resolveTemplate('/../{author}//./../{title}', VIDEO_INFO),
+        'Author Name/Video Title'
+      );
+    });
+
+    it(testMessages.resolveTemplate[3], function () {
+      const vInfo = structuredClone(VIDEO_INFO);
+      vInfo.videoDetails.title = 'AC/DC: Back "In" Black?';
+      delete vInfo.videoDetails.uploadDate;
+      delete vInfo.videoDetails.category;
+
+      assert.strictEqual(
+        FilenameTemplate.resolveTemplate('{title} {uploadDate} {category}', vInfo),
+        'AC_DC_ Back _In_ Black_ NA NA'
+      );
+    });
+
+    it(testMessages.resolveTemplate[4], function () {
+      assert.throws(() => FilenameTemplate.resolveTemplate('{views}', VIDEO_INFO),
+        FilenameTemplateError);
+    });
+
+    it(testMessages.resolveTemplate[5], function () {
+      assert.throws(() => FilenameTemplate.resolveTemplate(null, VIDEO_INFO), InvalidTypeError);
+    });
+  });
+
+  describe('#formatTemplate', function () {
+    it(testMessages.formatTemplate[0], function () {
+      const vInfo = structuredClone(VIDEO_INFO);
+      vInfo.videoDetails.title = 'AC/DC: Back "In" Black?';
+      delete vInfo.videoDetails.category;
+
+      assert.strictEqual(
+        FilenameTemplate.formatTemplate('{title} ({publishDate:YYYY}) {category}', vInfo),
+        'AC/DC: Back "In" Black? (2022)'
+      );
+      assert.throws(() => FilenameTemplate.formatTemplate('{views}', vInfo),
+        FilenameTemplateError);
+    });
+  });
+});
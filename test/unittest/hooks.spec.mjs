@@ -0,0 +1,140 @@
+import assert from 'node:assert';
+import fs from 'node:fs';
+import path from 'node:path';
+import { getTempPath } from '@mitsuki31/temppath';
+
+import hooks from '../../lib/hooks.js';
+import utils from '../../lib/utils/index.js';
+import error from '../../lib/error.js';
+const { ExecPolicies, runHook, formatCommand, runCommand, withExecCommand } = hooks;
+const { CommandExecError } = error;
+
+describe('module:hooks', function () {
+  const testMessages = {
+    runHook: [
+      'should await the hook with the given arguments, if declared'
+    ],
+    formatCommand: [
+      'should substitute the placeholders with the quoted values',
+      'should append the quoted path if the command has no placeholder'
+    ],
+    runCommand: [
+      'should reject with a `CommandExecError` if the command exits with a non-zero code'
+    ],
+    withExecCommand: [
+      'should run the command for the converted audio, after the declared hooks',
+      'should fail the video only with the "fail" policy',
+      'should use the `quiet` and `signal` options passed to the hooks'
+    ]
+  };
+  const downloadResult = {
+    url: 'https://youtu.be/abcdeQWERTY',
+    path: '/tmp/Intro.m4a',
+    metadata: { videoId: 'abcdeQWERTY', title: 'Don\'t "Stop"' }
+  };
+  let tempDir;
+
+  before(async function () {
+    tempDir = getTempPath(path.join(utils.ROOTDIR, 'tmp'), 20);
+    await fs.promises.mkdir(tempDir, { recursive: true });
+  });
+
+  after(async function () {
+    await fs.promises.rm(tempDir, { recursive: true, force: true });
+  });
+
+  describe('#runHook', function () {
+    it(testMessages.runHook[0], async function () {
+      const calls = [];
+      await runHook({ afterDownload: async (...args) => calls.push(args) }, 'afterDownload', 1, 2);
+      await runHook({}, 'afterConvert', 3);
+      await runHook(undefined, 'onError', 4);
+      assert.deepStrictEqual(calls, [ [ 1, 2 ] ]);
+    });
+  });
+
+  describe('#formatCommand', function () {
+    before(function () {
+      if (process.platform === 'win32') this.skip();
+    });
+
+    it(testMessages.formatCommand[0], function () {
+      assert.strictEqual(
+        formatCommand('tag --title {title} {path} {dir}/{id} {x}', {
+          path: '/tmp/Intro.m4a', id: 'abcdeQWERTY', title: 'Don\'t "Stop"'
+        }),
+        'tag --title \'Don\'\\\'\'t "Stop"\' \'/tmp/Intro.m4a\' \'/tmp\'/\'abcdeQWERTY\' {x}'
+      );
+    });
+
+    it(testMessages.formatCommand[1], function () {
+      assert.strictEqual(
+        formatCommand('mp3gain -r', { path: '/tmp/$(rm -rf).mp3' }),
+        'mp3gain -r \'/tmp/$(rm -rf).mp3\''
+      );
+    });
+  });
+
+  describe('#runCommand', function () {
+    it(testMessages.runCommand[0], async function () {
+      await runCommand('exit 0');
+      await assert.rejects(() => runCommand('exit 3'), (err) => {
+        assert.ok(err instanceof CommandExecError);
+        assert.strictEqual(err.exitCode, 3);
+        assert.strictEqual(err.command, 'exit 3');
+        return true;
+      });
+    });
+  });
+
+  describe('#withExecCommand', function () {
+    before(function () {
+      if (process.platform === 'win32') this.skip();
+    });
+
+    it(testMessages.withExecCommand[0], async function () {
+      const outFile = path.join(tempDir, 'exec.txt');
+      const calls = [];
+      const options = withExecCommand({
+        afterConvert: async () => calls.push('afterConvert')
+      }, `echo {title} {name} >> '${outFile}'`);
+
+      // The command waits for the converted audio
+      await options.afterDownload(downloadResult, { convertAudio: true });
+      await options.afterConvert(
+        { output: { path: '/tmp/Intro.mp3' } }, downloadResult, { convertAudio: true });
+      assert.deepStrictEqual(calls, [ 'afterConvert' ]);
+      assert.strictEqual(await fs.promises.readFile(outFile, 'utf8'),
+        'Don\'t "Stop" Intro.mp3\n');
+    });
+
+    it(testMessages.withExecCommand[1], async function () {
+      const conversionResult = { output: { path: '/tmp/Intro.mp3' } };
+      for (const policy of [ ExecPolicies.IGNORE, ExecPolicies.WARN ]) {
+        await withExecCommand({}, 'false', policy)
+          .afterConvert(conversionResult, downloadResult, { quiet: true });
+      }
+      await assert.rejects(() => withExecCommand({}, 'false', ExecPolicies.FAIL)
+        .afterConvert(conversionResult, downloadResult, {}), CommandExecError);
+      assert.throws(() => withExecCommand({}, 'false', 'abort'), /Unknown command exit policy/);
+    });
+
+    it(testMessages.withExecCommand[2], async function () {
+      const warnings = [];
+      const { warn } = utils.Logger;
+      utils.Logger.warn = (message) => warnings.push(message);
+      try {
+        await withExecCommand({ quiet: false }, 'false', ExecPolicies.WARN)
+          .afterDownload(downloadResult, { quiet: true });
+        await withExecCommand({ quiet: true }, 'false', ExecPolicies.WARN)
+          .afterDownload(downloadResult, { quiet: false });
+      } finally {
+        utils.Logger.warn = warn;
+      }
+      assert.strictEqual(warnings.length, 1);
+
+      await assert.rejects(() => withExecCommand({}, 'true', ExecPolicies.FAIL)
+        .afterDownload(downloadResult, { signal: AbortSignal.abort() }), { name: 'AbortError' });
+    });
+  });
+});
@@ -184,6 +184,16 @@ describe('module:info-utils', function () {
       hasAudio: [
         'should return true if the format contains audio',
         'should return false if the format does not contain audio'
+      ],
+      parseAudioFormatPreference: [
+        'should parse the preference string into a preference object',
+        'should throw an error if the preference contains an unknown key or an invalid value'
+      ],
+      chooseAudioFormat: [
+        'should choose the highest bitrate AAC audio-only format by default',
+        'should choose the format based on the given preference',
+        'should fall back to the formats containing audio if there is no audio-only format',
+        'should throw an error if there is no format containing audio'
       ]
     };
 
@@ -260,6 +270,73 @@ describe('module:info-utils', function () {
         assert.strictEqual(hasAudio, false);
       });
     });
+
+    describe('.parseAudioFormatPreference', function () {
+      it(testMessages.parseAudioFormatPreference[0], function () {
+        assert.deepStrictEqual(FormatUtils.parseAudioFormatPreference('opus/aac,bitrate=160'), {
+          codec: ['opus', 'aac'],
+          bitrate: 160
+        });
+        assert.deepStrictEqual(
+          FormatUtils.parseAudioFormatPreference('container=webm, sampleRate=lowest, language=en/ja'),
+          { container: ['webm'], sampleRate: 'lowest', language: ['en', 'ja'] }
+        );
+      });
+
+      it(testMessages.parseAudioFormatPreference[1], function () {
+        assert.throws(() => FormatUtils.parseAudioFormatPreference('quality=high'), Error);
+        assert.throws(() => FormatUtils.parseAudioFormatPreference('bitrate=loud'), Error);
+        assert.throws(() => FormatUtils.parseAudioFormatPreference(160), InvalidTypeError);
+      });
+    });
+
+    describe('.chooseAudioFormat', function () {
+      let audioFormats;
+
+      before(function () {
+        const opus = (itag, audioBitrate) => ({
+          ...FORMATS.audioonly,
+          itag,
+          mimeType: 'audio/webm; codecs="opus"',
+          container: 'webm',
+          codecs: 'opus',
+          audioCodec: 'opus',
+          audioBitrate,
+          audioSampleRate: '48000'
+        });
+        audioFormats = [
+          opus(249, 50),
+          { ...FORMATS.audioonly, itag: 139, audioBitrate: 48, audioSampleRate: '22050' },
+          FORMATS.audioonly,
+          opus(251, 160),
+          FORMATS.videoonly,
+          FORMATS.combined
+        ];
+      });
+
+      it(testMessages.chooseAudioFormat[0], function () {
+        assert.strictEqual(FormatUtils.chooseAudioFormat(audioFormats).itag, 140);
+      });
+
+      it(testMessages.chooseAudioFormat[1], function () {
+        const choose = (pref) => FormatUtils.chooseAudioFormat(audioFormats, pref).itag;
+        assert.strictEqual(choose('opus/aac'), 251);
+        assert.strictEqual(choose('opus,bitrate=lowest'), 249);
+        assert.strictEqual(choose({ codec: 'aac', bitrate: 64 }), 139);
+        assert.strictEqual(choose({ container: 'webm' }), 251);
+        assert.strictEqual(choose('vorbis/aac,bitrate=lowest'), 139);
+      });
+
+      it(testMessages.chooseAudioFormat[2], function () {
+        const formats = [FORMATS.videoonly, FORMATS.combined];
+        assert.strictEqual(FormatUtils.chooseAudioFormat(formats), FORMATS.combined);
+      });
+
+      it(testMessages.chooseAudioFormat[3], function () {
+        assert.throws(() => FormatUtils.chooseAudioFormat([FORMATS.videoonly]), Error);
+        assert.throws(() => FormatUtils.chooseAudioFormat('not an array'), InvalidTypeError);
+      });
+    });
   });
   
   describe('~InfoUtils', function () {
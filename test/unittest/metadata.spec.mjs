@@ -0,0 +1,68 @@
+import assert from 'node:assert';
+import fs from 'node:fs';
+import path from 'node:path';
+
+import metadata from '../../lib/metadata.js';
+import utils from '../../lib/utils/index.js';
+import error from '../../lib/error.js';
+const { METADATA_TAGS, getMetadataTags } = metadata;
+const { InvalidTypeError, FilenameTemplateError } = error;
+
+const TEST_ASSETS = path.join(utils.ROOTDIR, 'test', 'assets');
+
+describe('module:metadata', function () {
+  const testMessages = {
+    getMetadataTags: [
+      'should resolve the default tags from the video information',
+      'should override the tags with the given templates, and omit the disabled tags',
+      'should throw an error if the overrides are invalid'
+    ]
+  };
+  let VIDEO_INFO;
+
+  before(async function () {
+    VIDEO_INFO = JSON.parse(
+      await fs.promises.readFile(path.join(TEST_ASSETS, 'json', 'videoInfo.json')));
+  });
+
+  describe('#getMetadataTags', function () {
+    it(testMessages.getMetadataTags[0], function () {
+      const expected = {
+        title: 'Video Title',
+        artist: 'Author Name',
+        date: '2022-01-01',
+        genre: 'Music',
+        comment: 'https://www.youtube.com/watch?v=video_id123',
+        description: 'Video description.'
+      };
+      assert.deepStrictEqual(getMetadataTags(VIDEO_INFO), expected);
+      assert.deepStrictEqual(getMetadataTags(VIDEO_INFO, true), expected);
+      assert.ok(Object.keys(expected).every((tag) => METADATA_TAGS.includes(tag)));
+    });
+
+    it(testMessages.getMetadataTags[1], function () {
+      assert.deepStrictEqual(getMetadataTags(VIDEO_INFO, {
+        album: '{author} ({publishDate:YYYY})',
+        album_artist: 'Various Artists',
+        genre: '{uploadDate:YYYY}',
+        comment: null,
+        description: false
+      }), {
+        title: 'Video Title',
+        artist: 'Author Name',
+        album: 'Author Name (2022)',
+        date: '2022-01-01',
+        album_artist: 'Various Artists',
+        genre: '2022'
+      });
+    });
+
+    it(testMessages.getMetadataTags[2], function () {
+      assert.throws(() => getMetadataTags(VIDEO_INFO, 'album'), InvalidTypeError);
+      assert.throws(() => getMetadataTags(VIDEO_INFO, { album: 2022 }), InvalidTypeError);
+      assert.throws(() => getMetadataTags(VIDEO_INFO, { album: '{views}' }),
+        FilenameTemplateError);
+      assert.throws(() => getMetadataTags(null), InvalidTypeError);
+    });
+  });
+});
@@ -0,0 +1,218 @@
+import assert from 'node:assert';
+import fs from 'node:fs';
+import path from 'node:path';
+import { getTempPath } from '@mitsuki31/temppath';
+
+import partFile from '../../lib/part-file.js';
+import utils from '../../lib/utils/index.js';
+import error from '../../lib/error.js';
+const { InvalidTypeError } = error;
+
+describe('module:part-file', function () {
+  const testMessages = {
+    getPartPaths: [
+      'should return the paths of the partial file and the sidecar file',
+      'should throw a `InvalidTypeError` if the given output path is not a string'
+    ],
+    getTempSiblingPath: [
+      'should return a hidden temporary path next to the output file with the same extension',
+      'should return a different path on each call'
+    ],
+    getExpectedLength: [
+      'should return the expected length with and without the byte range'
+    ],
+    preparePartFile: [
+      'should start from the beginning and write the sidecar if no partial file exists',
+      'should resume from the bytes recorded in the sidecar and discard the unrecorded bytes',
+      'should start from the beginning if the sidecar records a different download'
+    ],
+    getResumeOffset: [
+      'should return the resumable offset without modifying the partial file',
+      'should return zero if there is no resumable partial file'
+    ],
+    trackPartState: [
+      'should record the bytes written into the sidecar when the stream is closed'
+    ],
+    finalizePartFile: [
+      'should rename the partial file to the output file and remove the sidecar',
+      'should keep the partial file and the sidecar if the download is incomplete',
+      'should throw an error if the partial file is empty'
+    ]
+  };
+  const download = {
+    videoId: 'abcdeQWERTY',
+    itag: 140,
+    contentLength: '10'
+  };
+  let tempDir;
+  let output;
+
+  before(async function () {
+    tempDir = getTempPath(path.join(utils.ROOTDIR, 'tmp'), 20);
+    output = path.join(tempDir, 'audio.m4a');
+    await utils.createDirIfNotExist(tempDir);
+  });
+
+  afterEach(async function () {
+    await partFile.removePartFiles(output);
+    await fs.promises.rm(output, { force: true });
+  });
+
+  after(async function () {
+    await fs.promises.rm(tempDir, { recursive: true, force: true });
+  });
+
+  describe('#getPartPaths', function () {
+    it(testMessages.getPartPaths[0], function () {
+      assert.deepStrictEqual(partFile.getPartPaths('/tmp/audio.m4a'), {
+        partFile: '/tmp/audio.m4a.part',
+        stateFile: '/tmp/audio.m4a.part.json'
+      });
+    });
+
+    it(testMessages.getPartPaths[1], function () {
+      assert.throws(() => partFile.getPartPaths(null), InvalidTypeError);
+    });
+  });
+
+  describe('#getTempSiblingPath', function () {
+    it(testMessages.getTempSiblingPath[0], function () {
+      const tempPath = partFile.getTempSiblingPath(output);
+      assert.strictEqual(path.dirname(tempPath), path.dirname(output));
+      assert.match(path.basename(tempPath), /^\.audio\.[0-9a-f]{8}\.tmp\.m4a$/);
+    });
+
+    it(testMessages.getTempSiblingPath[1], function () {
+      assert.notStrictEqual(
+        partFile.getTempSiblingPath(output), partFile.getTempSiblingPath(output));
+    });
+  });
+
+  describe('#getExpectedLength', function () {
+    it(testMessages.getExpectedLength[0], function () {
+      const state = { contentLength: 100, range: null };
+      assert.strictEqual(partFile.getExpectedLength(state), 100);
+      assert.strictEqual(partFile.getExpectedLength({ ...state, range: { start: 40 } }), 60);
+      assert.strictEqual(
+        partFile.getExpectedLength({ ...state, range: { start: 10, end: 19 } }), 10);
+      assert.strictEqual(partFile.getExpectedLength({ contentLength: null }), null);
+    });
+  });
+
+  describe('#preparePartFile', function () {
+    it(testMessages.preparePartFile[0], async function () {
+      const part = await partFile.preparePartFile(output, download);
+      assert.strictEqual(part.offset, 0);
+      assert.deepStrictEqual(await partFile.readPartState(part.stateFile), {
+        videoId: download.videoId,
+        itag: 140,
+        contentLength: 10,
+        range: null,
+        bytesWritten: 0
+      });
+    });
+
+    it(testMessages.preparePartFile[1], async function () {
+      const { partFile: partPath, stateFile } = partFile.getPartPaths(output);
+      await fs.promises.writeFile(partPath, '0123456');
+      partFile.writePartStateSync(stateFile, {
+        videoId: download.videoId,
+        itag: 140,
+        contentLength: 10,
+        range: null,
+        bytesWritten: 5
+      });
+
+      const part = await partFile.preparePartFile(output, download);
+      assert.strictEqual(part.offset, 5);
+      assert.strictEqual(await fs.promises.readFile(partPath, 'utf8'), '01234');
+    });
+
+    it(testMessages.preparePartFile[2], async function () {
+      const { partFile: partPath, stateFile } = partFile.getPartPaths(output);
+      await fs.promises.writeFile(partPath, '0123456');
+      partFile.writePartStateSync(stateFile, {
+        videoId: download.videoId,
+        itag: 251,  // Different format
+        contentLength: 10,
+        range: null,
+        bytesWritten: 7
+      });
+
+      const part = await partFile.preparePartFile(output, download);
+      assert.strictEqual(part.offset, 0);
+      assert.strictEqual((await partFile.readPartState(stateFile)).itag, 140);
+    });
+  });
+
+  describe('#getResumeOffset', function () {
+    it(testMessages.getResumeOffset[0], async function () {
+      const { partFile: partPath, stateFile } = partFile.getPartPaths(output);
+      await fs.promises.writeFile(partPath, '0123456');
+      partFile.writePartStateSync(stateFile, {
+        videoId: download.videoId,
+        itag: 140,
+        contentLength: 10,
+        range: null,
+        bytesWritten: 5
+      });
+
+      assert.strictEqual(await partFile.getResumeOffset(output, download), 5);
+      assert.strictEqual(await fs.promises.readFile(partPath, 'utf8'), '0123456');
+      assert.strictEqual((await partFile.readPartState(stateFile)).bytesWritten, 5);
+    });
+
+    it(testMessages.getResumeOffset[1], async function () {
+      assert.strictEqual(await partFile.getResumeOffset(output, download), 0);
+      assert.strictEqual(fs.existsSync(partFile.getPartPaths(output).stateFile), false);
+      assert.strictEqual(
+        await partFile.getResumeOffset(output, { ...download, itag: 251 }), 0);
+    });
+  });
+
+  describe('#trackPartState', function () {
+    it(testMessages.trackPartState[0], async function () {
+      const part = await partFile.preparePartFile(output, download);
+      const outStream = fs.createWriteStream(part.partFile);
+      partFile.trackPartState(outStream, part);
+
+      await new Promise((resolve) => outStream.end('0123', resolve));
+      await new Promise((resolve) => outStream.once('close', resolve));
+      assert.strictEqual((await partFile.readPartState(part.stateFile)).bytesWritten, 4);
+    });
+  });
+
+  describe('#finalizePartFile', function () {
+    it(testMessages.finalizePartFile[0], async function () {
+      const part = await partFile.preparePartFile(output, download);
+      await fs.promises.writeFile(part.partFile, '0123456789');
+
+      assert.strictEqual(await partFile.finalizePartFile(output, part), output);
+      assert.ok(fs.existsSync(output));
+      assert.strictEqual(fs.existsSync(part.partFile), false);
+      assert.strictEqual(fs.existsSync(part.stateFile), false);
+    });
+
+    it(testMessages.finalizePartFile[1], async function () {
+      const part = await partFile.preparePartFile(output, download);
+      await fs.promises.writeFile(part.partFile, '01234');
+
+      await assert.rejects(() => partFile.finalizePartFile(output, part),
+        /incomplete download/i);
+      assert.strictEqual(fs.existsSync(output), false);
+      assert.ok(fs.existsSync(part.partFile));
+      assert.ok(fs.existsSync(part.stateFile));
+    });
+
+    it(testMessages.finalizePartFile[2], async function () {
+      const part = await partFile.preparePartFile(output, {
+        videoId: download.videoId,
+        itag: 140
+      });
+      await fs.promises.writeFile(part.partFile, '');
+
+      await assert.rejects(() => partFile.finalizePartFile(output, part), /empty download/i);
+      assert.strictEqual(fs.existsSync(output), false);
+    });
+  });
+});
@@ -0,0 +1,119 @@
+import assert from 'node:assert';
+
+import postprocessor from '../../lib/postprocessor.js';
+import error from '../../lib/error.js';
+const {
+  registerPostProcessor,
+  unregisterPostProcessor,
+  clearPostProcessors,
+  resolvePostProcessors,
+  runPostProcessors
+} = postprocessor;
+const { InvalidTypeError } = error;
+
+describe('module:postprocessor', function () {
+  const testMessages = {
+    unregisterPostProcessor: [
+      'should remove every registration of the given post-processor only'
+    ],
+    resolvePostProcessors: [
+      'should resolve the registered post-processors first, then the given ones',
+      'should throw an `InvalidTypeError` if a post-processor or its options are invalid'
+    ],
+    runPostProcessors: [
+      'should run the chain in order, passing the returned path to the next post-processor',
+      'should stop the chain and record the error of a failed post-processor'
+    ]
+  };
+  const normalizer = {
+    name: 'normalizer',
+    options: {
+      target: ['number', -14],
+      suffix: ['string', '.norm']
+    },
+    process: async (file, { options }) => ({ path: file + options.suffix })
+  };
+  const tagger = {
+    name: 'tagger',
+    process: (file, { videoId }) => ({ tagged: videoId })
+  };
+
+  afterEach(function () {
+    clearPostProcessors();
+  });
+
+  describe('#unregisterPostProcessor', function () {
+    it(testMessages.unregisterPostProcessor[0], function () {
+      registerPostProcessor(normalizer);
+      registerPostProcessor(tagger);
+      registerPostProcessor(normalizer, { target: -16 });
+      assert.strictEqual(unregisterPostProcessor(normalizer), 2);
+      assert.deepStrictEqual(resolvePostProcessors().map(({ plugin }) => plugin), [ tagger ]);
+      assert.strictEqual(unregisterPostProcessor(normalizer), 0);
+    });
+  });
+
+  describe('#resolvePostProcessors', function () {
+    it(testMessages.resolvePostProcessors[0], function () {
+      registerPostProcessor(normalizer, { target: -16 });
+      const chain = resolvePostProcessors([ tagger, [ normalizer, { suffix: '.n' } ] ]);
+      assert.deepStrictEqual(chain.map(({ plugin, options }) => [ plugin.name, options ]), [
+        [ 'normalizer', { target: -16, suffix: '.norm' } ],
+        [ 'tagger', {} ],
+        [ 'normalizer', { target: -14, suffix: '.n' } ]
+      ]);
+      assert.deepStrictEqual(resolvePostProcessors(), chain.slice(0, 1));
+    });
+
+    it(testMessages.resolvePostProcessors[1], function () {
+      const invalidItems = [
+        () => 'tagger',
+        { process: () => {} },
+        { name: 'tagger' },
+        { ...tagger, options: [] },
+        [ tagger, 'options' ],
+        [ normalizer, { target: '-14' } ]
+      ];
+      for (const item of invalidItems) {
+        assert.throws(() => resolvePostProcessors([ item ]), InvalidTypeError);
+      }
+      assert.throws(() => registerPostProcessor(null), InvalidTypeError);
+    });
+  });
+
+  describe('#runPostProcessors', function () {
+    it(testMessages.runPostProcessors[0], async function () {
+      const results = [];
+      const file = await runPostProcessors('/tmp/Intro.mp3', { videoId: 'abcdeQWERTY' },
+        resolvePostProcessors([ normalizer, tagger ]), results);
+      assert.strictEqual(file, '/tmp/Intro.mp3.norm');
+      assert.deepStrictEqual(results, [
+        {
+          name: 'normalizer',
+          input: '/tmp/Intro.mp3',
+          path: '/tmp/Intro.mp3.norm',
+          result: { path: '/tmp/Intro.mp3.norm' },
+          error: null
+        },
+        {
+          name: 'tagger',
+          input: '/tmp/Intro.mp3.norm',
+          path: '/tmp/Intro.mp3.norm',
+          result: { tagged: 'abcdeQWERTY' },
+          error: null
+        }
+      ]);
+    });
+
+    it(testMessages.runPostProcessors[1], async function () {
+      const uploadError = new Error('Upload failed');
+      const uploader = { name: 'uploader', process: () => { throw uploadError; } };
+      const results = [];
+      await assert.rejects(() => runPostProcessors('/tmp/Intro.mp3', {},
+        resolvePostProcessors([ uploader, tagger ]), results), uploadError);
+      assert.deepStrictEqual(results, [ {
+        name: 'uploader', input: '/tmp/Intro.mp3', path: null, result: null, error: uploadError
+      } ]);
+    });
+  });
+});
@@ -0,0 +1,195 @@
+import assert from 'node:assert';
+import fs from 'node:fs';
+import childProcess from 'node:child_process';
+import path from 'node:path';
+import { getTempPath } from '@mitsuki31/temppath';
+
+import queueModule from '../../lib/queue.js';
+import utils from '../../lib/utils/index.js';
+import error from '../../lib/error.js';
+const { JobQueue, JobStates } = queueModule;
+const { InvalidTypeError } = error;
+
+describe('module:queue', function () {
+  const testMessages = {
+    open: [
+      'should return an empty queue if the queue file does not exist',
+      'should reject if the queue file is malformed'
+    ],
+    add: [
+      'should queue the URLs as pending items and persist them',
+      'should throw a `InvalidTypeError` if the given URLs are not an array of strings or entries',
+      'should keep the options of each item and return them with the unfinished items'
+    ],
+    update: [
+      'should update the states and return the unfinished URLs',
+      'should throw an error if the given state is unknown',
+      'should not return the items being processed by a running process as unfinished'
+    ],
+    clear: [
+      'should remove the items with the given states, or all items if unspecified'
+    ],
+    lock: [
+      'should merge the changes of several queues sharing the same file',
+      'should wait for the lock held by a live process and remove the lock of a dead process'
+    ]
+  };
+  const urls = [ 'https://youtu.be/abcdeQWERTY', 'https://youtu.be/12345-_abcd' ];
+  let tempDir;
+  let queueFile;
+
+  before(function () {
+    tempDir = getTempPath(path.join(utils.ROOTDIR, 'tmp'), 20);
+    queueFile = path.join(tempDir, 'nested', 'queue.json');
+  });
+
+  after(async function () {
+    await fs.promises.rm(tempDir, { recursive: true, force: true });
+  });
+
+  describe('.JobQueue.open', function () {
+    it(testMessages.open[0], async function () {
+      const queue = await JobQueue.open(path.join(tempDir, 'inexistent.json'));
+      assert.strictEqual(queue.size, 0);
+      assert.deepStrictEqual(queue.list(), []);
+    });
+
+    it(testMessages.open[1], async function () {
+      const malformedFile = path.join(tempDir, 'malformed.json');
+      await fs.promises.mkdir(tempDir, { recursive: true });
+      await fs.promises.writeFile(malformedFile, '{ "items": ');
+      await assert.rejects(() => JobQueue.open(malformedFile), /Malformed job queue/);
+    });
+  });
+
+  describe('#add', function () {
+    it(testMessages.add[0], async function () {
+      const queue = await JobQueue.open(queueFile);
+      const added = await queue.add([ ...urls, urls[0] ]);
+      assert.deepStrictEqual(added.map(({ id, state }) => ({ id, state })), [
+        { id: 'abcdeQWERTY', state: JobStates.PENDING },
+        { id: '12345-_abcd', state: JobStates.PENDING }
+      ]);
+
+      const reopened = await JobQueue.open(queueFile);
+      assert.deepStrictEqual(reopened.list(), queue.list());
+      // No temporary file is left next to the queue file
+      assert.deepStrictEqual(fs.readdirSync(path.dirname(queueFile)), [ 'queue.json' ]);
+    });
+
+    it(testMessages.add[1], async function () {
+      const queue = new JobQueue(queueFile);
+      await assert.rejects(() => queue.add('https://youtu.be/abcdeQWERTY'), InvalidTypeError);
+      await assert.rejects(() => queue.add([ null ]), InvalidTypeError);
+      await assert.rejects(() => queue.add([ { url: 123 } ]), InvalidTypeError);
+      await assert.rejects(() => queue.add([ { url: urls[0], options: [] } ]), InvalidTypeError);
+      assert.throws(() => new JobQueue(123), InvalidTypeError);
+    });
+
+    it(testMessages.add[2], async function () {
+      const optionsFile = path.join(tempDir, 'options.json');
+      const options = { outFile: 'Intro Theme', converterOptions: { format: 'flac' } };
+      const queue = await JobQueue.open(optionsFile);
+      await queue.add([ { url: urls[0], options }, urls[1] ]);
+      // The options are kept if the URL is updated without its options
+      await queue.update(urls[0], JobStates.FAILED, 'Video unavailable');
+      await queue.update({ url: urls[1], options: { start: 10 } }, JobStates.FAILED);
+
+      const reopened = await JobQueue.open(optionsFile);
+      assert.deepStrictEqual(reopened.unfinishedEntries(), [
+        { url: urls[0], options },
+        { url: urls[1], options: { start: 10 } }
+      ]);
+      // The returned items are copies
+      reopened.list()[0].options.outFile = 'Changed';
+      assert.strictEqual(reopened.list()[0].options.outFile, 'Intro Theme');
+    });
+  });
+
+  describe('#update', function () {
+    it(testMessages.update[0], async function () {
+      const queue = await JobQueue.open(queueFile);
+      await queue.update(urls[0], JobStates.DONE);
+      await queue.update([ urls[1] ], JobStates.FAILED, new Error('Video unavailable'));
+
+      const reopened = await JobQueue.open(queueFile);
+      assert.deepStrictEqual(reopened.list().map(({ state, error }) => ({ state, error })), [
+        { state: JobStates.DONE, error: null },
+        { state: JobStates.FAILED, error: 'Video unavailable' }
+      ]);
+      assert.deepStrictEqual(reopened.unfinished(), [ urls[1] ]);
+    });
+
+    it(testMessages.update[1], async function () {
+      const queue = await JobQueue.open(queueFile);
+      await assert.rejects(() => queue.update(urls[0], 'unknown'), Error);
+    });
+
+    it(testMessages.update[2], async function () {
+      const ownedFile = path.join(tempDir, 'owned.json');
+      const queue = await JobQueue.open(ownedFile);
+      await queue.update(urls[0], JobStates.DOWNLOADING);
+      await queue.update(urls[1], JobStates.CONVERTING);
+      assert.deepStrictEqual(queue.list().map(({ pid }) => pid), [ process.pid, process.pid ]);
+      assert.deepStrictEqual((await JobQueue.open(ownedFile)).unfinished(), []);
+
+      // The items of an exited process are left unfinished
+      const { pid } = childProcess.spawnSync(process.execPath, [ '-e', '' ]);
+      const items = queue.list().map(item => ({ ...item, pid }));
+      assert.deepStrictEqual(new JobQueue(ownedFile, items).unfinished(), urls);
+      await queue.update(urls[1], JobStates.FAILED, 'Conversion failed');
+      assert.deepStrictEqual(queue.list().map(({ pid }) => pid), [ process.pid, null ]);
+      assert.deepStrictEqual(queue.unfinished(), [ urls[1] ]);
+    });
+  });
+
+  describe('#clear', function () {
+    it(testMessages.clear[0], async function () {
+      const queue = await JobQueue.open(queueFile);
+      assert.strictEqual(await queue.clear([ JobStates.DONE ]), 1);
+      assert.deepStrictEqual(queue.list().map(({ url }) => url), [ urls[1] ]);
+      assert.strictEqual(await queue.clear(), 1);
+      assert.strictEqual((await JobQueue.open(queueFile)).size, 0);
+    });
+  });
+
+  describe('~lock', function () {
+    it(testMessages.lock[0], async function () {
+      const sharedFile = path.join(tempDir, 'shared.json');
+      const [ watcher, manual ] = await Promise.all([
+        JobQueue.open(sharedFile), JobQueue.open(sharedFile)
+      ]);
+      await Promise.all([ watcher.add([ urls[0] ]), manual.add([ urls[1] ]) ]);
+      await watcher.update(urls[0], JobStates.DONE);
+      await manual.update(urls[1], JobStates.DOWNLOADING);
+
+      // The done items of the other queue are removed, but never the unfinished ones
+      assert.strictEqual(await manual.clear([ JobStates.DONE ]), 1);
+      assert.deepStrictEqual((await JobQueue.open(sharedFile)).list()
+        .map(({ url, state }) => ({ url, state })), [
+        { url: urls[1], state: JobStates.DOWNLOADING }
+      ]);
+    });
+
+    it(testMessages.lock[1], async function () {
+      const lockedFile = path.join(tempDir, 'locked.json');
+      const lockFile = `${lockedFile}.lock`;
+      const queue = await JobQueue.open(lockedFile);
+
+      await fs.promises.writeFile(lockFile, String(process.pid));
+      const releasing = new Promise(resolve => setTimeout(resolve, 100))
+        .then(() => fs.promises.rm(lockFile));
+      const adding = queue.add([ urls[0] ]);
+      assert.strictEqual((await JobQueue.open(lockedFile)).size, 0);
+      await Promise.all([ releasing, adding ]);
+      assert.strictEqual((await JobQueue.open(lockedFile)).size, 1);
+
+      // The process has exited, so its lock is stale
+      const { pid } = childProcess.spawnSync(process.execPath, [ '-e', '' ]);
+      await fs.promises.writeFile(lockFile, String(pid));
+      await queue.add([ urls[1] ]);
+      assert.strictEqual((await JobQueue.open(lockedFile)).size, 2);
+      assert.ok(!fs.existsSync(lockFile));
+    });
+  });
+});
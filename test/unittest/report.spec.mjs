@@ -0,0 +1,131 @@
+import assert from 'node:assert';
+import fs from 'node:fs';
+import path from 'node:path';
+import { getTempPath } from '@mitsuki31/temppath';
+
+import report from '../../lib/report.js';
+import batchFile from '../../lib/batch-file.js';
+import utils from '../../lib/utils/index.js';
+import error from '../../lib/error.js';
+const { getFailedFilePath, createBatchReport, writeBatchReport } = report;
+const { URLValidationError } = error;
+
+describe('module:report', function () {
+  const testMessages = {
+    createBatchReport: [
+      'should report the status, phase, error and timing of each video',
+      'should count the videos for each status in the summary'
+    ],
+    writeBatchReport: [
+      'should write a JSON report and the failed URLs with their options as a batch file',
+      'should write a CSV report if the report file has the `.csv` extension'
+    ]
+  };
+  const startedAt = new Date('2024-01-01T00:00:00.000Z');
+  const finishedAt = new Date('2024-01-01T00:01:00.000Z');
+  let tempDir;
+  let results;
+
+  before(async function () {
+    tempDir = getTempPath(path.join(utils.ROOTDIR, 'tmp'), 20);
+    await fs.promises.mkdir(tempDir, { recursive: true });
+    await fs.promises.writeFile(path.join(tempDir, 'Intro.m4a'), Buffer.alloc(1024));
+    results = {
+      abcdeQWERTY: {
+        url: 'https://youtu.be/abcdeQWERTY',
+        path: path.join(tempDir, 'Intro.m4a'),
+        metadata: { title: 'Intro, "Theme"', duration: 90 },
+        conversionResult: null,
+        attempts: [ {} ],
+        skipped: false,
+        errors: null
+      },
+      '12345-_abcd': {
+        url: 'https://youtu.be/12345-_abcd',
+        path: path.join(tempDir, 'Outro.m4a'),
+        metadata: { title: 'Outro', duration: 120 },
+        conversionResult: null,
+        attempts: [ {}, {} ],
+        skipped: false,
+        errors: [ new URLValidationError('Video unavailable'), null ]
+      },
+      QWERTYabcde: {
+        url: 'https://youtu.be/QWERTYabcde',
+        path: null,
+        metadata: null,
+        attempts: [],
+        skipped: true,
+        errors: null
+      }
+    };
+  });
+
+  after(async function () {
+    await fs.promises.rm(tempDir, { recursive: true, force: true });
+  });
+
+  describe('#createBatchReport', function () {
+    it(testMessages.createBatchReport[0], function () {
+      const { items } = createBatchReport(results, {
+        timings: { abcdeQWERTY: { startedAt, finishedAt } }
+      });
+      assert.deepStrictEqual(items.map(({ videoId, status, phase, size }) => (
+        { videoId, status, phase, size }
+      )), [
+        { videoId: 'abcdeQWERTY', status: 'done', phase: null, size: 1024 },
+        { videoId: '12345-_abcd', status: 'failed', phase: 'download', size: null },
+        { videoId: 'QWERTYabcde', status: 'skipped', phase: null, size: null }
+      ]);
+      assert.strictEqual(items[0].elapsed, 60000);
+      assert.strictEqual(items[0].startedAt, startedAt.toISOString());
+      assert.strictEqual(items[1].errorClass, 'URLValidationError');
+      assert.strictEqual(items[1].errorMessage, 'Video unavailable');
+      assert.strictEqual(items[1].attempts, 2);
+      assert.strictEqual(items[1].elapsed, null);
+    });
+
+    it(testMessages.createBatchReport[1], function () {
+      const batchReport = createBatchReport(results, { startedAt, finishedAt });
+      assert.strictEqual(batchReport.elapsed, 60000);
+      assert.deepStrictEqual(batchReport.summary, { total: 3, done: 1, failed: 1, skipped: 1 });
+    });
+  });
+
+  describe('#writeBatchReport', function () {
+    it(testMessages.writeBatchReport[0], async function () {
+      const reportFile = path.join(tempDir, 'nested', 'report.json');
+      const itemOptions = {
+        '12345-_abcd': {
+          outFile: 'Outro | "Theme"',
+          start: '0:30',
+          convertAudio: true,
+          converterOptions: { format: 'flac', frequency: 48000 }
+        }
+      };
+      const batchReport = createBatchReport(results, { startedAt, finishedAt, itemOptions });
+      const written = await writeBatchReport(reportFile, batchReport);
+      assert.deepStrictEqual(written, {
+        reportFile,
+        failedFile: path.join(tempDir, 'nested', 'report.failed.txt')
+      });
+      assert.strictEqual(getFailedFilePath(reportFile), written.failedFile);
+      assert.deepStrictEqual(
+        JSON.parse(await fs.promises.readFile(reportFile, 'utf8')), batchReport);
+
+      const { entries } = await batchFile.parseBatchFile(written.failedFile);
+      assert.deepStrictEqual(entries.map(({ url, options }) => ({ url, options })), [
+        { url: 'https://youtu.be/12345-_abcd', options: itemOptions['12345-_abcd'] }
+      ]);
+    });
+
+    it(testMessages.writeBatchReport[1], async function () {
+      const reportFile = path.join(tempDir, 'report.csv');
+      await writeBatchReport(reportFile, createBatchReport(results));
+      const rows = (await fs.promises.readFile(reportFile, 'utf8')).trim().split('\n');
+      const [ header, firstRow ] = rows;
+      assert.strictEqual(rows.length, 4);  // Header and three rows
+      assert.match(header, /^videoId,url,title,status,phase,output,size,/);
+      assert.match(firstRow, /^abcdeQWERTY,https:\/\/youtu\.be\/abcdeQWERTY,"Intro, ""Theme""",done,,/);
+    });
+  });
+});
@@ -0,0 +1,200 @@
+import assert from 'node:assert';
+import fs from 'node:fs';
+import path from 'node:path';
+
+import resolver from '../../lib/resolver.js';
+import utils from '../../lib/utils/index.js';
+import error from '../../lib/error.js';
+const { InvalidTypeError, ResolverError } = error;
+
+const ASSETS_DIR = path.join(utils.ROOTDIR, 'test', 'assets');
+
+describe('module:resolver', function () {
+  const playlistUrl = 'https://www.youtube.com/playlist?list=PLtest0123456789';
+  const testMessages = {
+    isPlaylistUrl: [
+      'should return true if the given URL is a playlist URL',
+      'should return false if the given URL is a video URL or not a URL'
+    ],
+    isChannelUrl: [
+      'should return true if the given URL is a channel or channel handle URL',
+      'should return false if the given URL is not a channel URL'
+    ],
+    extractPlaylistId: [
+      'should return the playlist ID of given playlist URL',
+      'should throw a `ResolverError` if the given URL is not a playlist URL'
+    ],
+    parsePageData: [
+      'should parse the initial data and client version from an HTML page',
+      'should parse the page data from a JSON response',
+      'should throw a `ResolverError` if no page data found'
+    ],
+    resolvePlaylist: [
+      'should resolve all playable videos including the continuation pages in order',
+      'should apply the offset and limit before reversing the videos',
+      'should not request the continuation pages if the first page is sufficient',
+      'should throw a `InvalidTypeError` if the given options is not a plain object'
+    ],
+    resolveChannel: [
+      'should resolve the channel uploads playlist from the channel ID directly',
+      'should look up the channel ID from the channel page of given handle URL',
+      'should throw a `ResolverError` if the channel ID cannot be found'
+    ]
+  };
+  let playlistHtml;
+  let channelHtml;
+  let continuationJson;
+  let requests;
+
+  // A fetcher reads the pages from local fixtures
+  async function fixtureFetcher(url, request) {
+    requests.push({ url, ...request });
+    if (request.method === 'POST') return continuationJson;
+    return /\/@/.test(url) ? channelHtml : playlistHtml;
+  }
+
+  before(async function () {
+    playlistHtml = await fs.promises.readFile(
+      path.join(ASSETS_DIR, 'html', 'playlist.html'), 'utf8');
+    channelHtml = await fs.promises.readFile(
+      path.join(ASSETS_DIR, 'html', 'channel.html'), 'utf8');
+    continuationJson = await fs.promises.readFile(
+      path.join(ASSETS_DIR, 'json', 'playlistContinuation.json'), 'utf8');
+  });
+
+  beforeEach(function () {
+    requests = [];
+  });
+
+  describe('#isPlaylistUrl', function () {
+    it(testMessages.isPlaylistUrl[0], function () {
+      assert.ok(resolver.isPlaylistUrl(playlistUrl));
+      assert.ok(resolver.isPlaylistUrl(new URL(playlistUrl)));
+      assert.ok(resolver.isPlaylistUrl('https://music.youtube.com/playlist?list=OLAK5uy_abc'));
+    });
+
+    it(testMessages.isPlaylistUrl[1], function () {
+      assert.strictEqual(resolver.isPlaylistUrl('https://youtu.be/abcdeQWERTY'), false);
+      assert.strictEqual(resolver.isPlaylistUrl(
+        'https://www.youtube.com/watch?v=abcdeQWERTY&list=PLtest0123456789'), false);
+      assert.strictEqual(resolver.isPlaylistUrl(
+        'https://music.youtube.com/watch?v=abcdeQWERTY'), false);
+      assert.strictEqual(resolver.isPlaylistUrl(null), false);
+    });
+  });
+
+  describe('#isChannelUrl', function () {
+    it(testMessages.isChannelUrl[0], function () {
+      assert.ok(resolver.isChannelUrl('https://www.youtube.com/channel/UCtest0123456789abcdefgh'));
+      assert.ok(resolver.isChannelUrl('https://youtube.com/@someone'));
+      assert.ok(resolver.isChannelUrl(new URL('https://www.youtube.com/@someone/videos')));
+    });
+
+    it(testMessages.isChannelUrl[1], function () {
+      assert.strictEqual(resolver.isChannelUrl(playlistUrl), false);
+      assert.strictEqual(resolver.isChannelUrl('https://youtu.be/abcdeQWERTY'), false);
+      assert.strictEqual(resolver.isChannelUrl(undefined), false);
+    });
+  });
+
+  describe('#extractPlaylistId', function () {
+    it(testMessages.extractPlaylistId[0], function () {
+      assert.strictEqual(resolver.extractPlaylistId(playlistUrl), 'PLtest0123456789');
+    });
+
+    it(testMessages.extractPlaylistId[1], function () {
+      assert.throws(() => resolver.extractPlaylistId('https://youtu.be/abcdeQWERTY'),
+        ResolverError);
+    });
+  });
+
+  describe('#parsePageData', function () {
+    it(testMessages.parsePageData[0], function () {
+      const { data, clientVersion } = resolver.parsePageData(playlistHtml);
+      assert.ok(utils.isPlainObject(data.contents));
+      assert.strictEqual(clientVersion, '2.20240000.01.00');
+    });
+
+    it(testMessages.parsePageData[1], function () {
+      const { data, clientVersion } = resolver.parsePageData(continuationJson);
+      assert.ok(Array.isArray(data.onResponseReceivedActions));
+      assert.strictEqual(clientVersion, null);
+    });
+
+    it(testMessages.parsePageData[2], function () {
+      assert.throws(() => resolver.parsePageData('<html></html>'), ResolverError);
+      assert.throws(() => resolver.parsePageData('{ invalid'), ResolverError);
+    });
+  });
+
+  describe('#resolvePlaylist', function () {
+    it(testMessages.resolvePlaylist[0], async function () {
+      const ids = await resolver.resolvePlaylist(playlistUrl, { fetcher: fixtureFetcher });
+      assert.deepStrictEqual(ids, [
+        'aaaaaaaaaa1', 'aaaaaaaaaa2', 'aaaaaaaaaa4', 'aaaaaaaaaa5', 'aaaaaaaaaa6'
+      ]);
+      assert.strictEqual(requests.length, 2);
+      assert.strictEqual(requests[0].url, playlistUrl);
+      assert.strictEqual(requests[1].url, resolver.BROWSE_API_URL);
+
+      const body = JSON.parse(requests[1].body);
+      assert.strictEqual(body.continuation, 'CONTINUATION_TOKEN_1');
+      assert.strictEqual(body.context.client.clientVersion, '2.20240000.01.00');
+    });
+
+    it(testMessages.resolvePlaylist[1], async function () {
+      const ids = await resolver.resolvePlaylist(playlistUrl, {
+        fetcher: fixtureFetcher,
+        offset: 1,
+        limit: 3,
+        reverse: true
+      });
+      assert.deepStrictEqual(ids, [ 'aaaaaaaaaa5', 'aaaaaaaaaa4', 'aaaaaaaaaa2' ]);
+    });
+
+    it(testMessages.resolvePlaylist[2], async function () {
+      const ids = await resolver.resolvePlaylist(playlistUrl, {
+        fetcher: fixtureFetcher,
+        limit: 2
+      });
+      assert.deepStrictEqual(ids, [ 'aaaaaaaaaa1', 'aaaaaaaaaa2' ]);
+      assert.strictEqual(requests.length, 1);
+    });
+
+    it(testMessages.resolvePlaylist[3], async function () {
+      await assert.rejects(() => resolver.resolvePlaylist(playlistUrl, 'abc'),
+        InvalidTypeError);
+    });
+  });
+
+  describe('#resolveChannel', function () {
+    const uploadsUrl = 'https://www.youtube.com/playlist?list=UUtest0123456789abcdefgh';
+
+    it(testMessages.resolveChannel[0], async function () {
+      const ids = await resolver.resolveChannel(
+        'https://www.youtube.com/channel/UCtest0123456789abcdefgh',
+        { fetcher: fixtureFetcher, limit: 2 }
+      );
+      assert.deepStrictEqual(ids, [ 'aaaaaaaaaa1', 'aaaaaaaaaa2' ]);
+      assert.deepStrictEqual(requests.map(({ url }) => url), [ uploadsUrl ]);
+    });
+
+    it(testMessages.resolveChannel[1], async function () {
+      const ids = await resolver.resolveChannel('https://youtube.com/@someone/videos', {
+        fetcher: fixtureFetcher,
+        limit: 3
+      });
+      assert.deepStrictEqual(ids, [ 'aaaaaaaaaa1', 'aaaaaaaaaa2', 'aaaaaaaaaa4' ]);
+      assert.deepStrictEqual(requests.map(({ url }) => url), [
+        'https://www.youtube.com/@someone',
+        uploadsUrl
+      ]);
+    });
+
+    it(testMessages.resolveChannel[2], async function () {
+      await assert.rejects(() => resolver.resolveChannel('https://www.youtube.com/@someone', {
+        fetcher: async () => '{ "metadata": {} }'
+      }), ResolverError);
+    });
+  });
+});
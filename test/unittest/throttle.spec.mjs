@@ -0,0 +1,84 @@
+import assert from 'node:assert';
+import { Readable } from 'node:stream';
+
+import throttle from '../../lib/throttle.js';
+import error from '../../lib/error.js';
+const { TokenBucket, parseRate, createThrottle } = throttle;
+const { InvalidTypeError } = error;
+
+describe('module:throttle', function () {
+  const testMessages = {
+    parseRate: [
+      'should parse the rate limit into the number of bytes per second',
+      'should throw an error if the rate limit is invalid'
+    ],
+    TokenBucket: [
+      'should return the delay to wait until the consumed tokens are refilled'
+    ],
+    createThrottle: [
+      'should pass all chunks in order and emit the progress',
+      'should delay the chunks to satisfy the rate limit',
+      'should throw a `InvalidTypeError` if the given buckets are invalid'
+    ]
+  };
+
+  describe('#parseRate', function () {
+    it(testMessages.parseRate[0], function () {
+      assert.strictEqual(parseRate(1000), 1000);
+      assert.strictEqual(parseRate('512'), 512);
+      assert.strictEqual(parseRate('500K'), 500 * 1024);
+      assert.strictEqual(parseRate('2M'), 2 * 1024 ** 2);
+      assert.strictEqual(parseRate('1.5MiB'), 1.5 * 1024 ** 2);
+      assert.strictEqual(parseRate('1gb/s'), 1024 ** 3);
+    });
+
+    it(testMessages.parseRate[1], function () {
+      assert.throws(() => parseRate('2X'), Error);
+      assert.throws(() => parseRate(0), Error);
+      assert.throws(() => parseRate('-1M'), Error);
+      assert.throws(() => parseRate(null), InvalidTypeError);
+    });
+  });
+
+  describe('.TokenBucket', function () {
+    it(testMessages.TokenBucket[0], function () {
+      const bucket = new TokenBucket(1000);
+      const delay = bucket.consume(500);
+      assert.ok(delay > 400 && delay <= 500);
+      // The borrowed tokens accumulate for the next consumers
+      assert.ok(bucket.consume(500) > 900);
+      assert.throws(() => new TokenBucket(0), Error);
+    });
+  });
+
+  describe('#createThrottle', function () {
+    it(testMessages.createThrottle[0], async function () {
+      const throttleStream = createThrottle([ new TokenBucket(1024 ** 3) ]);
+      const progress = [];
+      throttleStream.total = 6;
+      throttleStream.on('progress', (...args) => progress.push(args));
+
+      const chunks = [];
+      for await (const chunk of Readable.from(['abc', 'def']).pipe(throttleStream)) {
+        chunks.push(chunk.toString());
+      }
+      assert.strictEqual(chunks.join(''), 'abcdef');
+      assert.deepStrictEqual(progress, [ [3, 3, 6], [3, 6, 6] ]);
+    });
+
+    it(testMessages.createThrottle[1], async function () {
+      const throttleStream = createThrottle([ new TokenBucket(10 * 1024) ]);
+      const start = Date.now();
+      for await (const _ of Readable.from([Buffer.alloc(2048)]).pipe(throttleStream)) {
+        // Consume the stream
+      }
+      // 2 KiB at 10 KiB/s takes at least 200 milliseconds
+      assert.ok(Date.now() - start >= 190);
+    });
+
+    it(testMessages.createThrottle[2], function () {
+      assert.throws(() => createThrottle(null), InvalidTypeError);
+      assert.throws(() => createThrottle([ {} ]), InvalidTypeError);
+    });
+  });
+});
@@ -31,6 +31,10 @@ describe('module:url-utils', function () {
         'should return true if the given ID is valid',
         'should return false if the given ID is invalid',
         'should throw `InvalidTypeError` if the given ID is not a string'
+      ],
+      extractStartTime: [
+        'should return the start time from the `t` or `start` parameter of given URL',
+        'should return null if the given URL has no start time or is malformed'
       ]
     };
 
@@ -130,5 +134,21 @@ describe('module:url-utils', function () {
         assert.throws(() => URLUtils.validateId({}), InvalidTypeError);
       });
     });
+
+    describe('#extractStartTime', function () {
+      it(testMessages.extractStartTime[0], function () {
+        assert.strictEqual(URLUtils.extractStartTime('https://youtu.be/abcdeQWERTY?t=90'), '90');
+        assert.strictEqual(URLUtils.extractStartTime(
+          new URL('https://www.youtube.com/watch?v=abcdeQWERTY&t=1m30s')), '1m30s');
+        assert.strictEqual(URLUtils.extractStartTime(
+          'https://www.youtube.com/embed/abcdeQWERTY?start=12'), '12');
+        assert.strictEqual(URLUtils.extractStartTime('https://youtu.be/abcdeQWERTY#t=5'), '5');
+      });
+
+      it(testMessages.extractStartTime[1], function () {
+        assert.strictEqual(URLUtils.extractStartTime('https://youtu.be/abcdeQWERTY'), null);
+        assert.strictEqual(URLUtils.extractStartTime('not a URL'), null);
+      });
+    });
   });
 });
@@ -80,6 +80,32 @@ describe('module:utils', function () {
     getType: [
       'should return a string representing the given object',
       'should return a string representing the name of given object'
+    ],
+    runConcurrently: [
+      'should never run more workers than the given limit at the same time',
+      'should capture the rejections and preserve the order of given items',
+      'should throw a InvalidTypeError if the items is not an array or the worker is not a function'
+    ],
+    isRetryableError: [
+      'should return true for transient network errors, server errors and expired URLs',
+      'should return false for client errors, aborted operations and unknown errors'
+    ],
+    getRetryDelay: [
+      'should grow the delay exponentially by the backoff factor'
+    ],
+    retryAsync: [
+      'should retry until the function succeeds and pass the attempt number',
+      'should throw the last error after all retries are exhausted',
+      'should not retry if the error is not retryable',
+      'should stop retrying if the signal is aborted while waiting'
+    ],
+    parseTimestamp: [
+      'should parse the seconds, the clock format and the `t` parameter format',
+      'should throw an error if the given timestamp is invalid'
+    ],
+    resolveTimeRange: [
+      'should resolve the start and end timestamps into a time range in seconds',
+      'should throw an error if the end time is not after the start time'
     ]
   };
 
@@ -591,4 +617,157 @@ describe('module:utils', function () {
       assert.strictEqual(utils.getType(new Error(), true), 'Error');
     });
   });
+
+  describe('#runConcurrently', function () {
+    const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+    it(testMessages.runConcurrently[0], async function () {
+      let running = 0;
+      let maxRunning = 0;
+      await utils.runConcurrently([ 1, 2, 3, 4, 5 ], 2, async () => {
+        maxRunning = Math.max(maxRunning, ++running);
+        await sleep(5);
+        running--;
+      });
+      assert.strictEqual(maxRunning, 2);
+    });
+
+    it(testMessages.runConcurrently[1], async function () {
+      const results = await utils.runConcurrently([ 30, 10, 20 ], 3, async (ms, idx) => {
+        await sleep(ms);
+        if (idx === 1) throw new Error('Simulated error');
+        return ms;
+      });
+
+      assert.strictEqual(results.length, 3);
+      assert.deepStrictEqual(results[0], { status: 'fulfilled', value: 30 });
+      assert.strictEqual(results[1].status, 'rejected');
+      assert.match(results[1].reason.message, /simulated error/i);
+      assert.deepStrictEqual(results[2], { status: 'fulfilled', value: 20 });
+    });
+
+    it(testMessages.runConcurrently[2], async function () {
+      await assert.rejects(() => utils.runConcurrently('abc', 1, async () => {}),
+        InvalidTypeError);
+      await assert.rejects(() => utils.runConcurrently([], 1, null), InvalidTypeError);
+    });
+  });
+
+  describe('#isRetryableError', function () {
+    const errorWith = (props) => Object.assign(new Error('Simulated error'), props);
+
+    it(testMessages.isRetryableError[0], function () {
+      assert.ok(utils.isRetryableError(errorWith({ code: 'ECONNRESET' })));
+      assert.ok(utils.isRetryableError(errorWith({ cause: { code: 'ETIMEDOUT' } })));
+      assert.ok(utils.isRetryableError(errorWith({ statusCode: 503 })));
+      assert.ok(utils.isRetryableError(errorWith({ statusCode: 429 })));
+      assert.ok(utils.isRetryableError(errorWith({ statusCode: 403 })));
+      assert.ok(utils.isRetryableError(new Error('socket hang up')));
+      assert.ok(utils.isExpiredUrlError(errorWith({ statusCode: 410 })));
+    });
+
+    it(testMessages.isRetryableError[1], function () {
+      assert.strictEqual(utils.isRetryableError(errorWith({ statusCode: 404 })), false);
+      assert.strictEqual(utils.isRetryableError(errorWith({
+        name: 'AbortError', code: 'ECONNRESET' })), false);
+      assert.strictEqual(utils.isRetryableError(new Error('Video unavailable')), false);
+      assert.strictEqual(utils.isRetryableError(null), false);
+      assert.strictEqual(utils.isExpiredUrlError(errorWith({ statusCode: 500 })), false);
+    });
+  });
+
+  describe('#getRetryDelay', function () {
+    it(testMessages.getRetryDelay[0], function () {
+      assert.deepStrictEqual(
+        [ 1, 2, 3, 4 ].map((retry) => utils.getRetryDelay(retry, 500, 2)),
+        [ 500, 1000, 2000, 4000 ]
+      );
+      assert.strictEqual(utils.getRetryDelay(3, 500, 1), 500);
+      assert.strictEqual(utils.getRetryDelay(3, -1, 2), 0);
+    });
+  });
+
+  describe('#retryAsync', function () {
+    const transientError = () => Object.assign(new Error('Reset'), { code: 'ECONNRESET' });
+
+    it(testMessages.retryAsync[0], async function () {
+      const retried = [];
+      const result = await utils.retryAsync(async (attempt) => {
+        if (attempt < 3) throw transientError();
+        return attempt;
+      }, {
+        retries: 3,
+        retryDelay: 1,
+        onRetry: (_err, attempt, delay) => retried.push([ attempt, delay ])
+      });
+      assert.strictEqual(result, 3);
+      assert.deepStrictEqual(retried, [ [ 1, 1 ], [ 2, 2 ] ]);
+    });
+
+    it(testMessages.retryAsync[1], async function () {
+      let calls = 0;
+      await assert.rejects(() => utils.retryAsync(async () => {
+        calls++;
+        throw transientError();
+      }, { retries: 2, retryDelay: 1 }), { code: 'ECONNRESET' });
+      assert.strictEqual(calls, 3);
+    });
+
+    it(testMessages.retryAsync[2], async function () {
+      let calls = 0;
+      await assert.rejects(() => utils.retryAsync(async () => {
+        calls++;
+        throw new Error('Video unavailable');
+      }, { retries: 2, retryDelay: 1 }), /Video unavailable/);
+      assert.strictEqual(calls, 1);
+    });
+
+    it(testMessages.retryAsync[3], async function () {
+      const controller = new AbortController();
+      let calls = 0;
+      await assert.rejects(() => utils.retryAsync(async () => {
+        calls++;
+        throw transientError();
+      }, {
+        retries: 2,
+        retryDelay: 10000,
+        signal: controller.signal,
+        onRetry: () => controller.abort()
+      }), { name: 'AbortError' });
+      assert.strictEqual(calls, 1);
+    });
+  });
+
+  describe('#parseTimestamp', function () {
+    it(testMessages.parseTimestamp[0], function () {
+      assert.strictEqual(utils.parseTimestamp(90), 90);
+      assert.strictEqual(utils.parseTimestamp('90.5'), 90.5);
+      assert.strictEqual(utils.parseTimestamp('12:30'), 750);
+      assert.strictEqual(utils.parseTimestamp('01:02:03.5'), 3723.5);
+      assert.strictEqual(utils.parseTimestamp('1h2m3s'), 3723);
+      assert.strictEqual(utils.parseTimestamp('2m'), 120);
+    });
+
+    it(testMessages.parseTimestamp[1], function () {
+      [ '', 'abc', '1:2:3:4', '-5', 'h' ].forEach((ts) => {
+        assert.throws(() => utils.parseTimestamp(ts), /Invalid timestamp/);
+      });
+      assert.throws(() => utils.parseTimestamp(-1), /Invalid timestamp/);
+      assert.throws(() => utils.parseTimestamp(null), InvalidTypeError);
+    });
+  });
+
+  describe('#resolveTimeRange', function () {
+    it(testMessages.resolveTimeRange[0], function () {
+      assert.strictEqual(utils.resolveTimeRange(), null);
+      assert.deepStrictEqual(utils.resolveTimeRange('12:30', '18:45'), { start: 750, end: 1125 });
+      assert.deepStrictEqual(utils.resolveTimeRange(undefined, 60), { start: 0, end: 60 });
+      assert.deepStrictEqual(utils.resolveTimeRange('1m', null), { start: 60, end: null });
+    });
+
+    it(testMessages.resolveTimeRange[1], function () {
+      assert.throws(() => utils.resolveTimeRange(60, 30), /must be after the start time/);
+      assert.throws(() => utils.resolveTimeRange(60, '1:00'), /must be after the start time/);
+    });
+  });
 });
@@ -33,6 +33,14 @@ describe('module:yt-urlfmt', function () {
     });
   });
 
+  describe('~HANDLE', function () {
+    it(testMessage, function () {
+      assert.ok(yturlfmt.HANDLE.test('https://www.youtube.com/@some.one_123'));
+      assert.ok(yturlfmt.HANDLE.test('https://youtube.com/@someone/videos'));
+      assert.ok(!yturlfmt.HANDLE.test('https://www.youtube.com/someone'));
+    });
+  });
+
   describe('~PLAYLIST', function () {
     it(testMessage, function () {
       assert.ok(yturlfmt.PLAYLIST.test('https://www.youtube.com/playlist?list=abcde_12345'));
@@ -1,16 +1,55 @@
 import assert from 'node:assert';
 import fs from 'node:fs';
 import path from 'node:path';
+import { PassThrough } from 'node:stream';
 import { getTempPath } from '@mitsuki31/temppath';
+import ytdl from '@distube/ytdl-core';
 
 import ytmp3 from '../../lib/ytmp3.js';
 import audioconv from '../../lib/audioconv.js';
 import utils from '../../lib/utils/index.js';
+import queueModule from '../../lib/queue.js';
+import postprocessor from '../../lib/postprocessor.js';
 import error from '../../lib/error.js';
-const { InvalidTypeError } = error;
+const { JobQueue } = queueModule;
+const { resolvePostProcessors } = postprocessor;
+const { InvalidTypeError, BatchFileSyntaxError } = error;
 const pkg = JSON.parse(
   fs.readFileSync(path.join(utils.ROOTDIR, 'package.json'), 'utf8'));
 
+// Fakes the video information of each URL, so no request is sent to YouTube
+async function createFakeGetInfo() {
+  const assetsDir = path.join(utils.ROOTDIR, 'test', 'assets', 'json');
+  const videoInfo = JSON.parse(
+    await fs.promises.readFile(path.join(assetsDir, 'videoInfo.json')));
+  const formats = Object.values(JSON.parse(
+    await fs.promises.readFile(path.join(assetsDir, 'formats.json'))));
+  return async (url) => {
+    const id = ytdl.getURLVideoID(url);
+    return {
+      ...videoInfo,
+      videoDetails: { ...videoInfo.videoDetails, videoId: id, title: `Title ${id}` },
+      formats
+    };
+  };
+}
+
+// Fakes the audio download of each video, failing the download of the given video IDs
+const fakeDownloadFromInfo = (failedIds = []) => (info, { format }) => {
+  const { videoId } = info.videoDetails;
+  const size = Number(format.contentLength);
+  const stream = new PassThrough();
+  setImmediate(() => {
+    if (failedIds.includes(videoId)) {
+      stream.destroy(new Error(`Unable to download ${videoId}`));
+      return;
+    }
+    stream.emit('progress', size, size, size);
+    stream.end(Buffer.alloc(size));  // Not a valid audio
+  });
+  return stream;
+};
+
 describe('module:ytmp3', function () {
   const testMessages = {
     name: [
@@ -39,6 +78,33 @@ describe('module:ytmp3', function () {
     writeErrorLog: [
       'should write the error to specified file successfully',
       'should not create a log file when the given file path is not a string'
+    ],
+    batchDownload: [
+      'should reject with the line number if a line contains malformed options',
+      'should reject if a line contains an invalid time range before fetching any video',
+      'should name each video by its item, the filename template or the name at its index',
+      'should download the unfinished items of a job queue with their recorded options',
+      'should reject an unknown thumbnail crop mode before fetching any video',
+      'should leave out the failed downloads and reject with the failed conversion error'
+    ],
+    downloadAudio: [
+      'should throw a `InvalidTypeError` if the inputs are not iterable',
+      'should yield an error record for each invalid input without stopping'
+    ],
+    watchBatchFile: [
+      'should reject if the given arguments are invalid or the batch file is inaccessible',
+      'should keep watching the batch file until the signal is aborted',
+      'should download the new URLs with their per-item options',
+      'should retry a failed URL on the next change of the batch file'
+    ],
+    unuse: [
+      'should unregister the given post-processor, or all of them if none is given'
+    ],
+    Downloader: [
+      'should emit the events of a download in order with their payloads',
+      'should emit the events of each video of a batch download in order, '
+        + 'including the `error` event of a failed video',
+      'should not crash on a failed video if there is no `error` listener'
     ]
   };
 
@@ -182,4 +248,360 @@ describe('module:ytmp3', function () {
       if (fs.existsSync(logFile)) fs.rmSync(logFile);
     });
   });
+
+  describe('#batchDownload', function () {
+    let getInfo;
+    let downloadFromInfo;
+    let tempDir;
+    let batchFile;
+
+    before(async function () {
+      tempDir = getTempPath(path.join(utils.ROOTDIR, 'tmp'), 20);
+      batchFile = path.join(tempDir, 'downloads.txt');
+      await fs.promises.mkdir(tempDir, { recursive: true });
+
+      getInfo = ytdl.getInfo;
+      downloadFromInfo = ytdl.downloadFromInfo;
+      ytdl.getInfo = await createFakeGetInfo();
+    });
+
+    // Returns the output file names of the download plan, without the extensions
+    const getOutputNames = (plans) => Object.values(plans)
+      .map(({ output }) => path.basename(output, path.extname(output)));
+
+    it(testMessages.batchDownload[0], async function () {
+      const malformedLines = {
+        'https://youtu.be/12345-_abcd | foo=bar': /Unknown option "foo"/,
+        'https://youtu.be/12345-_abcd | outFile="Intro Theme': /Unterminated quoted value/,
+        'https://youtu.be/12345-_abcd | outFile="Intro" Theme': /Unexpected characters/,
+        'https://youtu.be/12345-_abcd | outFile': /Expected an option/,
+        'https://youtu.be/12345-_abcd | start=1 | start=2': /Duplicate option "start"/,
+        'https://youtu.be/12345-_abcd | channels=stereo': /must be a number/,
+        '| format=flac': /Missing URL/
+      };
+      for (const [ line, message ] of Object.entries(malformedLines)) {
+        await fs.promises.writeFile(batchFile, `# Comment\n\n${line}\n`);
+        await assert.rejects(() => ytmp3.batchDownload(batchFile), (err) => {
+          assert.ok(err instanceof BatchFileSyntaxError);
+          assert.match(err.message, message);
+          assert.strictEqual(err.path, batchFile);
+          assert.strictEqual(err.line, 3);
+          return true;
+        });
+      }
+    });
+
+    it(testMessages.batchDownload[1], async function () {
+      await fs.promises.writeFile(batchFile, [
+        'https://youtu.be/abcdeQWERTY | outFile="Intro | Theme" | format=flac',
+        'https://youtu.be/12345-_abcd | start=2:10 | end=0:30'
+      ].join('\n'));
+      await assert.rejects(() => ytmp3.batchDownload(batchFile), /must be after the start time/);
+    });
+
+    it(testMessages.batchDownload[2], async function () {
+      await fs.promises.writeFile(batchFile, [
+        'https://youtu.be/abcdeQWERTY',
+        'https://youtu.be/12345-_abcd | outFile="Intro Theme"',
+        'https://youtu.be/ABCDE-_1234'
+      ].join('\n'));
+      const planOutputNames = async (outFile) => getOutputNames(
+        await ytmp3.batchDownload(batchFile, {
+          outDir: tempDir, outFile, dryRun: true, useCache: false, quiet: true
+        }));
+
+      assert.deepStrictEqual(await planOutputNames([ 'First', 'Second', 'Third' ]),
+        [ 'First', 'Intro Theme', 'Third' ]);
+      assert.deepStrictEqual(await planOutputNames('First'),
+        [ 'First', 'Intro Theme', 'Title ABCDE-_1234' ]);
+      assert.deepStrictEqual(await planOutputNames('{id}'),
+        [ 'abcdeQWERTY', 'Intro Theme', 'ABCDE-_1234' ]);
+    });
+
+    it(testMessages.batchDownload[3], async function () {
+      const queue = await JobQueue.open(path.join(tempDir, 'queue.json'));
+      await queue.add([
+        { url: 'https://youtu.be/abcdeQWERTY', options: { outFile: 'Intro Theme' } },
+        'https://youtu.be/12345-_abcd'
+      ]);
+      const plans = await ytmp3.batchDownload(queue, {
+        outDir: tempDir, dryRun: true, useCache: false, quiet: true
+      });
+      assert.deepStrictEqual(getOutputNames(plans), [ 'Intro Theme', 'Title 12345-_abcd' ]);
+    });
+
+    it(testMessages.batchDownload[4], async function () {
+      await fs.promises.writeFile(batchFile, 'https://youtu.be/abcdeQWERTY\n');
+      const fetchedUrls = [];
+      const fakeGetInfo = ytdl.getInfo;
+      ytdl.getInfo = async (url) => fetchedUrls.push(url) && fakeGetInfo(url);
+      try {
+        await assert.rejects(() => ytmp3.batchDownload(batchFile, {
+          outDir: tempDir, embedThumbnail: 'circle', useCache: false, quiet: true
+        }), /Unknown thumbnail crop mode: circle/);
+        assert.deepStrictEqual(fetchedUrls, []);
+      } finally {
+        ytdl.getInfo = fakeGetInfo;
+      }
+    });
+
+    it(testMessages.batchDownload[5], async function () {
+      await fs.promises.writeFile(batchFile, [
+        'https://youtu.be/abcdeQWERTY',
+        'https://youtu.be/12345-_abcd'
+      ].join('\n'));
+      ytdl.downloadFromInfo = fakeDownloadFromInfo([ '12345-_abcd' ]);
+      const reportFile = path.join(tempDir, 'report.json');
+      const options = {
+        outDir: tempDir, outFile: '{id}', concurrency: 2, useCache: false, quiet: true
+      };
+
+      const results = await ytmp3.batchDownload(batchFile, { ...options, reportFile });
+      assert.deepStrictEqual(Object.keys(results), [ 'abcdeQWERTY' ]);
+      assert.strictEqual(results.abcdeQWERTY.errors, null);
+      // The failed downloads are still reported
+      const { items } = JSON.parse(await fs.promises.readFile(reportFile));
+      assert.deepStrictEqual(items.map(({ videoId, status }) => [ videoId, status ]), [
+        [ 'abcdeQWERTY', 'done' ], [ '12345-_abcd', 'failed' ]
+      ]);
+
+      // The fake audio cannot be converted
+      ytdl.downloadFromInfo = fakeDownloadFromInfo();
+      await assert.rejects(() => ytmp3.batchDownload(batchFile, {
+        ...options, convertAudio: true, converterOptions: { quiet: true }
+      }), Error);
+    });
+
+    after(async function () {
+      ytdl.getInfo = getInfo;
+      ytdl.downloadFromInfo = downloadFromInfo;
+      await fs.promises.rm(tempDir, { recursive: true, force: true });
+    });
+  });
+
+  describe('#downloadAudio', function () {
+    it(testMessages.downloadAudio[0], async function () {
+      await assert.rejects(() => ytmp3.downloadAudio(12345).next(), InvalidTypeError);
+      await assert.rejects(() => ytmp3.downloadAudio(null).next(), InvalidTypeError);
+      await assert.rejects(() => ytmp3.downloadAudio('abc', []).next(), InvalidTypeError);
+    });
+
+    it(testMessages.downloadAudio[1], async function () {
+      async function* inputs() {
+        yield 'abc';
+        yield 12345;
+      }
+      const results = [];
+      for await (const result of ytmp3.downloadAudio(inputs())) results.push(result);
+      assert.deepStrictEqual(results.map(({ url, videoId }) => ({ url, videoId })), [
+        { url: 'abc', videoId: null },
+        { url: 12345, videoId: null }
+      ]);
+      assert.ok(results.every(({ error }) => error instanceof Error));
+    });
+  });
+
+  describe('#watchBatchFile', function () {
+    let tempDir;
+    let batchFile;
+    let getInfo;
+    let downloadFromInfo;
+
+    before(async function () {
+      tempDir = getTempPath(path.join(utils.ROOTDIR, 'tmp'), 20);
+      batchFile = path.join(tempDir, 'downloads.txt');
+      await fs.promises.mkdir(tempDir, { recursive: true });
+      await fs.promises.writeFile(batchFile, '# No URLs yet\n');
+
+      getInfo = ytdl.getInfo;
+      downloadFromInfo = ytdl.downloadFromInfo;
+      ytdl.getInfo = await createFakeGetInfo();
+    });
+
+    // Watches the batch file until the given file exists or one second passed
+    const watchUntilExists = async (file, options) => {
+      const controller = new AbortController();
+      const watching = ytmp3.watchBatchFile(batchFile, {
+        ...options, outDir: tempDir, useCache: false, debounce: 10, signal: controller.signal
+      });
+      const deadline = Date.now() + 1000;
+      while (!fs.existsSync(file) && Date.now() < deadline) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+      controller.abort();
+      await watching;
+      assert.ok(fs.existsSync(file), `${path.basename(file)} has not been downloaded`);
+    };
+
+    it(testMessages.watchBatchFile[0], async function () {
+      await assert.rejects(() => ytmp3.watchBatchFile(null), InvalidTypeError);
+      await assert.rejects(() => ytmp3.watchBatchFile(batchFile, []), InvalidTypeError);
+      await assert.rejects(() => ytmp3.watchBatchFile(
+        batchFile, { signal: AbortSignal.abort() }), { name: 'AbortError' });
+      await assert.rejects(() => ytmp3.watchBatchFile(
+        path.join(tempDir, 'inexistent.txt')), { code: 'ENOENT' });
+    });
+
+    it(testMessages.watchBatchFile[1], async function () {
+      const controller = new AbortController();
+      let stopped = false;
+      const watching = ytmp3.watchBatchFile(batchFile, {
+        signal: controller.signal,
+        debounce: 10
+      }).then(() => (stopped = true));
+
+      await fs.promises.appendFile(batchFile, '// Still no URLs\n');
+      await new Promise(resolve => setTimeout(resolve, 50));
+      assert.strictEqual(stopped, false);
+      controller.abort();
+      await watching;
+      assert.strictEqual(stopped, true);
+    });
+
+    it(testMessages.watchBatchFile[2], async function () {
+      ytdl.downloadFromInfo = fakeDownloadFromInfo();
+      await fs.promises.writeFile(batchFile,
+        'https://youtu.be/abcdeQWERTY | outFile="Intro Theme"\n');
+
+      await watchUntilExists(path.join(tempDir, 'Intro Theme.m4a'), { outFile: '{id}' });
+      assert.strictEqual(fs.existsSync(path.join(tempDir, 'abcdeQWERTY.m4a')), false);
+    });
+
+    it(testMessages.watchBatchFile[3], async function () {
+      const failDownload = fakeDownloadFromInfo([ '12345-_abcd' ]);
+      let attempts = 0;
+      ytdl.downloadFromInfo = (info, options) => {
+        // Fail the first attempt only, then touch the batch file to trigger a retry
+        if (attempts++ > 0) return fakeDownloadFromInfo()(info, options);
+        setTimeout(() => fs.promises.appendFile(batchFile, '# Retry\n'), 50);
+        return failDownload(info, options);
+      };
+      await fs.promises.writeFile(batchFile, 'https://youtu.be/12345-_abcd\n');
+
+      await watchUntilExists(path.join(tempDir, '12345-_abcd.m4a'), { outFile: '{id}' });
+      assert.strictEqual(attempts, 2);
+    });
+
+    after(async function () {
+      ytdl.getInfo = getInfo;
+      ytdl.downloadFromInfo = downloadFromInfo;
+      await fs.promises.rm(tempDir, { recursive: true, force: true });
+    });
+  });
+
+  describe('#unuse', function () {
+    const normalizer = { name: 'normalizer', process: () => {} };
+    const tagger = { name: 'tagger', process: () => {} };
+    const getRegistered = () => resolvePostProcessors().map(({ plugin }) => plugin);
+
+    it(testMessages.unuse[0], function () {
+      assert.strictEqual(ytmp3.use(normalizer).use(tagger).unuse(normalizer), ytmp3);
+      assert.deepStrictEqual(getRegistered(), [ tagger ]);
+      ytmp3.use(normalizer).unuse();
+      assert.deepStrictEqual(getRegistered(), []);
+    });
+
+    after(function () {
+      ytmp3.unuse();
+    });
+  });
+
+  describe('.Downloader', function () {
+    let getInfo;
+    let downloadFromInfo;
+    let tempDir;
+    let batchFile;
+
+    before(async function () {
+      tempDir = getTempPath(path.join(utils.ROOTDIR, 'tmp'), 20);
+      batchFile = path.join(tempDir, 'downloads.txt');
+      await fs.promises.mkdir(tempDir, { recursive: true });
+      await fs.promises.writeFile(batchFile, [
+        'https://youtu.be/abcdeQWERTY',
+        'https://youtu.be/12345-_abcd'
+      ].join('\n'));
+
+      getInfo = ytdl.getInfo;
+      downloadFromInfo = ytdl.downloadFromInfo;
+      ytdl.getInfo = await createFakeGetInfo();
+    });
+
+    // Records the emitted events as `[ event, payload ]` pairs, in the emitted order
+    const recordEvents = (downloader, events) => {
+      const records = [];
+      for (const event of events) {
+        downloader.on(event, (payload) => records.push([ event, payload ]));
+      }
+      return records;
+    };
+    const getOptions = () => ({
+      outDir: tempDir, outFile: '{id}', useCache: false, quiet: true
+    });
+
+    it(testMessages.Downloader[0], async function () {
+      ytdl.downloadFromInfo = fakeDownloadFromInfo();
+      const downloader = new ytmp3.Downloader();
+      const records = recordEvents(
+        downloader, [ 'info', 'start', 'progress', 'downloaded', 'error' ]);
+      const url = 'https://youtu.be/abcdeQWERTY';
+      const output = path.join(tempDir, 'abcdeQWERTY.m4a');
+
+      const result = await downloader.download(url, getOptions());
+      assert.strictEqual(result.path, output);
+      assert.deepStrictEqual(records.map(([ event ]) => event),
+        [ 'info', 'start', 'progress', 'downloaded' ]);
+      const [ info, start, progress, downloaded ] = records.map(([ , payload ]) => payload);
+      assert.deepStrictEqual(
+        [ info.videoId, info.url, info.title, info.output, info.format.itag ],
+        [ 'abcdeQWERTY', url, 'Title abcdeQWERTY', output, 140 ]);
+      assert.deepStrictEqual(start, {
+        videoId: 'abcdeQWERTY', url, output, attempt: 1, offset: 0
+      });
+      assert.strictEqual(progress.videoId, 'abcdeQWERTY');
+      assert.ok(progress.total > 0);
+      assert.strictEqual(progress.bytes, progress.total);
+      assert.deepStrictEqual(downloaded, { videoId: 'abcdeQWERTY', url, path: output });
+    });
+
+    it(testMessages.Downloader[1], async function () {
+      ytdl.downloadFromInfo = fakeDownloadFromInfo([ '12345-_abcd' ]);
+      const downloader = new ytmp3.Downloader();
+      const records = recordEvents(
+        downloader, [ 'info', 'start', 'progress', 'downloaded', 'error' ]);
+
+      const results = await downloader.batchDownload(batchFile, getOptions());
+      assert.deepStrictEqual(Object.keys(results), [ 'abcdeQWERTY' ]);
+      assert.deepStrictEqual(records.map(([ event, { videoId } ]) => [ event, videoId ]), [
+        [ 'info', 'abcdeQWERTY' ],
+        [ 'info', '12345-_abcd' ],
+        [ 'start', 'abcdeQWERTY' ],
+        [ 'progress', 'abcdeQWERTY' ],
+        [ 'downloaded', 'abcdeQWERTY' ],
+        [ 'start', '12345-_abcd' ],
+        [ 'error', '12345-_abcd' ]
+      ]);
+      const [ , { url, phase, error } ] = records.at(-1);
+      assert.strictEqual(url, 'https://youtu.be/12345-_abcd');
+      assert.strictEqual(phase, 'download');
+      assert.strictEqual(error.message, 'Unable to download 12345-_abcd');
+    });
+
+    it(testMessages.Downloader[2], async function () {
+      ytdl.downloadFromInfo = fakeDownloadFromInfo([ '12345-_abcd' ]);
+      const downloader = new ytmp3.Downloader();
+      assert.strictEqual(downloader.listenerCount('error'), 0);
+
+      const results = await downloader.batchDownload(batchFile, getOptions());
+      assert.deepStrictEqual(Object.keys(results), [ 'abcdeQWERTY' ]);
+      // The download error is thrown instead of the unhandled `error` event
+      await assert.rejects(() => downloader.download('https://youtu.be/12345-_abcd',
+        getOptions()), { message: 'Unable to download 12345-_abcd' });
+    });
+
+    after(async function () {
+      ytdl.getInfo = getInfo;
+      ytdl.downloadFromInfo = downloadFromInfo;
+      await fs.promises.rm(tempDir, { recursive: true, force: true });
+    });
+  });
 });